@@ -1,5 +1,7 @@
 // app.js
 const { initModels } = require('./src/models/index');
+const config = require('./src/config/config');
+const recurringScheduler = require('./src/api/recurring/recurring.scheduler');
 const express = require('express');
 const cors = require('cors');
 const app = express();
@@ -55,6 +57,11 @@ if (require.main === module) {
         
         try {
             await initModels();
+
+            if (config.recurring.schedulerEnabled) {
+                recurringScheduler.start();
+            }
+
             console.log('Transportation Request Management API is ready!');
             console.log(`API Documentation: http://localhost:${PORT}/api`);
         } catch (error) {
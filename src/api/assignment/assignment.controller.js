@@ -0,0 +1,157 @@
+const assignmentService = require('./assignment.service');
+const { validateRequest, assignDriversSchema } = require('./assignment.validate');
+
+/**
+ * Shared error mapping for the assignment endpoints
+ */
+function sendAssignmentError(res, error, message) {
+  if (assignmentService.isConflictError(error)) {
+    return res.status(400).json({
+      success: false,
+      code: assignmentService.errorCode,
+      message: 'Driver not available for the assignment window',
+      error: error.message.replace(/^.*?: /, ''),
+      conflicts: error.conflicts
+    });
+  }
+
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      success: false,
+      message: error.message.replace(/^.*?: /, '')
+    });
+  }
+
+  if (error.message.includes('Cannot ') || error.message.includes('Invalid driverIds')) {
+    return res.status(400).json({
+      success: false,
+      message,
+      error: error.message.replace(/^.*?: /, '')
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+}
+
+function parseId(req, res, param, label) {
+  const id = parseInt(req.params[param]);
+
+  if (isNaN(id)) {
+    res.status(400).json({
+      success: false,
+      message: `Invalid ${label} ID`
+    });
+    return null;
+  }
+
+  return id;
+}
+
+class AssignmentController {
+
+  /**
+   * POST /api/requests/:id/assignments
+   */
+  async assignDrivers(req, res) {
+    try {
+      const requestId = parseId(req, res, 'id', 'request');
+      if (requestId === null) return;
+
+      const validation = validateRequest(req.body, assignDriversSchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const assignments = await assignmentService.assignDrivers(requestId, validation.data);
+
+      res.status(201).json({
+        success: true,
+        message: 'Drivers assigned successfully',
+        data: assignments
+      });
+
+    } catch (error) {
+      console.error('Error assigning drivers:', error.message);
+      sendAssignmentError(res, error, 'Failed to assign drivers');
+    }
+  }
+
+  /**
+   * GET /api/requests/:id/assignments
+   */
+  async getRequestAssignments(req, res) {
+    try {
+      const requestId = parseId(req, res, 'id', 'request');
+      if (requestId === null) return;
+
+      const assignments = await assignmentService.getRequestAssignments(requestId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Assignments retrieved successfully',
+        data: assignments
+      });
+
+    } catch (error) {
+      console.error('Error fetching assignments:', error.message);
+      sendAssignmentError(res, error, 'Failed to retrieve assignments');
+    }
+  }
+
+  /**
+   * DELETE /api/requests/:id/assignments/:assignmentId
+   */
+  async releaseAssignment(req, res) {
+    try {
+      const requestId = parseId(req, res, 'id', 'request');
+      if (requestId === null) return;
+
+      const assignmentId = parseId(req, res, 'assignmentId', 'assignment');
+      if (assignmentId === null) return;
+
+      const assignment = await assignmentService.releaseAssignment(requestId, assignmentId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Assignment released successfully',
+        data: assignment
+      });
+
+    } catch (error) {
+      console.error('Error releasing assignment:', error.message);
+      sendAssignmentError(res, error, 'Failed to release assignment');
+    }
+  }
+
+  /**
+   * GET /api/deliveries/request/:requestId/draft
+   */
+  async getDeliveryDraft(req, res) {
+    try {
+      const requestId = parseId(req, res, 'requestId', 'request');
+      if (requestId === null) return;
+
+      const draft = await assignmentService.getDeliveryDraft(requestId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Delivery draft built from assignments',
+        data: draft
+      });
+
+    } catch (error) {
+      console.error('Error building delivery draft:', error.message);
+      sendAssignmentError(res, error, 'Failed to build delivery draft');
+    }
+  }
+}
+
+module.exports = new AssignmentController();
@@ -0,0 +1,74 @@
+// Drivers can only be booked before the delivery is logged
+const ASSIGNABLE_STATUSES = ['planned', 'assigned', 'on_hold'];
+
+/**
+ * Assignment Helper - Contains pure utility functions for planned driver assignments
+ * No database operations should be performed here
+ */
+class AssignmentHelper {
+
+  isAssignable(request) {
+    return ASSIGNABLE_STATUSES.includes(request.status);
+  }
+
+  /**
+   * Booking window; defaults to the request pickup plus the configured duration
+   */
+  resolveWindow(request, { startsAt, endsAt } = {}, defaultDurationHours) {
+    const start = new Date(startsAt || request.pickUpDateTime);
+    const end = endsAt
+      ? new Date(endsAt)
+      : new Date(start.getTime() + defaultDurationHours * 60 * 60 * 1000);
+
+    return { startsAt: start, endsAt: end };
+  }
+
+  formatAssignmentResponse(assignment) {
+    const driver = assignment.Driver;
+
+    return {
+      id: assignment.id,
+      requestId: assignment.requestId,
+      driverId: assignment.driverId,
+      driver: driver ? {
+        id: driver.id,
+        name: driver.name,
+        type: driver.type,
+        transportCompany: driver.transportCompany
+      } : null,
+      startsAt: assignment.startsAt,
+      endsAt: assignment.endsAt,
+      status: assignment.status,
+      notes: assignment.notes,
+      assignedBy: assignment.assignedBy,
+      createdAt: assignment.createdAt,
+      updatedAt: assignment.updatedAt
+    };
+  }
+
+  /**
+   * Starting point for POST /api/deliveries/:requestId/log: planned values from the
+   * request and one entry per assigned driver, with ratings left to fill in.
+   * Trucks and cost cover only what is still undelivered on a partially fulfilled request.
+   */
+  buildDeliveryDraft(request, assignments) {
+    const baselineCost = request.getBaselineCost();
+    const { remainingTruckCount } = request.getFulfillment();
+    const share = request.truckCount > 0 ? remainingTruckCount / request.truckCount : 1;
+
+    return {
+      actualPickupDateTime: request.pickUpDateTime,
+      actualTruckCount: remainingTruckCount,
+      invoiceAmount: baselineCost === null || baselineCost === undefined
+        ? null
+        : Math.round(parseFloat(baselineCost) * share * 100) / 100,
+      deliveryNotes: '',
+      drivers: assignments.map(assignment => ({
+        driver_id: assignment.driverId,
+        name: assignment.Driver ? assignment.Driver.name : null
+      }))
+    };
+  }
+}
+
+module.exports = AssignmentHelper;
@@ -0,0 +1,78 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+
+const ASSIGNMENT_STATUSES = ['planned', 'completed', 'released'];
+
+/**
+ * Assignment Model
+ * A driver booked for a request ahead of pickup, for the window [startsAt, endsAt).
+ * Only planned assignments block the driver for other requests.
+ */
+const Assignment = sequelize.define('Assignment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  requestId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'request_id',
+    references: {
+      model: 'transportation_requests',
+      key: 'id'
+    }
+  },
+  driverId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'driver_id',
+    references: {
+      model: 'drivers',
+      key: 'id'
+    }
+  },
+  startsAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'starts_at'
+  },
+  endsAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'ends_at'
+  },
+  status: {
+    type: DataTypes.ENUM(...ASSIGNMENT_STATUSES),
+    allowNull: false,
+    defaultValue: 'planned'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  assignedBy: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    defaultValue: 'System',
+    field: 'assigned_by'
+  }
+}, {
+  tableName: 'assignments',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['request_id', 'status']
+    },
+    {
+      fields: ['driver_id', 'status', 'starts_at']
+    }
+  ]
+});
+
+module.exports = {
+  Assignment,
+  ASSIGNMENT_STATUSES
+};
@@ -0,0 +1,207 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../../config/db');
+const config = require('../../config/config');
+const { Assignment } = require('./assignment.model');
+const { TransportationRequest } = require('../request/request.model');
+const { Driver } = require('../driver/driver.model');
+const requestLifecycle = require('../request/request.lifecycle');
+const driverAvailability = require('../driver/driver.availability');
+const AssignmentHelper = require('./assignment.helper');
+
+const DRIVER_INCLUDE = {
+  model: Driver,
+  as: 'Driver',
+  attributes: ['id', 'name', 'type', 'transportCompany']
+};
+
+const ASSIGNMENT_CONFLICT = 'ASSIGNMENT_CONFLICT';
+
+class AssignmentService {
+
+  constructor() {
+    this.assignmentHelper = new AssignmentHelper();
+    this.errorCode = ASSIGNMENT_CONFLICT;
+  }
+
+  isConflictError(error) {
+    return error.code === ASSIGNMENT_CONFLICT;
+  }
+
+  /**
+   * Book drivers for a request ahead of pickup. Fails with ASSIGNMENT_CONFLICT
+   * (listing the reasons) when a driver is not available for the window: booked on
+   * another request, on leave or sick, or off shift. Re-assigning a driver to the
+   * same request moves its window.
+   */
+  async assignDrivers(requestId, assignmentData) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const { driverIds, startsAt, endsAt, notes, assignedBy = 'System' } = assignmentData;
+
+      const request = await TransportationRequest.findByPk(requestId, { transaction, lock: true });
+      if (!request) {
+        throw new Error('Request not found');
+      }
+      if (!this.assignmentHelper.isAssignable(request)) {
+        throw new Error(`Cannot assign drivers to a request with status '${request.status}'`);
+      }
+
+      const window = this.assignmentHelper.resolveWindow(
+        request, { startsAt, endsAt }, config.assignments.defaultDurationHours
+      );
+      if (window.endsAt <= window.startsAt) {
+        throw new Error('Cannot assign drivers: assignment end must be after its start');
+      }
+
+      // Locking the drivers serialises concurrent bookings of the same driver
+      const drivers = await Driver.findAll({
+        where: { id: { [Op.in]: driverIds } },
+        attributes: ['id'],
+        transaction,
+        lock: true
+      });
+      const found = new Set(drivers.map(driver => driver.id));
+      const missing = driverIds.filter(id => !found.has(id));
+      if (missing.length > 0) {
+        throw new Error(`Invalid driverIds: driver ${missing.join(', ')} does not exist`);
+      }
+
+      const conflicts = await driverAvailability.findConflicts(window, {
+        driverIds,
+        excludeRequestId: request.id,
+        transaction
+      });
+      if (conflicts.length > 0) {
+        const error = new Error(`Driver unavailable: ${conflicts.map(conflict =>
+          driverAvailability.driverHelper.describeAvailabilityConflict(conflict)
+        ).join('; ')}`);
+        error.code = ASSIGNMENT_CONFLICT;
+        error.conflicts = conflicts;
+        throw error;
+      }
+
+      const existing = await Assignment.findAll({
+        where: { requestId: request.id, driverId: { [Op.in]: driverIds }, status: 'planned' },
+        transaction
+      });
+
+      for (const driverId of driverIds) {
+        const assignment = existing.find(candidate => candidate.driverId === driverId);
+        const fields = { ...window, notes, assignedBy };
+
+        if (assignment) {
+          await assignment.update(fields, { transaction });
+        } else {
+          await Assignment.create({ ...fields, requestId: request.id, driverId }, { transaction });
+        }
+      }
+
+      if (request.status === 'planned') {
+        await requestLifecycle.transition(request, 'assigned', {
+          changedBy: assignedBy,
+          reason: 'Drivers assigned',
+          transaction
+        });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      const wrapped = new Error(`Failed to assign drivers: ${error.message}`);
+      wrapped.code = error.code;
+      wrapped.conflicts = error.conflicts;
+      throw wrapped;
+    }
+
+    return this.getRequestAssignments(requestId);
+  }
+
+  /**
+   * All assignments for a request, planned first
+   */
+  async getRequestAssignments(requestId) {
+    try {
+      const request = await TransportationRequest.findByPk(requestId, { attributes: ['id'] });
+      if (!request) {
+        throw new Error('Request not found');
+      }
+
+      const assignments = await Assignment.findAll({
+        where: { requestId },
+        include: [DRIVER_INCLUDE],
+        order: [['status', 'ASC'], ['startsAt', 'ASC'], ['id', 'ASC']]
+      });
+
+      return assignments.map(assignment => this.assignmentHelper.formatAssignmentResponse(assignment));
+    } catch (error) {
+      throw new Error(`Failed to retrieve assignments: ${error.message}`);
+    }
+  }
+
+  async releaseAssignment(requestId, assignmentId) {
+    try {
+      const assignment = await Assignment.findOne({
+        where: { id: assignmentId, requestId },
+        include: [DRIVER_INCLUDE]
+      });
+      if (!assignment) {
+        throw new Error('Assignment not found');
+      }
+      if (assignment.status !== 'planned') {
+        throw new Error(`Cannot release a ${assignment.status} assignment`);
+      }
+
+      await assignment.update({ status: 'released' });
+      return this.assignmentHelper.formatAssignmentResponse(assignment);
+    } catch (error) {
+      throw new Error(`Failed to release assignment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delivery logging payload pre-filled from the request and its planned assignments
+   */
+  async getDeliveryDraft(requestId) {
+    try {
+      const request = await TransportationRequest.findByPk(requestId);
+      if (!request) {
+        throw new Error('Request not found');
+      }
+
+      const assignments = await Assignment.findAll({
+        where: { requestId, status: 'planned' },
+        include: [DRIVER_INCLUDE],
+        order: [['startsAt', 'ASC'], ['id', 'ASC']]
+      });
+
+      return this.assignmentHelper.buildDeliveryDraft(request, assignments);
+    } catch (error) {
+      throw new Error(`Failed to build delivery draft: ${error.message}`);
+    }
+  }
+
+  /**
+   * Complete the planned assignments of the drivers on a logged delivery. Other
+   * planned drivers stay booked for the request's later waves.
+   */
+  async completeForDelivery(requestId, driverIds, transaction) {
+    await Assignment.update(
+      { status: 'completed' },
+      { where: { requestId, status: 'planned', driverId: { [Op.in]: driverIds } }, transaction }
+    );
+  }
+
+  /**
+   * Release a request's remaining planned assignments once no more trucks will
+   * be delivered: fully fulfilled, closed short, cancelled, rejected or deleted.
+   */
+  async releaseRemaining(requestId, transaction) {
+    await Assignment.update(
+      { status: 'released' },
+      { where: { requestId, status: 'planned' }, transaction }
+    );
+  }
+}
+
+module.exports = new AssignmentService();
@@ -0,0 +1,37 @@
+const Joi = require('joi');
+const { validateRequest } = require('../request/request.validate');
+
+/**
+ * The window defaults to the request pickup plus ASSIGNMENT_DEFAULT_DURATION_HOURS
+ */
+const assignDriversSchema = Joi.object({
+  driverIds: Joi.array()
+    .items(Joi.number().integer().positive())
+    .unique()
+    .min(1)
+    .max(50)
+    .required()
+    .messages({
+      'array.min': 'Assign at least one driver',
+      'array.unique': 'Each driver can only be assigned once',
+      'any.required': 'Driver IDs are required'
+    }),
+  startsAt: Joi.date().iso().optional(),
+  endsAt: Joi.date()
+    .iso()
+    .when('startsAt', {
+      is: Joi.exist(),
+      then: Joi.date().greater(Joi.ref('startsAt'))
+    })
+    .optional()
+    .messages({
+      'date.greater': 'Assignment end must be after its start'
+    }),
+  notes: Joi.string().trim().max(1000).optional().allow(''),
+  assignedBy: Joi.string().trim().max(100).optional()
+});
+
+module.exports = {
+  assignDriversSchema,
+  validateRequest
+};
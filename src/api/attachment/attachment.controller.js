@@ -0,0 +1,218 @@
+const attachmentService = require('./attachment.service');
+const {
+  validateRequest,
+  uploadAttachmentSchema,
+  attachmentQuerySchema
+} = require('./attachment.validate');
+
+/**
+ * Shared error mapping for the attachment endpoints
+ */
+function sendAttachmentError(res, error, message) {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      success: false,
+      message: error.message.replace(/^.*?: /, '')
+    });
+  }
+
+  if (error.message.includes('Invalid file')) {
+    return res.status(400).json({
+      success: false,
+      message,
+      error: error.message.replace(/^Failed to \w+ attachment: Invalid file: /, '')
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+}
+
+function parseId(req, res, label) {
+  const id = parseInt(req.params.id);
+
+  if (isNaN(id)) {
+    res.status(400).json({
+      success: false,
+      message: `Invalid ${label} ID`
+    });
+    return null;
+  }
+
+  return id;
+}
+
+/**
+ * Shared upload flow; owner is { requestId } or { deliveryId }
+ */
+async function uploadAttachment(req, res, owner) {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Attachment file is required (multipart field "file")'
+      });
+    }
+
+    const validation = validateRequest(req.body, uploadAttachmentSchema);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: validation.errors
+      });
+    }
+
+    const attachment = await attachmentService.uploadAttachment(owner, req.file, validation.data);
+
+    res.status(201).json({
+      success: true,
+      message: 'Attachment uploaded successfully',
+      data: attachment
+    });
+
+  } catch (error) {
+    console.error('Error uploading attachment:', error.message);
+    sendAttachmentError(res, error, 'Failed to upload attachment');
+  }
+}
+
+async function listAttachments(req, res, owner) {
+  try {
+    const validation = validateRequest(req.query, attachmentQuerySchema);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors: validation.errors
+      });
+    }
+
+    const attachments = await attachmentService.getAttachments(owner, validation.data);
+
+    res.status(200).json({
+      success: true,
+      message: 'Attachments retrieved successfully',
+      data: attachments
+    });
+
+  } catch (error) {
+    console.error('Error retrieving attachments:', error.message);
+    sendAttachmentError(res, error, 'Failed to retrieve attachments');
+  }
+}
+
+class AttachmentController {
+
+  /**
+   * POST /api/deliveries/:id/attachments (multipart: file, category, description)
+   */
+  async uploadDeliveryAttachment(req, res) {
+    const deliveryId = parseId(req, res, 'delivery');
+    if (deliveryId === null) return;
+
+    return uploadAttachment(req, res, { deliveryId });
+  }
+
+  /**
+   * POST /api/requests/:id/attachments (multipart: file, category, description)
+   */
+  async uploadRequestAttachment(req, res) {
+    const requestId = parseId(req, res, 'request');
+    if (requestId === null) return;
+
+    return uploadAttachment(req, res, { requestId });
+  }
+
+  /**
+   * GET /api/deliveries/:id/attachments?category=pod
+   */
+  async getDeliveryAttachments(req, res) {
+    const deliveryId = parseId(req, res, 'delivery');
+    if (deliveryId === null) return;
+
+    return listAttachments(req, res, { deliveryId });
+  }
+
+  /**
+   * GET /api/requests/:id/attachments?category=pod (includes its deliveries' attachments)
+   */
+  async getRequestAttachments(req, res) {
+    const requestId = parseId(req, res, 'request');
+    if (requestId === null) return;
+
+    return listAttachments(req, res, { requestId });
+  }
+
+  /**
+   * GET /api/attachments/:id
+   */
+  async getAttachmentById(req, res) {
+    try {
+      const attachmentId = parseId(req, res, 'attachment');
+      if (attachmentId === null) return;
+
+      const attachment = await attachmentService.getAttachmentById(attachmentId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Attachment retrieved successfully',
+        data: attachment
+      });
+
+    } catch (error) {
+      console.error('Error retrieving attachment:', error.message);
+      sendAttachmentError(res, error, 'Failed to retrieve attachment');
+    }
+  }
+
+  /**
+   * GET /api/attachments/:id/download
+   */
+  async downloadAttachment(req, res) {
+    try {
+      const attachmentId = parseId(req, res, 'attachment');
+      if (attachmentId === null) return;
+
+      const { attachment, fileName, content } = await attachmentService.getAttachmentContent(attachmentId);
+
+      res.status(200);
+      res.setHeader('Content-Type', attachment.mimeType);
+      res.setHeader('Content-Length', content.length);
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.setHeader('X-Checksum-SHA256', attachment.checksum);
+      res.send(content);
+
+    } catch (error) {
+      console.error('Error downloading attachment:', error.message);
+      sendAttachmentError(res, error, 'Failed to download attachment');
+    }
+  }
+
+  /**
+   * DELETE /api/attachments/:id
+   */
+  async deleteAttachment(req, res) {
+    try {
+      const attachmentId = parseId(req, res, 'attachment');
+      if (attachmentId === null) return;
+
+      const result = await attachmentService.deleteAttachment(attachmentId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Attachment deleted successfully',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Error deleting attachment:', error.message);
+      sendAttachmentError(res, error, 'Failed to delete attachment');
+    }
+  }
+}
+
+module.exports = new AttachmentController();
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const path = require('path');
+
+/**
+ * Attachment Helper - Contains pure utility functions for file attachments
+ * No database or storage operations should be performed here
+ */
+class AttachmentHelper {
+
+  formatAttachmentResponse(attachment) {
+    return {
+      id: attachment.id,
+      requestId: attachment.requestId,
+      deliveryId: attachment.deliveryId,
+      category: attachment.category,
+      originalName: attachment.originalName,
+      mimeType: attachment.mimeType,
+      sizeBytes: attachment.sizeBytes,
+      checksum: attachment.checksum,
+      description: attachment.description,
+      uploadedBy: attachment.uploadedBy,
+      downloadUrl: `/api/attachments/${attachment.id}/download`,
+      createdAt: attachment.createdAt
+    };
+  }
+
+  /**
+   * Why an uploaded file cannot be accepted, or null
+   */
+  getFileError(file, { allowedMimeTypes, maxFileSizeMb }) {
+    if (!allowedMimeTypes.includes(file.mimetype)) {
+      return `Unsupported file type '${file.mimetype}'. Allowed types: ${allowedMimeTypes.join(', ')}`;
+    }
+
+    if (file.size === 0) {
+      return 'Uploaded file is empty';
+    }
+
+    if (file.size > maxFileSizeMb * 1024 * 1024) {
+      return `File is larger than ${maxFileSizeMb} MB`;
+    }
+
+    return null;
+  }
+
+  computeChecksum(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
+  /**
+   * requests/12/deliveries/40/<uuid>.pdf; a random name so uploads never collide
+   * and the client's file name never reaches the filesystem
+   */
+  buildStorageKey({ requestId, deliveryId }, originalName) {
+    const extension = path.extname(originalName).toLowerCase().replace(/[^.a-z0-9]/g, '');
+    const folder = deliveryId
+      ? `requests/${requestId}/deliveries/${deliveryId}`
+      : `requests/${requestId}`;
+
+    return `${folder}/${crypto.randomUUID()}${extension}`;
+  }
+
+  /**
+   * File name safe to put in a Content-Disposition header (printable ASCII, no quotes)
+   */
+  buildDownloadName(attachment) {
+    return attachment.originalName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  }
+}
+
+module.exports = AttachmentHelper;
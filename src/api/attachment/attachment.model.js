@@ -0,0 +1,99 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+
+// pod is the signed proof of delivery
+const ATTACHMENT_CATEGORIES = ['pod', 'photo', 'invoice', 'bill_of_lading', 'other'];
+
+/**
+ * Attachment Model
+ * A file attached to a request, or to one of its deliveries. The content lives
+ * on the storage backend it was saved to; only its metadata is kept here.
+ */
+const Attachment = sequelize.define('Attachment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  // Always set; a delivery's attachments also belong to its request
+  requestId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'request_id',
+    references: {
+      model: 'transportation_requests',
+      key: 'id'
+    }
+  },
+  deliveryId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'delivery_id',
+    references: {
+      model: 'deliveries',
+      key: 'id'
+    }
+  },
+  category: {
+    type: DataTypes.ENUM(...ATTACHMENT_CATEGORIES),
+    allowNull: false
+  },
+  originalName: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    field: 'original_name'
+  },
+  mimeType: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    field: 'mime_type'
+  },
+  sizeBytes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'size_bytes'
+  },
+  // SHA-256 of the content, hex encoded
+  checksum: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  storageBackend: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    field: 'storage_backend'
+  },
+  storageKey: {
+    type: DataTypes.STRING(500),
+    allowNull: false,
+    field: 'storage_key'
+  },
+  description: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  uploadedBy: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    defaultValue: 'System',
+    field: 'uploaded_by'
+  }
+}, {
+  tableName: 'attachments',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['request_id', 'category']
+    },
+    {
+      fields: ['delivery_id']
+    }
+  ]
+});
+
+module.exports = {
+  Attachment,
+  ATTACHMENT_CATEGORIES
+};
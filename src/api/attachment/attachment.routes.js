@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const attachmentController = require('./attachment.controller');
+
+// Uploads and lists are nested under their owner:
+// /api/requests/:id/attachments and /api/deliveries/:id/attachments
+
+router.get('/:id', attachmentController.getAttachmentById);
+
+router.get('/:id/download', attachmentController.downloadAttachment);
+
+router.delete('/:id', attachmentController.deleteAttachment);
+
+module.exports = router;
@@ -0,0 +1,167 @@
+const config = require('../../config/config');
+const { Attachment } = require('./attachment.model');
+const { TransportationRequest } = require('../request/request.model');
+const { Delivery } = require('../delivery/delivery.model');
+const { getStorage } = require('./attachment.storage');
+const AttachmentHelper = require('./attachment.helper');
+
+class AttachmentService {
+
+  constructor() {
+    this.attachmentHelper = new AttachmentHelper();
+  }
+
+  /**
+   * Store an uploaded file against a request or one of its deliveries.
+   * owner is { requestId } or { deliveryId }.
+   */
+  async uploadAttachment(owner, file, attachmentData) {
+    try {
+      const fileError = this.attachmentHelper.getFileError(file, config.attachments);
+      if (fileError) {
+        throw new Error(`Invalid file: ${fileError}`);
+      }
+
+      const target = await this.resolveOwner(owner);
+      const storage = getStorage();
+      const storageKey = this.attachmentHelper.buildStorageKey(target, file.originalname);
+
+      await storage.save(storageKey, file.buffer);
+
+      try {
+        const attachment = await Attachment.create({
+          ...target,
+          category: attachmentData.category,
+          originalName: file.originalname,
+          mimeType: file.mimetype,
+          sizeBytes: file.size,
+          checksum: this.attachmentHelper.computeChecksum(file.buffer),
+          storageBackend: config.attachments.storageBackend,
+          storageKey,
+          description: attachmentData.description || null,
+          uploadedBy: attachmentData.uploadedBy || 'System'
+        });
+
+        return this.attachmentHelper.formatAttachmentResponse(attachment);
+      } catch (error) {
+        // Don't leave an orphaned file behind
+        await storage.remove(storageKey).catch(() => {});
+        throw error;
+      }
+    } catch (error) {
+      throw new Error(`Failed to upload attachment: ${error.message}`);
+    }
+  }
+
+  /**
+   * A request's attachments include those of its deliveries
+   */
+  async getAttachments(owner, { category } = {}) {
+    try {
+      await this.resolveOwner(owner);
+
+      const whereClause = { ...owner };
+      if (category) whereClause.category = category;
+
+      const attachments = await Attachment.findAll({
+        where: whereClause,
+        order: [['created_at', 'DESC'], ['id', 'DESC']]
+      });
+
+      return attachments.map(attachment => this.attachmentHelper.formatAttachmentResponse(attachment));
+    } catch (error) {
+      throw new Error(`Failed to retrieve attachments: ${error.message}`);
+    }
+  }
+
+  async getAttachmentById(attachmentId) {
+    try {
+      const attachment = await this.findAttachment(attachmentId);
+      return this.attachmentHelper.formatAttachmentResponse(attachment);
+    } catch (error) {
+      throw new Error(`Failed to retrieve attachment: ${error.message}`);
+    }
+  }
+
+  /**
+   * The attachment with its content, checked against the checksum taken on upload
+   */
+  async getAttachmentContent(attachmentId) {
+    try {
+      const attachment = await this.findAttachment(attachmentId);
+      const content = await getStorage(attachment.storageBackend).read(attachment.storageKey);
+
+      if (this.attachmentHelper.computeChecksum(content) !== attachment.checksum) {
+        throw new Error(`Stored content of attachment ${attachment.id} does not match its checksum`);
+      }
+
+      return {
+        attachment: this.attachmentHelper.formatAttachmentResponse(attachment),
+        fileName: this.attachmentHelper.buildDownloadName(attachment),
+        content
+      };
+    } catch (error) {
+      throw new Error(`Failed to download attachment: ${error.message}`);
+    }
+  }
+
+  async deleteAttachment(attachmentId) {
+    try {
+      const attachment = await this.findAttachment(attachmentId);
+
+      await attachment.destroy();
+
+      // The record is gone either way; a leftover file is only wasted space
+      try {
+        await getStorage(attachment.storageBackend).remove(attachment.storageKey);
+      } catch (removeError) {
+        console.warn(`Failed to remove stored file of attachment ${attachment.id}:`, removeError.message);
+      }
+
+      return { id: attachment.id };
+    } catch (error) {
+      throw new Error(`Failed to delete attachment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Whether a signed proof of delivery is attached to the request or any of its deliveries
+   */
+  async hasProofOfDelivery(requestId, transaction) {
+    const count = await Attachment.count({
+      where: { requestId, category: 'pod' },
+      transaction
+    });
+
+    return count > 0;
+  }
+
+  async findAttachment(attachmentId) {
+    const attachment = await Attachment.findByPk(attachmentId);
+    if (!attachment) {
+      throw new Error('Attachment not found');
+    }
+    return attachment;
+  }
+
+  /**
+   * { requestId } or { requestId, deliveryId } for the owner
+   */
+  async resolveOwner({ requestId, deliveryId }) {
+    if (deliveryId) {
+      const delivery = await Delivery.findByPk(deliveryId, { attributes: ['id', 'requestId'] });
+      if (!delivery) {
+        throw new Error('Delivery not found');
+      }
+      return { requestId: delivery.requestId, deliveryId: delivery.id };
+    }
+
+    const request = await TransportationRequest.findByPk(requestId, { attributes: ['id'] });
+    if (!request) {
+      throw new Error('Request not found');
+    }
+    return { requestId: request.id };
+  }
+}
+
+module.exports = new AttachmentService();
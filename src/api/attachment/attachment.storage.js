@@ -0,0 +1,74 @@
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../../config/config');
+
+/**
+ * Local filesystem backend: each file is stored under the base directory at its key.
+ *
+ * A storage backend implements:
+ *   save(key, buffer)  - store the content at key
+ *   read(key)          - resolve to the content as a Buffer
+ *   remove(key)        - delete the content; a missing key is not an error
+ */
+class LocalStorage {
+
+  constructor(baseDirectory) {
+    this.baseDirectory = path.resolve(baseDirectory);
+  }
+
+  resolvePath(key) {
+    const filePath = path.resolve(this.baseDirectory, key);
+    if (!filePath.startsWith(this.baseDirectory + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolvePath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  }
+
+  async read(key) {
+    return fs.readFile(this.resolvePath(key));
+  }
+
+  async remove(key) {
+    await fs.rm(this.resolvePath(key), { force: true });
+  }
+}
+
+// Backend factories by name (ATTACHMENT_STORAGE_BACKEND); other backends plug in with registerStorage()
+const factories = {
+  local: () => new LocalStorage(config.attachments.localDirectory)
+};
+
+const instances = {};
+
+function registerStorage(name, factory) {
+  factories[name] = factory;
+  delete instances[name];
+}
+
+/**
+ * Backend by name, defaulting to the configured one. Attachments remember the
+ * backend they were saved to, so changing the default keeps older files readable.
+ */
+function getStorage(name = config.attachments.storageBackend) {
+  if (!factories[name]) {
+    throw new Error(`Unknown attachment storage backend: ${name}`);
+  }
+
+  if (!instances[name]) {
+    instances[name] = factories[name]();
+  }
+
+  return instances[name];
+}
+
+module.exports = {
+  LocalStorage,
+  registerStorage,
+  getStorage
+};
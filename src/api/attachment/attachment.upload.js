@@ -0,0 +1,29 @@
+const multer = require('multer');
+const config = require('../../config/config');
+
+// Files are held in memory until the storage backend has them; the helper checks type and size again
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.attachments.maxFileSizeMb * 1024 * 1024, files: 1 }
+});
+
+/**
+ * Accepts a single multipart "file"; upload errors (too large, extra files) are a 400
+ */
+function uploadAttachmentFile(req, res, next) {
+  upload.single('file')(req, res, error => {
+    if (error && error.name === 'MulterError') {
+      return res.status(400).json({
+        success: false,
+        message: 'File upload error',
+        error: error.message
+      });
+    }
+
+    next(error);
+  });
+}
+
+module.exports = {
+  uploadAttachmentFile
+};
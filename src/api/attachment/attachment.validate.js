@@ -0,0 +1,25 @@
+const Joi = require('joi');
+const { validateRequest } = require('../request/request.validate');
+const { ATTACHMENT_CATEGORIES } = require('./attachment.model');
+
+// Form fields sent alongside the multipart "file"
+const uploadAttachmentSchema = Joi.object({
+  category: Joi.string()
+    .valid(...ATTACHMENT_CATEGORIES)
+    .required()
+    .messages({
+      'any.only': `Category must be one of: ${ATTACHMENT_CATEGORIES.join(', ')}`
+    }),
+  description: Joi.string().trim().max(500).allow('').optional(),
+  uploadedBy: Joi.string().trim().max(100).optional()
+});
+
+const attachmentQuerySchema = Joi.object({
+  category: Joi.string().valid(...ATTACHMENT_CATEGORIES).optional()
+});
+
+module.exports = {
+  uploadAttachmentSchema,
+  attachmentQuerySchema,
+  validateRequest
+};
@@ -0,0 +1,164 @@
+const claimService = require('./claim.service');
+const {
+  validateRequest,
+  createClaimSchema,
+  updateClaimSchema,
+  claimQuerySchema
+} = require('./claim.validate');
+
+// Service errors caused by the submitted data or the claim's state rather than the server
+const CLAIM_INPUT_ERRORS = [
+  'Invalid deliveryId',
+  'Invalid transporterId',
+  'Invalid incidentId',
+  'Invalid status transition',
+  'can no longer be changed',
+  'Settlement amount'
+];
+
+/**
+ * Shared error mapping for the single claim endpoints
+ */
+function sendClaimError(res, error, message) {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      success: false,
+      message: 'Claim not found'
+    });
+  }
+
+  if (CLAIM_INPUT_ERRORS.some(text => error.message.includes(text))) {
+    return res.status(400).json({
+      success: false,
+      message,
+      error: error.message.replace(/^Failed to \w+ claim: /, '')
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+}
+
+function parseClaimId(req, res) {
+  const claimId = parseInt(req.params.id);
+
+  if (isNaN(claimId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid claim ID'
+    });
+    return null;
+  }
+
+  return claimId;
+}
+
+class ClaimController {
+
+  async createClaim(req, res) {
+    try {
+      const validation = validateRequest(req.body, createClaimSchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const claim = await claimService.createClaim(validation.data);
+
+      res.status(201).json({
+        success: true,
+        message: 'Claim submitted successfully',
+        data: claim
+      });
+
+    } catch (error) {
+      console.error('Error submitting claim:', error.message);
+      sendClaimError(res, error, 'Failed to submit claim');
+    }
+  }
+
+  async getAllClaims(req, res) {
+    try {
+      const validation = validateRequest(req.query, claimQuerySchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid query parameters',
+          errors: validation.errors
+        });
+      }
+
+      const result = await claimService.getAllClaims(validation.data);
+
+      res.status(200).json({
+        success: true,
+        message: 'Claims retrieved successfully',
+        data: result.data,
+        pagination: result.pagination
+      });
+
+    } catch (error) {
+      console.error('Error retrieving claims:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve claims',
+        error: error.message
+      });
+    }
+  }
+
+  async getClaimById(req, res) {
+    try {
+      const claimId = parseClaimId(req, res);
+      if (claimId === null) return;
+
+      const claim = await claimService.getClaimById(claimId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Claim retrieved successfully',
+        data: claim
+      });
+
+    } catch (error) {
+      console.error('Error retrieving claim:', error.message);
+      sendClaimError(res, error, 'Failed to retrieve claim');
+    }
+  }
+
+  async updateClaim(req, res) {
+    try {
+      const claimId = parseClaimId(req, res);
+      if (claimId === null) return;
+
+      const validation = validateRequest(req.body, updateClaimSchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const claim = await claimService.updateClaim(claimId, validation.data);
+
+      res.status(200).json({
+        success: true,
+        message: 'Claim updated successfully',
+        data: claim
+      });
+
+    } catch (error) {
+      console.error('Error updating claim:', error.message);
+      sendClaimError(res, error, 'Failed to update claim');
+    }
+  }
+}
+
+module.exports = new ClaimController();
@@ -0,0 +1,113 @@
+const { SETTLED_CLAIM_STATUSES } = require('./claim.model');
+
+/**
+ * Legal status moves for a freight claim. A claim can be decided straight
+ * from submitted; rejected and paid are final.
+ */
+const CLAIM_TRANSITIONS = {
+  submitted: ['under_review', 'accepted', 'rejected'],
+  under_review: ['accepted', 'rejected'],
+  accepted: ['paid'],
+  rejected: [],
+  paid: []
+};
+
+// Statuses where the claimed amount, description and evidence can still change
+const EDITABLE_STATUSES = ['submitted', 'under_review'];
+
+const DETAIL_FIELDS = ['claimedAmount', 'description', 'evidence'];
+
+/**
+ * Claim Helper - Contains pure utility functions for freight claims
+ * No database operations should be performed here
+ */
+class ClaimHelper {
+
+  formatClaimResponse(claim) {
+    return {
+      id: claim.id,
+      deliveryId: claim.deliveryId,
+      requestId: claim.Delivery ? claim.Delivery.requestId : undefined,
+      transporterId: claim.transporterId,
+      transporterName: claim.Transporter ? claim.Transporter.name : undefined,
+      incidentId: claim.incidentId,
+      claimedAmount: parseFloat(claim.claimedAmount),
+      description: claim.description,
+      evidence: claim.evidence || [],
+      status: claim.status,
+      settlementAmount: claim.settlementAmount !== null ? parseFloat(claim.settlementAmount) : null,
+      netCost: this.getNetCost(claim),
+      decisionNotes: claim.decisionNotes,
+      decidedAt: claim.decidedAt,
+      paidAt: claim.paidAt,
+      submittedBy: claim.submittedBy,
+      createdAt: claim.createdAt,
+      updatedAt: claim.updatedAt
+    };
+  }
+
+  /**
+   * What the claim costs the transporter: the settlement once accepted or paid,
+   * nothing while undecided or when rejected
+   */
+  getNetCost(claim) {
+    return SETTLED_CLAIM_STATUSES.includes(claim.status)
+      ? parseFloat(claim.settlementAmount) || 0
+      : 0;
+  }
+
+  canTransition(fromStatus, toStatus) {
+    return (CLAIM_TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  /**
+   * Why an update cannot be applied to the claim in its current state, or null
+   */
+  getUpdateError(claim, updateData) {
+    const nextStatus = updateData.status || claim.status;
+
+    if (updateData.status && updateData.status !== claim.status && !this.canTransition(claim.status, updateData.status)) {
+      return `Invalid status transition from '${claim.status}' to '${updateData.status}'`;
+    }
+
+    if (!EDITABLE_STATUSES.includes(claim.status) && DETAIL_FIELDS.some(field => updateData[field] !== undefined)) {
+      return `Claim is already ${claim.status}; its details can no longer be changed`;
+    }
+
+    if (updateData.settlementAmount !== undefined) {
+      if (nextStatus !== 'accepted') {
+        return 'Settlement amount can only be set when accepting a claim';
+      }
+
+      const claimedAmount = updateData.claimedAmount !== undefined
+        ? updateData.claimedAmount
+        : parseFloat(claim.claimedAmount);
+      if (updateData.settlementAmount > claimedAmount) {
+        return 'Settlement amount cannot exceed the claimed amount';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * decidedAt is set when a claim is accepted or rejected, paidAt when it is paid
+   */
+  resolveStatusFields(claim, updateData, now = new Date()) {
+    if (!updateData.status || updateData.status === claim.status) {
+      return {};
+    }
+
+    if (updateData.status === 'paid') {
+      return { paidAt: now };
+    }
+
+    if (updateData.status === 'accepted' || updateData.status === 'rejected') {
+      return { decidedAt: now };
+    }
+
+    return {};
+  }
+}
+
+module.exports = ClaimHelper;
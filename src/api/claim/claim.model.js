@@ -0,0 +1,116 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+
+const CLAIM_STATUSES = ['submitted', 'under_review', 'accepted', 'rejected', 'paid'];
+
+// Statuses where the transporter has agreed to the settlement amount; these count as claim cost
+const SETTLED_CLAIM_STATUSES = ['accepted', 'paid'];
+
+/**
+ * Freight Claim Model
+ * A claim against a carrier company for loss or damage on a delivery,
+ * optionally raised from one of the delivery's incidents
+ */
+const FreightClaim = sequelize.define('FreightClaim', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  deliveryId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'delivery_id',
+    references: {
+      model: 'deliveries',
+      key: 'id'
+    }
+  },
+  transporterId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'transporter_id',
+    references: {
+      model: 'transporters',
+      key: 'id'
+    }
+  },
+  incidentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'incident_id',
+    references: {
+      model: 'incidents',
+      key: 'id'
+    }
+  },
+  claimedAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    field: 'claimed_amount'
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // [{ description: 'Photos of dented cartons', url: 'https://...' }]
+  evidence: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  status: {
+    type: DataTypes.ENUM(...CLAIM_STATUSES),
+    allowNull: false,
+    defaultValue: 'submitted'
+  },
+  // Amount the transporter agreed to pay; set when the claim is accepted
+  settlementAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    field: 'settlement_amount'
+  },
+  decisionNotes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'decision_notes'
+  },
+  decidedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'decided_at'
+  },
+  paidAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'paid_at'
+  },
+  submittedBy: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    defaultValue: 'System',
+    field: 'submitted_by'
+  }
+}, {
+  tableName: 'freight_claims',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['delivery_id']
+    },
+    {
+      fields: ['transporter_id', 'status']
+    },
+    {
+      fields: ['incident_id']
+    }
+  ]
+});
+
+module.exports = {
+  FreightClaim,
+  CLAIM_STATUSES,
+  SETTLED_CLAIM_STATUSES
+};
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const claimController = require('./claim.controller');
+
+
+router.post('/', claimController.createClaim);
+
+router.get('/', claimController.getAllClaims);
+
+router.get('/:id', claimController.getClaimById);
+
+router.put('/:id', claimController.updateClaim);
+
+module.exports = router;
@@ -0,0 +1,143 @@
+const { sequelize } = require('../../config/db');
+const { FreightClaim } = require('./claim.model');
+const { Delivery } = require('../delivery/delivery.model');
+const { Transporter } = require('../transporter/transporter.model');
+const { Incident } = require('../incident/incident.model');
+const ClaimHelper = require('./claim.helper');
+
+const CLAIM_INCLUDES = [
+  {
+    model: Delivery,
+    as: 'Delivery',
+    attributes: ['id', 'requestId'],
+    paranoid: false
+  },
+  {
+    model: Transporter,
+    as: 'Transporter',
+    attributes: ['id', 'name'],
+    paranoid: false
+  }
+];
+
+class ClaimService {
+
+  constructor() {
+    this.claimHelper = new ClaimHelper();
+  }
+
+  async createClaim(claimData) {
+    let claim;
+
+    try {
+      const { deliveryId, transporterId, incidentId } = claimData;
+
+      const [delivery, transporter, incident] = await Promise.all([
+        Delivery.findByPk(deliveryId),
+        Transporter.findByPk(transporterId),
+        incidentId ? Incident.findByPk(incidentId) : null
+      ]);
+
+      if (!delivery) {
+        throw new Error(`Invalid deliveryId: delivery ${deliveryId} does not exist`);
+      }
+      if (!transporter) {
+        throw new Error(`Invalid transporterId: transporter ${transporterId} does not exist`);
+      }
+      if (incidentId && (!incident || incident.deliveryId !== deliveryId)) {
+        throw new Error(`Invalid incidentId: incident ${incidentId} does not exist on delivery ${deliveryId}`);
+      }
+
+      claim = await FreightClaim.create({
+        ...claimData,
+        submittedBy: claimData.submittedBy || 'System'
+      });
+    } catch (error) {
+      throw new Error(`Failed to create claim: ${error.message}`);
+    }
+
+    return this.getClaimById(claim.id);
+  }
+
+  async getAllClaims(queryParams = {}) {
+    try {
+      const { page = 1, limit = 20, deliveryId, transporterId, incidentId, status } = queryParams;
+      const whereClause = {};
+
+      if (deliveryId) whereClause.deliveryId = deliveryId;
+      if (transporterId) whereClause.transporterId = transporterId;
+      if (incidentId) whereClause.incidentId = incidentId;
+      if (status) whereClause.status = status;
+
+      const { count, rows } = await FreightClaim.findAndCountAll({
+        where: whereClause,
+        include: CLAIM_INCLUDES,
+        order: [['created_at', 'DESC'], ['id', 'DESC']],
+        limit: parseInt(limit),
+        offset: (parseInt(page) - 1) * parseInt(limit)
+      });
+
+      const totalPages = Math.ceil(count / limit);
+
+      return {
+        data: rows.map(claim => this.claimHelper.formatClaimResponse(claim)),
+        pagination: {
+          total: count,
+          totalPages,
+          currentPage: parseInt(page),
+          limit: parseInt(limit),
+          hasNextPage: page < totalPages,
+          hasPreviousPage: page > 1
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to retrieve claims: ${error.message}`);
+    }
+  }
+
+  async getClaimById(claimId) {
+    try {
+      const claim = await FreightClaim.findByPk(claimId, { include: CLAIM_INCLUDES });
+      if (!claim) {
+        throw new Error('Claim not found');
+      }
+
+      return this.claimHelper.formatClaimResponse(claim);
+    } catch (error) {
+      throw new Error(`Failed to retrieve claim: ${error.message}`);
+    }
+  }
+
+  /**
+   * Edit an undecided claim or move it through review, decision and payment
+   */
+  async updateClaim(claimId, updateData) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const claim = await FreightClaim.findByPk(claimId, { transaction, lock: true });
+      if (!claim) {
+        throw new Error('Claim not found');
+      }
+
+      const updateError = this.claimHelper.getUpdateError(claim, updateData);
+      if (updateError) {
+        throw new Error(updateError);
+      }
+
+      await claim.update({
+        ...updateData,
+        ...this.claimHelper.resolveStatusFields(claim, updateData)
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw new Error(`Failed to update claim: ${error.message}`);
+    }
+
+    return this.getClaimById(claimId);
+  }
+}
+
+module.exports = new ClaimService();
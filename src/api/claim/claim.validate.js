@@ -0,0 +1,68 @@
+const Joi = require('joi');
+const { validateRequest } = require('../request/request.validate');
+const { CLAIM_STATUSES } = require('./claim.model');
+
+const amount = Joi.number().precision(2).positive();
+
+const evidenceItemSchema = Joi.object({
+  description: Joi.string().trim().min(1).max(500).required(),
+  url: Joi.string().trim().uri().max(2000).optional()
+});
+
+const claimFields = {
+  claimedAmount: amount,
+  description: Joi.string().trim().min(5).max(5000),
+  // Replaces the supporting evidence
+  evidence: Joi.array().items(evidenceItemSchema).max(50),
+  status: Joi.string()
+    .valid(...CLAIM_STATUSES)
+    .messages({
+      'any.only': `Status must be one of: ${CLAIM_STATUSES.join(', ')}`
+    }),
+  settlementAmount: Joi.number().precision(2).min(0),
+  decisionNotes: Joi.string().trim().max(5000).allow('', null)
+};
+
+const createClaimSchema = Joi.object({
+  deliveryId: Joi.number().integer().positive().required(),
+  transporterId: Joi.number().integer().positive().required(),
+  // Incident on the same delivery the claim arises from
+  incidentId: Joi.number().integer().positive().optional(),
+  claimedAmount: claimFields.claimedAmount.required(),
+  description: claimFields.description.required(),
+  evidence: claimFields.evidence.default([]),
+  submittedBy: Joi.string().trim().max(100).optional()
+});
+
+// Accepting a claim fixes the settlement; rejecting one needs the reason
+const updateClaimSchema = Joi.object(claimFields).min(1)
+  .when(Joi.object({ status: Joi.valid('accepted').required() }).unknown(), {
+    then: Joi.object({
+      settlementAmount: Joi.required().messages({
+        'any.required': 'Settlement amount is required to accept a claim'
+      })
+    })
+  })
+  .when(Joi.object({ status: Joi.valid('rejected').required() }).unknown(), {
+    then: Joi.object({
+      decisionNotes: Joi.string().trim().min(1).required().messages({
+        'any.required': 'Decision notes are required to reject a claim'
+      })
+    })
+  });
+
+const claimQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  deliveryId: Joi.number().integer().positive().optional(),
+  transporterId: Joi.number().integer().positive().optional(),
+  incidentId: Joi.number().integer().positive().optional(),
+  status: Joi.string().valid(...CLAIM_STATUSES).optional()
+});
+
+module.exports = {
+  createClaimSchema,
+  updateClaimSchema,
+  claimQuerySchema,
+  validateRequest
+};
@@ -0,0 +1,216 @@
+const contractService = require('./contract.service');
+const {
+  validateRequest,
+  createContractSchema,
+  updateContractSchema,
+  contractQuerySchema
+} = require('./contract.validate');
+
+// Service errors caused by the submitted data rather than the server
+const CONTRACT_INPUT_ERRORS = [
+  'overlaps active contract',
+  'already exists',
+  'Invalid transporterId',
+  'Invalid location reference',
+  'Valid to cannot be before'
+];
+
+function isContractInputError(error) {
+  return CONTRACT_INPUT_ERRORS.some(text => error.message.includes(text));
+}
+
+function parseContractId(req, res) {
+  const contractId = parseInt(req.params.id);
+
+  if (isNaN(contractId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid contract ID'
+    });
+    return null;
+  }
+
+  return contractId;
+}
+
+class ContractController {
+
+  async createContract(req, res) {
+    try {
+      const validation = validateRequest(req.body, createContractSchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const contract = await contractService.createContract(validation.data);
+
+      res.status(201).json({
+        success: true,
+        message: 'Contract created successfully',
+        data: contract
+      });
+
+    } catch (error) {
+      console.error('Error creating contract:', error.message);
+
+      if (isContractInputError(error)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid contract',
+          error: error.message.replace(/^Failed to create contract: /, '')
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create contract',
+        error: error.message
+      });
+    }
+  }
+
+  async getAllContracts(req, res) {
+    try {
+      const validation = validateRequest(req.query, contractQuerySchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid query parameters',
+          errors: validation.errors
+        });
+      }
+
+      const result = await contractService.getAllContracts(validation.data);
+
+      res.status(200).json({
+        success: true,
+        message: 'Contracts retrieved successfully',
+        data: result.data,
+        pagination: result.pagination
+      });
+
+    } catch (error) {
+      console.error('Error retrieving contracts:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve contracts',
+        error: error.message
+      });
+    }
+  }
+
+  async getContractById(req, res) {
+    try {
+      const contractId = parseContractId(req, res);
+      if (contractId === null) return;
+
+      const contract = await contractService.getContractById(contractId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Contract retrieved successfully',
+        data: contract
+      });
+
+    } catch (error) {
+      console.error('Error retrieving contract:', error.message);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contract not found'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve contract',
+        error: error.message
+      });
+    }
+  }
+
+  async updateContract(req, res) {
+    try {
+      const contractId = parseContractId(req, res);
+      if (contractId === null) return;
+
+      const validation = validateRequest(req.body, updateContractSchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const contract = await contractService.updateContract(contractId, validation.data);
+
+      res.status(200).json({
+        success: true,
+        message: 'Contract updated successfully',
+        data: contract
+      });
+
+    } catch (error) {
+      console.error('Error updating contract:', error.message);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contract not found'
+        });
+      }
+
+      if (isContractInputError(error)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid contract',
+          error: error.message.replace(/^Failed to update contract: /, '')
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update contract',
+        error: error.message
+      });
+    }
+  }
+
+  async deleteContract(req, res) {
+    try {
+      const contractId = parseContractId(req, res);
+      if (contractId === null) return;
+
+      await contractService.deleteContract(contractId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Contract deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Error deleting contract:', error.message);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contract not found'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete contract',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ContractController();
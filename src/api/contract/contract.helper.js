@@ -0,0 +1,156 @@
+/**
+ * Contract Helper - Contains pure utility functions for transporter contract pricing
+ * No database operations should be performed here
+ */
+class ContractHelper {
+
+  normalizeText(name) {
+    return (name || '').trim().toLowerCase();
+  }
+
+  toDateOnly(value) {
+    return new Date(value).toISOString().split('T')[0];
+  }
+
+  /**
+   * Validity window is inclusive on both ends
+   */
+  isInEffect(contract, date) {
+    const day = this.toDateOnly(date);
+    return contract.status === 'active'
+      && contract.validFrom <= day
+      && (!contract.validTo || contract.validTo >= day);
+  }
+
+  /**
+   * Contract of the transporter in effect on `date`; the latest validFrom wins
+   */
+  findContractInEffect(contracts, transporterId, date) {
+    return contracts
+      .filter(contract => contract.transporterId === transporterId && this.isInEffect(contract, date))
+      .sort((a, b) => (a.validFrom < b.validFrom ? 1 : -1))[0] || null;
+  }
+
+  /**
+   * Most specific rate for the request: each matched lane end outranks a matched truck type
+   */
+  findApplicableRate(rates, request) {
+    let best = null;
+    let bestScore = -1;
+
+    for (const rate of rates) {
+      const origin = this.matchLaneEnd(rate.originLocationId, rate.origin, request.originLocationId, request.origin);
+      const destination = this.matchLaneEnd(rate.destinationLocationId, rate.destination, request.destinationLocationId, request.destination);
+      const truckType = rate.truckType ? rate.truckType === request.truckType : true;
+
+      if (origin === null || destination === null || !truckType) continue;
+
+      const score = (origin + destination) * 2 + (rate.truckType ? 1 : 0);
+      if (score > bestScore) {
+        best = rate;
+        bestScore = score;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * 1 when the lane end is specified and matches, 0 for a wildcard, null on mismatch
+   */
+  matchLaneEnd(rateLocationId, rateText, requestLocationId, requestText) {
+    if (rateLocationId) {
+      return rateLocationId === requestLocationId ? 1 : null;
+    }
+    if (rateText) {
+      return this.normalizeText(rateText) === this.normalizeText(requestText) ? 1 : null;
+    }
+    return 0;
+  }
+
+  /**
+   * Contracted cost of moving `request` with `truckCount` trucks:
+   *   per truck = max(linehaul + fuel surcharge, minimumCharge)
+   * Returns null when no rate applies or a per-mile price has no distance.
+   */
+  calculateContractedCost(contract, request, truckCount) {
+    const rate = this.findApplicableRate(contract.Rates || [], request);
+    if (!rate) return null;
+
+    const distance = parseFloat(request.estimatedDistance);
+    const needsDistance = rate.rateType === 'per_mile' || contract.fuelSurchargeType === 'per_mile';
+    if (needsDistance && !(distance > 0)) return null;
+
+    const rateValue = parseFloat(rate.rate);
+    const linehaulPerTruck = rate.rateType === 'flat' ? rateValue : rateValue * distance;
+    const fuelSurchargePerTruck = this.calculateFuelSurcharge(contract, linehaulPerTruck, distance);
+    const minimumCharge = parseFloat(contract.minimumCharge) || 0;
+    const costPerTruck = Math.max(linehaulPerTruck + fuelSurchargePerTruck, minimumCharge);
+
+    return {
+      contractId: contract.id,
+      rateId: rate.id,
+      contractedCost: this.round(costPerTruck * truckCount),
+      linehaulPerTruck: this.round(linehaulPerTruck),
+      fuelSurchargePerTruck: this.round(fuelSurchargePerTruck),
+      minimumChargeApplied: linehaulPerTruck + fuelSurchargePerTruck < minimumCharge,
+      costPerTruck: this.round(costPerTruck),
+      truckCount
+    };
+  }
+
+  calculateFuelSurcharge(contract, linehaulPerTruck, distance) {
+    const value = parseFloat(contract.fuelSurchargeValue) || 0;
+
+    switch (contract.fuelSurchargeType) {
+      case 'percentage':
+        return linehaulPerTruck * value / 100;
+      case 'per_mile':
+        return value * distance;
+      default:
+        return 0;
+    }
+  }
+
+  round(value) {
+    return parseFloat(value.toFixed(2));
+  }
+
+  formatContractResponse(contract) {
+    return {
+      id: contract.id,
+      transporterId: contract.transporterId,
+      transporter: contract.Transporter
+        ? { id: contract.Transporter.id, name: contract.Transporter.name }
+        : undefined,
+      contractNumber: contract.contractNumber,
+      status: contract.status,
+      validFrom: contract.validFrom,
+      validTo: contract.validTo,
+      currency: contract.currency,
+      fuelSurchargeType: contract.fuelSurchargeType,
+      fuelSurchargeValue: parseFloat(contract.fuelSurchargeValue),
+      minimumCharge: parseFloat(contract.minimumCharge),
+      notes: contract.notes,
+      createdBy: contract.createdBy,
+      rates: (contract.Rates || []).map(rate => this.formatRateResponse(rate)),
+      createdAt: contract.createdAt,
+      updatedAt: contract.updatedAt
+    };
+  }
+
+  formatRateResponse(rate) {
+    return {
+      id: rate.id,
+      origin: rate.origin,
+      destination: rate.destination,
+      originLocationId: rate.originLocationId,
+      destinationLocationId: rate.destinationLocationId,
+      truckType: rate.truckType,
+      rateType: rate.rateType,
+      rate: parseFloat(rate.rate)
+    };
+  }
+}
+
+module.exports = ContractHelper;
@@ -0,0 +1,176 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+
+const FUEL_SURCHARGE_TYPES = ['none', 'percentage', 'per_mile'];
+const RATE_TYPES = ['per_mile', 'flat'];
+
+/**
+ * Transporter Contract Model
+ * Agreed pricing with a transport company for a validity window
+ */
+const TransporterContract = sequelize.define('TransporterContract', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  transporterId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'transporter_id',
+    references: {
+      model: 'transporters',
+      key: 'id'
+    }
+  },
+  contractNumber: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    unique: true,
+    field: 'contract_number'
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'terminated'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  // Inclusive on both ends; an open validTo runs until terminated
+  validFrom: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'valid_from'
+  },
+  validTo: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    field: 'valid_to'
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'USD'
+  },
+  // percentage: percent of linehaul; per_mile: amount per mile per truck
+  fuelSurchargeType: {
+    type: DataTypes.ENUM(...FUEL_SURCHARGE_TYPES),
+    allowNull: false,
+    defaultValue: 'none',
+    field: 'fuel_surcharge_type'
+  },
+  fuelSurchargeValue: {
+    type: DataTypes.DECIMAL(10, 4),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'fuel_surcharge_value'
+  },
+  // Floor per truck, including fuel surcharge
+  minimumCharge: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'minimum_charge'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    defaultValue: 'System',
+    field: 'created_by'
+  }
+}, {
+  tableName: 'transporter_contracts',
+  timestamps: true,
+  paranoid: true,
+  deletedAt: 'deleted_at',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['transporter_id', 'valid_from']
+    }
+  ]
+});
+
+/**
+ * Transporter Contract Rate Model
+ * One priced lane of a contract. Each lane end is matched by location ID, else
+ * by origin/destination text; an unset end or truck type matches anything.
+ */
+const TransporterContractRate = sequelize.define('TransporterContractRate', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  contractId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'contract_id',
+    references: {
+      model: 'transporter_contracts',
+      key: 'id'
+    }
+  },
+  origin: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  destination: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  originLocationId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'origin_location_id',
+    references: {
+      model: 'locations',
+      key: 'id'
+    }
+  },
+  destinationLocationId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'destination_location_id',
+    references: {
+      model: 'locations',
+      key: 'id'
+    }
+  },
+  truckType: {
+    type: DataTypes.ENUM('box', 'flatbed', 'semi', 'refrigerated'),
+    allowNull: true,
+    field: 'truck_type'
+  },
+  rateType: {
+    type: DataTypes.ENUM(...RATE_TYPES),
+    allowNull: false,
+    defaultValue: 'per_mile',
+    field: 'rate_type'
+  },
+  // Per mile per truck, or per truck for flat rates
+  rate: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  }
+}, {
+  tableName: 'transporter_contract_rates',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['contract_id']
+    }
+  ]
+});
+
+module.exports = {
+  TransporterContract,
+  TransporterContractRate,
+  FUEL_SURCHARGE_TYPES,
+  RATE_TYPES
+};
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const contractController = require('./contract.controller');
+
+
+router.post('/', contractController.createContract);
+
+router.get('/', contractController.getAllContracts);
+
+router.get('/:id', contractController.getContractById);
+
+router.put('/:id', contractController.updateContract);
+
+router.delete('/:id', contractController.deleteContract);
+
+module.exports = router;
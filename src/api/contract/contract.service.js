@@ -0,0 +1,264 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../../config/db');
+const { TransporterContract, TransporterContractRate } = require('./contract.model');
+const { Transporter } = require('../transporter/transporter.model');
+const ContractHelper = require('./contract.helper');
+
+const RATES_INCLUDE = {
+  model: TransporterContractRate,
+  as: 'Rates'
+};
+
+const TRANSPORTER_INCLUDE = {
+  model: Transporter,
+  as: 'Transporter',
+  attributes: ['id', 'name']
+};
+
+class ContractService {
+
+  constructor() {
+    this.contractHelper = new ContractHelper();
+  }
+
+  async createContract(contractData) {
+    const transaction = await sequelize.transaction();
+    let contract;
+
+    try {
+      const { rates, ...fields } = contractData;
+
+      await this.assertTransporterExists(fields.transporterId, transaction);
+      await this.assertNoOverlap(fields, null, transaction);
+
+      contract = await TransporterContract.create(fields, { transaction });
+      await this.replaceRates(contract.id, rates, transaction);
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw this.toContractError('create', error);
+    }
+
+    return this.getContractById(contract.id);
+  }
+
+  async getAllContracts(queryParams = {}) {
+    try {
+      const { page = 1, limit = 20, transporterId, status, activeOn } = queryParams;
+      const whereClause = {};
+
+      if (transporterId) {
+        whereClause.transporterId = transporterId;
+      }
+
+      if (status) {
+        whereClause.status = status;
+      }
+
+      if (activeOn) {
+        const day = this.contractHelper.toDateOnly(activeOn);
+        whereClause.validFrom = { [Op.lte]: day };
+        whereClause[Op.or] = [{ validTo: null }, { validTo: { [Op.gte]: day } }];
+      }
+
+      const { count, rows } = await TransporterContract.findAndCountAll({
+        where: whereClause,
+        include: [RATES_INCLUDE, TRANSPORTER_INCLUDE],
+        distinct: true,
+        order: [['transporterId', 'ASC'], ['validFrom', 'DESC']],
+        limit: parseInt(limit),
+        offset: (parseInt(page) - 1) * parseInt(limit)
+      });
+
+      const totalPages = Math.ceil(count / limit);
+
+      return {
+        data: rows.map(contract => this.contractHelper.formatContractResponse(contract)),
+        pagination: {
+          total: count,
+          totalPages,
+          currentPage: parseInt(page),
+          limit: parseInt(limit),
+          hasNextPage: page < totalPages,
+          hasPreviousPage: page > 1
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to retrieve contracts: ${error.message}`);
+    }
+  }
+
+  async getContractById(contractId) {
+    try {
+      const contract = await this.findContractOrFail(contractId);
+      return this.contractHelper.formatContractResponse(contract);
+    } catch (error) {
+      throw new Error(`Failed to retrieve contract: ${error.message}`);
+    }
+  }
+
+  /**
+   * `rates`, when given, replaces every rate on the contract
+   */
+  async updateContract(contractId, updateData) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const contract = await this.findContractOrFail(contractId, transaction);
+      const { rates, ...fields } = updateData;
+
+      if (fields.transporterId) {
+        await this.assertTransporterExists(fields.transporterId, transaction);
+      }
+
+      const window = {
+        transporterId: contract.transporterId,
+        status: contract.status,
+        validFrom: contract.validFrom,
+        validTo: contract.validTo,
+        ...fields
+      };
+
+      if (window.validTo && this.contractHelper.toDateOnly(window.validTo) < this.contractHelper.toDateOnly(window.validFrom)) {
+        throw new Error('Valid to cannot be before valid from');
+      }
+
+      await this.assertNoOverlap(window, contract.id, transaction);
+
+      await contract.update(fields, { transaction });
+
+      if (rates) {
+        await this.replaceRates(contract.id, rates, transaction);
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw this.toContractError('update', error);
+    }
+
+    return this.getContractById(contractId);
+  }
+
+  async deleteContract(contractId) {
+    try {
+      const contract = await this.findContractOrFail(contractId);
+      await contract.destroy();
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to delete contract: ${error.message}`);
+    }
+  }
+
+  /**
+   * Active contracts valid at any point between the two dates, with their rates
+   */
+  async getContractsInPeriod(startDate, endDate) {
+    return TransporterContract.findAll({
+      where: {
+        status: 'active',
+        validFrom: { [Op.lte]: this.contractHelper.toDateOnly(endDate) },
+        [Op.or]: [
+          { validTo: null },
+          { validTo: { [Op.gte]: this.contractHelper.toDateOnly(startDate) } }
+        ]
+      },
+      include: [RATES_INCLUDE]
+    });
+  }
+
+  /**
+   * Attach the contracted cost to delivery rows (transporter_id, actual_pickup_datetime,
+   * actual_truck_count and the request's lane fields); null when no contract rate applies
+   */
+  async priceDeliveries(deliveries, startDate, endDate) {
+    const contracts = await this.getContractsInPeriod(startDate, endDate);
+
+    return deliveries.map(delivery => {
+      const contract = this.contractHelper.findContractInEffect(
+        contracts, delivery.transporter_id, delivery.actual_pickup_datetime
+      );
+
+      const pricing = contract && this.contractHelper.calculateContractedCost(contract, {
+        origin: delivery.origin,
+        destination: delivery.destination,
+        originLocationId: delivery.origin_location_id,
+        destinationLocationId: delivery.destination_location_id,
+        estimatedDistance: delivery.estimated_distance,
+        truckType: delivery.truck_type
+      }, delivery.actual_truck_count);
+
+      return {
+        ...delivery,
+        contract_id: pricing ? pricing.contractId : null,
+        contracted_cost: pricing ? pricing.contractedCost : null
+      };
+    });
+  }
+
+  /**
+   * One active contract per transporter at a time, so every delivery prices against a single contract
+   */
+  async assertNoOverlap({ transporterId, status, validFrom, validTo }, excludeId, transaction) {
+    if (status === 'terminated') return;
+
+    const from = this.contractHelper.toDateOnly(validFrom);
+    const where = {
+      transporterId,
+      status: 'active',
+      [Op.or]: [{ validTo: null }, { validTo: { [Op.gte]: from } }]
+    };
+
+    if (validTo) {
+      where.validFrom = { [Op.lte]: this.contractHelper.toDateOnly(validTo) };
+    }
+
+    if (excludeId) {
+      where.id = { [Op.ne]: excludeId };
+    }
+
+    const overlapping = await TransporterContract.findOne({ where, transaction });
+    if (overlapping) {
+      throw new Error(`Validity window overlaps active contract ${overlapping.contractNumber || overlapping.id} for this transporter`);
+    }
+  }
+
+  async assertTransporterExists(transporterId, transaction) {
+    const transporter = await Transporter.findByPk(transporterId, { transaction });
+    if (!transporter) {
+      throw new Error(`Invalid transporterId: transporter ${transporterId} does not exist`);
+    }
+  }
+
+  async replaceRates(contractId, rates, transaction) {
+    await TransporterContractRate.destroy({ where: { contractId }, transaction });
+    await TransporterContractRate.bulkCreate(
+      rates.map(rate => ({ ...rate, contractId })),
+      { transaction }
+    );
+  }
+
+  toContractError(action, error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return new Error('A contract with this contract number already exists');
+    }
+    if (error.name === 'SequelizeForeignKeyConstraintError') {
+      return new Error(`Failed to ${action} contract: Invalid location reference in contract rates`);
+    }
+    return new Error(`Failed to ${action} contract: ${error.message}`);
+  }
+
+  async findContractOrFail(contractId, transaction) {
+    const contract = await TransporterContract.findByPk(contractId, {
+      include: [RATES_INCLUDE, TRANSPORTER_INCLUDE],
+      transaction
+    });
+    if (!contract) {
+      throw new Error('Contract not found');
+    }
+    return contract;
+  }
+}
+
+module.exports = new ContractService();
@@ -0,0 +1,98 @@
+const Joi = require('joi');
+const { FUEL_SURCHARGE_TYPES, RATE_TYPES } = require('./contract.model');
+const { validateRequest } = require('../request/request.validate');
+
+const TRUCK_TYPES = ['box', 'flatbed', 'semi', 'refrigerated'];
+
+/**
+ * A priced lane; omit origin/destination (or their location IDs) to match any
+ */
+const contractRateSchema = Joi.object({
+  origin: Joi.string().trim().max(255).allow(null),
+  destination: Joi.string().trim().max(255).allow(null),
+  originLocationId: Joi.number().integer().positive().allow(null),
+  destinationLocationId: Joi.number().integer().positive().allow(null),
+  truckType: Joi.string()
+    .valid(...TRUCK_TYPES)
+    .allow(null)
+    .messages({
+      'any.only': `Truck type must be one of: ${TRUCK_TYPES.join(', ')}`
+    }),
+  rateType: Joi.string()
+    .valid(...RATE_TYPES)
+    .default('per_mile')
+    .messages({
+      'any.only': `Rate type must be one of: ${RATE_TYPES.join(', ')}`
+    }),
+  rate: Joi.number()
+    .positive()
+    .precision(2)
+    .max(99999999.99)
+    .required()
+    .messages({
+      'number.positive': 'Rate must be a positive number',
+      'any.required': 'Rate is required'
+    })
+});
+
+const contractFields = {
+  transporterId: Joi.number().integer().positive(),
+  contractNumber: Joi.string().trim().max(100).allow(null),
+  status: Joi.string().valid('active', 'terminated'),
+  validFrom: Joi.date().iso(),
+  validTo: Joi.date().iso().allow(null).when('validFrom', {
+    is: Joi.exist(),
+    then: Joi.date().min(Joi.ref('validFrom'))
+  }).messages({
+    'date.min': 'Valid to cannot be before valid from'
+  }),
+  currency: Joi.string().trim().uppercase().length(3).messages({
+    'string.length': 'Currency must be a 3-letter ISO code'
+  }),
+  fuelSurchargeType: Joi.string()
+    .valid(...FUEL_SURCHARGE_TYPES)
+    .messages({
+      'any.only': `Fuel surcharge type must be one of: ${FUEL_SURCHARGE_TYPES.join(', ')}`
+    }),
+  fuelSurchargeValue: Joi.number().min(0).max(999999),
+  minimumCharge: Joi.number().min(0).precision(2).max(99999999.99),
+  notes: Joi.string().trim().max(1000).allow('', null),
+  createdBy: Joi.string().trim().max(100),
+  // Replaces all rates of the contract
+  rates: Joi.array().items(contractRateSchema).min(1).max(500).messages({
+    'array.min': 'At least one rate is required'
+  })
+};
+
+const createContractSchema = Joi.object({
+  ...contractFields,
+  transporterId: contractFields.transporterId.required().messages({
+    'any.required': 'Transporter ID is required'
+  }),
+  validFrom: contractFields.validFrom.required().messages({
+    'any.required': 'Valid from is required'
+  }),
+  currency: contractFields.currency.default('USD'),
+  fuelSurchargeType: contractFields.fuelSurchargeType.default('none'),
+  fuelSurchargeValue: contractFields.fuelSurchargeValue.default(0),
+  minimumCharge: contractFields.minimumCharge.default(0),
+  rates: contractFields.rates.required()
+});
+
+const updateContractSchema = Joi.object(contractFields).min(1);
+
+const contractQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  transporterId: Joi.number().integer().positive().optional(),
+  status: Joi.string().valid('active', 'terminated').optional(),
+  // Only contracts whose validity window includes this date
+  activeOn: Joi.date().iso().optional()
+});
+
+module.exports = {
+  createContractSchema,
+  updateContractSchema,
+  contractQuerySchema,
+  validateRequest
+};
@@ -109,6 +109,85 @@ class DashboardController {
     }
   }
 
+  /**
+   * Fleet utilization per vehicle
+   * GET /api/dashboard/fleet-utilization?startDate=&endDate=
+   */
+  static async getFleetUtilization(req, res) {
+    try {
+      const { startDate, endDate } = req.query;
+
+      const utilizationData = await dashboardService.calculateVehicleUtilization(startDate, endDate);
+
+      res.json({
+        success: true,
+        data: utilizationData
+      });
+    } catch (error) {
+      console.error('Dashboard Fleet Utilization Error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'FLEET_UTILIZATION_ERROR',
+          message: 'Failed to calculate fleet utilization',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Late pickup minutes by delay reason, transporter and lane
+   * GET /api/dashboard/delay-breakdown?startDate=&endDate=
+   */
+  static async getDelayBreakdown(req, res) {
+    try {
+      const { startDate, endDate } = req.query;
+
+      const delayData = await dashboardService.calculateDelayBreakdown(startDate, endDate);
+
+      res.json({
+        success: true,
+        data: delayData
+      });
+    } catch (error) {
+      console.error('Dashboard Delay Breakdown Error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'DELAY_BREAKDOWN_ERROR',
+          message: 'Failed to calculate delay breakdown',
+          details: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Active requests likely to miss their pickup or arrival window, most delayed first
+   * GET /api/dashboard/at-risk-requests
+   */
+  static async getAtRiskRequests(req, res) {
+    try {
+      const atRiskData = await dashboardService.getAtRiskRequests();
+
+      res.json({
+        success: true,
+        data: atRiskData
+      });
+    } catch (error) {
+      console.error('Dashboard At-Risk Requests Error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'AT_RISK_REQUESTS_ERROR',
+          message: 'Failed to predict at-risk requests',
+          details: error.message
+        }
+      });
+    }
+  }
+
   /**
    * Health check for dashboard APIs
    * GET /api/dashboard/health
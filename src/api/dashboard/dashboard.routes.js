@@ -15,6 +15,15 @@ router.get('/ai-insights', validateDateRange, dashboardController.getAIInsights)
 // Transporter Comparison
 router.get('/transporter-comparison', validateDateRange, dashboardController.getTransporterComparison);
 
+// Fleet Utilization per vehicle
+router.get('/fleet-utilization', validateDateRange, dashboardController.getFleetUtilization);
+
+// Late pickup minutes by delay reason, transporter and lane
+router.get('/delay-breakdown', validateDateRange, dashboardController.getDelayBreakdown);
+
+// Active requests predicted to miss their window (current state, no date range)
+router.get('/at-risk-requests', dashboardController.getAtRiskRequests);
+
 // Health check for dashboard APIs
 router.get('/health', dashboardController.healthCheck);
 
@@ -1,4 +1,6 @@
 const dashboardAiService = require('../AI/dashboardAiService');
+const contractService = require('../contract/contract.service');
+const etaService = require('../eta/eta.service');
 
 // Import query modules
 const kpiQueries = require('./queries/kpiQueries');
@@ -21,12 +23,14 @@ class DashboardService {
       // Calculate all KPIs in parallel for better performance
       const [
         onTimeDeliveryData,
+        onTimeArrivalData,
         costVarianceData,
         fleetUtilizationData,
         driverPerformanceData,
         previousPeriodData
       ] = await Promise.all([
         kpiQueries.calculateOnTimeDeliveryRate(startDate, endDate),
+        kpiQueries.calculateOnTimeArrivalRate(startDate, endDate),
         kpiQueries.calculateCostVariance(startDate, endDate),
         kpiQueries.calculateFleetUtilization(startDate, endDate),
         kpiQueries.calculateDriverPerformance(startDate, endDate),
@@ -38,6 +42,7 @@ class DashboardService {
       const trends = kpiHelpers.calculateTrends(
         {
           onTimeDelivery: onTimeDeliveryData.rate,
+          onTimeArrival: onTimeArrivalData.rate,
           costVariance: costVarianceData.variance,
           fleetUtilization: fleetUtilizationData.rate,
           driverPerformance: driverPerformanceData.average
@@ -47,6 +52,7 @@ class DashboardService {
 
       const aiInsights = kpiHelpers.generateKPIInsights({
         onTimeDelivery: onTimeDeliveryData,
+        onTimeArrival: onTimeArrivalData,
         costVariance: costVarianceData,
         fleetUtilization: fleetUtilizationData,
         driverPerformance: driverPerformanceData
@@ -65,6 +71,18 @@ class DashboardService {
           },
           aiInsight: aiInsights.onTimeDelivery
         },
+        {
+          id: "on-time-arrival",
+          title: "On-Time Arrival Rate",
+          value: parseFloat(onTimeArrivalData.rate?.toFixed(1) || 0),
+          unit: "%",
+          trend: trends.onTimeArrival,
+          comparison: { 
+            change: trends.onTimeArrival, 
+            period: "last month" 
+          },
+          aiInsight: aiInsights.onTimeArrival
+        },
         {
           id: "cost-variance",
           title: "Cost Variance",
@@ -119,11 +137,13 @@ class DashboardService {
 
       const [
         prevOnTimeDelivery,
+        prevOnTimeArrival,
         prevCostVariance,
         prevFleetUtilization,
         prevDriverPerformance
       ] = await Promise.all([
         kpiQueries.calculateOnTimeDeliveryRate(dateRange.startDate, dateRange.endDate),
+        kpiQueries.calculateOnTimeArrivalRate(dateRange.startDate, dateRange.endDate),
         kpiQueries.calculateCostVariance(dateRange.startDate, dateRange.endDate),
         kpiQueries.calculateFleetUtilization(dateRange.startDate, dateRange.endDate),
         kpiQueries.calculateDriverPerformance(dateRange.startDate, dateRange.endDate)
@@ -131,6 +151,7 @@ class DashboardService {
 
       return {
         onTimeDelivery: prevOnTimeDelivery.rate,
+        onTimeArrival: prevOnTimeArrival.rate,
         costVariance: prevCostVariance.variance,
         fleetUtilization: prevFleetUtilization.rate,
         driverPerformance: prevDriverPerformance.average
@@ -139,6 +160,7 @@ class DashboardService {
       console.error('Error getting previous period data:', error);
       return {
         onTimeDelivery: 0,
+        onTimeArrival: 0,
         costVariance: 0,
         fleetUtilization: 0,
         driverPerformance: 0
@@ -241,17 +263,29 @@ class DashboardService {
    */
   async calculateTransporterComparison(startDate, endDate) {
     try {
-      // Get transporters and their performance metrics
-      const transporterData = await analysisQueries.calculateTransporterComparison(startDate, endDate);
+      // Get transporters, their performance metrics, invoices to price against contracts and claims
+      const [transporterData, deliveryCosts, claimCosts] = await Promise.all([
+        analysisQueries.calculateTransporterComparison(startDate, endDate),
+        analysisQueries.getTransporterDeliveryCosts(startDate, endDate),
+        analysisQueries.getTransporterClaimCosts(startDate, endDate)
+      ]);
+
+      const pricedDeliveries = await contractService.priceDeliveries(deliveryCosts, startDate, endDate);
+      const contractVariance = transporterHelpers.aggregateContractVariance(pricedDeliveries);
+      const claims = transporterHelpers.aggregateClaimCosts(claimCosts, deliveryCosts);
 
       // Calculate AI scores and trends for each transporter
       const transportersWithScores = await Promise.all(
         transporterData.map(async (transporter) => {
+          const claimMetrics = claims[transporter.id];
+          const claimCostRate = claimMetrics ? claimMetrics.claimCostRate : 0;
+
           const score = transporterHelpers.calculateTransporterScore({
             onTimeRate: transporter.on_time_rate || 0,
             costVariance: transporter.cost_variance || 0,
             driverRating: transporter.driver_rating || 0,
-            qualityScore: transporter.quality_score || 0
+            qualityScore: transporter.quality_score || 0,
+            claimCostRate
           });
 
           // Get previous period data for trends
@@ -259,9 +293,14 @@ class DashboardService {
             transporter.id, startDate, endDate
           );
 
-          const trends = transporterHelpers.calculateTransporterTrends(transporter, previousData);
+          const trends = transporterHelpers.calculateTransporterTrends(
+            { ...transporter, claim_cost_rate: claimCostRate },
+            previousData
+          );
 
-          return transporterHelpers.formatTransporterData(transporter, score, trends);
+          return transporterHelpers.formatTransporterData(
+            transporter, score, trends, contractVariance[transporter.id], claimMetrics
+          );
         })
       );
 
@@ -275,6 +314,48 @@ class DashboardService {
 
 
 
+  /**
+   * Fleet utilization per registered vehicle plus the fleet-wide KPI
+   */
+  async calculateVehicleUtilization(startDate, endDate) {
+    try {
+      const vehicles = await kpiQueries.getVehicleUtilization(startDate, endDate);
+
+      return {
+        summary: kpiHelpers.summarizeVehicleUtilization(vehicles, startDate, endDate),
+        vehicles: kpiHelpers.formatVehicleUtilization(vehicles, startDate, endDate)
+      };
+    } catch (error) {
+      console.error('Error calculating vehicle utilization:', error);
+      throw new Error(`Vehicle utilization failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Late pickup minutes broken down by delay reason, transporter and lane
+   */
+  async calculateDelayBreakdown(startDate, endDate) {
+    try {
+      const lateDeliveries = await analysisQueries.getLateDeliveries(startDate, endDate);
+      return analysisHelpers.summarizeDelays(lateDeliveries);
+    } catch (error) {
+      console.error('Error calculating delay breakdown:', error);
+      throw new Error(`Delay breakdown failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Active requests whose predicted arrival (or overdue pickup) misses their window
+   */
+  async getAtRiskRequests() {
+    try {
+      return await etaService.getAtRiskRequests();
+    } catch (error) {
+      console.error('Error getting at-risk requests:', error);
+      throw new Error(`At-risk requests failed: ${error.message}`);
+    }
+  }
+
   /**
    * Get health status of dashboard system
    */
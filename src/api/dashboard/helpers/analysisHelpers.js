@@ -126,6 +126,70 @@ class AnalysisHelpers {
 
     return trends;
   }
+
+  /**
+   * Delay minutes of late deliveries by reason, transporter and lane. A delivery
+   * rated for several carrier companies counts once in the totals, by reason and
+   * by lane, and once for each of its companies.
+   */
+  summarizeDelays(lateDeliveries) {
+    const byDelivery = new Map();
+    lateDeliveries.forEach(row => {
+      if (!byDelivery.has(row.delivery_id)) byDelivery.set(row.delivery_id, row);
+    });
+
+    const deliveries = [...byDelivery.values()];
+    const totalDelayMinutes = deliveries.reduce((sum, row) => sum + (parseInt(row.delay_minutes) || 0), 0);
+
+    return {
+      lateDeliveries: deliveries.length,
+      totalDelayMinutes,
+      averageDelayMinutes: deliveries.length > 0 ? parseFloat((totalDelayMinutes / deliveries.length).toFixed(1)) : 0,
+      // Logged before a reason was required
+      unspecifiedDeliveries: deliveries.filter(row => !row.delay_reason_code).length,
+      byReason: this.groupDelays(deliveries, totalDelayMinutes,
+        row => row.delay_reason_code || 'unspecified',
+        row => ({ reasonCode: row.delay_reason_code || 'unspecified' }))
+        .map(({ topReasonCode, ...group }) => group),
+      byTransporter: this.groupDelays(lateDeliveries, totalDelayMinutes,
+        row => row.transporter_id || 'in_house',
+        row => ({ transporterId: row.transporter_id || null, transporterName: row.transporter_name || 'In-house' })),
+      byLane: this.groupDelays(deliveries, totalDelayMinutes,
+        row => `${row.origin}|${row.destination}`,
+        row => ({ origin: row.origin, destination: row.destination }))
+    };
+  }
+
+  /**
+   * Deliveries and delay minutes per group, with the reason behind most of the
+   * group's delay; largest delay first
+   */
+  groupDelays(rows, totalDelayMinutes, keyOf, describe) {
+    const groups = new Map();
+
+    rows.forEach(row => {
+      const key = keyOf(row);
+      if (!groups.has(key)) {
+        groups.set(key, { ...describe(row), deliveries: 0, delayMinutes: 0, reasonMinutes: {} });
+      }
+
+      const group = groups.get(key);
+      const minutes = parseInt(row.delay_minutes) || 0;
+      const reasonCode = row.delay_reason_code || 'unspecified';
+      group.deliveries += 1;
+      group.delayMinutes += minutes;
+      group.reasonMinutes[reasonCode] = (group.reasonMinutes[reasonCode] || 0) + minutes;
+    });
+
+    return [...groups.values()]
+      .map(({ reasonMinutes, ...group }) => ({
+        ...group,
+        averageDelayMinutes: parseFloat((group.delayMinutes / group.deliveries).toFixed(1)),
+        shareOfDelay: totalDelayMinutes > 0 ? parseFloat(((group.delayMinutes / totalDelayMinutes) * 100).toFixed(1)) : 0,
+        topReasonCode: Object.entries(reasonMinutes).sort(([, a], [, b]) => b - a)[0][0]
+      }))
+      .sort((a, b) => b.delayMinutes - a.delayMinutes);
+  }
 }
 
 module.exports = new AnalysisHelpers();
\ No newline at end of file
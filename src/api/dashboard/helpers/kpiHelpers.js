@@ -16,6 +16,10 @@ class KPIHelpers {
         currentData.onTimeDelivery, 
         previousData.onTimeDelivery
       ),
+      onTimeArrival: this.calculatePercentageChange(
+        currentData.onTimeArrival, 
+        previousData.onTimeArrival
+      ),
       costVariance: this.calculatePercentageChange(
         currentData.costVariance, 
         previousData.costVariance
@@ -37,6 +41,7 @@ class KPIHelpers {
   generateKPIInsights(data) {
     return {
       onTimeDelivery: this.generateOnTimeInsight(data.onTimeDelivery),
+      onTimeArrival: this.generateArrivalInsight(data.onTimeArrival),
       costVariance: this.generateCostInsight(data.costVariance),
       fleetUtilization: this.generateUtilizationInsight(data.fleetUtilization),
       driverPerformance: this.generatePerformanceInsight(data.driverPerformance)
@@ -54,6 +59,19 @@ class KPIHelpers {
     return "Critical performance issue - immediate action required";
   }
 
+  /**
+   * Generate insights for on-time arrival at the destination
+   */
+  generateArrivalInsight(data) {
+    if (!data.total) return "No arrival milestones recorded for this period";
+
+    const rate = data.rate || 0;
+    if (rate >= 95) return "Loads are consistently arriving on schedule";
+    if (rate >= 85) return "Most loads arrive on time - review the late lanes";
+    if (rate >= 70) return "Late arrivals are frequent - check transit time assumptions";
+    return "Critical arrival delays - investigate routes and carriers";
+  }
+
   /**
    * Generate insights for cost variance
    */
@@ -106,6 +124,49 @@ class KPIHelpers {
       endDate: prevEnd.toISOString().split('T')[0]
     };
   }
+
+  /**
+   * Days in an inclusive YYYY-MM-DD period
+   */
+  countPeriodDays(startDate, endDate) {
+    const days = Math.round((new Date(endDate) - new Date(startDate)) / (1000 * 60 * 60 * 24)) + 1;
+    return Math.max(days, 1);
+  }
+
+  /**
+   * Per-vehicle rows from kpiQueries.getVehicleUtilization: each vehicle's share of
+   * days in the period with a delivery
+   */
+  formatVehicleUtilization(vehicles, startDate, endDate) {
+    const periodDays = this.countPeriodDays(startDate, endDate);
+
+    return vehicles.map(vehicle => ({
+      vehicleId: vehicle.vehicle_id,
+      plateNumber: vehicle.plate_number,
+      truckType: vehicle.truck_type,
+      ownership: vehicle.ownership,
+      status: vehicle.status,
+      deliveries: parseInt(vehicle.deliveries),
+      daysUsed: parseInt(vehicle.days_used),
+      periodDays,
+      utilizationRate: parseFloat((parseInt(vehicle.days_used) / periodDays * 100).toFixed(1))
+    }));
+  }
+
+  summarizeVehicleUtilization(vehicles, startDate, endDate) {
+    const periodDays = this.countPeriodDays(startDate, endDate);
+    const usedVehicleDays = vehicles.reduce((sum, vehicle) => sum + parseInt(vehicle.days_used), 0);
+    const availableVehicleDays = vehicles.length * periodDays;
+
+    return {
+      rate: availableVehicleDays > 0 ? (usedVehicleDays / availableVehicleDays) * 100 : 0,
+      basis: 'vehicles',
+      activeVehicles: vehicles.filter(vehicle => parseInt(vehicle.days_used) > 0).length,
+      totalVehicles: vehicles.length,
+      usedVehicleDays,
+      availableVehicleDays
+    };
+  }
 }
 
 module.exports = new KPIHelpers();
\ No newline at end of file
@@ -1,6 +1,8 @@
 class TransporterHelpers {
   /**
-   * Calculate transporter AI score based on multiple metrics
+   * Calculate transporter AI score based on multiple metrics.
+   * Net claim costs (as a percentage of invoiced spend) count against cost
+   * efficiency alongside the invoice variance.
    */
   calculateTransporterScore(metrics) {
     const weights = {
@@ -10,8 +12,9 @@ class TransporterHelpers {
       qualityScore: 0.25     // 25% weight
     };
 
-    // Normalize the cost efficiency (invert cost variance to efficiency)
-    const costEfficiency = Math.max(0, 100 + (metrics.costVariance * -1));
+    // Normalize the cost efficiency (invert cost variance plus claim costs to efficiency)
+    const claimCostRate = metrics.claimCostRate || 0;
+    const costEfficiency = Math.max(0, 100 - metrics.costVariance - claimCostRate);
     
     // Convert driver rating to percentage (4.5/5 = 90%)
     const driverPercentage = (metrics.driverRating / 5) * 100;
@@ -34,14 +37,16 @@ class TransporterHelpers {
       onTimeRate: current.on_time_rate || 0,
       costVariance: current.cost_variance || 0,
       driverRating: current.driver_rating || 0,
-      qualityScore: current.quality_score || 0
+      qualityScore: current.quality_score || 0,
+      claimCostRate: current.claim_cost_rate || 0
     });
 
     const previousScore = this.calculateTransporterScore({
       onTimeRate: previous.on_time_rate || 0,
       costVariance: previous.cost_variance || 0,
       driverRating: previous.driver_rating || 0,
-      qualityScore: previous.quality_score || 0
+      qualityScore: previous.quality_score || 0,
+      claimCostRate: previous.claim_cost_rate || 0
     });
 
     return {
@@ -57,22 +62,85 @@ class TransporterHelpers {
     };
   }
 
+  /**
+   * Average invoice variance against the contracted cost, per carrier company.
+   * Each delivery is priced for its own trucks, so a wave of a larger request
+   * is compared with that wave's cost. Deliveries without an applicable contract
+   * rate are left out.
+   */
+  aggregateContractVariance(pricedDeliveries) {
+    const byTransporter = {};
+
+    pricedDeliveries
+      .filter(delivery => delivery.contracted_cost > 0)
+      .forEach(delivery => {
+        const entry = byTransporter[delivery.transporter_id] || { contractedDeliveries: 0, varianceTotal: 0 };
+        const invoice = parseFloat(delivery.invoice_amount) || 0;
+
+        entry.contractedDeliveries += 1;
+        entry.varianceTotal += (invoice - delivery.contracted_cost) / delivery.contracted_cost * 100;
+        byTransporter[delivery.transporter_id] = entry;
+      });
+
+    Object.values(byTransporter).forEach(entry => {
+      entry.contractVariance = entry.varianceTotal / entry.contractedDeliveries;
+      delete entry.varianceTotal;
+    });
+
+    return byTransporter;
+  }
+
+  /**
+   * Claims per carrier company with their net cost as a percentage of the
+   * company's invoiced spend in the period
+   */
+  aggregateClaimCosts(claimCosts, deliveryCosts) {
+    const invoiced = {};
+    deliveryCosts.forEach(delivery => {
+      invoiced[delivery.transporter_id] = (invoiced[delivery.transporter_id] || 0) + (parseFloat(delivery.invoice_amount) || 0);
+    });
+
+    const byTransporter = {};
+    claimCosts.forEach(row => {
+      const netClaimCost = parseFloat(row.net_claim_cost) || 0;
+      const invoiceTotal = invoiced[row.transporter_id] || 0;
+
+      byTransporter[row.transporter_id] = {
+        claimCount: parseInt(row.claim_count) || 0,
+        settledClaimCount: parseInt(row.settled_claim_count) || 0,
+        netClaimCost,
+        claimCostRate: invoiceTotal > 0 ? netClaimCost / invoiceTotal * 100 : 0
+      };
+    });
+
+    return byTransporter;
+  }
+
   /**
    * Format transporter data for response
    */
-  formatTransporterData(transporter, score, trends) {
+  formatTransporterData(transporter, score, trends, contractMetrics = null, claimMetrics = null) {
     return {
       id: transporter.company.toLowerCase().replace(/\s+/g, '-'),
-      company: transporter.transport_company || transporter.company,
+      transporterId: transporter.id,
+      company: transporter.company,
       totalDeliveries: parseInt(transporter.total_deliveries) || 0,
+      driverCount: parseInt(transporter.driver_count) || 0,
       score: parseFloat(score.toFixed(1)),
       scoreTrend: trends.score,
       onTimeRate: parseFloat((transporter.on_time_rate || 0).toFixed(1)),
       onTimeTrend: trends.onTimeRate,
       costVariance: parseFloat((transporter.cost_variance || 0).toFixed(1)),
       costTrend: trends.costVariance,
+      // Invoice vs contracted rate; null when no delivery was priced by a contract
+      contractVariance: contractMetrics ? parseFloat(contractMetrics.contractVariance.toFixed(1)) : null,
+      contractedDeliveries: contractMetrics ? contractMetrics.contractedDeliveries : 0,
       driverRating: parseFloat((transporter.driver_rating || 0).toFixed(1)),
-      qualityScore: parseFloat((transporter.quality_score || 0).toFixed(1))
+      qualityScore: parseFloat((transporter.quality_score || 0).toFixed(1)),
+      claimCount: claimMetrics ? claimMetrics.claimCount : 0,
+      netClaimCost: claimMetrics ? parseFloat(claimMetrics.netClaimCost.toFixed(2)) : 0,
+      // Net claim cost as a percentage of invoiced spend; counts against the score's cost efficiency
+      claimCostRate: claimMetrics ? parseFloat(claimMetrics.claimCostRate.toFixed(1)) : 0
     };
   }
 
@@ -93,7 +161,8 @@ class TransporterHelpers {
       onTimeRate: (a, b) => b.onTimeRate - a.onTimeRate,
       totalDeliveries: (a, b) => b.totalDeliveries - a.totalDeliveries,
       driverRating: (a, b) => b.driverRating - a.driverRating,
-      costVariance: (a, b) => a.costVariance - b.costVariance // Lower is better
+      costVariance: (a, b) => a.costVariance - b.costVariance, // Lower is better
+      claimCostRate: (a, b) => a.claimCostRate - b.claimCostRate // Lower is better
     };
 
     return transporters.sort(sortFunctions[sortBy] || sortFunctions.score);
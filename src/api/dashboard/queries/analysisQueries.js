@@ -1,4 +1,11 @@
 const { sequelize } = require('../../../config/db');
+const {
+  TRANSPORTER_DELIVERIES,
+  REQUEST_DELIVERIES,
+  TRANSPORTER_REQUEST_DELIVERIES,
+  TRUCK_SHARE_COST
+} = require('./deliveryRollups');
+const { SETTLED_CLAIM_STATUSES } = require('../../claim/claim.model');
 
 class AnalysisQueries {
   /**
@@ -16,10 +23,10 @@ class AnalysisQueries {
             THEN 1 ELSE 0 
           END) * 100 as on_time_rate,
           AVG(CASE 
-            WHEN tr.estimated_cost > 0 
-            THEN ((d.invoice_amount - tr.estimated_cost) / tr.estimated_cost * 100) 
+            WHEN COALESCE(tr.contracted_cost, tr.estimated_cost) > 0 
+            THEN ((d.invoice_amount - COALESCE(tr.contracted_cost, tr.estimated_cost)) / COALESCE(tr.contracted_cost, tr.estimated_cost) * 100) 
           END) as avg_cost_variance
-        FROM deliveries d
+        FROM (${REQUEST_DELIVERIES}) d
         JOIN transportation_requests tr ON d.request_id = tr.id
         WHERE DATE(d.actual_pickup_datetime) BETWEEN :startDate AND :endDate
           AND tr.deleted_at IS NULL
@@ -109,7 +116,7 @@ class AnalysisQueries {
             WHEN d.actual_pickup_datetime <= tr.pickup_datetime 
             THEN 1 ELSE 0 
           END) * 100 as on_time_rate
-        FROM deliveries d
+        FROM (${REQUEST_DELIVERIES}) d
         JOIN transportation_requests tr ON d.request_id = tr.id
         WHERE DATE(d.actual_pickup_datetime) BETWEEN :startDate AND :endDate
         GROUP BY HOUR(d.actual_pickup_datetime)
@@ -129,44 +136,102 @@ class AnalysisQueries {
   }
 
   /**
-   * Calculate transporter comparison data with SQL query
+   * Calculate transporter comparison data per carrier company with SQL query.
+   * Delivery metrics count each delivery once per company, however many of its drivers were on it;
+   * on-time and cost variance are judged per request over the company's deliveries for it.
    */
   async calculateTransporterComparison(startDate, endDate) {
     try {
       const transporterData = await sequelize.query(`
         SELECT 
-          d.id,
-          d.name as company,
-          d.transport_company,
-          COUNT(DISTINCT del.id) as total_deliveries,
-          AVG(CASE 
-            WHEN del.actual_pickup_datetime <= tr.pickup_datetime 
-            THEN 1 ELSE 0 
-          END) * 100 as on_time_rate,
-          AVG(CASE 
-            WHEN tr.estimated_cost > 0 
-            THEN ((del.invoice_amount - tr.estimated_cost) / tr.estimated_cost * 100) 
-          END) as cost_variance,
-          AVG(dr.overall_rating) as driver_rating,
-          AVG((dr.punctuality + dr.professionalism + dr.delivery_quality + dr.communication) / 4) as quality_score
-        FROM drivers d
-        JOIN driver_ratings dr ON d.id = dr.driver_id
-        JOIN deliveries del ON dr.delivery_id = del.id
+          t.id,
+          t.name as company,
+          dm.total_deliveries,
+          dm.on_time_rate,
+          dm.cost_variance,
+          rm.driver_count,
+          rm.driver_rating,
+          rm.quality_score
+        FROM transporters t
+        JOIN (
+          SELECT 
+            del.transporter_id,
+            SUM(del.delivery_count) as total_deliveries,
+            AVG(CASE 
+              WHEN del.actual_pickup_datetime <= tr.pickup_datetime 
+              THEN 1 ELSE 0 
+            END) * 100 as on_time_rate,
+            AVG(CASE 
+              WHEN ${TRUCK_SHARE_COST} > 0 
+              THEN ((del.invoice_amount - ${TRUCK_SHARE_COST}) / ${TRUCK_SHARE_COST} * 100) 
+            END) as cost_variance
+          FROM (${TRANSPORTER_REQUEST_DELIVERIES}) del
+          JOIN transportation_requests tr ON del.request_id = tr.id
+          WHERE DATE(del.actual_pickup_datetime) BETWEEN :startDate AND :endDate
+            AND tr.deleted_at IS NULL
+          GROUP BY del.transporter_id
+        ) dm ON dm.transporter_id = t.id
+        JOIN (
+          SELECT 
+            d.transporter_id,
+            COUNT(DISTINCT d.id) as driver_count,
+            AVG(dr.overall_rating) as driver_rating,
+            AVG((dr.punctuality + dr.professionalism + dr.delivery_quality + dr.communication) / 4) as quality_score
+          FROM drivers d
+          JOIN driver_ratings dr ON d.id = dr.driver_id
+          JOIN deliveries del ON dr.delivery_id = del.id
+          JOIN transportation_requests tr ON del.request_id = tr.id
+          WHERE DATE(del.actual_pickup_datetime) BETWEEN :startDate AND :endDate
+            AND tr.deleted_at IS NULL
+            AND d.type = 'transporter'
+          GROUP BY d.transporter_id
+        ) rm ON rm.transporter_id = t.id
+        WHERE t.deleted_at IS NULL
+        ORDER BY dm.total_deliveries DESC
+      `, {
+        replacements: { startDate, endDate },
+        type: sequelize.QueryTypes.SELECT
+      });
+
+      return transporterData;
+    } catch (error) {
+      console.error('Error calculating transporter comparison:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Per carrier company and delivery: the invoice plus the lane, truck and
+   * distance fields needed to price the delivery against a contract
+   */
+  async getTransporterDeliveryCosts(startDate, endDate) {
+    try {
+      const deliveryCosts = await sequelize.query(`
+        SELECT 
+          td.transporter_id,
+          del.id as delivery_id,
+          del.actual_pickup_datetime,
+          del.actual_truck_count,
+          del.invoice_amount,
+          tr.origin,
+          tr.destination,
+          tr.origin_location_id,
+          tr.destination_location_id,
+          tr.estimated_distance,
+          tr.truck_type
+        FROM (${TRANSPORTER_DELIVERIES}) td
+        JOIN deliveries del ON td.delivery_id = del.id
         JOIN transportation_requests tr ON del.request_id = tr.id
         WHERE DATE(del.actual_pickup_datetime) BETWEEN :startDate AND :endDate
           AND tr.deleted_at IS NULL
-          AND d.type = 'transporter'
-        GROUP BY d.id, d.name, d.transport_company
-        HAVING COUNT(DISTINCT del.id) >= 1
-        ORDER BY total_deliveries DESC
       `, {
         replacements: { startDate, endDate },
         type: sequelize.QueryTypes.SELECT
       });
 
-      return transporterData;
+      return deliveryCosts;
     } catch (error) {
-      console.error('Error calculating transporter comparison:', error);
+      console.error('Error getting transporter delivery costs:', error);
       return [];
     }
   }
@@ -174,7 +239,7 @@ class AnalysisQueries {
   /**
    * Get previous period data for transporter trends
    */
-  async getTransporterPreviousPeriodData(driverId, startDate, endDate) {
+  async getTransporterPreviousPeriodData(transporterId, startDate, endDate) {
     try {
       const start = new Date(startDate);
       const end = new Date(endDate);
@@ -195,26 +260,118 @@ class AnalysisQueries {
             THEN 1 ELSE 0 
           END) * 100 as on_time_rate,
           AVG(CASE 
-            WHEN tr.estimated_cost > 0 
-            THEN ((del.invoice_amount - tr.estimated_cost) / tr.estimated_cost * 100) 
+            WHEN ${TRUCK_SHARE_COST} > 0 
+            THEN ((del.invoice_amount - ${TRUCK_SHARE_COST}) / ${TRUCK_SHARE_COST} * 100) 
           END) as cost_variance,
-          AVG(dr.overall_rating) as driver_rating
-        FROM drivers d
-        JOIN driver_ratings dr ON d.id = dr.driver_id
-        JOIN deliveries del ON dr.delivery_id = del.id
+          (
+            SELECT AVG(dr.overall_rating)
+            FROM driver_ratings dr
+            JOIN drivers d ON dr.driver_id = d.id
+            JOIN deliveries rdel ON dr.delivery_id = rdel.id
+            WHERE d.transporter_id = :transporterId
+              AND d.type = 'transporter'
+              AND DATE(rdel.actual_pickup_datetime) BETWEEN :startDate AND :endDate
+              AND rdel.deleted_at IS NULL
+          ) as driver_rating,
+          (
+            SELECT COALESCE(SUM(fc.settlement_amount), 0)
+            FROM freight_claims fc
+            JOIN deliveries cdel ON fc.delivery_id = cdel.id
+            WHERE fc.transporter_id = :transporterId
+              AND fc.status IN (:settledStatuses)
+              AND DATE(cdel.actual_pickup_datetime) BETWEEN :startDate AND :endDate
+              AND cdel.deleted_at IS NULL
+          ) / NULLIF(SUM(del.invoice_amount), 0) * 100 as claim_cost_rate
+        FROM (${TRANSPORTER_REQUEST_DELIVERIES}) del
         JOIN transportation_requests tr ON del.request_id = tr.id
         WHERE DATE(del.actual_pickup_datetime) BETWEEN :startDate AND :endDate
-          AND del.deleted_at IS NULL
-          AND d.id = :driverId
+          AND del.transporter_id = :transporterId
       `, {
-        replacements: { startDate: prevStartStr, endDate: prevEndStr, driverId },
+        replacements: {
+          startDate: prevStartStr,
+          endDate: prevEndStr,
+          transporterId,
+          settledStatuses: SETTLED_CLAIM_STATUSES
+        },
         type: sequelize.QueryTypes.SELECT
       });
 
-      return result[0] || { on_time_rate: 0, cost_variance: 0, driver_rating: 0 };
+      return result[0] || { on_time_rate: 0, cost_variance: 0, driver_rating: 0, claim_cost_rate: 0 };
     } catch (error) {
       console.error('Error getting transporter previous period data:', error);
-      return { on_time_rate: 0, cost_variance: 0, driver_rating: 0 };
+      return { on_time_rate: 0, cost_variance: 0, driver_rating: 0, claim_cost_rate: 0 };
+    }
+  }
+
+  /**
+   * Freight claims per carrier company on deliveries picked up in the period,
+   * with the net cost of the accepted and paid ones
+   */
+  async getTransporterClaimCosts(startDate, endDate) {
+    try {
+      const claimCosts = await sequelize.query(`
+        SELECT
+          fc.transporter_id,
+          COUNT(*) AS claim_count,
+          SUM(CASE WHEN fc.status IN (:settledStatuses) THEN 1 ELSE 0 END) AS settled_claim_count,
+          SUM(CASE WHEN fc.status IN (:settledStatuses) THEN fc.settlement_amount ELSE 0 END) AS net_claim_cost
+        FROM freight_claims fc
+        JOIN deliveries del ON fc.delivery_id = del.id
+        WHERE DATE(del.actual_pickup_datetime) BETWEEN :startDate AND :endDate
+          AND del.deleted_at IS NULL
+        GROUP BY fc.transporter_id
+      `, {
+        replacements: { startDate, endDate, settledStatuses: SETTLED_CLAIM_STATUSES },
+        type: sequelize.QueryTypes.SELECT
+      });
+
+      return claimCosts;
+    } catch (error) {
+      console.error('Error getting transporter claim costs:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Every first-wave delivery picked up after its request's planned pickup, with its delay,
+   * reason code and lane; one row per carrier company rated on it (a single row
+   * with a null transporter when none was)
+   */
+  async getLateDeliveries(startDate, endDate) {
+    try {
+      const lateDeliveries = await sequelize.query(`
+        SELECT
+          del.id AS delivery_id,
+          del.delay_reason_code,
+          TIMESTAMPDIFF(MINUTE, tr.pickup_datetime, del.actual_pickup_datetime) AS delay_minutes,
+          tr.origin,
+          tr.destination,
+          td.transporter_id,
+          t.name AS transporter_name
+        FROM deliveries del
+        JOIN transportation_requests tr ON del.request_id = tr.id
+        LEFT JOIN (${TRANSPORTER_DELIVERIES}) td ON td.delivery_id = del.id
+        LEFT JOIN transporters t ON td.transporter_id = t.id
+        WHERE del.actual_pickup_datetime > tr.pickup_datetime
+          AND DATE(del.actual_pickup_datetime) BETWEEN :startDate AND :endDate
+          AND del.deleted_at IS NULL
+          AND tr.deleted_at IS NULL
+          AND NOT EXISTS (
+            SELECT 1 FROM deliveries earlier
+            WHERE earlier.request_id = del.request_id
+              AND earlier.deleted_at IS NULL
+              AND (earlier.actual_pickup_datetime < del.actual_pickup_datetime
+                OR (earlier.actual_pickup_datetime = del.actual_pickup_datetime AND earlier.id < del.id))
+          )
+      `, {
+        replacements: { startDate, endDate },
+        type: sequelize.QueryTypes.SELECT
+      });
+
+      return lateDeliveries;
+    } catch (error) {
+      console.error('Error getting late deliveries:', error);
+      return [];
     }
   }
 }
@@ -0,0 +1,80 @@
+// A request can be delivered in several waves. These derived tables total its
+// deliveries so on-time and cost variance are judged once per request: the
+// first pickup against the planned pickup, the summed invoices against the
+// request's contracted (else estimated) cost, or against a carrier company's
+// share of it (TRUCK_SHARE_COST) when judging the company.
+
+// Distinct (carrier company, delivery) pairs from the transporter drivers rated on each delivery
+const TRANSPORTER_DELIVERIES = `
+  SELECT DISTINCT d.transporter_id, dr.delivery_id
+  FROM driver_ratings dr
+  JOIN drivers d ON dr.driver_id = d.id
+  WHERE dr.deleted_at IS NULL
+    AND d.type = 'transporter'
+    AND d.transporter_id IS NOT NULL
+`;
+
+// One row per request
+const REQUEST_DELIVERIES = `
+  SELECT
+    request_id,
+    MIN(actual_pickup_datetime) AS actual_pickup_datetime,
+    SUM(actual_truck_count) AS actual_truck_count,
+    SUM(invoice_amount) AS invoice_amount,
+    COUNT(*) AS delivery_count
+  FROM deliveries
+  WHERE deleted_at IS NULL
+  GROUP BY request_id
+`;
+
+// One row per carrier company and request, over the deliveries that company worked on
+const TRANSPORTER_REQUEST_DELIVERIES = `
+  SELECT
+    td.transporter_id,
+    rdel.request_id,
+    MIN(rdel.actual_pickup_datetime) AS actual_pickup_datetime,
+    SUM(rdel.actual_truck_count) AS actual_truck_count,
+    SUM(rdel.invoice_amount) AS invoice_amount,
+    COUNT(*) AS delivery_count
+  FROM (${TRANSPORTER_DELIVERIES}) td
+  JOIN deliveries rdel ON td.delivery_id = rdel.id
+  WHERE rdel.deleted_at IS NULL
+  GROUP BY td.transporter_id, rdel.request_id
+`;
+
+// One row per request with its arrival at the destination: the latest
+// arrived_at_destination milestone across its deliveries
+const REQUEST_ARRIVALS = `
+  SELECT
+    del.request_id,
+    MAX(m.occurred_at) AS arrived_at
+  FROM delivery_milestones m
+  JOIN deliveries del ON m.delivery_id = del.id
+  WHERE m.type = 'arrived_at_destination'
+    AND del.deleted_at IS NULL
+  GROUP BY del.request_id
+`;
+
+// Planned arrival as TransportationRequest#getExpectedArrival() computes it;
+// needs the :averageSpeedMph replacement
+const EXPECTED_ARRIVAL = `
+  COALESCE(
+    tr.expected_arrival_datetime,
+    DATE_ADD(tr.pickup_datetime, INTERVAL ROUND(tr.estimated_distance / :averageSpeedMph * 60) MINUTE)
+  )
+`;
+
+// The part of the request's contracted (else estimated) cost for the trucks in `del`,
+// so a company that moved some of the request's waves is judged on its share
+const TRUCK_SHARE_COST = `
+  COALESCE(tr.contracted_cost, tr.estimated_cost) * del.actual_truck_count / NULLIF(tr.truck_count, 0)
+`;
+
+module.exports = {
+  TRANSPORTER_DELIVERIES,
+  REQUEST_DELIVERIES,
+  TRANSPORTER_REQUEST_DELIVERIES,
+  REQUEST_ARRIVALS,
+  EXPECTED_ARRIVAL,
+  TRUCK_SHARE_COST
+};
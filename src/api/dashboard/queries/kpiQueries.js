@@ -1,8 +1,11 @@
 const { sequelize } = require('../../../config/db');
+const kpiHelpers = require('../helpers/kpiHelpers');
+const config = require('../../../config/config');
+const { REQUEST_DELIVERIES, REQUEST_ARRIVALS, EXPECTED_ARRIVAL } = require('./deliveryRollups');
 
 class KPIQueries {
   /**
-   * Calculate on-time delivery rate
+   * Calculate on-time delivery rate (a request delivered in waves counts once, by its first pickup)
    */
   async calculateOnTimeDeliveryRate(startDate, endDate) {
     try {
@@ -17,7 +20,7 @@ class KPIQueries {
             WHEN d.actual_pickup_datetime <= tr.pickup_datetime 
             THEN 1 
           END) * 100.0 / COUNT(*)) as on_time_rate
-        FROM deliveries d
+        FROM (${REQUEST_DELIVERIES}) d
         JOIN transportation_requests tr ON d.request_id = tr.id
         WHERE DATE(d.actual_pickup_datetime) BETWEEN :startDate AND :endDate
           AND tr.deleted_at IS NULL
@@ -38,22 +41,66 @@ class KPIQueries {
   }
 
   /**
-   * Calculate cost variance
+   * Calculate on-time arrival rate from the arrived-at-destination milestone, against the
+   * request's expected arrival (else pickup + distance at the average speed) plus the grace period.
+   * Requests with no arrival milestone, or no expected arrival and no distance, are left out.
+   */
+  async calculateOnTimeArrivalRate(startDate, endDate) {
+    try {
+      const result = await sequelize.query(`
+        SELECT 
+          COUNT(*) as total_arrivals,
+          COUNT(CASE 
+            WHEN a.arrived_at <= DATE_ADD(${EXPECTED_ARRIVAL}, INTERVAL :graceMinutes MINUTE) 
+            THEN 1 
+          END) as on_time_arrivals,
+          (COUNT(CASE 
+            WHEN a.arrived_at <= DATE_ADD(${EXPECTED_ARRIVAL}, INTERVAL :graceMinutes MINUTE) 
+            THEN 1 
+          END) * 100.0 / COUNT(*)) as on_time_rate
+        FROM (${REQUEST_ARRIVALS}) a
+        JOIN transportation_requests tr ON a.request_id = tr.id
+        WHERE DATE(a.arrived_at) BETWEEN :startDate AND :endDate
+          AND tr.deleted_at IS NULL
+          AND (tr.expected_arrival_datetime IS NOT NULL OR tr.estimated_distance > 0)
+      `, {
+        replacements: {
+          startDate,
+          endDate,
+          averageSpeedMph: config.milestones.averageSpeedMph,
+          graceMinutes: config.milestones.arrivalGraceMinutes
+        },
+        type: sequelize.QueryTypes.SELECT
+      });
+
+      return {
+        rate: result[0]?.on_time_rate || 0,
+        total: result[0]?.total_arrivals || 0,
+        onTime: result[0]?.on_time_arrivals || 0
+      };
+    } catch (error) {
+      console.error('Error calculating on-time arrival rate:', error);
+      return { rate: 0, total: 0, onTime: 0 };
+    }
+  }
+
+  /**
+   * Calculate cost variance (invoices summed per request vs the contracted cost, else the estimate)
    */
   async calculateCostVariance(startDate, endDate) {
     try {
       const result = await sequelize.query(`
         SELECT 
           AVG(CASE 
-            WHEN tr.estimated_cost > 0 
-            THEN ((d.invoice_amount - tr.estimated_cost) / tr.estimated_cost * 100) 
+            WHEN COALESCE(tr.contracted_cost, tr.estimated_cost) > 0 
+            THEN ((d.invoice_amount - COALESCE(tr.contracted_cost, tr.estimated_cost)) / COALESCE(tr.contracted_cost, tr.estimated_cost) * 100) 
           END) as avg_variance,
           COUNT(*) as total_with_costs
-        FROM deliveries d
+        FROM (${REQUEST_DELIVERIES}) d
         JOIN transportation_requests tr ON d.request_id = tr.id
         WHERE DATE(d.actual_pickup_datetime) BETWEEN :startDate AND :endDate
           AND tr.deleted_at IS NULL
-          AND tr.estimated_cost > 0
+          AND COALESCE(tr.contracted_cost, tr.estimated_cost) > 0
           AND d.invoice_amount > 0
       `, {
         replacements: { startDate, endDate },
@@ -71,44 +118,94 @@ class KPIQueries {
   }
 
   /**
-   * Calculate fleet utilization
+   * Calculate fleet utilization: vehicle-days used / vehicle-days available.
+   * Falls back to the share of drivers with a delivery while no vehicles are registered.
    */
   async calculateFleetUtilization(startDate, endDate) {
     try {
-      // Get unique drivers used during the period
-      const activeDriversResult = await sequelize.query(`
-        SELECT COUNT(DISTINCT dr.driver_id) as active_drivers
-        FROM driver_ratings dr
-        JOIN deliveries d ON dr.delivery_id = d.id
-        WHERE DATE(d.actual_pickup_datetime) BETWEEN :startDate AND :endDate
-      `, {
-        replacements: { startDate, endDate },
-        type: sequelize.QueryTypes.SELECT
-      });
+      const vehicles = await this.getVehicleUtilization(startDate, endDate);
 
-      // Get total available drivers
-      const totalDriversResult = await sequelize.query(`
-        SELECT COUNT(*) as total_drivers
-        FROM drivers
-      `, {
-        type: sequelize.QueryTypes.SELECT
-      });
+      if (vehicles.length === 0) {
+        return this.calculateDriverUtilization(startDate, endDate);
+      }
 
-      const activeDrivers = activeDriversResult[0]?.active_drivers || 0;
-      const totalDrivers = totalDriversResult[0]?.total_drivers || 1;
-      const utilizationRate = (activeDrivers / totalDrivers) * 100;
-
-      return {
-        rate: utilizationRate,
-        activeDrivers,
-        totalDrivers
-      };
+      return kpiHelpers.summarizeVehicleUtilization(vehicles, startDate, endDate);
     } catch (error) {
       console.error('Error calculating fleet utilization:', error);
-      return { rate: 0, activeDrivers: 0, totalDrivers: 0 };
+      return { rate: 0, basis: 'vehicles', activeVehicles: 0, totalVehicles: 0 };
     }
   }
 
+  /**
+   * Deliveries and distinct days used per registered vehicle in the period.
+   * Retired or deleted vehicles only count when they were used in the period.
+   */
+  async getVehicleUtilization(startDate, endDate) {
+    return sequelize.query(`
+      SELECT
+        v.id AS vehicle_id,
+        v.plate_number,
+        v.truck_type,
+        v.ownership,
+        v.status,
+        COALESCE(u.deliveries, 0) AS deliveries,
+        COALESCE(u.days_used, 0) AS days_used
+      FROM vehicles v
+      LEFT JOIN (
+        SELECT
+          dv.vehicle_id,
+          COUNT(DISTINCT d.id) AS deliveries,
+          COUNT(DISTINCT DATE(d.actual_pickup_datetime)) AS days_used
+        FROM delivery_vehicles dv
+        JOIN deliveries d ON d.id = dv.delivery_id
+        WHERE DATE(d.actual_pickup_datetime) BETWEEN :startDate AND :endDate
+          AND d.deleted_at IS NULL
+        GROUP BY dv.vehicle_id
+      ) u ON u.vehicle_id = v.id
+      WHERE DATE(v.created_at) <= :endDate
+        AND ((v.deleted_at IS NULL AND v.status <> 'retired') OR u.vehicle_id IS NOT NULL)
+      ORDER BY days_used DESC, v.plate_number ASC
+    `, {
+      replacements: { startDate, endDate },
+      type: sequelize.QueryTypes.SELECT
+    });
+  }
+
+  /**
+   * Share of drivers with a delivery in the period (used before any vehicle is registered)
+   */
+  async calculateDriverUtilization(startDate, endDate) {
+    // Get unique drivers used during the period
+    const activeDriversResult = await sequelize.query(`
+      SELECT COUNT(DISTINCT dr.driver_id) as active_drivers
+      FROM driver_ratings dr
+      JOIN deliveries d ON dr.delivery_id = d.id
+      WHERE DATE(d.actual_pickup_datetime) BETWEEN :startDate AND :endDate
+    `, {
+      replacements: { startDate, endDate },
+      type: sequelize.QueryTypes.SELECT
+    });
+
+    // Get total available drivers
+    const totalDriversResult = await sequelize.query(`
+      SELECT COUNT(*) as total_drivers
+      FROM drivers
+    `, {
+      type: sequelize.QueryTypes.SELECT
+    });
+
+    const activeDrivers = activeDriversResult[0]?.active_drivers || 0;
+    const totalDrivers = totalDriversResult[0]?.total_drivers || 1;
+    const utilizationRate = (activeDrivers / totalDrivers) * 100;
+
+    return {
+      rate: utilizationRate,
+      basis: 'drivers',
+      activeDrivers,
+      totalDrivers
+    };
+  }
+
   /**
    * Calculate driver performance average
    */
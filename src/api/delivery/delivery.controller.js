@@ -1,17 +1,19 @@
 const deliveryService = require('./delivery.service');
 const driverService = require('../driver/driver.service');
-const { validateRequest, deliveryLoggingSchema, updateDeliverySchema, dateRangeSchema } = require('./delivery.validate');
+const requestLifecycle = require('../request/request.lifecycle');
+const config = require('../../config/config');
+const { validateRequest, deliveryLoggingSchema, updateDeliverySchema, confirmDeliverySchema, milestoneSchema, dateRangeSchema } = require('./delivery.validate');
 const { deliveryWithDriversSchema } = require('../driver/driver.validate');
 
 class DeliveryController {
 
   /**
    * Get all deliveries with pagination
-   * GET /api/deliveries?page=1&limit=10&startDate=2024-01-01&endDate=2024-01-31
+   * GET /api/deliveries?page=1&limit=10&startDate=2024-01-01&endDate=2024-01-31&requestId=12
    */
   async getAllDeliveries(req, res) {
     try {
-      const { page = 1, limit = 10, startDate, endDate } = req.query;
+      const { page = 1, limit = 10, startDate, endDate, requestId } = req.query;
       
       const options = {
         page: parseInt(page),
@@ -20,6 +22,7 @@ class DeliveryController {
 
       if (startDate) options.startDate = startDate;
       if (endDate) options.endDate = endDate;
+      if (requestId) options.requestId = parseInt(requestId);
 
       const result = await deliveryService.getAllDeliveries(options);
 
@@ -130,17 +133,51 @@ class DeliveryController {
         });
       }
 
-      if (error.message.includes('Only planned or processing requests')) {
+      if (error.message.includes('can have delivery logged')) {
         return res.status(400).json({
           success: false,
-          message: 'Only planned or processing requests can have delivery logged'
+          code: requestLifecycle.errorCode,
+          message: 'Only planned, processing or in-transit requests can have delivery logged'
         });
       }
 
-      if (error.message.includes('already exists')) {
+      if (error.message.includes('Delay reason required')) {
         return res.status(400).json({
           success: false,
-          message: 'Delivery already exists for this request'
+          message: 'Delay reason required',
+          error: error.message.replace(/^.*?(Delay reason required)/, '$1')
+        });
+      }
+
+      if (error.message.includes('already fully fulfilled')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Request is already fully fulfilled',
+          error: error.message.replace(/^.*?(Request is already fully fulfilled)/, '$1')
+        });
+      }
+
+      if (error.message.includes('Invalid transporterId')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid transporter',
+          error: error.message.replace(/^.*?(Invalid transporterId)/, '$1')
+        });
+      }
+
+      if (error.message.includes('Invalid vehicleIds')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid vehicles',
+          error: error.message.replace(/^.*?(Invalid vehicleIds)/, '$1')
+        });
+      }
+
+      if (error.message.includes('Invalid stopIds')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid stops',
+          error: error.message.replace(/^.*?(Invalid stopIds)/, '$1')
         });
       }
 
@@ -166,8 +203,17 @@ class DeliveryController {
         });
       }
 
-      
-      const result = await deliveryService.confirmDeliveryCompletion(requestId);
+
+      const validation = validateRequest(req.body || {}, confirmDeliverySchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const result = await deliveryService.confirmDeliveryCompletion(requestId, validation.data);
 
       res.json({
         success: true,
@@ -186,10 +232,43 @@ class DeliveryController {
         });
       }
 
-      if (error.message.includes('Only processing requests')) {
+      if (error.message.includes('not fully fulfilled')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Request is not fully fulfilled',
+          error: error.message
+        });
+      }
+
+      if (error.message.includes('Signature required')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Signature required',
+          error: error.message.replace(/^.*?: /, '')
+        });
+      }
+
+      if (error.message.includes('Proof of delivery required')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Proof of delivery required',
+          error: error.message.replace(/^.*?: /, '')
+        });
+      }
+
+      if (error.message.includes('No delivery logged')) {
+        return res.status(400).json({
+          success: false,
+          message: 'No delivery logged',
+          error: error.message.replace(/^.*?: /, '')
+        });
+      }
+
+      if (error.message.includes('can be confirmed as completed')) {
         return res.status(400).json({
           success: false,
-          message: 'Request is not in processing status',
+          code: requestLifecycle.errorCode,
+          message: 'Request is not in processing or in-transit status',
           error: error.message
         });
       }
@@ -243,19 +322,24 @@ class DeliveryController {
 
   /**
    * Get delivery for editing (simplified data without driver ratings)
-   * GET /api/deliveries/request/:requestId/edit
+   * GET /api/deliveries/request/:requestId/edit (the request's most recent delivery)
+   * GET /api/deliveries/:id/edit
    */
   async getDeliveryForEdit(req, res) {
+    const byDeliveryId = req.params.id !== undefined;
+
     try {
-      const requestId = parseInt(req.params.requestId);
-      if (isNaN(requestId)) {
+      const id = parseInt(byDeliveryId ? req.params.id : req.params.requestId);
+      if (isNaN(id)) {
         return res.status(400).json({
           success: false,
-          message: 'Invalid request ID'
+          message: byDeliveryId ? 'Invalid delivery ID' : 'Invalid request ID'
         });
       }
 
-      const delivery = await deliveryService.getDeliveryForEdit(requestId);
+      const delivery = byDeliveryId
+        ? await deliveryService.getDeliveryForEditById(id)
+        : await deliveryService.getDeliveryForEdit(id);
 
       res.json({
         success: true,
@@ -269,7 +353,7 @@ class DeliveryController {
       if (error.message.includes('not found')) {
         return res.status(404).json({
           success: false,
-          message: 'Delivery not found for this request'
+          message: byDeliveryId ? 'Delivery not found' : 'Delivery not found for this request'
         });
       }
 
@@ -283,15 +367,18 @@ class DeliveryController {
 
   /**
    * Update delivery and driver ratings with delete/update/create functionality
-   * PUT /api/deliveries/request/:requestId
+   * PUT /api/deliveries/request/:requestId (the request's most recent delivery)
+   * PUT /api/deliveries/:id
    */
   async updateDelivery(req, res) {
+    const byDeliveryId = req.params.id !== undefined;
+
     try {
-      const requestId = parseInt(req.params.requestId);
-      if (isNaN(requestId)) {
+      const id = parseInt(byDeliveryId ? req.params.id : req.params.requestId);
+      if (isNaN(id)) {
         return res.status(400).json({
           success: false,
-          message: 'Invalid request ID'
+          message: byDeliveryId ? 'Invalid delivery ID' : 'Invalid request ID'
         });
       }
 
@@ -306,7 +393,9 @@ class DeliveryController {
       }
 
       
-      const result = await deliveryService.updateDelivery(requestId, validation.data);
+      const result = byDeliveryId
+        ? await deliveryService.updateDeliveryById(id, validation.data)
+        : await deliveryService.updateDelivery(id, validation.data);
 
       res.json({
         success: true,
@@ -332,6 +421,30 @@ class DeliveryController {
         });
       }
 
+      if (error.message.includes('Invalid vehicleIds')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid vehicles',
+          error: error.message.replace(/^.*?(Invalid vehicleIds)/, '$1')
+        });
+      }
+
+      if (error.message.includes('Invalid stopIds')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid stops',
+          error: error.message.replace(/^.*?(Invalid stopIds)/, '$1')
+        });
+      }
+
+      if (error.message.includes('Delay reason required')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Delay reason required',
+          error: error.message.replace(/^.*?(Delay reason required)/, '$1')
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Failed to update delivery',
@@ -340,6 +453,102 @@ class DeliveryController {
     }
   }
 
+  /**
+   * Milestone timeline of a delivery
+   * GET /api/deliveries/:id/milestones
+   */
+  async getMilestones(req, res) {
+    try {
+      const deliveryId = parseInt(req.params.id);
+      if (isNaN(deliveryId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid delivery ID'
+        });
+      }
+
+      const timeline = await deliveryService.getMilestoneTimeline(deliveryId);
+
+      res.json({
+        success: true,
+        data: timeline
+      });
+
+    } catch (error) {
+      console.error('Get delivery milestones error:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Delivery not found'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get delivery milestones',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Record a delivery milestone (arrived at pickup, loaded, departed, arrived at destination, unloaded)
+   * POST /api/deliveries/:id/milestones
+   */
+  async recordMilestone(req, res) {
+    try {
+      const deliveryId = parseInt(req.params.id);
+      if (isNaN(deliveryId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid delivery ID'
+        });
+      }
+
+      const validation = validateRequest(req.body, milestoneSchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const result = await deliveryService.recordMilestone(deliveryId, validation.data);
+
+      res.status(result.created ? 201 : 200).json({
+        success: true,
+        data: result.timeline,
+        message: result.created ? 'Milestone recorded successfully' : 'Milestone updated successfully'
+      });
+
+    } catch (error) {
+      console.error('Record delivery milestone error:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Delivery not found'
+        });
+      }
+
+      if (error.message.includes('Invalid milestone order')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid milestone order',
+          error: error.message.replace(/^.*?(Invalid milestone order)/, '$1')
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to record milestone',
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Get delivery statistics
    * GET /api/deliveries/stats?startDate=2024-01-01&endDate=2024-01-31
@@ -373,6 +582,18 @@ class DeliveryController {
     }
   }
 
+  /**
+   * Delay reason codes accepted on late deliveries
+   * GET /api/deliveries/delay-reasons
+   */
+  async getDelayReasons(req, res) {
+    res.status(200).json({
+      success: true,
+      message: 'Delay reasons retrieved successfully',
+      data: config.delayReasons.codes
+    });
+  }
+
   /**
    * Health check for delivery APIs
    * GET /api/deliveries/health
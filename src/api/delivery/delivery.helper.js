@@ -1,4 +1,8 @@
+const crypto = require('crypto');
 const { Op } = require('sequelize');
+const config = require('../../config/config');
+const { MILESTONE_TYPES } = require('./delivery.model');
+const IncidentHelper = require('../incident/incident.helper');
 
 /**
  * Delivery Helper - Contains pure utility functions for delivery operations
@@ -6,6 +10,9 @@ const { Op } = require('sequelize');
  */
 class DeliveryHelper {
 
+  constructor() {
+    this.incidentHelper = new IncidentHelper();
+  }
 
   formatDeliveryResponse(delivery) {
     return {
@@ -15,11 +22,157 @@ class DeliveryHelper {
       actualTruckCount: delivery.actualTruckCount,
       invoiceAmount: delivery.invoiceAmount,
       deliveryNotes: delivery.deliveryNotes,
+      delayReasonCode: delivery.delayReasonCode,
       loggedBy: delivery.loggedBy,
-      loggedAt: delivery.loggedAt
+      loggedAt: delivery.loggedAt,
+      ...(delivery.Vehicles ? { vehicles: delivery.Vehicles.map(vehicle => this.formatVehicle(vehicle)) } : {}),
+      ...(delivery.Stops ? this.formatStopActuals(delivery.Stops) : {}),
+      ...(delivery.Milestones ? { milestones: this.sortMilestones(delivery.Milestones).map(milestone => this.formatMilestone(milestone)) } : {}),
+      ...(delivery.OpenIncidents ? { openIncidents: delivery.OpenIncidents.map(incident => this.incidentHelper.formatIncidentResponse(incident)) } : {}),
+      ...(delivery.Signature !== undefined ? { signature: delivery.Signature ? this.formatSignature(delivery.Signature) : null } : {})
+    };
+  }
+
+  /**
+   * Per-stop actuals (each loaded with its planned Stop) in route order, plus an on-time summary
+   */
+  formatStopActuals(actuals, graceMinutes = config.stops.onTimeGraceMinutes) {
+    const stops = actuals
+      .filter(actual => actual.Stop)
+      .sort((a, b) => a.Stop.sequence - b.Stop.sequence)
+      .map(actual => ({
+        stopId: actual.stopId,
+        sequence: actual.Stop.sequence,
+        type: actual.Stop.type,
+        address: actual.Stop.address,
+        windowStart: actual.Stop.windowStart,
+        windowEnd: actual.Stop.windowEnd,
+        actualArrivalAt: actual.actualArrivalAt,
+        actualDepartureAt: actual.actualDepartureAt,
+        notes: actual.notes,
+        ...this.evaluateStopArrival(actual.Stop, actual.actualArrivalAt, graceMinutes)
+      }));
+
+    const onTimeStops = stops.filter(stop => stop.onTime).length;
+
+    return {
+      stops,
+      stopPerformance: {
+        totalStops: stops.length,
+        onTimeStops,
+        onTimeRate: stops.length > 0 ? parseFloat(((onTimeStops / stops.length) * 100).toFixed(2)) : null
+      }
+    };
+  }
+
+  /**
+   * Arriving early counts as on time; late minutes are measured from the window end
+   */
+  evaluateStopArrival(stop, actualArrivalAt, graceMinutes) {
+    const minutesAfterWindow = Math.round((new Date(actualArrivalAt) - new Date(stop.windowEnd)) / (1000 * 60));
+
+    return {
+      onTime: minutesAfterWindow <= graceMinutes,
+      minutesLate: Math.max(0, minutesAfterWindow)
+    };
+  }
+
+  formatMilestone(milestone) {
+    return {
+      id: milestone.id,
+      type: milestone.type,
+      occurredAt: milestone.occurredAt,
+      notes: milestone.notes,
+      recordedBy: milestone.recordedBy
+    };
+  }
+
+  sortMilestones(milestones) {
+    return [...milestones].sort((a, b) => MILESTONE_TYPES.indexOf(a.type) - MILESTONE_TYPES.indexOf(b.type));
+  }
+
+  /**
+   * A milestone may not be earlier than any recorded milestone that comes before it,
+   * nor later than one that comes after it. Returns the first milestone it clashes with.
+   */
+  findMilestoneOrderConflict(milestones, type, occurredAt) {
+    const position = MILESTONE_TYPES.indexOf(type);
+    const time = new Date(occurredAt).getTime();
+
+    return milestones.find(milestone => {
+      const otherPosition = MILESTONE_TYPES.indexOf(milestone.type);
+      const otherTime = new Date(milestone.occurredAt).getTime();
+
+      return (otherPosition < position && otherTime > time) ||
+        (otherPosition > position && otherTime < time);
+    }) || null;
+  }
+
+  /**
+   * Milestones in delivery order, the one expected after the furthest recorded,
+   * and the arrival at the destination judged against the request's expected arrival
+   */
+  formatMilestoneTimeline(delivery, request, graceMinutes = config.milestones.arrivalGraceMinutes) {
+    const milestones = this.sortMilestones(delivery.Milestones || []);
+    const latest = milestones.length > 0 ? MILESTONE_TYPES.indexOf(milestones[milestones.length - 1].type) : -1;
+    const arrived = milestones.find(milestone => milestone.type === 'arrived_at_destination');
+
+    return {
+      deliveryId: delivery.id,
+      requestId: delivery.requestId,
+      milestones: milestones.map(milestone => this.formatMilestone(milestone)),
+      nextMilestone: MILESTONE_TYPES[latest + 1] || null,
+      arrival: this.evaluateArrival(
+        request ? request.getExpectedArrival() : null,
+        arrived ? arrived.occurredAt : null,
+        graceMinutes
+      )
+    };
+  }
+
+  evaluateArrival(expectedArrivalAt, actualArrivalAt, graceMinutes) {
+    if (!expectedArrivalAt || !actualArrivalAt) {
+      return { expectedArrivalAt, actualArrivalAt, onTime: null, minutesLate: null };
+    }
+
+    const minutesAfterExpected = Math.round((new Date(actualArrivalAt) - new Date(expectedArrivalAt)) / (1000 * 60));
+
+    return {
+      expectedArrivalAt,
+      actualArrivalAt,
+      onTime: minutesAfterExpected <= graceMinutes,
+      minutesLate: Math.max(0, minutesAfterExpected)
+    };
+  }
+
+  buildStopActualRecords(deliveryId, stops) {
+    return stops.map(stop => ({
+      deliveryId,
+      stopId: stop.stopId,
+      actualArrivalAt: stop.actualArrivalAt,
+      actualDepartureAt: stop.actualDepartureAt || null,
+      notes: stop.notes || null
+    }));
+  }
+
+  formatVehicle(vehicle) {
+    return {
+      id: vehicle.id,
+      plateNumber: vehicle.plateNumber,
+      truckType: vehicle.truckType,
+      ownership: vehicle.ownership
     };
   }
 
+  /**
+   * Minutes the actual pickup ran past the planned one (any lateness counts, as in
+   * the on-time delivery KPI); 0 when on time
+   */
+  getPickupDelayMinutes(plannedPickup, actualPickup) {
+    const delayMs = new Date(actualPickup) - new Date(plannedPickup);
+    return delayMs > 0 ? Math.ceil(delayMs / (60 * 1000)) : 0;
+  }
+
   formatDeliveryForEdit(delivery) {
     return {
       delivery: {
@@ -29,8 +182,16 @@ class DeliveryHelper {
         actualTruckCount: delivery.actualTruckCount,
         invoiceAmount: delivery.invoiceAmount,
         deliveryNotes: delivery.deliveryNotes,
+        delayReasonCode: delivery.delayReasonCode,
         loggedAt: delivery.loggedAt
       },
+      vehicleIds: delivery.Vehicles ? delivery.Vehicles.map(vehicle => vehicle.id) : [],
+      stops: delivery.Stops ? delivery.Stops.map(actual => ({
+        stopId: actual.stopId,
+        actualArrivalAt: actual.actualArrivalAt,
+        actualDepartureAt: actual.actualDepartureAt,
+        notes: actual.notes
+      })) : [],
       drivers: delivery.DriverRatings ? delivery.DriverRatings.map(rating => ({
         ratingId: rating.id,
         driver: {
@@ -172,20 +333,126 @@ class DeliveryHelper {
   }
 
 
-  formatDeliverySuccessResponse(delivery, drivers) {
+  formatDeliverySuccessResponse(delivery, drivers, vehicles = [], fulfillment = null) {
     return {
       delivery,
-      drivers
+      drivers,
+      vehicles,
+      fulfillment
     };
   }
 
 
-  formatDeliveryConfirmationResponse(requestId, status) {
+  formatDeliveryConfirmationResponse(requestId, status, fulfillment = null, signature = null) {
     return {
       success: true,
-      message: 'Delivery confirmed as completed',
+      message: fulfillment && fulfillment.closedShort
+        ? 'Delivery closed short and confirmed as completed'
+        : 'Delivery confirmed as completed',
       requestId: requestId,
-      status: status
+      status: status,
+      fulfillment,
+      ...(signature ? { signature: this.formatSignature(signature) } : {})
+    };
+  }
+
+  /**
+   * Why the request needs a signed confirmation (its truck type or urgency is
+   * configured to require one), or null
+   */
+  getSignatureRequirement(request, { requiredTruckTypes, requiredUrgencyLevels } = config.signatures) {
+    if (requiredTruckTypes.includes(request.truckType)) {
+      return `${request.truckType} requests must be confirmed with a signature`;
+    }
+
+    if (requiredUrgencyLevels.includes(request.urgencyLevel)) {
+      return `${request.urgencyLevel} urgency requests must be confirmed with a signature`;
+    }
+
+    return null;
+  }
+
+  /**
+   * DeliverySignature fields for a validated signature payload, sealed with their hash.
+   * signedAt is cut to whole seconds, as the database stores it, so the hash still
+   * matches when the record is read back.
+   */
+  buildSignatureRecord(requestId, deliveryId, signature) {
+    const { position } = signature;
+    const round = (value, digits) => parseFloat(value.toFixed(digits));
+    const signedAt = new Date(signature.signedAt);
+    signedAt.setMilliseconds(0);
+
+    const record = {
+      requestId,
+      deliveryId,
+      signerName: signature.signerName,
+      signerRole: signature.signerRole,
+      signedAt,
+      signatureType: signature.signatureType,
+      signatureData: signature.signatureType === 'vector'
+        ? JSON.stringify(signature.signatureData)
+        : signature.signatureData,
+      // Rounded here to the column precision so the database stores exactly what was hashed
+      latitude: position ? round(position.latitude, 6) : null,
+      longitude: position ? round(position.longitude, 6) : null,
+      accuracyMeters: position && position.accuracyMeters !== undefined
+        ? round(position.accuracyMeters, 2)
+        : null
+    };
+
+    return { ...record, contentHash: this.computeSignatureHash(record) };
+  }
+
+  /**
+   * SHA-256 over the signed fields in a fixed order, with numbers at the
+   * precision they are stored with
+   */
+  computeSignatureHash(signature) {
+    const fixed = (value, digits) => (value === null || value === undefined ? null : parseFloat(value).toFixed(digits));
+
+    const canonical = JSON.stringify([
+      signature.requestId,
+      signature.deliveryId,
+      signature.signerName,
+      signature.signerRole,
+      new Date(signature.signedAt).toISOString(),
+      signature.signatureType,
+      signature.signatureData,
+      fixed(signature.latitude, 6),
+      fixed(signature.longitude, 6),
+      fixed(signature.accuracyMeters, 2)
+    ]);
+
+    return crypto.createHash('sha256').update(canonical).digest('hex');
+  }
+
+  /**
+   * verified is false when the stored fields no longer match the hash taken at signing
+   */
+  formatSignature(signature) {
+    return {
+      id: signature.id,
+      requestId: signature.requestId,
+      deliveryId: signature.deliveryId,
+      signerName: signature.signerName,
+      signerRole: signature.signerRole,
+      signedAt: signature.signedAt,
+      signatureType: signature.signatureType,
+      signatureData: signature.signatureType === 'vector'
+        ? JSON.parse(signature.signatureData)
+        : signature.signatureData,
+      position: signature.latitude !== null && signature.latitude !== undefined
+        ? {
+          latitude: parseFloat(signature.latitude),
+          longitude: parseFloat(signature.longitude),
+          accuracyMeters: signature.accuracyMeters !== null && signature.accuracyMeters !== undefined
+            ? parseFloat(signature.accuracyMeters)
+            : null
+        }
+        : null,
+      contentHash: signature.contentHash,
+      verified: this.computeSignatureHash(signature) === signature.contentHash
     };
   }
 }
@@ -40,6 +40,12 @@ const Delivery = sequelize.define('Delivery', {
     allowNull: true,
     field: 'delivery_notes'
   },
+  // Why the pickup ran late; one of config.delayReasons.codes
+  delayReasonCode: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'delay_reason_code'
+  },
   loggedBy: {
     type: DataTypes.STRING(255),
     allowNull: false,
@@ -158,7 +164,222 @@ const DriverRating = sequelize.define('DriverRating', {
   ]
 });
 
+/**
+ * Delivery Stop Model
+ * Actual arrival and departure at each stop of a multi-stop request
+ */
+const DeliveryStop = sequelize.define('DeliveryStop', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  deliveryId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'delivery_id',
+    references: {
+      model: 'deliveries',
+      key: 'id'
+    }
+  },
+  stopId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'stop_id',
+    references: {
+      model: 'request_stops',
+      key: 'id'
+    }
+  },
+  actualArrivalAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'actual_arrival_at'
+  },
+  actualDepartureAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'actual_departure_at'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'delivery_stops',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['delivery_id', 'stop_id']
+    }
+  ]
+});
+
+// Milestones in the order they happen on a delivery
+const MILESTONE_TYPES = ['arrived_at_pickup', 'loaded', 'departed', 'arrived_at_destination', 'unloaded'];
+
+/**
+ * Delivery Milestone Model
+ * Timestamped progress events posted while a delivery is under way (one per type)
+ */
+const DeliveryMilestone = sequelize.define('DeliveryMilestone', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  deliveryId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'delivery_id',
+    references: {
+      model: 'deliveries',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM(...MILESTONE_TYPES),
+    allowNull: false
+  },
+  occurredAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'occurred_at'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  recordedBy: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    defaultValue: 'System',
+    field: 'recorded_by'
+  }
+}, {
+  tableName: 'delivery_milestones',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['delivery_id', 'type']
+    }
+  ]
+});
+
+const SIGNATURE_TYPES = ['image', 'vector'];
+
+const rejectSignatureChange = () => {
+  throw new Error('Delivery signatures are immutable');
+};
+
+/**
+ * Delivery Signature Model
+ * The receiver's signed confirmation captured when a request is confirmed as
+ * completed, kept against its latest delivery. Written once: contentHash seals
+ * the signed fields, and updates and deletes are refused.
+ */
+const DeliverySignature = sequelize.define('DeliverySignature', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  requestId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    field: 'request_id',
+    references: {
+      model: 'transportation_requests',
+      key: 'id'
+    }
+  },
+  deliveryId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'delivery_id',
+    references: {
+      model: 'deliveries',
+      key: 'id'
+    }
+  },
+  signerName: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    field: 'signer_name'
+  },
+  signerRole: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    field: 'signer_role'
+  },
+  signedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'signed_at'
+  },
+  // image: a PNG/JPEG/SVG data URL; vector: the captured strokes as JSON
+  signatureType: {
+    type: DataTypes.ENUM(...SIGNATURE_TYPES),
+    allowNull: false,
+    field: 'signature_type'
+  },
+  signatureData: {
+    type: DataTypes.TEXT('medium'),
+    allowNull: false,
+    field: 'signature_data'
+  },
+  // Where the signature was captured, when the device shared it
+  latitude: {
+    type: DataTypes.DECIMAL(9, 6),
+    allowNull: true
+  },
+  longitude: {
+    type: DataTypes.DECIMAL(9, 6),
+    allowNull: true
+  },
+  accuracyMeters: {
+    type: DataTypes.DECIMAL(8, 2),
+    allowNull: true,
+    field: 'accuracy_meters'
+  },
+  // SHA-256 over the signed fields (DeliveryHelper.computeSignatureHash)
+  contentHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    field: 'content_hash'
+  }
+}, {
+  tableName: 'delivery_signatures',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['delivery_id']
+    }
+  ],
+  hooks: {
+    beforeUpdate: rejectSignatureChange,
+    beforeBulkUpdate: rejectSignatureChange,
+    beforeDestroy: rejectSignatureChange,
+    beforeBulkDestroy: rejectSignatureChange
+  }
+});
+
 module.exports = {
+  MILESTONE_TYPES,
+  SIGNATURE_TYPES,
   Delivery,
-  DriverRating
+  DriverRating,
+  DeliveryStop,
+  DeliveryMilestone,
+  DeliverySignature
 };
\ No newline at end of file
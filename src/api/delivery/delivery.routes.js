@@ -1,6 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const deliveryController = require('./delivery.controller');
+const exportController = require('../export/export.controller');
+const assignmentController = require('../assignment/assignment.controller');
+const trackingController = require('../tracking/tracking.controller');
+const attachmentController = require('../attachment/attachment.controller');
+const { uploadAttachmentFile } = require('../attachment/attachment.upload');
 
 // ============================================================================
 // DELIVERY LOGGING ROUTES
@@ -13,7 +18,9 @@ const deliveryController = require('./delivery.controller');
 router.post('/:requestId/log', deliveryController.logDeliveryWithDrivers);
 
 /**
- * Confirm delivery completion (processing -> completed status)
+ * Confirm delivery completion (processing -> completed status); a partially
+ * fulfilled request needs { closeShort: true, reason }. Optionally signed by
+ * the receiver with { signature }
  * POST /api/deliveries/:requestId/confirm
  */
 router.post('/:requestId/confirm', deliveryController.confirmDeliveryCompletion);
@@ -24,10 +31,22 @@ router.post('/:requestId/confirm', deliveryController.confirmDeliveryCompletion)
 
 /**
  * List all deliveries with pagination
- * GET /api/deliveries?page=1&limit=10&startDate=2024-01-01&endDate=2024-01-31
+ * GET /api/deliveries?page=1&limit=10&startDate=2024-01-01&endDate=2024-01-31&requestId=12
  */
 router.get('/', deliveryController.getAllDeliveries);
 
+/**
+ * Export deliveries (same date filters as the list) as CSV or XLSX
+ * GET /api/deliveries/export?format=xlsx&startDate=2024-01-01&endDate=2024-01-31
+ */
+router.get('/export', exportController.exportDeliveries);
+
+/**
+ * Export driver ratings as CSV or XLSX
+ * GET /api/deliveries/ratings/export?format=csv&driverId=3&startDate=2024-01-01&endDate=2024-01-31
+ */
+router.get('/ratings/export', exportController.exportRatings);
+
 /**
  * Get delivery by ID
  * GET /api/deliveries/:id
@@ -35,7 +54,41 @@ router.get('/', deliveryController.getAllDeliveries);
 router.get('/:id(\\d+)', deliveryController.getDeliveryById);
 
 /**
- * Get delivery by request ID (full data with driver ratings)
+ * Get a specific delivery for editing (requests fulfilled in waves have several)
+ * GET /api/deliveries/:id/edit
+ */
+router.get('/:id(\\d+)/edit', deliveryController.getDeliveryForEdit);
+
+/**
+ * Update a specific delivery
+ * PUT /api/deliveries/:id
+ */
+router.put('/:id(\\d+)', deliveryController.updateDelivery);
+
+/**
+ * Delivery milestone timeline, and posting milestones as they happen
+ * GET /api/deliveries/:id/milestones
+ * POST /api/deliveries/:id/milestones
+ */
+router.get('/:id(\\d+)/milestones', deliveryController.getMilestones);
+router.post('/:id(\\d+)/milestones', deliveryController.recordMilestone);
+
+/**
+ * Live track: path travelled as GeoJSON plus the last known position
+ * GET /api/deliveries/:id/track?since=2024-01-01T08:00:00Z
+ */
+router.get('/:id(\\d+)/track', trackingController.getDeliveryTrack);
+
+/**
+ * Attachments (signed POD, photos, invoices, bills of lading); upload is multipart with a "file" field
+ * GET /api/deliveries/:id/attachments?category=pod
+ * POST /api/deliveries/:id/attachments
+ */
+router.get('/:id(\\d+)/attachments', attachmentController.getDeliveryAttachments);
+router.post('/:id(\\d+)/attachments', uploadAttachmentFile, attachmentController.uploadDeliveryAttachment);
+
+/**
+ * Get the request's most recent delivery (full data with driver ratings)
  * GET /api/deliveries/request/:requestId
  */
 router.get('/request/:requestId', deliveryController.getDeliveryByRequestId);
@@ -47,11 +100,23 @@ router.get('/request/:requestId', deliveryController.getDeliveryByRequestId);
 router.get('/request/:requestId/edit', deliveryController.getDeliveryForEdit);
 
 /**
- * Update delivery
+ * Delivery logging payload pre-filled from the request's planned driver assignments
+ * GET /api/deliveries/request/:requestId/draft
+ */
+router.get('/request/:requestId/draft', assignmentController.getDeliveryDraft);
+
+/**
+ * Update the request's most recent delivery
  * PUT /api/deliveries/request/:requestId
  */
 router.put('/request/:requestId', deliveryController.updateDelivery);
 
+/**
+ * Delay reason codes accepted on late deliveries
+ * GET /api/deliveries/delay-reasons
+ */
+router.get('/delay-reasons', deliveryController.getDelayReasons);
+
 /**
  * Get delivery statistics
  * GET /api/deliveries/stats?startDate=2024-01-01&endDate=2024-01-31
@@ -121,9 +186,22 @@ router.use('*', (req, res) => {
     message: 'Delivery endpoint not found',
     availableEndpoints: [
       'POST /api/deliveries/:requestId/log - Log delivery with drivers',
-      'POST /api/deliveries/:requestId/confirm - Confirm delivery completion',
-      'GET /api/deliveries/request/:requestId - Get delivery by request ID',
+      'POST /api/deliveries/:requestId/confirm - Confirm delivery completion (closeShort with a reason for partial fulfillment; optional signature; may require a pod attachment or signature)',
+      'GET /api/deliveries - List deliveries (filter by date range or requestId)',
+      'GET /api/deliveries/:id - Get delivery by ID (with open incidents)',
+      'GET /api/deliveries/:id/edit - Get delivery for editing',
+      'PUT /api/deliveries/:id - Update delivery',
+      'GET /api/deliveries/:id/milestones - Delivery milestone timeline',
+      'POST /api/deliveries/:id/milestones - Record a delivery milestone',
+      'GET /api/deliveries/:id/track - Delivery path (GeoJSON) and last known position',
+      'GET /api/deliveries/:id/attachments - Delivery attachments (filter by category)',
+      'POST /api/deliveries/:id/attachments - Upload an attachment (multipart "file", category)',
+      'GET /api/deliveries/request/:requestId - Get the request\'s most recent delivery',
+      'GET /api/deliveries/request/:requestId/draft - Delivery payload pre-filled from assignments',
+      'GET /api/deliveries/delay-reasons - Delay reason codes for late deliveries',
       'GET /api/deliveries/stats - Get delivery statistics',
+      'GET /api/deliveries/export - Export deliveries as CSV/XLSX',
+      'GET /api/deliveries/ratings/export - Export driver ratings as CSV/XLSX',
       'GET /api/deliveries/health - Health check'
     ]
   });
@@ -1,8 +1,56 @@
 const { sequelize, Transaction, Op } = require('../../config/db');
-const { TransportationRequest } = require('../request/request.model');
+const { TransportationRequest, RequestStop } = require('../request/request.model');
 const { Driver } = require('../driver/driver.model');
-const { Delivery, DriverRating } = require('./delivery.model');
+const { Delivery, DriverRating, DeliveryStop, DeliveryMilestone, DeliverySignature } = require('./delivery.model');
 const DeliveryHelper = require('./delivery.helper');
+const requestLifecycle = require('../request/request.lifecycle');
+const transporterService = require('../transporter/transporter.service');
+const assignmentService = require('../assignment/assignment.service');
+const vehicleService = require('../vehicle/vehicle.service');
+const { Vehicle } = require('../vehicle/vehicle.model');
+const { Incident } = require('../incident/incident.model');
+const attachmentService = require('../attachment/attachment.service');
+const config = require('../../config/config');
+
+const VEHICLES_INCLUDE = {
+  model: Vehicle,
+  as: 'Vehicles',
+  attributes: ['id', 'plateNumber', 'truckType', 'ownership'],
+  through: { attributes: [] },
+  paranoid: false
+};
+
+// Request-scoped delivery endpoints act on the most recent delivery
+const LATEST_FIRST = [['actualPickupDateTime', 'DESC'], ['id', 'DESC']];
+
+const STOPS_INCLUDE = {
+  model: DeliveryStop,
+  as: 'Stops',
+  include: [{ model: RequestStop, as: 'Stop' }]
+};
+
+const MILESTONES_INCLUDE = {
+  model: DeliveryMilestone,
+  as: 'Milestones'
+};
+
+const SIGNATURE_INCLUDE = {
+  model: DeliverySignature,
+  as: 'Signature'
+};
+
+// Incidents still open or under investigation
+const OPEN_INCIDENTS_INCLUDE = {
+  model: Incident,
+  as: 'OpenIncidents',
+  include: [{
+    model: Driver,
+    as: 'Drivers',
+    attributes: ['id', 'name', 'type'],
+    through: { attributes: [] },
+    paranoid: false
+  }]
+};
 
 class DeliveryService {
 
@@ -15,10 +63,13 @@ class DeliveryService {
    */
   async getAllDeliveries(options = {}) {
     try {
-      const { page = 1, limit = 10, startDate, endDate } = options;
+      const { page = 1, limit = 10, startDate, endDate, requestId } = options;
       const offset = (page - 1) * limit;
 
       const whereClause = this.deliveryHelper.buildDateRangeFilter(startDate, endDate);
+      if (requestId) {
+        whereClause.requestId = requestId;
+      }
 
       const result = await Delivery.findAndCountAll({
         where: whereClause,
@@ -27,11 +78,17 @@ class DeliveryService {
             model: TransportationRequest,
             as: 'TransportationRequest',
             attributes: ['id', 'requestNumber', 'origin', 'destination']
+          },
+          {
+            model: Incident,
+            as: 'OpenIncidents',
+            attributes: ['id', 'type', 'severity', 'status']
           }
         ],
         order: [['actualPickupDateTime', 'DESC']],
         limit: parseInt(limit),
-        offset: offset
+        offset: offset,
+        distinct: true
       });
 
       return this.deliveryHelper.formatPaginationResponse(result, page, limit);
@@ -60,7 +117,12 @@ class DeliveryService {
               as: 'Driver',
               attributes: ['id', 'name', 'type', 'transportCompany']
             }]
-          }
+          },
+          VEHICLES_INCLUDE,
+          STOPS_INCLUDE,
+          MILESTONES_INCLUDE,
+          OPEN_INCIDENTS_INCLUDE,
+          SIGNATURE_INCLUDE
         ]
       });
 
@@ -95,39 +157,40 @@ class DeliveryService {
           throw new Error('Request not found');
         }
 
-        if (request.status !== 'planned' && request.status !== 'processing') {
-          throw new Error('Only planned or processing requests can have delivery logged');
+        const underway = ['processing', 'in_transit'].includes(request.status);
+        if (!underway && !requestLifecycle.canTransition(request.status, 'processing')) {
+          throw new Error(`Only planned, processing or in-transit requests can have delivery logged (current status: ${request.status})`);
         }
 
-        // Check if delivery already exists (for re-logging scenarios)
-        let delivery = await Delivery.findOne({
-          where: { requestId },
-          transaction
-        });
-
-        if (delivery && request.status === 'processing') {
-          // Re-logging scenario: delete existing delivery and create new one
-          await delivery.destroy({ transaction });
-          
-          // Also clean up existing driver ratings for this delivery
-          await DriverRating.destroy({
-            where: { deliveryId: delivery.id },
-            transaction
-          });
-        } else if (delivery) {
-          throw new Error('Delivery already exists for this request');
+        // Each log adds a delivery wave until every requested truck has been delivered
+        if (request.isFullyFulfilled()) {
+          throw new Error(`Request is already fully fulfilled (${request.fulfilledTruckCount} of ${request.truckCount} trucks delivered)`);
         }
 
-        // Create new delivery record
-        delivery = await Delivery.create({
+        await this.checkDelayReason(request, deliveryData, transaction);
+
+        const delivery = await Delivery.create({
           requestId,
           actualPickupDateTime: deliveryData.actualPickupDateTime,
           actualTruckCount: deliveryData.actualTruckCount,
           invoiceAmount: deliveryData.invoiceAmount,
           deliveryNotes: deliveryData.deliveryNotes,
+          delayReasonCode: deliveryData.delayReasonCode,
           loggedBy: 'System'
         }, { transaction });
 
+        const vehicles = deliveryData.vehicleIds
+          ? await vehicleService.setDeliveryVehicles(delivery.id, deliveryData.vehicleIds, {
+            actualTruckCount: deliveryData.actualTruckCount,
+            truckType: request.truckType,
+            transaction
+          })
+          : [];
+
+        if (deliveryData.stops) {
+          delivery.Stops = await this.recordStopActuals(delivery.id, requestId, deliveryData.stops, transaction);
+        }
+
         const processedDrivers = [];
         const driverUpdates = []; // Store driver updates for batch processing
 
@@ -155,10 +218,16 @@ class DeliveryService {
             }
           } else {
             // Create new driver (detailed format)
+            const transporterFields = await transporterService.resolveDriverTransporter({
+              transporterId: driverData.transporterId,
+              transportCompany: driverData.transportCompany
+            }, { transaction });
+
             driver = await Driver.create({
               name: driverData.name,
               type: driverData.type,
-              transportCompany: driverData.transportCompany,
+              transporterId: transporterFields.transporterId,
+              transportCompany: transporterFields.transportCompany,
               phone: driverData.phone,
               licenseNumber: driverData.licenseNumber,
               employeeId: driverData.employeeId,
@@ -193,8 +262,25 @@ class DeliveryService {
           processedDrivers.push(driverService.driverHelper.formatDriverResponse(driver));
         }
 
-        // Update request status to processing (intermediate state)
-        await request.update({ status: 'processing' }, { transaction });
+        await assignmentService.completeForDelivery(
+          request.id,
+          processedDrivers.map(driver => driver.id),
+          transaction
+        );
+
+        await this.refreshFulfillment(request, transaction);
+
+        if (request.isFullyFulfilled()) {
+          await assignmentService.releaseRemaining(request.id, transaction);
+        }
+
+        // Update request status to processing (intermediate state); a later wave leaves an in-transit request as it is
+        if (!underway) {
+          await requestLifecycle.transition(request, 'processing', {
+            reason: 'Delivery logged',
+            transaction
+          });
+        }
         
         // Commit main transaction first
         await transaction.commit();
@@ -220,7 +306,9 @@ class DeliveryService {
 
         return this.deliveryHelper.formatDeliverySuccessResponse(
           this.deliveryHelper.formatDeliveryResponse(delivery),
-          processedDrivers
+          processedDrivers,
+          vehicles.map(vehicle => this.deliveryHelper.formatVehicle(vehicle)),
+          request.getFulfillment()
         );
 
       } catch (error) {
@@ -248,8 +336,14 @@ class DeliveryService {
     throw new Error('Failed to log delivery: Maximum retry attempts exceeded due to database locks');
   }
 
-  
-  async confirmDeliveryCompletion(requestId) {
+  /**
+   * Complete the request once every requested truck is delivered. A partially
+   * fulfilled request can only be completed by closing it short with a reason.
+   * With ATTACHMENT_REQUIRE_POD a signed proof of delivery must be attached first.
+   * A signature, when given, is stored against the latest delivery; the truck
+   * types and urgency levels in config.signatures cannot be confirmed without one.
+   */
+  async confirmDeliveryCompletion(requestId, { closeShort = false, reason, changedBy, signature } = {}) {
     const transaction = await sequelize.transaction();
     
     try {
@@ -262,16 +356,60 @@ class DeliveryService {
         throw new Error('Request not found');
       }
 
-      if (request.status !== 'processing') {
-        throw new Error('Only processing requests can be confirmed as completed');
+      if (!requestLifecycle.canTransition(request.status, 'completed')) {
+        throw new Error(`Only processing or in-transit requests can be confirmed as completed (current status: ${request.status})`);
+      }
+
+      // A request can reach processing by a manual status change, without a delivery to sign or close out
+      const latestDelivery = await Delivery.findOne({
+        where: { requestId: request.id },
+        attributes: ['id'],
+        order: LATEST_FIRST,
+        transaction
+      });
+
+      if (!latestDelivery) {
+        throw new Error('No delivery logged: log at least one delivery before confirming completion');
+      }
+
+      const shortClosing = !request.isFullyFulfilled();
+
+      if (shortClosing && !closeShort) {
+        throw new Error(`Request is not fully fulfilled (${request.fulfilledTruckCount} of ${request.truckCount} trucks delivered); close it short to complete it`);
+      }
+
+      if (config.attachments.requirePodForCompletion && !(await attachmentService.hasProofOfDelivery(request.id, transaction))) {
+        throw new Error('Proof of delivery required: attach a pod to the request or one of its deliveries before confirming completion');
+      }
+
+      const signatureRequirement = this.deliveryHelper.getSignatureRequirement(request);
+      if (signatureRequirement && !signature) {
+        throw new Error(`Signature required: ${signatureRequirement}`);
+      }
+
+      let signatureRecord = null;
+      if (signature) {
+        signatureRecord = await DeliverySignature.create(
+          this.deliveryHelper.buildSignatureRecord(request.id, latestDelivery.id, signature),
+          { transaction }
+        );
+      }
+
+      if (shortClosing) {
+        await request.update({ closedShort: true, closedShortReason: reason }, { transaction });
+        await assignmentService.releaseRemaining(request.id, transaction);
       }
 
       // Update status to completed
-      await request.update({ status: 'completed' }, { transaction });
+      await requestLifecycle.transition(request, 'completed', {
+        changedBy,
+        reason: shortClosing ? `Closed short: ${reason}` : 'Delivery confirmed',
+        transaction
+      });
       
       await transaction.commit();
       
-      return this.deliveryHelper.formatDeliveryConfirmationResponse(requestId, 'completed');
+      return this.deliveryHelper.formatDeliveryConfirmationResponse(requestId, 'completed', request.getFulfillment(), signatureRecord);
       
     } catch (error) {
       await transaction.rollback();
@@ -283,6 +421,9 @@ class DeliveryService {
 
 
 
+  /**
+   * Most recent delivery of the request (requests fulfilled in waves have several)
+   */
   async getDeliveryByRequestId(requestId) {
     try {
       const delivery = await Delivery.findOne({
@@ -294,7 +435,8 @@ class DeliveryService {
             model: Driver,
             as: 'Driver'
           }]
-        }]
+        }, VEHICLES_INCLUDE, STOPS_INCLUDE, MILESTONES_INCLUDE, OPEN_INCIDENTS_INCLUDE, SIGNATURE_INCLUDE],
+        order: LATEST_FIRST
       });
 
       if (!delivery) {
@@ -307,11 +449,19 @@ class DeliveryService {
     }
   }
 
-  // Get delivery with driver ratings for editing
+  // Get delivery with driver ratings for editing (the request's most recent delivery)
   async getDeliveryForEdit(requestId) {
+    return this.findDeliveryForEdit({ requestId });
+  }
+
+  async getDeliveryForEditById(deliveryId) {
+    return this.findDeliveryForEdit({ id: deliveryId });
+  }
+
+  async findDeliveryForEdit(where) {
     try {
       const delivery = await Delivery.findOne({
-        where: { requestId },
+        where,
         include: [{
           model: DriverRating,
           as: 'DriverRatings',
@@ -320,11 +470,12 @@ class DeliveryService {
             as: 'Driver',
             attributes: ['id', 'name', 'type', 'transportCompany']
           }]
-        }]
+        }, VEHICLES_INCLUDE, STOPS_INCLUDE],
+        order: LATEST_FIRST
       });
 
       if (!delivery) {
-        throw new Error('Delivery not found for this request');
+        throw new Error('Delivery not found');
       }
 
       // Format for easy editing
@@ -334,18 +485,29 @@ class DeliveryService {
     }
   }
 
-  // Update delivery and driver ratings with delete functionality
+  // Update the request's most recent delivery
   async updateDelivery(requestId, updateData) {
+    return this.applyDeliveryUpdate({ requestId }, updateData);
+  }
+
+  async updateDeliveryById(deliveryId, updateData) {
+    return this.applyDeliveryUpdate({ id: deliveryId }, updateData);
+  }
+
+  // Update delivery and driver ratings with delete functionality
+  async applyDeliveryUpdate(where, updateData) {
     const transaction = await sequelize.transaction();
+    let delivery;
     
     try {
-      const delivery = await Delivery.findOne({
-        where: { requestId },
+      delivery = await Delivery.findOne({
+        where,
+        order: LATEST_FIRST,
         transaction
       });
 
       if (!delivery) {
-        throw new Error('Delivery not found for this request');
+        throw new Error('Delivery not found');
       }
 
       // Update delivery data
@@ -354,8 +516,26 @@ class DeliveryService {
           actualPickupDateTime: updateData.delivery.actualPickupDateTime,
           actualTruckCount: updateData.delivery.actualTruckCount,
           invoiceAmount: updateData.delivery.invoiceAmount,
-          deliveryNotes: updateData.delivery.deliveryNotes
+          deliveryNotes: updateData.delivery.deliveryNotes,
+          delayReasonCode: updateData.delivery.delayReasonCode
         }, { transaction });
+
+        // Moving the pickup or clearing the code must still leave a late first wave with a reason
+        const request = await TransportationRequest.findByPk(delivery.requestId, { transaction });
+        await this.checkDelayReason(request, delivery, transaction);
+      }
+
+      if (updateData.vehicleIds) {
+        const request = await TransportationRequest.findByPk(delivery.requestId, { attributes: ['truckType'], transaction });
+        await vehicleService.setDeliveryVehicles(delivery.id, updateData.vehicleIds, {
+          actualTruckCount: delivery.actualTruckCount,
+          truckType: request.truckType,
+          transaction
+        });
+      }
+
+      if (updateData.stops) {
+        await this.recordStopActuals(delivery.id, delivery.requestId, updateData.stops, transaction);
       }
 
       // Handle driver ratings with delete/update/create functionality
@@ -422,17 +602,183 @@ class DeliveryService {
         }
       }
 
+      if (updateData.delivery && updateData.delivery.actualTruckCount !== undefined) {
+        const request = await TransportationRequest.findByPk(delivery.requestId, { transaction, lock: true });
+        await this.refreshFulfillment(request, transaction);
+      }
+
       await transaction.commit();
-      
-      return {
-        success: true,
-        message: 'Delivery and driver ratings updated successfully',
-        data: await this.getDeliveryForEdit(requestId)
-      };
     } catch (error) {
       await transaction.rollback();
       throw new Error(`Failed to update delivery: ${error.message}`);
     }
+
+    return {
+      success: true,
+      message: 'Delivery and driver ratings updated successfully',
+      data: await this.getDeliveryForEditById(delivery.id)
+    };
+  }
+
+  /**
+   * A first wave picked up after the request's planned pickup needs a delay reason.
+   * Later waves follow on from it without a planned pickup of their own, so they
+   * are not measured (and not counted in the delay breakdown).
+   */
+  async checkDelayReason(request, { id, actualPickupDateTime, delayReasonCode }, transaction) {
+    const delayMinutes = this.deliveryHelper.getPickupDelayMinutes(request.pickUpDateTime, actualPickupDateTime);
+    if (delayMinutes === 0 || delayReasonCode) {
+      return;
+    }
+
+    // Same order as LATEST_FIRST: ties on pickup time go to the lower ID
+    const earlierWaves = await Delivery.count({
+      where: {
+        requestId: request.id,
+        [Op.or]: [
+          { actualPickupDateTime: { [Op.lt]: actualPickupDateTime } },
+          id
+            ? { actualPickupDateTime, id: { [Op.lt]: id } }
+            : { actualPickupDateTime }
+        ]
+      },
+      transaction
+    });
+
+    if (earlierWaves === 0) {
+      throw new Error(`Delay reason required: pickup was ${delayMinutes} minute(s) after the planned pickup`);
+    }
+  }
+
+  /**
+   * Recompute the trucks delivered across the request's deliveries
+   */
+  async refreshFulfillment(request, transaction) {
+    const fulfilledTruckCount = await Delivery.sum('actualTruckCount', {
+      where: { requestId: request.id },
+      transaction
+    });
+
+    await request.update({ fulfilledTruckCount: fulfilledTruckCount || 0 }, { transaction });
+    return request;
+  }
+
+  /**
+   * Move the delivery's request from processing to in_transit once the load is on
+   * the road (departed milestone or first GPS position); other statuses are left as they are
+   */
+  async markInTransit(requestId, reason, transaction) {
+    const request = await TransportationRequest.findByPk(requestId, { transaction, lock: true });
+
+    if (request && request.status === 'processing') {
+      await requestLifecycle.transition(request, 'in_transit', { reason, transaction });
+    }
+
+    return request;
+  }
+
+  /**
+   * Milestone timeline of a delivery with its arrival evaluated against the request
+   */
+  async getMilestoneTimeline(deliveryId) {
+    try {
+      const delivery = await Delivery.findByPk(deliveryId, {
+        include: [
+          MILESTONES_INCLUDE,
+          {
+            model: TransportationRequest,
+            as: 'TransportationRequest',
+            attributes: ['id', 'pickUpDateTime', 'expectedArrivalDateTime', 'estimatedDistance']
+          }
+        ]
+      });
+
+      if (!delivery) {
+        throw new Error('Delivery not found');
+      }
+
+      return this.deliveryHelper.formatMilestoneTimeline(delivery, delivery.TransportationRequest);
+    } catch (error) {
+      throw new Error(`Failed to get delivery milestones: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record one milestone; posting a type that is already recorded corrects it.
+   * Milestones must stay in chronological order.
+   */
+  async recordMilestone(deliveryId, milestoneData) {
+    const transaction = await sequelize.transaction();
+    let existing;
+
+    try {
+      const delivery = await Delivery.findByPk(deliveryId, { transaction, lock: true });
+      if (!delivery) {
+        throw new Error('Delivery not found');
+      }
+
+      const milestones = await DeliveryMilestone.findAll({ where: { deliveryId }, transaction });
+      const others = milestones.filter(milestone => milestone.type !== milestoneData.type);
+      const conflict = this.deliveryHelper.findMilestoneOrderConflict(others, milestoneData.type, milestoneData.occurredAt);
+
+      if (conflict) {
+        throw new Error(`Invalid milestone order: ${milestoneData.type} at ${new Date(milestoneData.occurredAt).toISOString()} conflicts with ${conflict.type} at ${new Date(conflict.occurredAt).toISOString()}`);
+      }
+
+      const fields = {
+        occurredAt: milestoneData.occurredAt,
+        notes: milestoneData.notes,
+        recordedBy: milestoneData.recordedBy || 'System'
+      };
+
+      existing = milestones.find(milestone => milestone.type === milestoneData.type);
+      if (existing) {
+        await existing.update(fields, { transaction });
+      } else {
+        await DeliveryMilestone.create({ deliveryId, type: milestoneData.type, ...fields }, { transaction });
+      }
+
+      if (milestoneData.type === 'departed') {
+        await this.markInTransit(delivery.requestId, 'Departed milestone recorded', transaction);
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw new Error(`Failed to record milestone: ${error.message}`);
+    }
+
+    return {
+      created: !existing,
+      timeline: await this.getMilestoneTimeline(deliveryId)
+    };
+  }
+
+
+  /**
+   * Replace the delivery's stop actuals; every stopId must be a stop of the request.
+   * Returns the records with their planned Stop attached.
+   */
+  async recordStopActuals(deliveryId, requestId, stops, transaction) {
+    const requestStops = await RequestStop.findAll({ where: { requestId }, transaction });
+    const stopsById = new Map(requestStops.map(stop => [stop.id, stop]));
+
+    const unknownIds = stops.map(stop => stop.stopId).filter(stopId => !stopsById.has(stopId));
+    if (unknownIds.length > 0) {
+      throw new Error(`Invalid stopIds: ${unknownIds.join(', ')} are not stops of request ${requestId}`);
+    }
+
+    await DeliveryStop.destroy({ where: { deliveryId }, transaction });
+    const actuals = await DeliveryStop.bulkCreate(
+      this.deliveryHelper.buildStopActualRecords(deliveryId, stops),
+      { transaction }
+    );
+
+    actuals.forEach(actual => {
+      actual.Stop = stopsById.get(actual.stopId);
+    });
+
+    return actuals;
   }
 
 
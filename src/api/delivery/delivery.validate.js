@@ -1,15 +1,39 @@
 const Joi = require('joi');
+const config = require('../../config/config');
+const { MILESTONE_TYPES, SIGNATURE_TYPES } = require('./delivery.model');
 
 /**
  * Validation schemas for delivery endpoints
  */
 
+// Actual arrival/departure per stop of a multi-stop request
+const stopActualsSchema = Joi.array().items(
+  Joi.object({
+    stopId: Joi.number().integer().positive().required(),
+    actualArrivalAt: Joi.date().required(),
+    actualDepartureAt: Joi.date().min(Joi.ref('actualArrivalAt')).optional().allow(null),
+    notes: Joi.string().trim().max(1000).allow('').optional()
+  })
+).unique('stopId').min(1);
+
+// Why a pickup ran late, from the configured catalog
+const delayReasonCodeSchema = Joi.string()
+  .valid(...config.delayReasons.codes)
+  .messages({
+    'any.only': `Delay reason must be one of: ${config.delayReasons.codes.join(', ')}`
+  });
+
 // Delivery logging validation schema
 const deliveryLoggingSchema = Joi.object({
   actualPickupDateTime: Joi.date().required(),
   actualTruckCount: Joi.number().integer().min(1).required(),
   invoiceAmount: Joi.number().positive().precision(2).required(),
   deliveryNotes: Joi.string().allow('').optional(),
+  // Required by the service when the first wave is picked up later than planned
+  delayReasonCode: delayReasonCodeSchema.optional(),
+  // Vehicles used, one per truck (actualTruckCount)
+  vehicleIds: Joi.array().items(Joi.number().integer().positive()).unique().min(1).optional(),
+  stops: stopActualsSchema.optional(),
   drivers: Joi.array().items(
     Joi.object({
       // Support for existing driver by ID
@@ -27,6 +51,7 @@ const deliveryLoggingSchema = Joi.object({
         })
       }),
       type: Joi.string().valid('transporter', 'in_house').optional(),
+      transporterId: Joi.number().integer().positive().optional(),
       transportCompany: Joi.string().optional(),
       phone: Joi.string().optional(),
       licenseNumber: Joi.string().optional(),
@@ -97,8 +122,15 @@ const updateDeliverySchema = Joi.object({
     actualPickupDateTime: Joi.date().optional(),
     actualTruckCount: Joi.number().integer().min(1).optional(),
     invoiceAmount: Joi.number().positive().precision(2).optional(),
-    deliveryNotes: Joi.string().allow('').optional()
+    deliveryNotes: Joi.string().allow('').optional(),
+    delayReasonCode: delayReasonCodeSchema.allow(null).optional()
   }).optional(),
+
+  // Replaces the vehicles recorded on the delivery
+  vehicleIds: Joi.array().items(Joi.number().integer().positive()).unique().min(1).optional(),
+
+  // Replaces the recorded stop arrivals/departures
+  stops: stopActualsSchema.optional(),
   
   drivers: Joi.array().items(
     Joi.object({
@@ -132,16 +164,86 @@ const updateDeliverySchema = Joi.object({
     })
   ).optional()
 }).custom((value, helpers) => {
-  // At least one of delivery or drivers must be provided
-  if (!value.delivery && !value.drivers) {
+  // At least one of delivery, drivers, vehicles or stops must be provided
+  if (!value.delivery && !value.drivers && !value.vehicleIds && !value.stops) {
     return helpers.error('any.custom', {
-      message: 'At least one of delivery data or drivers data must be provided'
+      message: 'At least one of delivery data, drivers data, vehicleIds or stops must be provided'
     });
   }
   
   return value;
 });
 
+// Receiver's signature: an image data URL, or the pen strokes as arrays of { x, y, t } points
+const signatureSchema = Joi.object({
+  signerName: Joi.string().trim().min(1).max(255).required(),
+  signerRole: Joi.string().trim().min(1).max(100).required(),
+  signedAt: Joi.date()
+    .max('now')
+    .required()
+    .messages({
+      'date.max': 'Signature time cannot be in the future'
+    }),
+  signatureType: Joi.string()
+    .valid(...SIGNATURE_TYPES)
+    .required()
+    .messages({
+      'any.only': `Signature type must be one of: ${SIGNATURE_TYPES.join(', ')}`
+    }),
+  signatureData: Joi.when('signatureType', {
+    is: 'image',
+    then: Joi.string()
+      .max(2 * 1024 * 1024)
+      .pattern(/^data:image\/(png|jpeg|svg\+xml);base64,[A-Za-z0-9+/]+=*$/)
+      .messages({
+        'string.pattern.base': 'Signature image must be a base64 PNG, JPEG or SVG data URL'
+      }),
+    otherwise: Joi.array()
+      .items(Joi.array().items(Joi.object({
+        x: Joi.number().required(),
+        y: Joi.number().required(),
+        t: Joi.number().optional()
+      })).min(1))
+      .min(1)
+  }).required(),
+  position: Joi.object({
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required(),
+    accuracyMeters: Joi.number().min(0).max(100000).optional()
+  }).optional()
+});
+
+// Confirming completion; a partially fulfilled request must be closed short with a reason
+const confirmDeliverySchema = Joi.object({
+  closeShort: Joi.boolean().default(false),
+  reason: Joi.string().trim().max(1000).when('closeShort', {
+    is: true,
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  }),
+  changedBy: Joi.string().trim().max(100).optional(),
+  // Required for the truck types and urgency levels configured in SIGNATURE_REQUIRED_*
+  signature: signatureSchema.optional()
+});
+
+// One milestone event; posting a type that is already recorded corrects its time
+const milestoneSchema = Joi.object({
+  type: Joi.string()
+    .valid(...MILESTONE_TYPES)
+    .required()
+    .messages({
+      'any.only': `Milestone type must be one of: ${MILESTONE_TYPES.join(', ')}`
+    }),
+  occurredAt: Joi.date()
+    .max('now')
+    .default(() => new Date())
+    .messages({
+      'date.max': 'Milestone time cannot be in the future'
+    }),
+  notes: Joi.string().trim().max(1000).allow('').optional(),
+  recordedBy: Joi.string().trim().max(100).optional()
+});
+
 /**
  * Validate request data against schema
  * @param {Object} data - Data to validate
@@ -178,8 +280,13 @@ const validateRequest = (data, schema) => {
 
 module.exports = {
   validateRequest,
+  stopActualsSchema,
+  delayReasonCodeSchema,
   deliveryLoggingSchema,
   updateDeliverySchema,
+  signatureSchema,
+  confirmDeliverySchema,
+  milestoneSchema,
   dateRangeSchema,
   requestIdSchema
 };
\ No newline at end of file
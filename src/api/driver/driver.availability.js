@@ -0,0 +1,128 @@
+const { Op } = require('sequelize');
+const { Driver, DriverAvailability } = require('./driver.model');
+const { Assignment } = require('../assignment/assignment.model');
+const { TransportationRequest } = require('../request/request.model');
+const DriverHelper = require('./driver.helper');
+
+/**
+ * Driver Availability - Calendar of shifts and time off per driver, and the single
+ * place that decides whether a driver is free in a window [startsAt, endsAt).
+ *
+ * A driver is unavailable when, overlapping the window, they have leave, sick or
+ * unavailable time, or a planned assignment on another request. Drivers with shifts
+ * on their calendar must also have one shift covering the whole window; drivers
+ * without any shifts are treated as always on shift.
+ */
+class DriverAvailabilityCalendar {
+
+  constructor() {
+    this.driverHelper = new DriverHelper();
+  }
+
+  async addWindow(driverId, windowData) {
+    const driver = await Driver.findByPk(driverId, { attributes: ['id'] });
+    if (!driver) {
+      throw new Error('Driver not found');
+    }
+
+    const window = await DriverAvailability.create({ ...windowData, driverId });
+    return this.driverHelper.formatAvailabilityResponse(window);
+  }
+
+  /**
+   * Calendar windows overlapping [from, to), or every window when no range is given
+   */
+  async getWindows(driverId, { from, to } = {}) {
+    const driver = await Driver.findByPk(driverId, { attributes: ['id'] });
+    if (!driver) {
+      throw new Error('Driver not found');
+    }
+
+    const where = { driverId };
+    if (from) where.endsAt = { [Op.gt]: from };
+    if (to) where.startsAt = { [Op.lt]: to };
+
+    const windows = await DriverAvailability.findAll({
+      where,
+      order: [['startsAt', 'ASC'], ['id', 'ASC']]
+    });
+
+    return windows.map(window => this.driverHelper.formatAvailabilityResponse(window));
+  }
+
+  async removeWindow(driverId, windowId) {
+    const window = await DriverAvailability.findOne({ where: { id: windowId, driverId } });
+    if (!window) {
+      throw new Error('Availability window not found');
+    }
+
+    await window.destroy();
+    return true;
+  }
+
+  /**
+   * Every reason a driver cannot take the window. Limit to `driverIds` when given;
+   * `excludeRequestId` ignores that request's own assignments (re-assignment).
+   */
+  async findConflicts({ startsAt, endsAt }, { driverIds = null, excludeRequestId = null, transaction } = {}) {
+    const driverFilter = driverIds ? { driverId: { [Op.in]: driverIds } } : {};
+    const overlapping = { startsAt: { [Op.lt]: endsAt }, endsAt: { [Op.gt]: startsAt } };
+
+    const [timeOff, assignments, rosteredDrivers, coveringShifts] = await Promise.all([
+      DriverAvailability.findAll({
+        where: { ...driverFilter, ...overlapping, type: { [Op.ne]: 'shift' } },
+        order: [['startsAt', 'ASC']],
+        transaction
+      }),
+      Assignment.findAll({
+        where: {
+          ...driverFilter,
+          ...overlapping,
+          status: 'planned',
+          ...(excludeRequestId ? { requestId: { [Op.ne]: excludeRequestId } } : {})
+        },
+        include: [{
+          model: TransportationRequest,
+          as: 'TransportationRequest',
+          attributes: ['id', 'requestNumber']
+        }],
+        order: [['startsAt', 'ASC']],
+        transaction
+      }),
+      DriverAvailability.findAll({
+        where: { ...driverFilter, type: 'shift' },
+        attributes: ['driverId'],
+        group: ['driverId'],
+        transaction
+      }),
+      DriverAvailability.findAll({
+        where: {
+          ...driverFilter,
+          type: 'shift',
+          startsAt: { [Op.lte]: startsAt },
+          endsAt: { [Op.gte]: endsAt }
+        },
+        attributes: ['driverId'],
+        transaction
+      })
+    ]);
+
+    const onShift = new Set(coveringShifts.map(shift => shift.driverId));
+    const offShift = rosteredDrivers
+      .map(shift => shift.driverId)
+      .filter(driverId => !onShift.has(driverId));
+
+    return [
+      ...assignments.map(assignment => this.driverHelper.formatAvailabilityConflict('assigned', assignment)),
+      ...timeOff.map(window => this.driverHelper.formatAvailabilityConflict(window.type, window)),
+      ...offShift.map(driverId => this.driverHelper.formatAvailabilityConflict('off_shift', { driverId, startsAt, endsAt }))
+    ];
+  }
+
+  async findUnavailableDriverIds(window, options = {}) {
+    const conflicts = await this.findConflicts(window, options);
+    return [...new Set(conflicts.map(conflict => conflict.driverId))];
+  }
+}
+
+module.exports = new DriverAvailabilityCalendar();
@@ -4,6 +4,9 @@ const {
   createDriverSchema,
   updateDriverSchema,
   searchDriversSchema,
+  availableDriversSchema,
+  availabilityWindowSchema,
+  availabilityQuerySchema,
   deliveryWithDriversSchema
 } = require('./driver.validate');
 
@@ -29,6 +32,14 @@ class DriverController {
       });
 
     } catch (error) {
+      if (error.message.includes('Invalid transporterId')) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid transporter',
+          details: error.message.replace(/^Failed to create driver: /, '')
+        });
+      }
+
       res.status(500).json({
         success: false,
         error: error.message
@@ -63,6 +74,152 @@ class DriverController {
     }
   }
 
+  /**
+   * GET /api/drivers/available?from=&to=&truckType=
+   */
+  async getAvailableDrivers(req, res) {
+    try {
+      const validation = validateRequest(req.query, availableDriversSchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: validation.errors
+        });
+      }
+
+      const result = await driverService.getAvailableDrivers(validation.data);
+
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        pagination: result.pagination
+      });
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async getDriverAvailability(req, res) {
+    try {
+      const driverId = parseInt(req.params.id);
+      if (isNaN(driverId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid driver ID'
+        });
+      }
+
+      const validation = validateRequest(req.query, availabilityQuerySchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: validation.errors
+        });
+      }
+
+      const windows = await driverService.getAvailability(driverId, validation.data);
+
+      res.status(200).json({
+        success: true,
+        data: windows
+      });
+
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          error: 'Driver not found'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async addAvailabilityWindow(req, res) {
+    try {
+      const driverId = parseInt(req.params.id);
+      if (isNaN(driverId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid driver ID'
+        });
+      }
+
+      const validation = validateRequest(req.body, availabilityWindowSchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: validation.errors
+        });
+      }
+
+      const window = await driverService.addAvailabilityWindow(driverId, validation.data);
+
+      res.status(201).json({
+        success: true,
+        data: window,
+        message: 'Availability window added successfully'
+      });
+
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          error: 'Driver not found'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async removeAvailabilityWindow(req, res) {
+    try {
+      const driverId = parseInt(req.params.id);
+      const windowId = parseInt(req.params.windowId);
+      if (isNaN(driverId) || isNaN(windowId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid driver or availability window ID'
+        });
+      }
+
+      await driverService.removeAvailabilityWindow(driverId, windowId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Availability window removed successfully'
+      });
+
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          error: 'Availability window not found'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
   async getRecentDrivers(req, res) {
     try {
       // Parse query parameters for pagination
@@ -159,10 +316,10 @@ class DriverController {
         });
       }
 
-      if (error.message.includes('Only planned or processing requests')) {
+      if (error.message.includes('can have delivery logged')) {
         return res.status(400).json({
           success: false,
-          error: 'Only planned or processing requests can have delivery logged'
+          error: 'Only planned, processing or in-transit requests can have delivery logged'
         });
       }
 
@@ -199,10 +356,10 @@ class DriverController {
         });
       }
 
-      if (error.message.includes('Only processing requests')) {
+      if (error.message.includes('can be confirmed as completed')) {
         return res.status(400).json({
           success: false,
-          error: 'Request is not in processing status'
+          error: 'Request is not in processing or in-transit status'
         });
       }
 
@@ -316,6 +473,14 @@ class DriverController {
         });
       }
 
+      if (error.message.includes('Invalid transporterId')) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid transporter',
+          details: error.message.replace(/^Failed to update driver: /, '')
+        });
+      }
+
       res.status(500).json({
         success: false,
         error: error.message
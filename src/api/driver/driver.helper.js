@@ -1,3 +1,5 @@
+const config = require('../../config/config');
+
 /**
  * Driver Helper - Contains pure utility functions for driver operations
  * No database operations should be performed here
@@ -146,7 +148,11 @@ class DriverHelper {
     return recommendations;
   }
 
-  assessDriverRisk(summary, ratings) {
+  /**
+   * Risk from ratings, negative comments and the incidents the driver was involved
+   * in (within config.incidents.riskWindowDays)
+   */
+  assessDriverRisk(summary, ratings, incidents = [], repeatThreshold = config.incidents.repeatThreshold) {
     let riskLevel = 'low';
     const riskFactors = [];
 
@@ -189,9 +195,33 @@ class DriverHelper {
       riskFactors.push('Inconsistent delivery quality');
     }
 
+    // Check incidents (damage, accidents, shortages, refused loads, safety)
+    const seriousIncidents = incidents.filter(i => i.severity === 'high' || i.severity === 'critical').length;
+    const openIncidents = incidents.filter(i => i.status !== 'resolved').length;
+
+    if (seriousIncidents > 0) {
+      riskLevel = 'high';
+      riskFactors.push(`${seriousIncidents} high-severity incident(s) on record`);
+    } else if (incidents.length >= repeatThreshold) {
+      riskLevel = 'high';
+      riskFactors.push(`Repeated incidents (${incidents.length})`);
+    } else if (incidents.length > 0) {
+      riskLevel = riskLevel === 'low' ? 'medium' : riskLevel;
+      riskFactors.push(`${incidents.length} incident(s) on record`);
+    }
+
+    if (openIncidents > 0) {
+      riskFactors.push(`${openIncidents} incident(s) still open`);
+    }
+
     return {
       level: riskLevel,
       factors: riskFactors,
+      incidents: {
+        total: incidents.length,
+        serious: seriousIncidents,
+        open: openIncidents
+      },
       recommendation: this.getRiskRecommendation(riskLevel)
     };
   }
@@ -215,12 +245,14 @@ class DriverHelper {
       id: driver.id,
       name: driver.name,
       type: driver.type,
+      transporterId: driver.transporterId,
       transportCompany: driver.transportCompany,
       phone: driver.phone,
       licenseNumber: driver.licenseNumber,
       employeeId: driver.employeeId,
       department: driver.department,
       hireDate: driver.hireDate,
+      truckTypes: driver.truckTypes,
       overallRating: driver.overallRating,
       totalDeliveries: driver.totalDeliveries,
       lastDelivery: driver.lastDelivery,
@@ -229,6 +261,60 @@ class DriverHelper {
     };
   }
 
+  formatAvailabilityResponse(window) {
+    return {
+      id: window.id,
+      driverId: window.driverId,
+      type: window.type,
+      startsAt: window.startsAt,
+      endsAt: window.endsAt,
+      notes: window.notes,
+      createdBy: window.createdBy,
+      createdAt: window.createdAt
+    };
+  }
+
+  /**
+   * One reason a driver is unavailable: 'assigned' (planned assignment),
+   * 'leave' / 'sick' / 'unavailable' (calendar time off) or 'off_shift'
+   */
+  formatAvailabilityConflict(reason, record) {
+    const conflict = {
+      driverId: record.driverId,
+      reason,
+      startsAt: record.startsAt,
+      endsAt: record.endsAt
+    };
+
+    if (reason === 'assigned') {
+      const request = record.TransportationRequest;
+      conflict.assignmentId = record.id;
+      conflict.requestId = record.requestId;
+      conflict.requestNumber = request ? request.requestNumber : null;
+    } else if (reason !== 'off_shift') {
+      conflict.availabilityId = record.id;
+    }
+
+    return conflict;
+  }
+
+  describeAvailabilityConflict(conflict) {
+    const driver = `driver ${conflict.driverId}`;
+
+    switch (conflict.reason) {
+      case 'assigned':
+        return `${driver} is assigned to ${conflict.requestNumber || `request ${conflict.requestId}`}`;
+      case 'leave':
+        return `${driver} is on leave`;
+      case 'sick':
+        return `${driver} is off sick`;
+      case 'off_shift':
+        return `${driver} has no shift covering the window`;
+      default:
+        return `${driver} is unavailable`;
+    }
+  }
+
   calculateRatingSummary(ratings) {
     if (ratings.length === 0) {
       return {
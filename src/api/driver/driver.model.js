@@ -1,6 +1,9 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../../config/db');
 
+// shift marks working time; every other type blocks the driver
+const AVAILABILITY_TYPES = ['shift', 'leave', 'sick', 'unavailable'];
+
 const Driver = sequelize.define('Driver', {
     id: {
       type: DataTypes.INTEGER,
@@ -20,6 +23,16 @@ const Driver = sequelize.define('Driver', {
       allowNull: true,
       field: 'transport_company'
     },
+    // Carrier company; transportCompany mirrors its name
+    transporterId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'transporter_id',
+      references: {
+        model: 'transporters',
+        key: 'id'
+      }
+    },
     phone: {
       type: DataTypes.STRING(50),
       allowNull: true
@@ -38,6 +51,12 @@ const Driver = sequelize.define('Driver', {
       type: DataTypes.STRING(100),
       allowNull: true
     },
+    // Truck types the driver is qualified for; null means any
+    truckTypes: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      field: 'truck_types'
+    },
     hireDate: {
       type: DataTypes.DATEONLY,
       allowNull: true,
@@ -68,10 +87,74 @@ const Driver = sequelize.define('Driver', {
     indexes: [
       {
         fields: ['type']
+      },
+      {
+        fields: ['transporter_id']
+      }
+    ]
+  });
+
+/**
+ * Driver Availability Model
+ * Calendar windows [startsAt, endsAt) per driver: shifts when the driver works,
+ * leave / sick days / other time when they cannot be booked
+ */
+const DriverAvailability = sequelize.define('DriverAvailability', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    driverId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'driver_id',
+      references: {
+        model: 'drivers',
+        key: 'id'
+      }
+    },
+    type: {
+      type: DataTypes.ENUM(...AVAILABILITY_TYPES),
+      allowNull: false
+    },
+    startsAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'starts_at'
+    },
+    endsAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'ends_at'
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    createdBy: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      defaultValue: 'System',
+      field: 'created_by'
+    }
+  }, {
+    tableName: 'driver_availability',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['driver_id', 'type', 'starts_at']
+      },
+      {
+        fields: ['starts_at', 'ends_at']
       }
     ]
   });
 
 module.exports = {
-  Driver
+  Driver,
+  DriverAvailability,
+  AVAILABILITY_TYPES
 };
\ No newline at end of file
@@ -4,6 +4,8 @@ const driverController = require('./driver.controller');
 
 router.get('/recent', driverController.getRecentDrivers);
 
+router.get('/available', driverController.getAvailableDrivers);
+
 router.get('/', driverController.searchDrivers);
 
 router.post('/', driverController.createDriver);
@@ -12,6 +14,12 @@ router.get('/:id', driverController.getDriverById);
 
 router.get('/:id/ratings', driverController.getDriverRatings);
 
+router.get('/:id/availability', driverController.getDriverAvailability);
+
+router.post('/:id/availability', driverController.addAvailabilityWindow);
+
+router.delete('/:id/availability/:windowId', driverController.removeAvailabilityWindow);
+
 router.post('/:id/insights', driverController.getDriverInsights);
 
 router.put('/:id', driverController.updateDriver);
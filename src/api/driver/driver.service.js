@@ -4,6 +4,10 @@ const { TransportationRequest } = require('../request/request.model');
 const { Op, Transaction } = require('sequelize');
 const { sequelize } = require('../../config/db');
 const DriverHelper = require('./driver.helper');
+const transporterService = require('../transporter/transporter.service');
+const driverAvailability = require('./driver.availability');
+const incidentService = require('../incident/incident.service');
+const config = require('../../config/config');
 
 class DriverService {
 
@@ -19,7 +23,8 @@ class DriverService {
       }
 
       // Update driver with provided data
-      const updatedDriver = await driver.update(driverData);
+      const resolvedData = await transporterService.resolveDriverTransporter(driverData);
+      const updatedDriver = await driver.update(resolvedData);
       
       return this.driverHelper.formatDriverResponse(updatedDriver);
     } catch (error) {
@@ -63,10 +68,16 @@ class DriverService {
 
   
   async createDriver(driverData) {
+    const transaction = await sequelize.transaction();
+
     try {
-      const driver = await Driver.create(driverData);
+      const data = await transporterService.resolveDriverTransporter(driverData, { transaction });
+      const driver = await Driver.create(data, { transaction });
+
+      await transaction.commit();
       return this.driverHelper.formatDriverResponse(driver);
     } catch (error) {
+      await transaction.rollback();
       throw new Error(`Failed to create driver: ${error.message}`);
     }
   }
@@ -74,10 +85,15 @@ class DriverService {
 
 
 
+  /**
+   * With `from`/`to` only drivers free for that whole window are returned (see
+   * driver.availability); `truckType` keeps drivers qualified for it.
+   */
   async searchDrivers(queryParams = {}) {
     try {
-      const { search, type, page = 1, limit = 20 } = queryParams;
+      const { search, type, truckType, from, to, sortBy = 'name', page = 1, limit = 20 } = queryParams;
       const whereClause = {};
+      const conditions = [];
 
       const offset = (parseInt(page) - 1) * parseInt(limit);
 
@@ -93,9 +109,33 @@ class DriverService {
         ];
       }
 
+      if (truckType) {
+        conditions.push({
+          [Op.or]: [
+            { truckTypes: null },
+            sequelize.where(sequelize.fn('JSON_CONTAINS', sequelize.col('truck_types'), JSON.stringify(truckType)), 1)
+          ]
+        });
+      }
+
+      if (from && to) {
+        const unavailable = await driverAvailability.findUnavailableDriverIds({ startsAt: from, endsAt: to });
+        if (unavailable.length > 0) {
+          whereClause.id = { [Op.notIn]: unavailable };
+        }
+      }
+
+      if (conditions.length > 0) {
+        whereClause[Op.and] = conditions;
+      }
+
+      const order = sortBy === 'rating'
+        ? [['overallRating', 'DESC'], ['name', 'ASC']]
+        : [['name', 'ASC']];
+
       const result = await Driver.findAndCountAll({
         where: whereClause,
-        order: [['name', 'ASC']],
+        order,
         limit: parseInt(limit),
         offset: offset
       });
@@ -123,6 +163,37 @@ class DriverService {
     }
   }
 
+  /**
+   * Drivers free for the whole window, best rated first
+   */
+  async getAvailableDrivers(queryParams) {
+    return this.searchDrivers({ ...queryParams, sortBy: 'rating' });
+  }
+
+  async getAvailability(driverId, range = {}) {
+    try {
+      return await driverAvailability.getWindows(driverId, range);
+    } catch (error) {
+      throw new Error(`Failed to retrieve driver availability: ${error.message}`);
+    }
+  }
+
+  async addAvailabilityWindow(driverId, windowData) {
+    try {
+      return await driverAvailability.addWindow(driverId, windowData);
+    } catch (error) {
+      throw new Error(`Failed to add availability window: ${error.message}`);
+    }
+  }
+
+  async removeAvailabilityWindow(driverId, windowId) {
+    try {
+      return await driverAvailability.removeWindow(driverId, windowId);
+    } catch (error) {
+      throw new Error(`Failed to remove availability window: ${error.message}`);
+    }
+  }
+
   async getRecentDrivers(queryParams = {}) {
     try {
       const { page = 1, limit = 20 } = queryParams;
@@ -179,6 +250,8 @@ class DriverService {
 
       const ratingsData = await this.getDriverRatings(driverId);
       const recentDeliveries = await this.getRecentDeliveries(driverId);
+      const incidentsSince = new Date(Date.now() - config.incidents.riskWindowDays * 24 * 60 * 60 * 1000);
+      const incidents = await incidentService.getDriverIncidentHistory(driverId, incidentsSince);
 
       const aiInputData = {
         driver: ratingsData.driver,
@@ -206,7 +279,7 @@ class DriverService {
         aiInsights: aiInsights,
         aiError: aiError,
         recommendations: this.driverHelper.generateBasicRecommendations(ratingsData.summary),
-        riskAssessment: this.driverHelper.assessDriverRisk(ratingsData.summary, ratingsData.ratings),
+        riskAssessment: this.driverHelper.assessDriverRisk(ratingsData.summary, ratingsData.ratings, incidents),
         totalRatings: ratingsData.totalRatings,
         lastUpdated: new Date().toISOString()
       };
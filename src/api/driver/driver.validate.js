@@ -1,11 +1,31 @@
 const Joi = require('joi');
+const { AVAILABILITY_TYPES } = require('./driver.model');
+const { stopActualsSchema, delayReasonCodeSchema } = require('../delivery/delivery.validate');
+
+const TRUCK_TYPES = ['box', 'flatbed', 'semi', 'refrigerated'];
+
+// Qualified truck types; omitted or null means the driver can take any truck
+const truckTypesSchema = Joi.array()
+  .items(Joi.string().valid(...TRUCK_TYPES))
+  .unique()
+  .min(1)
+  .allow(null)
+  .messages({
+    'any.only': `Truck type must be one of: ${TRUCK_TYPES.join(', ')}`
+  });
 
 const createDriverSchema = Joi.object({
   name: Joi.string().trim().min(2).max(255).required(),
   type: Joi.string().valid('transporter', 'in_house').required(),
+  // Transporter drivers name their company or reference it by transporterId
+  transporterId: Joi.number().integer().positive().optional(),
   transportCompany: Joi.when('type', {
     is: 'transporter',
-    then: Joi.string().trim().min(2).max(255).required(),
+    then: Joi.string().trim().min(2).max(255).when('transporterId', {
+      is: Joi.exist(),
+      then: Joi.optional(),
+      otherwise: Joi.required()
+    }),
     otherwise: Joi.optional()
   }),
   phone: Joi.when('type', {
@@ -32,18 +52,21 @@ const createDriverSchema = Joi.object({
     is: 'in_house',
     then: Joi.date().max('now').required(),
     otherwise: Joi.optional()
-  })
+  }),
+  truckTypes: truckTypesSchema.optional()
 });
 
 // Update schema allows partial updates (all fields optional)
 const updateDriverSchema = Joi.object({
   name: Joi.string().trim().min(2).max(255).optional(),
   type: Joi.string().valid('transporter', 'in_house').optional(),
+  transporterId: Joi.number().integer().positive().optional().allow(null),
   transportCompany: Joi.string().trim().min(2).max(255).optional().allow(null, ''),
   phone: Joi.string().trim().min(4).max(50).optional().allow(null, ''),
   licenseNumber: Joi.string().trim().min(5).max(100).optional().allow(null, ''),
   employeeId: Joi.string().trim().min(2).max(50).optional().allow(null, ''),
   department: Joi.string().trim().min(2).max(100).optional().allow(null, ''),
+  truckTypes: truckTypesSchema.optional()
 }).min(1);
 
 const searchDriversSchema = Joi.object({
@@ -53,6 +76,34 @@ const searchDriversSchema = Joi.object({
   limit: Joi.number().integer().min(1).max(100).default(20).optional()
 });
 
+// Drivers free for the whole window [from, to)
+const availableDriversSchema = Joi.object({
+  from: Joi.date().iso().required(),
+  to: Joi.date().iso().greater(Joi.ref('from')).required().messages({
+    'date.greater': 'to must be after from'
+  }),
+  truckType: Joi.string().valid(...TRUCK_TYPES).optional(),
+  search: Joi.string().trim().max(255).optional(),
+  type: Joi.string().valid('transporter', 'in_house', 'all').optional(),
+  page: Joi.number().integer().min(1).default(1).optional(),
+  limit: Joi.number().integer().min(1).max(100).default(20).optional()
+});
+
+const availabilityWindowSchema = Joi.object({
+  type: Joi.string().valid(...AVAILABILITY_TYPES).required(),
+  startsAt: Joi.date().iso().required(),
+  endsAt: Joi.date().iso().greater(Joi.ref('startsAt')).required().messages({
+    'date.greater': 'endsAt must be after startsAt'
+  }),
+  notes: Joi.string().trim().max(1000).optional().allow(''),
+  createdBy: Joi.string().trim().max(100).optional()
+});
+
+const availabilityQuerySchema = Joi.object({
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional()
+});
+
 const driverRatingSchema = Joi.object({
   punctuality: Joi.number().integer().min(1).max(5).required(),
   professionalism: Joi.number().integer().min(1).max(5).required(),
@@ -70,6 +121,12 @@ const deliveryWithDriversSchema = Joi.object({
   actualTruckCount: Joi.number().integer().min(1).required(),
   invoiceAmount: Joi.number().min(0).required(),
   deliveryNotes: Joi.string().trim().max(1000).optional().allow(''),
+  // Required by the delivery service when the pickup is later than planned
+  delayReasonCode: delayReasonCodeSchema.optional(),
+  // Vehicles used, one per truck (actualTruckCount)
+  vehicleIds: Joi.array().items(Joi.number().integer().positive()).unique().min(1).optional(),
+  // Actual arrival/departure per stop of a multi-stop request
+  stops: stopActualsSchema.optional(),
   drivers: Joi.array().min(1).items(
     Joi.object({
       driver_id: Joi.number().integer().positive().optional(),
@@ -86,9 +143,14 @@ const deliveryWithDriversSchema = Joi.object({
       id: Joi.number().integer().optional(),
       name: Joi.string().trim().min(2).max(255).optional(),
       type: Joi.string().valid('transporter', 'in_house').optional(),
+      transporterId: Joi.number().integer().positive().optional(),
       transportCompany: Joi.when('type', {
         is: 'transporter',
-        then: Joi.string().trim().min(2).max(255).required(),
+        then: Joi.string().trim().min(2).max(255).when('transporterId', {
+          is: Joi.exist(),
+          then: Joi.optional(),
+          otherwise: Joi.required()
+        }),
         otherwise: Joi.optional()
       }),
       phone: Joi.when('type', {
@@ -153,5 +215,8 @@ module.exports = {
   createDriverSchema,
   updateDriverSchema,
   searchDriversSchema,
+  availableDriversSchema,
+  availabilityWindowSchema,
+  availabilityQuerySchema,
   deliveryWithDriversSchema
 };
\ No newline at end of file
@@ -0,0 +1,147 @@
+const LocationHelper = require('../location/location.helper');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * ETA Helper - Contains pure utility functions for arrival predictions
+ * No database operations should be performed here
+ */
+class EtaHelper {
+
+  constructor() {
+    this.locationHelper = new LocationHelper();
+  }
+
+  /**
+   * Lane of a request: its origin and destination locations when both are set,
+   * else the origin and destination text (same key as LANE_KEY in eta.service)
+   */
+  laneKey(request) {
+    if (request.originLocationId && request.destinationLocationId) {
+      return `location:${request.originLocationId}>${request.destinationLocationId}`;
+    }
+
+    return `text:${(request.origin || '').trim().toLowerCase()}>${(request.destination || '').trim().toLowerCase()}`;
+  }
+
+  /**
+   * Minutes from pickup to arrival: the lane's average over completed requests when
+   * it has enough history, else the estimated distance at the average speed
+   */
+  estimateTransitMinutes(request, laneStat, { averageSpeedMph, minLaneSamples }) {
+    if (laneStat && laneStat.sampleCount >= minLaneSamples) {
+      return { minutes: laneStat.averageMinutes, source: 'lane_history' };
+    }
+
+    if (request.estimatedDistance) {
+      return {
+        minutes: Math.round((parseFloat(request.estimatedDistance) / averageSpeedMph) * 60),
+        source: 'distance'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Speed to cover the remaining distance: the lane's historical pace when the
+   * transit time comes from history, else the configured average speed
+   */
+  estimateSpeedMph(request, transit, averageSpeedMph) {
+    if (transit && transit.source === 'lane_history' && request.estimatedDistance && transit.minutes > 0) {
+      return parseFloat(request.estimatedDistance) / (transit.minutes / 60);
+    }
+
+    return averageSpeedMph;
+  }
+
+  /**
+   * Predicted arrival of a request and whether it is likely to miss its window.
+   *  - arrived: the arrived_at_destination milestone of its latest delivery
+   *  - tracking: remaining distance from the last GPS position to the destination
+   *  - lane_history / distance: transit time added to the actual (else planned) pickup
+   * A prediction for a load not yet arrived is never earlier than now.
+   */
+  predictArrival({ request, delivery, arrivedAt, lastPosition, destination, laneStat, now, settings }) {
+    const transit = this.estimateTransitMinutes(request, laneStat, settings);
+    const expectedArrival = request.getExpectedArrival();
+    let eta = null;
+    let method = null;
+
+    if (arrivedAt) {
+      eta = new Date(arrivedAt);
+      method = 'arrived';
+    } else {
+      const remaining = lastPosition
+        ? this.locationHelper.estimateDistance(lastPosition, destination, settings.roadFactor)
+        : null;
+
+      if (remaining) {
+        const speedMph = this.estimateSpeedMph(request, transit, settings.averageSpeedMph);
+        eta = new Date(new Date(lastPosition.recordedAt).getTime() + (remaining.estimatedMiles / speedMph) * 60 * MINUTE_MS);
+        method = 'tracking';
+      } else if (transit) {
+        const departure = delivery
+          ? new Date(delivery.actualPickupDateTime)
+          : new Date(Math.max(new Date(request.pickUpDateTime).getTime(), now.getTime()));
+        eta = new Date(departure.getTime() + transit.minutes * MINUTE_MS);
+        method = transit.source;
+      }
+
+      if (eta && eta < now) {
+        eta = new Date(now);
+      }
+    }
+
+    const lateByMinutes = eta && expectedArrival
+      ? Math.round((eta - expectedArrival) / MINUTE_MS)
+      : null;
+
+    // Pickup is judged by the on-time delivery KPI; a request still waiting past it is already late
+    const pickupOverdueMinutes = !delivery && now > new Date(request.pickUpDateTime)
+      ? Math.round((now - new Date(request.pickUpDateTime)) / MINUTE_MS)
+      : null;
+
+    const riskReasons = [];
+    if (method !== 'arrived') {
+      if (pickupOverdueMinutes !== null) riskReasons.push('pickup_overdue');
+      if (lateByMinutes !== null && lateByMinutes > settings.arrivalGraceMinutes) riskReasons.push('late_arrival');
+    }
+
+    return {
+      requestId: request.id,
+      requestNumber: request.requestNumber,
+      status: request.status,
+      origin: request.origin,
+      destination: request.destination,
+      pickUpDateTime: request.pickUpDateTime,
+      expectedArrival,
+      eta,
+      method,
+      lateByMinutes,
+      pickupOverdueMinutes,
+      atRisk: riskReasons.length > 0,
+      riskReasons,
+      laneSampleCount: laneStat ? laneStat.sampleCount : 0,
+      lastPosition: lastPosition
+        ? {
+          lat: parseFloat(lastPosition.latitude),
+          lng: parseFloat(lastPosition.longitude),
+          speed: lastPosition.speedMph === null ? null : parseFloat(lastPosition.speedMph),
+          timestamp: lastPosition.recordedAt
+        }
+        : null
+    };
+  }
+
+  /**
+   * Most delayed first: by the larger of the arrival delay and the overdue pickup
+   */
+  sortByDelay(predictions) {
+    const delay = prediction => Math.max(prediction.lateByMinutes || 0, prediction.pickupOverdueMinutes || 0);
+
+    return [...predictions].sort((a, b) => delay(b) - delay(a) || a.requestId - b.requestId);
+  }
+}
+
+module.exports = EtaHelper;
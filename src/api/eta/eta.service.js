@@ -0,0 +1,226 @@
+const { sequelize, Op } = require('../../config/db');
+const config = require('../../config/config');
+const { TransportationRequest } = require('../request/request.model');
+const { Delivery, DeliveryMilestone } = require('../delivery/delivery.model');
+const { Location } = require('../location/location.model');
+const { REQUEST_DELIVERIES, REQUEST_ARRIVALS } = require('../dashboard/queries/deliveryRollups');
+const EtaHelper = require('./eta.helper');
+
+// Requests still to arrive; on_hold requests are left out until they resume
+const ACTIVE_STATUSES = ['planned', 'assigned', 'processing', 'in_transit'];
+
+// Requests already picked up; they stay on the at-risk list whatever their planned pickup
+const UNDERWAY_STATUSES = ['processing', 'in_transit'];
+
+// Same key as EtaHelper#laneKey()
+const LANE_KEY = `
+  CASE
+    WHEN tr.origin_location_id IS NOT NULL AND tr.destination_location_id IS NOT NULL
+      THEN CONCAT('location:', tr.origin_location_id, '>', tr.destination_location_id)
+    ELSE CONCAT('text:', LOWER(TRIM(COALESCE(tr.origin, ''))), '>', LOWER(TRIM(COALESCE(tr.destination, ''))))
+  END
+`;
+
+class EtaService {
+
+  constructor() {
+    this.etaHelper = new EtaHelper();
+  }
+
+  /**
+   * ETA of one request; null once it is no longer active
+   */
+  async getRequestEta(request) {
+    if (!ACTIVE_STATUSES.includes(request.status)) {
+      return null;
+    }
+
+    const [prediction] = await this.predictArrivals([request]);
+    return prediction;
+  }
+
+  /**
+   * Active requests likely to miss their pickup or arrival window, most delayed first.
+   * Only requests underway or due for pickup within config.eta.atRiskHorizonDays are
+   * checked, so requests planned (or materialized from a recurring rule) weeks ahead are not.
+   */
+  async getAtRiskRequests() {
+    try {
+      const horizon = new Date(Date.now() + config.eta.atRiskHorizonDays * 24 * 60 * 60 * 1000);
+
+      const requests = await TransportationRequest.findAll({
+        where: {
+          status: { [Op.in]: ACTIVE_STATUSES },
+          [Op.or]: [
+            { status: { [Op.in]: UNDERWAY_STATUSES } },
+            { pickUpDateTime: { [Op.lte]: horizon } }
+          ]
+        }
+      });
+
+      const predictions = await this.predictArrivals(requests);
+      const atRisk = predictions.filter(prediction => prediction.atRisk);
+
+      return {
+        generatedAt: new Date(),
+        activeCount: requests.length,
+        atRiskCount: atRisk.length,
+        requests: this.etaHelper.sortByDelay(atRisk)
+      };
+    } catch (error) {
+      throw new Error(`Failed to predict arrivals: ${error.message}`);
+    }
+  }
+
+  /**
+   * Predictions for a batch of requests, loading each input once for the whole batch
+   */
+  async predictArrivals(requests) {
+    if (requests.length === 0) {
+      return [];
+    }
+
+    const now = new Date();
+    const settings = {
+      ...config.eta,
+      averageSpeedMph: config.milestones.averageSpeedMph,
+      arrivalGraceMinutes: config.milestones.arrivalGraceMinutes,
+      roadFactor: config.distance.roadFactor
+    };
+
+    const [latestDeliveries, laneStats, destinations] = await Promise.all([
+      this.getLatestDeliveries(requests.map(request => request.id)),
+      this.getLaneStats([...new Set(requests.map(request => this.etaHelper.laneKey(request)))]),
+      this.getDestinations(requests)
+    ]);
+
+    const deliveryIds = [...latestDeliveries.values()].map(delivery => delivery.id);
+    const lastPositions = await this.getLastPositions(deliveryIds);
+
+    return requests.map(request => {
+      const delivery = latestDeliveries.get(request.id) || null;
+      const arrival = delivery && delivery.Milestones && delivery.Milestones[0];
+
+      return this.etaHelper.predictArrival({
+        request,
+        delivery,
+        arrivedAt: arrival ? arrival.occurredAt : null,
+        lastPosition: delivery ? lastPositions.get(delivery.id) || null : null,
+        destination: destinations.get(request.destinationLocationId) || null,
+        laneStat: laneStats.get(this.etaHelper.laneKey(request)) || null,
+        now,
+        settings
+      });
+    });
+  }
+
+  /**
+   * Most recent delivery per request, with its arrival milestone when recorded
+   */
+  async getLatestDeliveries(requestIds) {
+    const deliveries = await Delivery.findAll({
+      where: { requestId: { [Op.in]: requestIds } },
+      attributes: ['id', 'requestId', 'actualPickupDateTime'],
+      include: [{
+        model: DeliveryMilestone,
+        as: 'Milestones',
+        where: { type: 'arrived_at_destination' },
+        required: false
+      }],
+      order: [['actualPickupDateTime', 'DESC'], ['id', 'DESC']]
+    });
+
+    const latest = new Map();
+    deliveries.forEach(delivery => {
+      if (!latest.has(delivery.requestId)) latest.set(delivery.requestId, delivery);
+    });
+
+    return latest;
+  }
+
+  /**
+   * Average pickup-to-arrival minutes per lane over recently completed requests
+   */
+  async getLaneStats(laneKeys) {
+    const rows = await sequelize.query(`
+      SELECT
+        lanes.lane_key,
+        COUNT(*) AS sample_count,
+        AVG(TIMESTAMPDIFF(MINUTE, rd.actual_pickup_datetime, ra.arrived_at)) AS average_minutes
+      FROM (
+        SELECT tr.id, ${LANE_KEY} AS lane_key
+        FROM transportation_requests tr
+        WHERE tr.status = 'completed'
+          AND tr.deleted_at IS NULL
+          AND tr.pickup_datetime >= DATE_SUB(NOW(), INTERVAL :laneHistoryDays DAY)
+      ) lanes
+      JOIN (${REQUEST_DELIVERIES}) rd ON rd.request_id = lanes.id
+      JOIN (${REQUEST_ARRIVALS}) ra ON ra.request_id = lanes.id
+      WHERE lanes.lane_key IN (:laneKeys)
+        AND ra.arrived_at > rd.actual_pickup_datetime
+      GROUP BY lanes.lane_key
+    `, {
+      replacements: { laneKeys, laneHistoryDays: config.eta.laneHistoryDays },
+      type: sequelize.QueryTypes.SELECT
+    });
+
+    return new Map(rows.map(row => [row.lane_key, {
+      sampleCount: parseInt(row.sample_count),
+      averageMinutes: Math.round(parseFloat(row.average_minutes))
+    }]));
+  }
+
+  /**
+   * Latest GPS position per delivery
+   */
+  async getLastPositions(deliveryIds) {
+    if (deliveryIds.length === 0) {
+      return new Map();
+    }
+
+    const rows = await sequelize.query(`
+      SELECT p.delivery_id, p.latitude, p.longitude, p.speed_mph, p.recorded_at
+      FROM position_pings p
+      JOIN (
+        SELECT delivery_id, MAX(recorded_at) AS recorded_at
+        FROM position_pings
+        WHERE delivery_id IN (:deliveryIds)
+        GROUP BY delivery_id
+      ) latest ON latest.delivery_id = p.delivery_id AND latest.recorded_at = p.recorded_at
+    `, {
+      replacements: { deliveryIds },
+      type: sequelize.QueryTypes.SELECT
+    });
+
+    const positions = new Map();
+    rows.forEach(row => {
+      if (positions.has(row.delivery_id)) return;
+      positions.set(row.delivery_id, {
+        latitude: row.latitude,
+        longitude: row.longitude,
+        speedMph: row.speed_mph,
+        recordedAt: row.recorded_at
+      });
+    });
+
+    return positions;
+  }
+
+  async getDestinations(requests) {
+    const locationIds = [...new Set(requests.map(request => request.destinationLocationId).filter(Boolean))];
+
+    if (locationIds.length === 0) {
+      return new Map();
+    }
+
+    const locations = await Location.findAll({
+      where: { id: { [Op.in]: locationIds } },
+      attributes: ['id', 'latitude', 'longitude'],
+      paranoid: false
+    });
+
+    return new Map(locations.map(location => [location.id, location]));
+  }
+}
+
+module.exports = new EtaService();
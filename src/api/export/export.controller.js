@@ -0,0 +1,105 @@
+const exportService = require('./export.service');
+const ExportHelper = require('./export.helper');
+const {
+  validateRequest,
+  requestExportSchema,
+  deliveryExportSchema,
+  ratingExportSchema
+} = require('./export.validate');
+
+const exportHelper = new ExportHelper();
+
+/**
+ * Shared flow for every export: validate the query, send download headers,
+ * then stream rows. Once streaming has started errors can no longer become a
+ * JSON response, so the connection is aborted instead.
+ */
+async function streamExport(req, res, { schema, name, sheetName, columns, buildRow, stream }) {
+  const validation = validateRequest(req.query, schema);
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid query parameters',
+      errors: validation.errors
+    });
+  }
+
+  const { format, ...filters } = validation.data;
+
+  // Opened on the first row so a failing first query still gets a JSON error
+  let writer = null;
+  const getWriter = () => {
+    if (!writer) {
+      res.status(200);
+      res.setHeader('Content-Type', exportHelper.getContentType(format));
+      res.setHeader('Content-Disposition', `attachment; filename="${exportHelper.buildFileName(name, format)}"`);
+      writer = exportHelper.createWriter(format, res, sheetName, columns);
+    }
+    return writer;
+  };
+
+  try {
+    await stream(filters, record => getWriter().writeRow(buildRow(record)));
+    await getWriter().end();
+
+  } catch (error) {
+    console.error(`Error exporting ${name}:`, error.message);
+
+    if (writer) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: `Failed to export ${name}`,
+      error: error.message
+    });
+  }
+}
+
+class ExportController {
+
+  /**
+   * GET /api/requests/export?format=csv|xlsx&status=&urgencyLevel=&truckType=&search=&dateFrom=&dateTo=
+   */
+  async exportRequests(req, res) {
+    return streamExport(req, res, {
+      schema: requestExportSchema,
+      name: 'requests',
+      sheetName: 'Requests',
+      columns: exportHelper.columns.requests,
+      buildRow: request => exportHelper.buildRequestRow(request),
+      stream: (filters, onRecord) => exportService.streamRequests(filters, onRecord)
+    });
+  }
+
+  /**
+   * GET /api/deliveries/export?format=csv|xlsx&startDate=&endDate=
+   */
+  async exportDeliveries(req, res) {
+    return streamExport(req, res, {
+      schema: deliveryExportSchema,
+      name: 'deliveries',
+      sheetName: 'Deliveries',
+      columns: exportHelper.columns.deliveries,
+      buildRow: delivery => exportHelper.buildDeliveryRow(delivery),
+      stream: (filters, onRecord) => exportService.streamDeliveries(filters, onRecord)
+    });
+  }
+
+  /**
+   * GET /api/deliveries/ratings/export?format=csv|xlsx&driverId=&startDate=&endDate=
+   */
+  async exportRatings(req, res) {
+    return streamExport(req, res, {
+      schema: ratingExportSchema,
+      name: 'driver-ratings',
+      sheetName: 'Driver Ratings',
+      columns: exportHelper.columns.ratings,
+      buildRow: rating => exportHelper.buildRatingRow(rating),
+      stream: (filters, onRecord) => exportService.streamRatings(filters, onRecord)
+    });
+  }
+}
+
+module.exports = new ExportController();
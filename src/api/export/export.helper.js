@@ -0,0 +1,287 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Columns computed by TransportationRequest#getPerformanceMetrics(); blank until a delivery is logged
+const PERFORMANCE_COLUMNS = [
+  { header: 'Delay (min)', key: 'delayMinutes' },
+  { header: 'Truck Variance', key: 'truckVariance' },
+  { header: 'Truck Variance %', key: 'truckVariancePercentage' },
+  { header: 'Cost Variance', key: 'costVariance' },
+  { header: 'Cost Variance %', key: 'costVariancePercentage' },
+  { header: 'Performance Grade', key: 'performanceGrade' }
+];
+
+const REQUEST_COLUMNS = [
+  { header: 'ID', key: 'id' },
+  { header: 'Request Number', key: 'requestNumber' },
+  { header: 'Origin', key: 'origin' },
+  { header: 'Destination', key: 'destination' },
+  { header: 'Estimated Distance', key: 'estimatedDistance' },
+  { header: 'Pickup Date/Time', key: 'pickUpDateTime' },
+  { header: 'Truck Count', key: 'truckCount' },
+  { header: 'Truck Type', key: 'truckType' },
+  { header: 'Urgency', key: 'urgencyLevel' },
+  { header: 'Status', key: 'status' },
+  { header: 'Estimated Cost', key: 'estimatedCost' },
+  { header: 'Contracted Cost', key: 'contractedCost' },
+  { header: 'Created By', key: 'createdBy' },
+  { header: 'Created At', key: 'createdAt' },
+  { header: 'Deliveries', key: 'deliveryCount' },
+  { header: 'First Actual Pickup Date/Time', key: 'actualPickupDateTime' },
+  { header: 'Actual Truck Count', key: 'actualTruckCount' },
+  { header: 'Invoice Amount', key: 'invoiceAmount' },
+  { header: 'Closed Short', key: 'closedShort' },
+  ...PERFORMANCE_COLUMNS
+];
+
+const DELIVERY_COLUMNS = [
+  { header: 'ID', key: 'id' },
+  { header: 'Request ID', key: 'requestId' },
+  { header: 'Request Number', key: 'requestNumber' },
+  { header: 'Origin', key: 'origin' },
+  { header: 'Destination', key: 'destination' },
+  { header: 'Planned Pickup Date/Time', key: 'pickUpDateTime' },
+  { header: 'Actual Pickup Date/Time', key: 'actualPickupDateTime' },
+  { header: 'Planned Truck Count', key: 'truckCount' },
+  { header: 'Actual Truck Count', key: 'actualTruckCount' },
+  { header: 'Estimated Cost', key: 'estimatedCost' },
+  { header: 'Contracted Cost', key: 'contractedCost' },
+  { header: 'Invoice Amount', key: 'invoiceAmount' },
+  { header: 'Delay Reason', key: 'delayReasonCode' },
+  { header: 'Logged By', key: 'loggedBy' },
+  { header: 'Logged At', key: 'loggedAt' },
+  { header: 'Notes', key: 'deliveryNotes' },
+  ...PERFORMANCE_COLUMNS
+];
+
+const RATING_COLUMNS = [
+  { header: 'ID', key: 'id' },
+  { header: 'Delivery ID', key: 'deliveryId' },
+  { header: 'Request Number', key: 'requestNumber' },
+  { header: 'Driver ID', key: 'driverId' },
+  { header: 'Driver Name', key: 'driverName' },
+  { header: 'Driver Type', key: 'driverType' },
+  { header: 'Transport Company', key: 'transportCompany' },
+  { header: 'Actual Pickup Date/Time', key: 'actualPickupDateTime' },
+  { header: 'Punctuality', key: 'punctuality' },
+  { header: 'Professionalism', key: 'professionalism' },
+  { header: 'Delivery Quality', key: 'deliveryQuality' },
+  { header: 'Communication', key: 'communication' },
+  { header: 'Safety', key: 'safety' },
+  { header: 'Policy Compliance', key: 'policyCompliance' },
+  { header: 'Fuel Efficiency', key: 'fuelEfficiency' },
+  { header: 'Overall Rating', key: 'overallRating' },
+  { header: 'Comments', key: 'comments' },
+  { header: 'Rated At', key: 'createdAt' },
+  ...PERFORMANCE_COLUMNS
+];
+
+/**
+ * Export Helper - Contains pure utility functions for CSV/XLSX exports
+ * No database operations should be performed here
+ */
+class ExportHelper {
+
+  get columns() {
+    return {
+      requests: REQUEST_COLUMNS,
+      deliveries: DELIVERY_COLUMNS,
+      ratings: RATING_COLUMNS
+    };
+  }
+
+  getContentType(format) {
+    return CONTENT_TYPES[format];
+  }
+
+  buildFileName(name, format, date = new Date()) {
+    return `${name}-${date.toISOString().split('T')[0]}.${format}`;
+  }
+
+  /**
+   * Row writer that streams straight to `stream` so exports never hold the
+   * whole result set in memory. Call end() once all rows are written.
+   */
+  createWriter(format, stream, sheetName, columns) {
+    return format === 'xlsx'
+      ? this.createXlsxWriter(stream, sheetName, columns)
+      : this.createCsvWriter(stream, columns);
+  }
+
+  createCsvWriter(stream, columns) {
+    const write = async line => {
+      if (stream.destroyed) {
+        throw new Error('Export stream closed by client');
+      }
+      if (!stream.write(`${line}\r\n`)) {
+        await once(stream, 'drain');
+      }
+    };
+
+    // BOM so Excel opens UTF-8 CSVs correctly
+    stream.write('\uFEFF');
+    const ready = write(columns.map(column => this.toCsvValue(column.header)).join(','));
+
+    return {
+      writeRow: async row => {
+        await ready;
+        await write(columns.map(column => this.toCsvValue(row[column.key])).join(','));
+      },
+      end: async () => {
+        await ready;
+        stream.end();
+      }
+    };
+  }
+
+  createXlsxWriter(stream, sheetName, columns) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+    const worksheet = workbook.addWorksheet(sheetName);
+    worksheet.columns = columns.map(column => ({
+      header: column.header,
+      key: column.key,
+      width: Math.max(12, column.header.length + 2)
+    }));
+    worksheet.getRow(1).font = { bold: true };
+
+    return {
+      writeRow: async row => {
+        if (stream.destroyed) {
+          throw new Error('Export stream closed by client');
+        }
+        worksheet.addRow(row).commit();
+      },
+      end: async () => {
+        worksheet.commit();
+        await workbook.commit();
+      }
+    };
+  }
+
+  /**
+   * Quote per RFC 4180 and neutralise spreadsheet formulas in text cells
+   */
+  toCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  toNumber(value) {
+    return value === null || value === undefined ? null : parseFloat(value);
+  }
+
+  /**
+   * Flat export row for a request, totalled over its deliveries; performance
+   * columns stay empty until a delivery exists
+   */
+  buildRequestRow(request) {
+    const deliveries = request.Deliveries || [];
+    const hasDeliveries = deliveries.length > 0;
+
+    return {
+      id: request.id,
+      requestNumber: request.requestNumber,
+      origin: request.origin,
+      destination: request.destination,
+      estimatedDistance: this.toNumber(request.estimatedDistance),
+      pickUpDateTime: request.pickUpDateTime,
+      truckCount: request.truckCount,
+      truckType: request.truckType,
+      urgencyLevel: request.urgencyLevel,
+      status: request.status,
+      estimatedCost: this.toNumber(request.estimatedCost),
+      contractedCost: this.toNumber(request.contractedCost),
+      createdBy: request.createdBy,
+      createdAt: request.createdAt,
+      deliveryCount: deliveries.length,
+      actualPickupDateTime: hasDeliveries
+        ? new Date(Math.min(...deliveries.map(delivery => new Date(delivery.actualPickupDateTime).getTime())))
+        : null,
+      actualTruckCount: hasDeliveries ? deliveries.reduce((sum, delivery) => sum + delivery.actualTruckCount, 0) : null,
+      invoiceAmount: hasDeliveries
+        ? deliveries.reduce((sum, delivery) => sum + this.toNumber(delivery.invoiceAmount), 0)
+        : null,
+      closedShort: request.closedShort,
+      ...request.getPerformanceMetrics()
+    };
+  }
+
+  buildDeliveryRow(delivery) {
+    const request = delivery.TransportationRequest;
+
+    return {
+      id: delivery.id,
+      requestId: delivery.requestId,
+      requestNumber: request ? request.requestNumber : null,
+      origin: request ? request.origin : null,
+      destination: request ? request.destination : null,
+      pickUpDateTime: request ? request.pickUpDateTime : null,
+      actualPickupDateTime: delivery.actualPickupDateTime,
+      truckCount: request ? request.truckCount : null,
+      actualTruckCount: delivery.actualTruckCount,
+      estimatedCost: request ? this.toNumber(request.estimatedCost) : null,
+      contractedCost: request ? this.toNumber(request.contractedCost) : null,
+      invoiceAmount: this.toNumber(delivery.invoiceAmount),
+      delayReasonCode: delivery.delayReasonCode,
+      loggedBy: delivery.loggedBy,
+      loggedAt: delivery.loggedAt,
+      deliveryNotes: delivery.deliveryNotes,
+      ...this.getDeliveryPerformance(delivery)
+    };
+  }
+
+  buildRatingRow(rating) {
+    const delivery = rating.Delivery;
+    const request = delivery ? delivery.TransportationRequest : null;
+    const driver = rating.Driver;
+
+    return {
+      id: rating.id,
+      deliveryId: rating.deliveryId,
+      requestNumber: request ? request.requestNumber : null,
+      driverId: rating.driverId,
+      driverName: driver ? driver.name : null,
+      driverType: driver ? driver.type : null,
+      transportCompany: driver ? driver.transportCompany : null,
+      actualPickupDateTime: delivery ? delivery.actualPickupDateTime : null,
+      punctuality: rating.punctuality,
+      professionalism: rating.professionalism,
+      deliveryQuality: rating.deliveryQuality,
+      communication: rating.communication,
+      safety: rating.safety,
+      policyCompliance: rating.policyCompliance,
+      fuelEfficiency: rating.fuelEfficiency,
+      overallRating: rating.overallRating,
+      comments: rating.comments,
+      createdAt: rating.createdAt,
+      ...(delivery ? this.getDeliveryPerformance(delivery) : {})
+    };
+  }
+
+  /**
+   * getPerformanceMetrics() lives on the request and reads request.Deliveries,
+   * so attach the delivery when starting from the delivery side. For a request
+   * delivered in waves this scores the single delivery against the whole request.
+   */
+  getDeliveryPerformance(delivery) {
+    const request = delivery.TransportationRequest;
+    if (!request) return {};
+
+    request.Deliveries = [delivery];
+    return request.getPerformanceMetrics() || {};
+  }
+}
+
+module.exports = ExportHelper;
@@ -0,0 +1,101 @@
+const { Op } = require('sequelize');
+const { TransportationRequest } = require('../request/request.model');
+const { Delivery, DriverRating } = require('../delivery/delivery.model');
+const { Driver } = require('../driver/driver.model');
+const RequestHelper = require('../request/request.helper');
+const DeliveryHelper = require('../delivery/delivery.helper');
+
+// Rows fetched per query; exports page through the table by id instead of loading it whole
+const EXPORT_BATCH_SIZE = 500;
+
+const REQUEST_EXPORT_ATTRIBUTES = ['id', 'requestNumber', 'origin', 'destination', 'pickUpDateTime', 'truckCount', 'estimatedCost', 'contractedCost'];
+
+class ExportService {
+
+  constructor() {
+    this.requestHelper = new RequestHelper();
+    this.deliveryHelper = new DeliveryHelper();
+  }
+
+  /**
+   * Same filters as GET /api/requests (RequestHelper.buildWhereClause)
+   */
+  async streamRequests(filters, onRecord) {
+    await this.eachInBatches(TransportationRequest, {
+      where: this.requestHelper.buildWhereClause(filters),
+      include: [{
+        model: Delivery,
+        as: 'Deliveries',
+        required: false,
+        separate: true
+      }]
+    }, onRecord);
+  }
+
+  /**
+   * Same filters as GET /api/deliveries (actual pickup date range)
+   */
+  async streamDeliveries(filters, onRecord) {
+    await this.eachInBatches(Delivery, {
+      where: this.deliveryHelper.buildDateRangeFilter(filters.startDate, filters.endDate),
+      include: [{
+        model: TransportationRequest,
+        as: 'TransportationRequest',
+        attributes: REQUEST_EXPORT_ATTRIBUTES
+      }]
+    }, onRecord);
+  }
+
+  /**
+   * Driver ratings, filtered by driver and by the delivery's actual pickup date range
+   */
+  async streamRatings(filters, onRecord) {
+    await this.eachInBatches(DriverRating, {
+      where: filters.driverId ? { driverId: filters.driverId } : {},
+      include: [
+        {
+          model: Delivery,
+          as: 'Delivery',
+          required: true,
+          where: this.deliveryHelper.buildDateRangeFilter(filters.startDate, filters.endDate),
+          include: [{
+            model: TransportationRequest,
+            as: 'TransportationRequest',
+            attributes: REQUEST_EXPORT_ATTRIBUTES
+          }]
+        },
+        {
+          model: Driver,
+          as: 'Driver',
+          attributes: ['id', 'name', 'type', 'transportCompany']
+        }
+      ]
+    }, onRecord);
+  }
+
+  /**
+   * Keyset pagination on the primary key: each batch is released before the next
+   * is fetched, and `onRecord` is awaited so slow consumers apply backpressure.
+   */
+  async eachInBatches(model, { where, include }, onRecord) {
+    let lastId = 0;
+
+    for (;;) {
+      const records = await model.findAll({
+        where: { [Op.and]: [where, { id: { [Op.gt]: lastId } }] },
+        include,
+        order: [['id', 'ASC']],
+        limit: EXPORT_BATCH_SIZE
+      });
+
+      for (const record of records) {
+        await onRecord(record);
+      }
+
+      if (records.length < EXPORT_BATCH_SIZE) return;
+      lastId = records[records.length - 1].id;
+    }
+  }
+}
+
+module.exports = new ExportService();
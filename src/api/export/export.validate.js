@@ -0,0 +1,55 @@
+const Joi = require('joi');
+const { querySchema, validateRequest } = require('../request/request.validate');
+
+const format = Joi.string()
+  .valid('csv', 'xlsx')
+  .default('csv')
+  .messages({
+    'any.only': 'Format must be one of: csv, xlsx'
+  });
+
+/**
+ * Request export accepts the GET /api/requests filters; pagination does not apply
+ */
+const requestExportSchema = querySchema
+  .fork(['page', 'limit'], schema => schema.strip())
+  .keys({ format });
+
+/**
+ * Delivery export accepts the GET /api/deliveries date range (both ends required together)
+ */
+const deliveryExportSchema = Joi.object({
+  format,
+  startDate: Joi.date()
+    .iso()
+    .messages({
+      'date.base': 'Start date must be a valid date'
+    }),
+  endDate: Joi.date()
+    .iso()
+    .min(Joi.ref('startDate'))
+    .messages({
+      'date.base': 'End date must be a valid date',
+      'date.min': 'End date cannot be before start date'
+    })
+})
+  .and('startDate', 'endDate')
+  .messages({
+    'object.and': 'startDate and endDate must be provided together'
+  });
+
+const ratingExportSchema = deliveryExportSchema.keys({
+  driverId: Joi.number()
+    .integer()
+    .positive()
+    .messages({
+      'number.base': 'Driver ID must be a number'
+    })
+});
+
+module.exports = {
+  requestExportSchema,
+  deliveryExportSchema,
+  ratingExportSchema,
+  validateRequest
+};
@@ -0,0 +1,170 @@
+const importService = require('./import.service');
+const ImportHelper = require('./import.helper');
+const {
+  validateRequest,
+  importOptionsSchema,
+  importQuerySchema
+} = require('./import.validate');
+
+const importHelper = new ImportHelper();
+
+/**
+ * Multipart fields arrive as strings; columnMapping is sent as JSON text.
+ * Unparseable text is passed through so Joi reports it.
+ */
+function parseImportOptions(body = {}) {
+  const options = { ...body };
+
+  if (typeof options.columnMapping === 'string') {
+    try {
+      options.columnMapping = JSON.parse(options.columnMapping);
+    } catch (error) {
+      // left as a string; rejected by importOptionsSchema
+    }
+  }
+
+  return options;
+}
+
+class ImportController {
+
+  async importRequests(req, res) {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'Import file is required (multipart field "file")'
+        });
+      }
+
+      const fileType = importHelper.detectFileType(req.file.originalname);
+      if (!fileType) {
+        return res.status(400).json({
+          success: false,
+          message: 'Unsupported file type. Upload a .csv or .xlsx file'
+        });
+      }
+
+      const validation = validateRequest(parseImportOptions(req.body), importOptionsSchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const report = await importService.importRequests({
+        buffer: req.file.buffer,
+        originalName: req.file.originalname,
+        fileType
+      }, validation.data);
+
+      if (report.status === 'failed') {
+        return res.status(400).json({
+          success: false,
+          message: 'Import failed; no requests were created',
+          data: report
+        });
+      }
+
+      const messages = {
+        validated: 'Import validated successfully (dry run)',
+        completed: 'Requests imported successfully',
+        partially_completed: 'Requests partially imported'
+      };
+
+      res.status(report.dryRun ? 200 : 201).json({
+        success: true,
+        message: messages[report.status],
+        data: report
+      });
+
+    } catch (error) {
+      console.error('Error importing requests:', error.message);
+
+      if (error.message.includes('Invalid import file') || error.message.includes('Invalid column mapping')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid import file',
+          error: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to import requests',
+        error: error.message
+      });
+    }
+  }
+
+  async getAllImports(req, res) {
+    try {
+      const validation = validateRequest(req.query, importQuerySchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid query parameters',
+          errors: validation.errors
+        });
+      }
+
+      const result = await importService.getAllImports(validation.data);
+
+      res.status(200).json({
+        success: true,
+        message: 'Imports retrieved successfully',
+        data: result.data,
+        pagination: result.pagination
+      });
+
+    } catch (error) {
+      console.error('Error retrieving imports:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve imports',
+        error: error.message
+      });
+    }
+  }
+
+  async getImportById(req, res) {
+    try {
+      const importId = parseInt(req.params.importId);
+
+      if (isNaN(importId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid import ID'
+        });
+      }
+
+      const report = await importService.getImportById(importId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Import retrieved successfully',
+        data: report
+      });
+
+    } catch (error) {
+      console.error('Error retrieving import:', error.message);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Import not found'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve import',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ImportController();
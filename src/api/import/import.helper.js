@@ -0,0 +1,218 @@
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+
+// Guard against runaway spreadsheets; larger plans should be split
+const MAX_IMPORT_ROWS = 5000;
+
+/**
+ * Header spellings recognised when no explicit column mapping is given.
+ * Headers are compared after lower-casing and stripping non-alphanumerics.
+ */
+const COLUMN_ALIASES = {
+  origin: ['origin', 'from', 'pickuplocation', 'source'],
+  destination: ['destination', 'to', 'dropofflocation', 'deliverylocation'],
+  estimatedDistance: ['estimateddistance', 'distance', 'distancemiles', 'miles'],
+  pickUpDateTime: ['pickupdatetime', 'pickupdate', 'pickup', 'pickuptime'],
+  truckCount: ['truckcount', 'trucks', 'numberoftrucks', 'requiredtrucks'],
+  truckType: ['trucktype'],
+  loadDetails: ['loaddetails', 'load', 'cargo'],
+  specialRequirements: ['specialrequirements', 'requirements', 'notes'],
+  estimatedCost: ['estimatedcost', 'cost', 'budget'],
+  urgencyLevel: ['urgencylevel', 'urgency', 'priority']
+};
+
+// Enum columns are matched case-insensitively ("Flatbed" -> "flatbed")
+const ENUM_FIELDS = ['truckType', 'urgencyLevel'];
+
+/**
+ * Import Helper - Contains pure utility functions for spreadsheet imports
+ * No database operations should be performed here
+ */
+class ImportHelper {
+
+  /**
+   * 'csv' or 'xlsx' from the upload's extension, or null when unsupported
+   */
+  detectFileType(fileName) {
+    const extension = path.extname(fileName || '').toLowerCase();
+    if (extension === '.csv') return 'csv';
+    if (extension === '.xlsx') return 'xlsx';
+    return null;
+  }
+
+  /**
+   * Parse an uploaded file into headers and rows keyed by header.
+   * Row numbers are spreadsheet row numbers (the header is row 1).
+   */
+  async parseFile(buffer, fileType) {
+    let parsed;
+    try {
+      parsed = fileType === 'xlsx'
+        ? await this.parseXlsx(buffer)
+        : this.parseCsv(buffer);
+    } catch (error) {
+      throw new Error(`Invalid import file: ${error.message}`);
+    }
+
+    const { headers, rows } = parsed;
+
+    if (headers.length === 0) {
+      throw new Error('Invalid import file: no header row');
+    }
+
+    if (rows.length === 0) {
+      throw new Error('Invalid import file: no data rows');
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new Error(`Invalid import file: cannot exceed ${MAX_IMPORT_ROWS} rows`);
+    }
+
+    return { headers, rows };
+  }
+
+  parseCsv(buffer) {
+    let headers = [];
+    const records = parse(buffer, {
+      columns: header => {
+        headers = header.map(value => String(value).trim());
+        return headers;
+      },
+      bom: true,
+      trim: true,
+      skip_empty_lines: true,
+      relax_column_count: true,
+      info: true
+    });
+
+    return {
+      headers,
+      rows: records.map(({ record, info }) => ({ rowNumber: info.lines, values: record }))
+    };
+  }
+
+  async parseXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) {
+      return { headers: [], rows: [] };
+    }
+
+    const headerRow = worksheet.getRow(1);
+    const headers = [];
+    headerRow.eachCell((cell, column) => {
+      headers[column - 1] = String(this.readCellValue(cell.value) || '').trim();
+    });
+
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+
+      const values = {};
+      headers.forEach((header, index) => {
+        if (!header) return;
+        const value = this.readCellValue(row.getCell(index + 1).value);
+        values[header] = typeof value === 'string' ? value.trim() : value;
+      });
+
+      if (Object.values(values).some(value => value !== null && value !== '')) {
+        rows.push({ rowNumber, values });
+      }
+    });
+
+    return { headers: headers.filter(Boolean), rows };
+  }
+
+  /**
+   * Flatten ExcelJS cell values (rich text, hyperlinks, formulas, dates) to plain values
+   */
+  readCellValue(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value !== 'object') return value;
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return value.text;
+    if (value.result !== undefined) return this.readCellValue(value.result);
+    return null;
+  }
+
+  /**
+   * Resolve the field -> column mapping. Explicit entries win; remaining fields
+   * are matched against the file headers by alias.
+   */
+  resolveColumnMapping(headers, explicitMapping = {}) {
+    const mapping = { ...explicitMapping };
+    const used = new Set(Object.values(mapping));
+
+    for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+      if (mapping[field]) continue;
+
+      const header = headers.find(candidate =>
+        !used.has(candidate) && aliases.includes(this.normalizeHeader(candidate))
+      );
+
+      if (header) {
+        mapping[field] = header;
+        used.add(header);
+      }
+    }
+
+    return {
+      columnMapping: mapping,
+      missingColumns: Object.values(explicitMapping).filter(header => !headers.includes(header)),
+      unmappedColumns: headers.filter(header => !used.has(header))
+    };
+  }
+
+  /**
+   * Build the request payload for one row; blank cells are left out so
+   * optional fields fall back to their defaults.
+   */
+  mapRow(values, columnMapping) {
+    const data = {};
+
+    for (const [field, header] of Object.entries(columnMapping)) {
+      let value = values[header];
+      if (value === undefined || value === null || value === '') continue;
+
+      if (ENUM_FIELDS.includes(field) && typeof value === 'string') {
+        value = value.toLowerCase();
+      }
+
+      data[field] = value;
+    }
+
+    return data;
+  }
+
+  normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  formatImportResponse(importReport) {
+    return {
+      id: importReport.id,
+      fileName: importReport.fileName,
+      fileType: importReport.fileType,
+      mode: importReport.mode,
+      dryRun: importReport.dryRun,
+      status: importReport.status,
+      columnMapping: importReport.columnMapping,
+      unmappedColumns: importReport.unmappedColumns || [],
+      totalRows: importReport.totalRows,
+      validRows: importReport.validRows,
+      importedRows: importReport.importedRows,
+      failedRows: (importReport.rowErrors || []).length,
+      rowErrors: importReport.rowErrors || [],
+      createdRequestIds: importReport.createdRequestIds || [],
+      createdBy: importReport.createdBy,
+      createdAt: importReport.createdAt,
+      updatedAt: importReport.updatedAt
+    };
+  }
+}
+
+module.exports = ImportHelper;
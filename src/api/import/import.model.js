@@ -0,0 +1,98 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+
+/**
+ * Request Import Model
+ * Report of one spreadsheet import: the column mapping used, per-row
+ * validation errors and the requests that were created.
+ */
+const RequestImport = sequelize.define('RequestImport', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  fileName: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    field: 'file_name'
+  },
+  fileType: {
+    type: DataTypes.ENUM('csv', 'xlsx'),
+    allowNull: false,
+    field: 'file_type'
+  },
+  mode: {
+    type: DataTypes.ENUM('all_or_nothing', 'partial'),
+    allowNull: false,
+    defaultValue: 'all_or_nothing'
+  },
+  dryRun: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'dry_run'
+  },
+  status: {
+    type: DataTypes.ENUM('validated', 'completed', 'partially_completed', 'failed'),
+    allowNull: false
+  },
+  columnMapping: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    field: 'column_mapping'
+  },
+  unmappedColumns: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    field: 'unmapped_columns'
+  },
+  totalRows: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'total_rows'
+  },
+  validRows: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'valid_rows'
+  },
+  importedRows: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'imported_rows'
+  },
+  rowErrors: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    field: 'row_errors'
+  },
+  createdRequestIds: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    field: 'created_request_ids'
+  },
+  createdBy: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    defaultValue: 'System',
+    field: 'created_by'
+  }
+}, {
+  tableName: 'request_imports',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+module.exports = {
+  RequestImport
+};
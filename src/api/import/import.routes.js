@@ -0,0 +1,19 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const importController = require('./import.controller');
+
+// Spreadsheets are parsed from memory and never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: 1 }
+});
+
+
+router.post('/import', upload.single('file'), importController.importRequests);
+
+router.get('/imports', importController.getAllImports);
+
+router.get('/imports/:importId', importController.getImportById);
+
+module.exports = router;
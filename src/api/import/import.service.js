@@ -0,0 +1,179 @@
+const { RequestImport } = require('./import.model');
+const { sequelize } = require('../../config/db');
+const requestService = require('../request/request.service');
+const { createRequestSchema, validateRequest } = require('../request/request.validate');
+const ImportHelper = require('./import.helper');
+
+class ImportService {
+
+  constructor() {
+    this.importHelper = new ImportHelper();
+  }
+
+  /**
+   * Validate every row of an uploaded spreadsheet against createRequestSchema and,
+   * unless this is a dry run, create the requests.
+   *  - all_or_nothing: any invalid row (or failed insert) rejects the whole file
+   *  - partial: valid rows are created, invalid rows are reported
+   * Every call is stored as an import report.
+   */
+  async importRequests(file, options) {
+    try {
+      const { mode, dryRun, columnMapping: explicitMapping, createdBy } = options;
+      const { headers, rows } = await this.importHelper.parseFile(file.buffer, file.fileType);
+
+      const { columnMapping, missingColumns, unmappedColumns } =
+        this.importHelper.resolveColumnMapping(headers, explicitMapping);
+
+      if (missingColumns.length > 0) {
+        throw new Error(`Invalid column mapping: columns not found in file: ${missingColumns.join(', ')}`);
+      }
+
+      const { validRows, rowErrors } = this.validateRows(rows, columnMapping, createdBy);
+
+      let createdRequestIds = [];
+      let status = 'validated';
+
+      if (!dryRun) {
+        const result = mode === 'partial'
+          ? await this.createPartial(validRows, rowErrors)
+          : await this.createAllOrNothing(validRows, rowErrors);
+
+        createdRequestIds = result.createdRequestIds;
+        status = result.status;
+      }
+
+      const importReport = await RequestImport.create({
+        fileName: file.originalName,
+        fileType: file.fileType,
+        mode,
+        dryRun,
+        status,
+        columnMapping,
+        unmappedColumns,
+        totalRows: rows.length,
+        validRows: validRows.length,
+        importedRows: createdRequestIds.length,
+        rowErrors: rowErrors.sort((a, b) => a.row - b.row),
+        createdRequestIds,
+        createdBy
+      });
+
+      return this.importHelper.formatImportResponse(importReport);
+    } catch (error) {
+      throw new Error(`Failed to import requests: ${error.message}`);
+    }
+  }
+
+  validateRows(rows, columnMapping, createdBy) {
+    const validRows = [];
+    const rowErrors = [];
+
+    for (const { rowNumber, values } of rows) {
+      const validation = validateRequest(
+        this.importHelper.mapRow(values, columnMapping),
+        createRequestSchema
+      );
+
+      if (validation.isValid) {
+        validRows.push({ rowNumber, data: { ...validation.data, createdBy } });
+      } else {
+        rowErrors.push({ row: rowNumber, errors: validation.errors });
+      }
+    }
+
+    return { validRows, rowErrors };
+  }
+
+  async createAllOrNothing(validRows, rowErrors) {
+    if (rowErrors.length > 0) {
+      return { status: 'failed', createdRequestIds: [] };
+    }
+
+    const transaction = await sequelize.transaction();
+    const createdRequestIds = [];
+
+    for (const { rowNumber, data } of validRows) {
+      try {
+        const request = await requestService.createRequest(data, { transaction });
+        createdRequestIds.push(request.id);
+      } catch (error) {
+        await transaction.rollback();
+        rowErrors.push({ row: rowNumber, errors: [{ field: null, message: error.message }] });
+        return { status: 'failed', createdRequestIds: [] };
+      }
+    }
+
+    await transaction.commit();
+    return { status: 'completed', createdRequestIds };
+  }
+
+  async createPartial(validRows, rowErrors) {
+    const createdRequestIds = [];
+
+    for (const { rowNumber, data } of validRows) {
+      try {
+        const request = await requestService.createRequest(data);
+        createdRequestIds.push(request.id);
+      } catch (error) {
+        rowErrors.push({ row: rowNumber, errors: [{ field: null, message: error.message }] });
+      }
+    }
+
+    let status = 'partially_completed';
+    if (rowErrors.length === 0) status = 'completed';
+    if (createdRequestIds.length === 0) status = 'failed';
+
+    return { status, createdRequestIds };
+  }
+
+  async getAllImports(queryParams = {}) {
+    try {
+      const { page = 1, limit = 10, status } = queryParams;
+      const whereClause = {};
+
+      if (status) {
+        whereClause.status = status;
+      }
+
+      const { count, rows } = await RequestImport.findAndCountAll({
+        where: whereClause,
+        order: [['created_at', 'DESC']],
+        limit: parseInt(limit),
+        offset: (parseInt(page) - 1) * parseInt(limit)
+      });
+
+      const totalPages = Math.ceil(count / limit);
+
+      return {
+        data: rows.map(importReport => this.importHelper.formatImportResponse(importReport)),
+        pagination: {
+          total: count,
+          totalPages,
+          currentPage: parseInt(page),
+          limit: parseInt(limit),
+          hasNextPage: page < totalPages,
+          hasPreviousPage: page > 1
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to retrieve imports: ${error.message}`);
+    }
+  }
+
+  async getImportById(importId) {
+    try {
+      const importReport = await RequestImport.findByPk(importId);
+
+      if (!importReport) {
+        throw new Error('Import not found');
+      }
+
+      return this.importHelper.formatImportResponse(importReport);
+    } catch (error) {
+      throw new Error(`Failed to retrieve import: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new ImportService();
@@ -0,0 +1,56 @@
+const Joi = require('joi');
+const { createRequestSchema, validateRequest } = require('../request/request.validate');
+
+// Columns can only be mapped onto fields createRequestSchema accepts
+const IMPORTABLE_FIELDS = Object.keys(createRequestSchema.describe().keys);
+
+/**
+ * Validation schema for import options (multipart form fields).
+ * columnMapping maps request field -> spreadsheet column header, and may be sent as a JSON string.
+ */
+const importOptionsSchema = Joi.object({
+  mode: Joi.string()
+    .valid('all_or_nothing', 'partial')
+    .default('all_or_nothing')
+    .messages({
+      'any.only': 'Mode must be one of: all_or_nothing, partial'
+    }),
+
+  dryRun: Joi.boolean()
+    .default(false)
+    .messages({
+      'boolean.base': 'Dry run must be true or false'
+    }),
+
+  columnMapping: Joi.object()
+    .pattern(Joi.string(), Joi.string().trim().min(1).max(255))
+    .custom((mapping, helpers) => {
+      const unknownFields = Object.keys(mapping).filter(field => !IMPORTABLE_FIELDS.includes(field));
+      return unknownFields.length > 0
+        ? helpers.error('object.unknownFields', { fields: unknownFields.join(', ') })
+        : mapping;
+    })
+    .default({})
+    .messages({
+      'object.base': 'Column mapping must be a JSON object of field -> column header',
+      'object.unknownFields': `Column mapping fields must be one of: ${IMPORTABLE_FIELDS.join(', ')} (got {#fields})`
+    }),
+
+  createdBy: Joi.string()
+    .trim()
+    .min(2)
+    .max(100)
+    .optional()
+});
+
+const importQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  status: Joi.string().valid('validated', 'completed', 'partially_completed', 'failed').optional()
+});
+
+module.exports = {
+  importOptionsSchema,
+  importQuerySchema,
+  validateRequest
+};
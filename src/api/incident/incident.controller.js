@@ -0,0 +1,154 @@
+const incidentService = require('./incident.service');
+const {
+  validateRequest,
+  createIncidentSchema,
+  updateIncidentSchema,
+  incidentQuerySchema
+} = require('./incident.validate');
+
+/**
+ * Shared error mapping for the single incident endpoints
+ */
+function sendIncidentError(res, error, message) {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      success: false,
+      message: 'Incident not found'
+    });
+  }
+
+  if (error.message.includes('Invalid deliveryId') || error.message.includes('Invalid driverIds')) {
+    return res.status(400).json({
+      success: false,
+      message,
+      error: error.message.replace(/^Failed to \w+ incident: /, '')
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+}
+
+function parseIncidentId(req, res) {
+  const incidentId = parseInt(req.params.id);
+
+  if (isNaN(incidentId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid incident ID'
+    });
+    return null;
+  }
+
+  return incidentId;
+}
+
+class IncidentController {
+
+  async createIncident(req, res) {
+    try {
+      const validation = validateRequest(req.body, createIncidentSchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const incident = await incidentService.createIncident(validation.data);
+
+      res.status(201).json({
+        success: true,
+        message: 'Incident reported successfully',
+        data: incident
+      });
+
+    } catch (error) {
+      console.error('Error reporting incident:', error.message);
+      sendIncidentError(res, error, 'Failed to report incident');
+    }
+  }
+
+  async getAllIncidents(req, res) {
+    try {
+      const validation = validateRequest(req.query, incidentQuerySchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid query parameters',
+          errors: validation.errors
+        });
+      }
+
+      const result = await incidentService.getAllIncidents(validation.data);
+
+      res.status(200).json({
+        success: true,
+        message: 'Incidents retrieved successfully',
+        data: result.data,
+        pagination: result.pagination
+      });
+
+    } catch (error) {
+      console.error('Error retrieving incidents:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve incidents',
+        error: error.message
+      });
+    }
+  }
+
+  async getIncidentById(req, res) {
+    try {
+      const incidentId = parseIncidentId(req, res);
+      if (incidentId === null) return;
+
+      const incident = await incidentService.getIncidentById(incidentId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Incident retrieved successfully',
+        data: incident
+      });
+
+    } catch (error) {
+      console.error('Error retrieving incident:', error.message);
+      sendIncidentError(res, error, 'Failed to retrieve incident');
+    }
+  }
+
+  async updateIncident(req, res) {
+    try {
+      const incidentId = parseIncidentId(req, res);
+      if (incidentId === null) return;
+
+      const validation = validateRequest(req.body, updateIncidentSchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const incident = await incidentService.updateIncident(incidentId, validation.data);
+
+      res.status(200).json({
+        success: true,
+        message: 'Incident updated successfully',
+        data: incident
+      });
+
+    } catch (error) {
+      console.error('Error updating incident:', error.message);
+      sendIncidentError(res, error, 'Failed to update incident');
+    }
+  }
+}
+
+module.exports = new IncidentController();
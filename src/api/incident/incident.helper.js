@@ -0,0 +1,62 @@
+const { INCIDENT_SEVERITIES, OPEN_INCIDENT_STATUSES } = require('./incident.model');
+
+/**
+ * Incident Helper - Contains pure utility functions for delivery incidents
+ * No database operations should be performed here
+ */
+class IncidentHelper {
+
+  formatIncidentResponse(incident) {
+    return {
+      id: incident.id,
+      deliveryId: incident.deliveryId,
+      requestId: incident.Delivery ? incident.Delivery.requestId : undefined,
+      type: incident.type,
+      severity: incident.severity,
+      description: incident.description,
+      occurredAt: incident.occurredAt,
+      status: incident.status,
+      resolutionNotes: incident.resolutionNotes,
+      resolvedAt: incident.resolvedAt,
+      reportedBy: incident.reportedBy,
+      drivers: incident.Drivers
+        ? incident.Drivers.map(driver => ({ id: driver.id, name: driver.name, type: driver.type }))
+        : [],
+      createdAt: incident.createdAt,
+      updatedAt: incident.updatedAt
+    };
+  }
+
+  isOpen(incident) {
+    return OPEN_INCIDENT_STATUSES.includes(incident.status);
+  }
+
+  /**
+   * resolvedAt follows the status: set when an incident is resolved, cleared when it is reopened
+   */
+  resolveStatusFields(incident, updateData, now = new Date()) {
+    if (!updateData.status || updateData.status === incident.status) {
+      return {};
+    }
+
+    return { resolvedAt: updateData.status === 'resolved' ? now : null };
+  }
+
+  /**
+   * Counts by status and severity, most severe first
+   */
+  summarizeIncidents(incidents) {
+    const bySeverity = {};
+    [...INCIDENT_SEVERITIES].reverse().forEach(severity => {
+      bySeverity[severity] = incidents.filter(incident => incident.severity === severity).length;
+    });
+
+    return {
+      total: incidents.length,
+      open: incidents.filter(incident => this.isOpen(incident)).length,
+      bySeverity
+    };
+  }
+}
+
+module.exports = IncidentHelper;
@@ -0,0 +1,135 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+
+const INCIDENT_TYPES = ['damage', 'accident', 'shortage', 'refused_load', 'safety'];
+const INCIDENT_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const INCIDENT_STATUSES = ['open', 'investigating', 'resolved'];
+
+// Statuses still needing action; shown as open incidents on deliveries
+const OPEN_INCIDENT_STATUSES = ['open', 'investigating'];
+
+/**
+ * Incident Model
+ * Damage, accidents, shortages, refused loads and safety incidents reported
+ * against a delivery, tracked until resolved
+ */
+const Incident = sequelize.define('Incident', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  deliveryId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'delivery_id',
+    references: {
+      model: 'deliveries',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM(...INCIDENT_TYPES),
+    allowNull: false
+  },
+  severity: {
+    type: DataTypes.ENUM(...INCIDENT_SEVERITIES),
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  occurredAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'occurred_at'
+  },
+  status: {
+    type: DataTypes.ENUM(...INCIDENT_STATUSES),
+    allowNull: false,
+    defaultValue: 'open'
+  },
+  resolutionNotes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'resolution_notes'
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'resolved_at'
+  },
+  reportedBy: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    defaultValue: 'System',
+    field: 'reported_by'
+  }
+}, {
+  tableName: 'incidents',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['delivery_id']
+    },
+    {
+      fields: ['status', 'severity']
+    }
+  ]
+});
+
+/**
+ * Incident Driver Model
+ * Drivers involved in an incident
+ */
+const IncidentDriver = sequelize.define('IncidentDriver', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  incidentId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'incident_id',
+    references: {
+      model: 'incidents',
+      key: 'id'
+    }
+  },
+  driverId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'driver_id',
+    references: {
+      model: 'drivers',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'incident_drivers',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['incident_id', 'driver_id']
+    },
+    {
+      fields: ['driver_id']
+    }
+  ]
+});
+
+module.exports = {
+  Incident,
+  IncidentDriver,
+  INCIDENT_TYPES,
+  INCIDENT_SEVERITIES,
+  INCIDENT_STATUSES,
+  OPEN_INCIDENT_STATUSES
+};
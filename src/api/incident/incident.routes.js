@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const incidentController = require('./incident.controller');
+
+
+router.post('/', incidentController.createIncident);
+
+router.get('/', incidentController.getAllIncidents);
+
+router.get('/:id', incidentController.getIncidentById);
+
+router.put('/:id', incidentController.updateIncident);
+
+module.exports = router;
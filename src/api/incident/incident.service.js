@@ -0,0 +1,188 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../../config/db');
+const { Incident, IncidentDriver } = require('./incident.model');
+const { Delivery } = require('../delivery/delivery.model');
+const { Driver } = require('../driver/driver.model');
+const IncidentHelper = require('./incident.helper');
+
+const DRIVERS_INCLUDE = {
+  model: Driver,
+  as: 'Drivers',
+  attributes: ['id', 'name', 'type'],
+  through: { attributes: [] },
+  paranoid: false
+};
+
+const DELIVERY_INCLUDE = {
+  model: Delivery,
+  as: 'Delivery',
+  attributes: ['id', 'requestId'],
+  paranoid: false
+};
+
+class IncidentService {
+
+  constructor() {
+    this.incidentHelper = new IncidentHelper();
+  }
+
+  async createIncident(incidentData) {
+    const transaction = await sequelize.transaction();
+    let incident;
+
+    try {
+      const { driverIds, ...fields } = incidentData;
+
+      const delivery = await Delivery.findByPk(fields.deliveryId, { transaction });
+      if (!delivery) {
+        throw new Error(`Invalid deliveryId: delivery ${fields.deliveryId} does not exist`);
+      }
+
+      incident = await Incident.create({
+        ...fields,
+        reportedBy: fields.reportedBy || 'System'
+      }, { transaction });
+
+      await this.setIncidentDrivers(incident.id, driverIds, transaction);
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw new Error(`Failed to create incident: ${error.message}`);
+    }
+
+    return this.getIncidentById(incident.id);
+  }
+
+  async getAllIncidents(queryParams = {}) {
+    try {
+      const { page = 1, limit = 20, deliveryId, driverId, type, severity, status } = queryParams;
+      const whereClause = {};
+
+      if (deliveryId) whereClause.deliveryId = deliveryId;
+      if (type) whereClause.type = type;
+      if (severity) whereClause.severity = severity;
+      if (status) whereClause.status = status;
+
+      if (driverId) {
+        const involvements = await IncidentDriver.findAll({ where: { driverId }, attributes: ['incidentId'] });
+        whereClause.id = { [Op.in]: involvements.map(involvement => involvement.incidentId) };
+      }
+
+      const { count, rows } = await Incident.findAndCountAll({
+        where: whereClause,
+        include: [DELIVERY_INCLUDE, DRIVERS_INCLUDE],
+        order: [['occurredAt', 'DESC'], ['id', 'DESC']],
+        limit: parseInt(limit),
+        offset: (parseInt(page) - 1) * parseInt(limit),
+        distinct: true
+      });
+
+      const totalPages = Math.ceil(count / limit);
+
+      return {
+        data: rows.map(incident => this.incidentHelper.formatIncidentResponse(incident)),
+        pagination: {
+          total: count,
+          totalPages,
+          currentPage: parseInt(page),
+          limit: parseInt(limit),
+          hasNextPage: page < totalPages,
+          hasPreviousPage: page > 1
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to retrieve incidents: ${error.message}`);
+    }
+  }
+
+  async getIncidentById(incidentId) {
+    try {
+      const incident = await Incident.findByPk(incidentId, { include: [DELIVERY_INCLUDE, DRIVERS_INCLUDE] });
+      if (!incident) {
+        throw new Error('Incident not found');
+      }
+
+      return this.incidentHelper.formatIncidentResponse(incident);
+    } catch (error) {
+      throw new Error(`Failed to retrieve incident: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update details, involved drivers or resolution status
+   */
+  async updateIncident(incidentId, updateData) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const incident = await Incident.findByPk(incidentId, { transaction, lock: true });
+      if (!incident) {
+        throw new Error('Incident not found');
+      }
+
+      const { driverIds, ...fields } = updateData;
+
+      await incident.update({
+        ...fields,
+        ...this.incidentHelper.resolveStatusFields(incident, fields)
+      }, { transaction });
+
+      if (driverIds) {
+        await this.setIncidentDrivers(incident.id, driverIds, transaction);
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw new Error(`Failed to update incident: ${error.message}`);
+    }
+
+    return this.getIncidentById(incidentId);
+  }
+
+  /**
+   * Incidents a driver was involved in since the given date, for risk assessment
+   */
+  async getDriverIncidentHistory(driverId, since) {
+    return Incident.findAll({
+      where: { occurredAt: { [Op.gte]: since } },
+      attributes: ['id', 'type', 'severity', 'status', 'occurredAt'],
+      include: [{
+        model: Driver,
+        as: 'Drivers',
+        where: { id: driverId },
+        attributes: [],
+        through: { attributes: [] },
+        paranoid: false
+      }],
+      order: [['occurredAt', 'DESC']]
+    });
+  }
+
+  /**
+   * Replace the drivers involved in an incident
+   */
+  async setIncidentDrivers(incidentId, driverIds, transaction) {
+    if (driverIds.length > 0) {
+      const drivers = await Driver.findAll({
+        where: { id: { [Op.in]: driverIds } },
+        attributes: ['id'],
+        transaction
+      });
+      const found = new Set(drivers.map(driver => driver.id));
+      const missing = driverIds.filter(id => !found.has(id));
+      if (missing.length > 0) {
+        throw new Error(`Invalid driverIds: driver ${missing.join(', ')} does not exist`);
+      }
+    }
+
+    await IncidentDriver.destroy({ where: { incidentId }, transaction });
+    await IncidentDriver.bulkCreate(
+      driverIds.map(driverId => ({ incidentId, driverId })),
+      { transaction }
+    );
+  }
+}
+
+module.exports = new IncidentService();
@@ -0,0 +1,66 @@
+const Joi = require('joi');
+const { validateRequest } = require('../request/request.validate');
+const { INCIDENT_TYPES, INCIDENT_SEVERITIES, INCIDENT_STATUSES } = require('./incident.model');
+
+const incidentFields = {
+  type: Joi.string()
+    .valid(...INCIDENT_TYPES)
+    .messages({
+      'any.only': `Incident type must be one of: ${INCIDENT_TYPES.join(', ')}`
+    }),
+  severity: Joi.string()
+    .valid(...INCIDENT_SEVERITIES)
+    .messages({
+      'any.only': `Severity must be one of: ${INCIDENT_SEVERITIES.join(', ')}`
+    }),
+  description: Joi.string().trim().min(5).max(5000),
+  occurredAt: Joi.date()
+    .max('now')
+    .messages({
+      'date.max': 'Incident time cannot be in the future'
+    }),
+  // Replaces the drivers involved
+  driverIds: Joi.array().items(Joi.number().integer().positive()).unique(),
+  status: Joi.string()
+    .valid(...INCIDENT_STATUSES)
+    .messages({
+      'any.only': `Status must be one of: ${INCIDENT_STATUSES.join(', ')}`
+    }),
+  resolutionNotes: Joi.string().trim().max(5000).allow('', null)
+};
+
+const createIncidentSchema = Joi.object({
+  deliveryId: Joi.number().integer().positive().required(),
+  type: incidentFields.type.required(),
+  severity: incidentFields.severity.required(),
+  description: incidentFields.description.required(),
+  occurredAt: incidentFields.occurredAt.default(() => new Date()),
+  driverIds: incidentFields.driverIds.default([]),
+  reportedBy: Joi.string().trim().max(100).optional()
+});
+
+// Resolving an incident needs notes on how it was resolved
+const updateIncidentSchema = Joi.object(incidentFields).min(1).when(Joi.object({ status: Joi.valid('resolved').required() }).unknown(), {
+  then: Joi.object({
+    resolutionNotes: Joi.string().trim().min(1).required().messages({
+      'any.required': 'Resolution notes are required to resolve an incident'
+    })
+  })
+});
+
+const incidentQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  deliveryId: Joi.number().integer().positive().optional(),
+  driverId: Joi.number().integer().positive().optional(),
+  type: Joi.string().valid(...INCIDENT_TYPES).optional(),
+  severity: Joi.string().valid(...INCIDENT_SEVERITIES).optional(),
+  status: Joi.string().valid(...INCIDENT_STATUSES).optional()
+});
+
+module.exports = {
+  createIncidentSchema,
+  updateIncidentSchema,
+  incidentQuerySchema,
+  validateRequest
+};
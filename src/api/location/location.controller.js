@@ -0,0 +1,251 @@
+const locationService = require('./location.service');
+const {
+  validateRequest,
+  createLocationSchema,
+  updateLocationSchema,
+  locationQuerySchema,
+  distanceQuerySchema
+} = require('./location.validate');
+
+class LocationController {
+
+  async createLocation(req, res) {
+    try {
+      const validation = validateRequest(req.body, createLocationSchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const location = await locationService.createLocation(validation.data);
+
+      res.status(201).json({
+        success: true,
+        message: 'Location created successfully',
+        data: location
+      });
+
+    } catch (error) {
+      console.error('Error creating location:', error.message);
+
+      if (error.message.includes('already exists')) {
+        return res.status(400).json({
+          success: false,
+          message: 'A location with this name already exists'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create location',
+        error: error.message
+      });
+    }
+  }
+
+  async getAllLocations(req, res) {
+    try {
+      const validation = validateRequest(req.query, locationQuerySchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid query parameters',
+          errors: validation.errors
+        });
+      }
+
+      const result = await locationService.getAllLocations(validation.data);
+
+      res.status(200).json({
+        success: true,
+        message: 'Locations retrieved successfully',
+        data: result.data,
+        pagination: result.pagination
+      });
+
+    } catch (error) {
+      console.error('Error retrieving locations:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve locations',
+        error: error.message
+      });
+    }
+  }
+
+  async getLocationById(req, res) {
+    try {
+      const locationId = parseInt(req.params.id);
+
+      if (isNaN(locationId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid location ID'
+        });
+      }
+
+      const location = await locationService.getLocationById(locationId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Location retrieved successfully',
+        data: location
+      });
+
+    } catch (error) {
+      console.error('Error retrieving location:', error.message);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Location not found'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve location',
+        error: error.message
+      });
+    }
+  }
+
+  async updateLocation(req, res) {
+    try {
+      const locationId = parseInt(req.params.id);
+
+      if (isNaN(locationId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid location ID'
+        });
+      }
+
+      const validation = validateRequest(req.body, updateLocationSchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const location = await locationService.updateLocation(locationId, validation.data);
+
+      res.status(200).json({
+        success: true,
+        message: 'Location updated successfully',
+        data: location
+      });
+
+    } catch (error) {
+      console.error('Error updating location:', error.message);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Location not found'
+        });
+      }
+
+      if (error.message.includes('already exists')) {
+        return res.status(400).json({
+          success: false,
+          message: 'A location with this name already exists'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update location',
+        error: error.message
+      });
+    }
+  }
+
+  async deleteLocation(req, res) {
+    try {
+      const locationId = parseInt(req.params.id);
+
+      if (isNaN(locationId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid location ID'
+        });
+      }
+
+      await locationService.deleteLocation(locationId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Location deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Error deleting location:', error.message);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Location not found'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete location',
+        error: error.message
+      });
+    }
+  }
+
+  async estimateDistance(req, res) {
+    try {
+      const validation = validateRequest(req.query, distanceQuerySchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid query parameters',
+          errors: validation.errors
+        });
+      }
+
+      const { fromLocationId, toLocationId } = validation.data;
+      const estimate = await locationService.estimateDistance(fromLocationId, toLocationId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Distance estimated successfully',
+        data: estimate
+      });
+
+    } catch (error) {
+      console.error('Error estimating distance:', error.message);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Location not found'
+        });
+      }
+
+      if (error.message.includes('need coordinates')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Both locations need coordinates to estimate a distance'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to estimate distance',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new LocationController();
@@ -0,0 +1,96 @@
+const EARTH_RADIUS_MILES = 3958.8;
+
+/**
+ * Location Helper - Contains pure utility functions for locations and distances
+ * No database operations should be performed here
+ */
+class LocationHelper {
+
+  hasCoordinates(location) {
+    return Boolean(location)
+      && location.latitude !== null && location.latitude !== undefined
+      && location.longitude !== null && location.longitude !== undefined;
+  }
+
+  /**
+   * Great-circle distance in miles between two points
+   */
+  haversineMiles(from, to) {
+    const toRadians = degrees => (parseFloat(degrees) * Math.PI) / 180;
+
+    const dLat = toRadians(to.latitude) - toRadians(from.latitude);
+    const dLng = toRadians(to.longitude) - toRadians(from.longitude);
+    const a = Math.sin(dLat / 2) ** 2
+      + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+  }
+
+  /**
+   * Offline road distance estimate: straight-line distance scaled by a road factor.
+   * Returns null when either location has no coordinates.
+   */
+  estimateDistance(from, to, roadFactor) {
+    if (!this.hasCoordinates(from) || !this.hasCoordinates(to)) {
+      return null;
+    }
+
+    const straightLineMiles = this.haversineMiles(from, to);
+
+    return {
+      straightLineMiles: parseFloat(straightLineMiles.toFixed(2)),
+      estimatedMiles: parseFloat((straightLineMiles * roadFactor).toFixed(2)),
+      roadFactor
+    };
+  }
+
+  /**
+   * Road distance over consecutive legs; null unless every point has coordinates
+   */
+  estimateRouteDistance(locations, roadFactor) {
+    let estimatedMiles = 0;
+
+    for (let index = 1; index < locations.length; index++) {
+      const leg = this.estimateDistance(locations[index - 1], locations[index], roadFactor);
+      if (!leg) return null;
+      estimatedMiles += leg.estimatedMiles;
+    }
+
+    return parseFloat(estimatedMiles.toFixed(2));
+  }
+
+  /**
+   * Free-text label stored on requests so existing origin/destination readers keep working
+   */
+  formatLocationLabel(location) {
+    return location.city && !location.name.includes(location.city)
+      ? `${location.name}, ${location.city}`
+      : location.name;
+  }
+
+  // DECIMAL columns come back from MySQL as strings
+  toCoordinate(value) {
+    return value === null || value === undefined ? null : parseFloat(value);
+  }
+
+  formatLocationResponse(location) {
+    return {
+      id: location.id,
+      name: location.name,
+      addressLine1: location.addressLine1,
+      addressLine2: location.addressLine2,
+      city: location.city,
+      region: location.region,
+      postalCode: location.postalCode,
+      country: location.country,
+      latitude: this.toCoordinate(location.latitude),
+      longitude: this.toCoordinate(location.longitude),
+      timezone: location.timezone,
+      siteType: location.siteType,
+      createdAt: location.createdAt,
+      updatedAt: location.updatedAt
+    };
+  }
+}
+
+module.exports = LocationHelper;
@@ -0,0 +1,87 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+
+const SITE_TYPES = ['warehouse', 'distribution_center', 'plant', 'port', 'yard', 'customer', 'supplier', 'other'];
+
+/**
+ * Location Model
+ * A named site with a postal address and coordinates that requests can
+ * reference as origin or destination.
+ */
+const Location = sequelize.define('Location', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    unique: true
+  },
+  addressLine1: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'address_line1'
+  },
+  addressLine2: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'address_line2'
+  },
+  city: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  region: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  postalCode: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'postal_code'
+  },
+  country: {
+    type: DataTypes.STRING(2),
+    allowNull: true
+  },
+  latitude: {
+    type: DataTypes.DECIMAL(9, 6),
+    allowNull: true
+  },
+  longitude: {
+    type: DataTypes.DECIMAL(9, 6),
+    allowNull: true
+  },
+  timezone: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  siteType: {
+    type: DataTypes.ENUM(...SITE_TYPES),
+    allowNull: false,
+    defaultValue: 'other',
+    field: 'site_type'
+  }
+}, {
+  tableName: 'locations',
+  timestamps: true,
+  paranoid: true,
+  deletedAt: 'deleted_at',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['site_type']
+    },
+    {
+      fields: ['city']
+    }
+  ]
+});
+
+module.exports = {
+  Location,
+  SITE_TYPES
+};
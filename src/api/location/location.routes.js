@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const locationController = require('./location.controller');
+
+
+router.get('/distance', locationController.estimateDistance);
+
+router.post('/', locationController.createLocation);
+
+router.get('/', locationController.getAllLocations);
+
+router.get('/:id', locationController.getLocationById);
+
+router.put('/:id', locationController.updateLocation);
+
+router.delete('/:id', locationController.deleteLocation);
+
+module.exports = router;
@@ -0,0 +1,212 @@
+const { Op } = require('sequelize');
+const { Location } = require('./location.model');
+const config = require('../../config/config');
+const LocationHelper = require('./location.helper');
+
+class LocationService {
+
+  constructor() {
+    this.locationHelper = new LocationHelper();
+  }
+
+  async createLocation(locationData) {
+    try {
+      const location = await Location.create(locationData);
+      return this.locationHelper.formatLocationResponse(location);
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw new Error('A location with this name already exists');
+      }
+      throw new Error(`Failed to create location: ${error.message}`);
+    }
+  }
+
+  async getAllLocations(queryParams = {}) {
+    try {
+      const { page = 1, limit = 20, search, siteType } = queryParams;
+      const whereClause = {};
+
+      if (siteType) {
+        whereClause.siteType = siteType;
+      }
+
+      if (search) {
+        whereClause[Op.or] = [
+          { name: { [Op.like]: `%${search}%` } },
+          { city: { [Op.like]: `%${search}%` } },
+          { postalCode: { [Op.like]: `%${search}%` } }
+        ];
+      }
+
+      const { count, rows } = await Location.findAndCountAll({
+        where: whereClause,
+        order: [['name', 'ASC']],
+        limit: parseInt(limit),
+        offset: (parseInt(page) - 1) * parseInt(limit)
+      });
+
+      const totalPages = Math.ceil(count / limit);
+
+      return {
+        data: rows.map(location => this.locationHelper.formatLocationResponse(location)),
+        pagination: {
+          total: count,
+          totalPages,
+          currentPage: parseInt(page),
+          limit: parseInt(limit),
+          hasNextPage: page < totalPages,
+          hasPreviousPage: page > 1
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to retrieve locations: ${error.message}`);
+    }
+  }
+
+  async getLocationById(locationId) {
+    try {
+      const location = await this.findLocationOrFail(locationId);
+      return this.locationHelper.formatLocationResponse(location);
+    } catch (error) {
+      throw new Error(`Failed to retrieve location: ${error.message}`);
+    }
+  }
+
+  async updateLocation(locationId, updateData) {
+    try {
+      const location = await this.findLocationOrFail(locationId);
+      await location.update(updateData);
+      return this.locationHelper.formatLocationResponse(location);
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw new Error('A location with this name already exists');
+      }
+      throw new Error(`Failed to update location: ${error.message}`);
+    }
+  }
+
+  /**
+   * Soft delete; requests keep their reference and free-text origin/destination
+   */
+  async deleteLocation(locationId) {
+    try {
+      const location = await this.findLocationOrFail(locationId);
+      await location.destroy();
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to delete location: ${error.message}`);
+    }
+  }
+
+  async estimateDistance(fromLocationId, toLocationId) {
+    try {
+      const [from, to] = await Promise.all([
+        this.findLocationOrFail(fromLocationId),
+        this.findLocationOrFail(toLocationId)
+      ]);
+
+      const estimate = this.locationHelper.estimateDistance(from, to, config.distance.roadFactor);
+      if (!estimate) {
+        throw new Error('Both locations need coordinates to estimate a distance');
+      }
+
+      return {
+        from: this.locationHelper.formatLocationResponse(from),
+        to: this.locationHelper.formatLocationResponse(to),
+        ...estimate
+      };
+    } catch (error) {
+      throw new Error(`Failed to estimate distance: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fill request fields from referenced locations:
+   *  - origin/destination text defaults to the location label, so free-text readers keep working
+   *  - estimatedDistance is estimated from coordinates when not supplied
+   * On update pass the current request: distance is only re-estimated when a location changes.
+   */
+  async resolveRequestLocations(data, { current = null, transaction } = {}) {
+    const resolved = { ...data };
+    const locationChanged = data.originLocationId !== undefined || data.destinationLocationId !== undefined;
+
+    if (!locationChanged) {
+      return resolved;
+    }
+
+    const [origin, destination] = await Promise.all([
+      this.findRequestLocation('originLocationId', data, current, transaction),
+      this.findRequestLocation('destinationLocationId', data, current, transaction)
+    ]);
+
+    if (data.originLocationId && !data.origin) {
+      resolved.origin = this.locationHelper.formatLocationLabel(origin);
+    }
+
+    if (data.destinationLocationId && !data.destination) {
+      resolved.destination = this.locationHelper.formatLocationLabel(destination);
+    }
+
+    if (data.estimatedDistance === undefined) {
+      const estimate = this.locationHelper.estimateDistance(origin, destination, config.distance.roadFactor);
+      if (estimate) {
+        resolved.estimatedDistance = estimate.estimatedMiles;
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Check each stop's location and default its address to the location label.
+   * estimatedDistance covers every leg when all stops have coordinates, otherwise null.
+   */
+  async resolveStopLocations(stops, { transaction } = {}) {
+    const locations = await Promise.all(stops.map(async (stop, index) => {
+      if (!stop.locationId) return null;
+
+      const location = await Location.findByPk(stop.locationId, { transaction });
+      if (!location) {
+        throw new Error(`Invalid stop locationId: location ${stop.locationId} does not exist (stop ${index + 1})`);
+      }
+      return location;
+    }));
+
+    const resolvedStops = stops.map((stop, index) => ({
+      ...stop,
+      address: stop.address || this.locationHelper.formatLocationLabel(locations[index])
+    }));
+
+    const estimatedDistance = locations.every(Boolean)
+      ? this.locationHelper.estimateRouteDistance(locations, config.distance.roadFactor)
+      : null;
+
+    return { stops: resolvedStops, estimatedDistance };
+  }
+
+  /**
+   * A newly supplied ID must reference a live location; the request's existing
+   * reference is still honoured after that location has been soft-deleted.
+   */
+  async findRequestLocation(field, data, current, transaction) {
+    const supplied = data[field] !== undefined;
+    const locationId = supplied ? data[field] : current && current[field];
+    if (!locationId) return null;
+
+    const location = await Location.findByPk(locationId, { transaction, paranoid: supplied });
+    if (!location) {
+      throw new Error(`Invalid ${field}: location ${locationId} does not exist`);
+    }
+    return location;
+  }
+
+  async findLocationOrFail(locationId) {
+    const location = await Location.findByPk(locationId);
+    if (!location) {
+      throw new Error('Location not found');
+    }
+    return location;
+  }
+}
+
+module.exports = new LocationService();
@@ -0,0 +1,103 @@
+const Joi = require('joi');
+const { SITE_TYPES } = require('./location.model');
+const { validateRequest } = require('../request/request.validate');
+
+/**
+ * IANA timezone names (e.g. America/Chicago), checked against the runtime's tz database
+ */
+const timezone = Joi.string()
+  .trim()
+  .max(64)
+  .custom((value, helpers) => {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: value });
+      return value;
+    } catch (error) {
+      return helpers.error('string.timezone');
+    }
+  })
+  .messages({
+    'string.timezone': 'Timezone must be a valid IANA timezone (e.g. America/Chicago)'
+  });
+
+const locationFields = {
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(255)
+    .messages({
+      'string.min': 'Name must be at least 2 characters long',
+      'string.max': 'Name cannot exceed 255 characters'
+    }),
+  addressLine1: Joi.string().trim().max(255).allow('', null),
+  addressLine2: Joi.string().trim().max(255).allow('', null),
+  city: Joi.string().trim().max(100).allow('', null),
+  region: Joi.string().trim().max(100).allow('', null),
+  postalCode: Joi.string().trim().max(20).allow('', null),
+  country: Joi.string()
+    .trim()
+    .uppercase()
+    .length(2)
+    .allow(null)
+    .messages({
+      'string.length': 'Country must be a 2-letter ISO code'
+    }),
+  latitude: Joi.number()
+    .min(-90)
+    .max(90)
+    .allow(null)
+    .messages({
+      'number.min': 'Latitude must be between -90 and 90',
+      'number.max': 'Latitude must be between -90 and 90'
+    }),
+  longitude: Joi.number()
+    .min(-180)
+    .max(180)
+    .allow(null)
+    .messages({
+      'number.min': 'Longitude must be between -180 and 180',
+      'number.max': 'Longitude must be between -180 and 180'
+    }),
+  timezone: timezone.allow(null),
+  siteType: Joi.string()
+    .valid(...SITE_TYPES)
+    .messages({
+      'any.only': `Site type must be one of: ${SITE_TYPES.join(', ')}`
+    })
+};
+
+const createLocationSchema = Joi.object({
+  ...locationFields,
+  name: locationFields.name.required().messages({ 'any.required': 'Name is required' }),
+  siteType: locationFields.siteType.default('other')
+}).and('latitude', 'longitude')
+  .messages({
+    'object.and': 'Latitude and longitude must be provided together'
+  });
+
+const updateLocationSchema = Joi.object(locationFields)
+  .min(1)
+  .and('latitude', 'longitude')
+  .messages({
+    'object.and': 'Latitude and longitude must be updated together'
+  });
+
+const locationQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  search: Joi.string().trim().max(255).optional(),
+  siteType: Joi.string().valid(...SITE_TYPES).optional()
+});
+
+const distanceQuerySchema = Joi.object({
+  fromLocationId: Joi.number().integer().positive().required(),
+  toLocationId: Joi.number().integer().positive().required()
+});
+
+module.exports = {
+  createLocationSchema,
+  updateLocationSchema,
+  locationQuerySchema,
+  distanceQuerySchema,
+  validateRequest
+};
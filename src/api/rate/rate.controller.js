@@ -0,0 +1,245 @@
+const rateService = require('./rate.service');
+const {
+  validateRequest,
+  createRateCardSchema,
+  updateRateCardSchema,
+  rateCardQuerySchema,
+  estimateSchema
+} = require('./rate.validate');
+
+/**
+ * Shared error mapping for the single rate card endpoints
+ */
+function sendRateCardError(res, error, message) {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      success: false,
+      message: 'Rate card not found'
+    });
+  }
+
+  if (error.message.includes('Cannot ')) {
+    return res.status(400).json({
+      success: false,
+      message,
+      error: error.message.replace(/^.*?: /, '')
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+}
+
+function parseRateCardId(req, res) {
+  const rateCardId = parseInt(req.params.id);
+
+  if (isNaN(rateCardId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid rate card ID'
+    });
+    return null;
+  }
+
+  return rateCardId;
+}
+
+class RateController {
+
+  async createRateCard(req, res) {
+    try {
+      const validation = validateRequest(req.body, createRateCardSchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const rateCard = await rateService.createRateCard(validation.data);
+
+      res.status(201).json({
+        success: true,
+        message: 'Rate card created successfully',
+        data: rateCard
+      });
+
+    } catch (error) {
+      console.error('Error creating rate card:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create rate card',
+        error: error.message
+      });
+    }
+  }
+
+  async getAllRateCards(req, res) {
+    try {
+      const validation = validateRequest(req.query, rateCardQuerySchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid query parameters',
+          errors: validation.errors
+        });
+      }
+
+      const result = await rateService.getAllRateCards(validation.data);
+
+      res.status(200).json({
+        success: true,
+        message: 'Rate cards retrieved successfully',
+        data: result.data,
+        pagination: result.pagination
+      });
+
+    } catch (error) {
+      console.error('Error retrieving rate cards:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve rate cards',
+        error: error.message
+      });
+    }
+  }
+
+  async getRateCardById(req, res) {
+    try {
+      const rateCardId = parseRateCardId(req, res);
+      if (rateCardId === null) return;
+
+      const rateCard = await rateService.getRateCardById(rateCardId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Rate card retrieved successfully',
+        data: rateCard
+      });
+
+    } catch (error) {
+      console.error('Error retrieving rate card:', error.message);
+      sendRateCardError(res, error, 'Failed to retrieve rate card');
+    }
+  }
+
+  async updateRateCard(req, res) {
+    try {
+      const rateCardId = parseRateCardId(req, res);
+      if (rateCardId === null) return;
+
+      const validation = validateRequest(req.body, updateRateCardSchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const rateCard = await rateService.updateRateCard(rateCardId, validation.data);
+
+      res.status(200).json({
+        success: true,
+        message: 'Rate card updated successfully',
+        data: rateCard
+      });
+
+    } catch (error) {
+      console.error('Error updating rate card:', error.message);
+      sendRateCardError(res, error, 'Failed to update rate card');
+    }
+  }
+
+  async activateRateCard(req, res) {
+    try {
+      const rateCardId = parseRateCardId(req, res);
+      if (rateCardId === null) return;
+
+      const rateCard = await rateService.activateRateCard(rateCardId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Rate card activated successfully',
+        data: rateCard
+      });
+
+    } catch (error) {
+      console.error('Error activating rate card:', error.message);
+      sendRateCardError(res, error, 'Failed to activate rate card');
+    }
+  }
+
+  async retireRateCard(req, res) {
+    try {
+      const rateCardId = parseRateCardId(req, res);
+      if (rateCardId === null) return;
+
+      const rateCard = await rateService.retireRateCard(rateCardId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Rate card retired successfully',
+        data: rateCard
+      });
+
+    } catch (error) {
+      console.error('Error retiring rate card:', error.message);
+      sendRateCardError(res, error, 'Failed to retire rate card');
+    }
+  }
+
+  /**
+   * POST /api/requests/estimate
+   */
+  async estimateRequestCost(req, res) {
+    try {
+      const validation = validateRequest(req.body, estimateSchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const estimate = await rateService.estimateCost(validation.data);
+
+      res.status(200).json({
+        success: true,
+        message: 'Cost estimated successfully',
+        data: estimate
+      });
+
+    } catch (error) {
+      console.error('Error estimating cost:', error.message);
+
+      if (/Invalid (origin|destination)LocationId|distance is required/.test(error.message)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot estimate cost',
+          error: error.message.replace(/^.*?: /, '')
+        });
+      }
+
+      if (error.message.includes('No active rate card')) {
+        return res.status(400).json({
+          success: false,
+          message: 'No active rate card is in effect'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to estimate cost',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new RateController();
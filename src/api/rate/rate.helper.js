@@ -0,0 +1,79 @@
+/**
+ * Rate Helper - Contains pure utility functions for the cost estimation engine
+ * No database operations should be performed here
+ */
+class RateHelper {
+
+  /**
+   * Estimate the cost of a request with a rate card:
+   *   per truck = max(baseFee + distance x per-mile rate for the truck type, minimumCharge)
+   *   subtotal  = per truck x truckCount
+   *   total     = subtotal + urgency surcharge (percent of subtotal)
+   */
+  calculateEstimate(rateCard, { estimatedDistance, truckType = 'box', truckCount, urgencyLevel = 'medium' }) {
+    const distance = parseFloat(estimatedDistance);
+    const ratePerMile = parseFloat(rateCard.perMileRates[truckType]);
+
+    if (isNaN(ratePerMile)) {
+      throw new Error(`Rate card version ${rateCard.version} has no per-mile rate for truck type '${truckType}'`);
+    }
+
+    const baseFee = parseFloat(rateCard.baseFee) || 0;
+    const minimumCharge = parseFloat(rateCard.minimumCharge) || 0;
+    const linehaulPerTruck = distance * ratePerMile;
+    const costPerTruck = Math.max(baseFee + linehaulPerTruck, minimumCharge);
+    const subtotal = costPerTruck * truckCount;
+    const urgencySurchargePercent = parseFloat((rateCard.urgencySurcharges || {})[urgencyLevel]) || 0;
+    const urgencySurcharge = subtotal * urgencySurchargePercent / 100;
+
+    return {
+      estimatedCost: this.round(subtotal + urgencySurcharge),
+      currency: rateCard.currency,
+      rateCard: {
+        id: rateCard.id,
+        name: rateCard.name,
+        version: rateCard.version
+      },
+      breakdown: {
+        distanceMiles: this.round(distance),
+        truckType,
+        ratePerMile,
+        baseFee,
+        linehaulPerTruck: this.round(linehaulPerTruck),
+        minimumChargeApplied: baseFee + linehaulPerTruck < minimumCharge,
+        costPerTruck: this.round(costPerTruck),
+        truckCount,
+        subtotal: this.round(subtotal),
+        urgencyLevel,
+        urgencySurchargePercent,
+        urgencySurcharge: this.round(urgencySurcharge)
+      }
+    };
+  }
+
+  round(value) {
+    return parseFloat(value.toFixed(2));
+  }
+
+  formatRateCardResponse(rateCard) {
+    return {
+      id: rateCard.id,
+      name: rateCard.name,
+      version: rateCard.version,
+      status: rateCard.status,
+      currency: rateCard.currency,
+      baseFee: parseFloat(rateCard.baseFee),
+      perMileRates: rateCard.perMileRates,
+      minimumCharge: parseFloat(rateCard.minimumCharge),
+      urgencySurcharges: rateCard.urgencySurcharges,
+      effectiveFrom: rateCard.effectiveFrom,
+      effectiveTo: rateCard.effectiveTo,
+      notes: rateCard.notes,
+      createdBy: rateCard.createdBy,
+      createdAt: rateCard.createdAt,
+      updatedAt: rateCard.updatedAt
+    };
+  }
+}
+
+module.exports = RateHelper;
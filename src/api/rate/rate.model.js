@@ -0,0 +1,94 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+
+/**
+ * Rate Card Model
+ * Versioned pricing rules used by the cost estimation engine. Only draft
+ * cards can be edited; a pricing change means a new version.
+ */
+const RateCard = sequelize.define('RateCard', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true
+  },
+  status: {
+    type: DataTypes.ENUM('draft', 'active', 'retired'),
+    allowNull: false,
+    defaultValue: 'draft'
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'USD'
+  },
+  // Flat fee per truck
+  baseFee: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'base_fee'
+  },
+  // { box: 2.10, flatbed: 2.45, semi: 2.80, refrigerated: 3.20 } per mile per truck
+  perMileRates: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    field: 'per_mile_rates'
+  },
+  // Floor applied per truck
+  minimumCharge: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'minimum_charge'
+  },
+  // { low: 0, medium: 0, high: 15, urgent: 35 } percent on top of the subtotal
+  urgencySurcharges: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    field: 'urgency_surcharges'
+  },
+  effectiveFrom: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'effective_from'
+  },
+  effectiveTo: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'effective_to'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    defaultValue: 'System',
+    field: 'created_by'
+  }
+}, {
+  tableName: 'rate_cards',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['status', 'effective_from']
+    }
+  ]
+});
+
+module.exports = {
+  RateCard
+};
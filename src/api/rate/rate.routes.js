@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const rateController = require('./rate.controller');
+
+
+router.post('/', rateController.createRateCard);
+
+router.get('/', rateController.getAllRateCards);
+
+router.get('/:id', rateController.getRateCardById);
+
+router.put('/:id', rateController.updateRateCard);
+
+router.post('/:id/activate', rateController.activateRateCard);
+
+router.post('/:id/retire', rateController.retireRateCard);
+
+module.exports = router;
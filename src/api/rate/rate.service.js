@@ -0,0 +1,203 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../../config/db');
+const { RateCard } = require('./rate.model');
+const RateHelper = require('./rate.helper');
+const locationService = require('../location/location.service');
+
+// Attempts at drawing a free version number when concurrent creates collide
+const MAX_VERSION_ATTEMPTS = 5;
+
+class RateService {
+
+  constructor() {
+    this.rateHelper = new RateHelper();
+  }
+
+  /**
+   * New cards are drafts with the next version number. Two concurrent creates can
+   * read the same latest version (there is no row to lock on the first card); the
+   * unique version index rejects the second insert (or InnoDB picks it as a deadlock
+   * victim), and it retries with a fresh read.
+   */
+  async createRateCard(rateCardData) {
+    for (let attempt = 1; ; attempt++) {
+      const transaction = await sequelize.transaction();
+
+      try {
+        const latestVersion = await RateCard.max('version', { transaction, lock: transaction.LOCK.UPDATE });
+
+        const rateCard = await RateCard.create({
+          ...rateCardData,
+          version: (latestVersion || 0) + 1,
+          status: 'draft'
+        }, { transaction });
+
+        await transaction.commit();
+        return this.rateHelper.formatRateCardResponse(rateCard);
+      } catch (error) {
+        await transaction.rollback();
+
+        const versionConflict = error.name === 'SequelizeUniqueConstraintError'
+          || (error.parent && error.parent.code === 'ER_LOCK_DEADLOCK');
+
+        if (versionConflict && attempt < MAX_VERSION_ATTEMPTS) {
+          continue;
+        }
+        throw new Error(`Failed to create rate card: ${error.message}`);
+      }
+    }
+  }
+
+  async getAllRateCards(queryParams = {}) {
+    try {
+      const { page = 1, limit = 20, status } = queryParams;
+
+      const { count, rows } = await RateCard.findAndCountAll({
+        where: status ? { status } : {},
+        order: [['version', 'DESC']],
+        limit: parseInt(limit),
+        offset: (parseInt(page) - 1) * parseInt(limit)
+      });
+
+      const totalPages = Math.ceil(count / limit);
+
+      return {
+        data: rows.map(rateCard => this.rateHelper.formatRateCardResponse(rateCard)),
+        pagination: {
+          total: count,
+          totalPages,
+          currentPage: parseInt(page),
+          limit: parseInt(limit),
+          hasNextPage: page < totalPages,
+          hasPreviousPage: page > 1
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to retrieve rate cards: ${error.message}`);
+    }
+  }
+
+  async getRateCardById(rateCardId) {
+    try {
+      const rateCard = await this.findRateCardOrFail(rateCardId);
+      return this.rateHelper.formatRateCardResponse(rateCard);
+    } catch (error) {
+      throw new Error(`Failed to retrieve rate card: ${error.message}`);
+    }
+  }
+
+  /**
+   * Only drafts are editable: requests record the version they were priced with
+   */
+  async updateRateCard(rateCardId, updateData) {
+    try {
+      const rateCard = await this.findRateCardOrFail(rateCardId);
+
+      if (rateCard.status !== 'draft') {
+        throw new Error(`Cannot edit a ${rateCard.status} rate card; create a new version instead`);
+      }
+
+      await rateCard.update(updateData);
+      return this.rateHelper.formatRateCardResponse(rateCard);
+    } catch (error) {
+      throw new Error(`Failed to update rate card: ${error.message}`);
+    }
+  }
+
+  async activateRateCard(rateCardId) {
+    return this.changeStatus(rateCardId, 'draft', 'active', 'activate');
+  }
+
+  async retireRateCard(rateCardId) {
+    return this.changeStatus(rateCardId, 'active', 'retired', 'retire');
+  }
+
+  async changeStatus(rateCardId, fromStatus, toStatus, action) {
+    try {
+      const rateCard = await this.findRateCardOrFail(rateCardId);
+
+      if (rateCard.status !== fromStatus) {
+        throw new Error(`Cannot ${action} a ${rateCard.status} rate card`);
+      }
+
+      await rateCard.update({ status: toStatus });
+      return this.rateHelper.formatRateCardResponse(rateCard);
+    } catch (error) {
+      throw new Error(`Failed to ${action} rate card: ${error.message}`);
+    }
+  }
+
+  /**
+   * Active card in effect at `at`; the latest effective date (then version) wins
+   */
+  async findApplicableRateCard(at = new Date(), transaction) {
+    return RateCard.findOne({
+      where: {
+        status: 'active',
+        effectiveFrom: { [Op.lte]: at },
+        [Op.or]: [
+          { effectiveTo: null },
+          { effectiveTo: { [Op.gt]: at } }
+        ]
+      },
+      order: [['effectiveFrom', 'DESC'], ['version', 'DESC']],
+      transaction
+    });
+  }
+
+  /**
+   * POST /api/requests/estimate; the distance falls back to the referenced locations
+   */
+  async estimateCost(input) {
+    try {
+      const data = await locationService.resolveRequestLocations(input);
+
+      if (!data.estimatedDistance) {
+        throw new Error('A distance is required: provide estimatedDistance or locations with coordinates');
+      }
+
+      const rateCard = await this.findApplicableRateCard(data.pickUpDateTime || new Date());
+      if (!rateCard) {
+        throw new Error('No active rate card is in effect');
+      }
+
+      return this.rateHelper.calculateEstimate(rateCard, data);
+    } catch (error) {
+      throw new Error(`Failed to estimate cost: ${error.message}`);
+    }
+  }
+
+  /**
+   * Price new request data when no estimatedCost was supplied. Requests without
+   * a distance, or created while no rate card is in effect, are left unpriced.
+   */
+  async applyEstimate(requestData, { transaction } = {}) {
+    if (requestData.estimatedCost !== undefined || !requestData.estimatedDistance) {
+      return requestData;
+    }
+
+    const rateCard = await this.findApplicableRateCard(requestData.pickUpDateTime || new Date(), transaction);
+    if (!rateCard) {
+      return requestData;
+    }
+
+    const estimate = this.rateHelper.calculateEstimate(rateCard, requestData);
+
+    return {
+      ...requestData,
+      estimatedCost: estimate.estimatedCost,
+      rateCardId: rateCard.id,
+      rateCardVersion: rateCard.version
+    };
+  }
+
+  async findRateCardOrFail(rateCardId) {
+    const rateCard = await RateCard.findByPk(rateCardId);
+    if (!rateCard) {
+      throw new Error('Rate card not found');
+    }
+    return rateCard;
+  }
+}
+
+module.exports = new RateService();
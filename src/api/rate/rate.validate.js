@@ -0,0 +1,84 @@
+const Joi = require('joi');
+const { validateRequest, createRequestSchema } = require('../request/request.validate');
+
+const TRUCK_TYPES = ['box', 'flatbed', 'semi', 'refrigerated'];
+const URGENCY_LEVELS = ['low', 'medium', 'high', 'urgent'];
+
+const amount = Joi.number().min(0).precision(2).max(99999999.99);
+
+// Every truck type needs a rate so any request can be priced
+const perMileRates = Joi.object(
+  Object.fromEntries(TRUCK_TYPES.map(type => [type, amount.required()]))
+).messages({
+  'any.required': `Per-mile rates are required for: ${TRUCK_TYPES.join(', ')}`
+});
+
+// Percent added to the subtotal; missing levels carry no surcharge
+const urgencySurcharges = Joi.object(
+  Object.fromEntries(URGENCY_LEVELS.map(level => [level, Joi.number().min(0).max(500).default(0)]))
+).messages({
+  'number.max': 'Urgency surcharge cannot exceed 500%'
+});
+
+const rateCardFields = {
+  name: Joi.string().trim().min(2).max(255),
+  currency: Joi.string().trim().uppercase().length(3).messages({
+    'string.length': 'Currency must be a 3-letter ISO code'
+  }),
+  baseFee: amount,
+  perMileRates,
+  minimumCharge: amount,
+  urgencySurcharges,
+  effectiveFrom: Joi.date().iso(),
+  effectiveTo: Joi.date().iso().allow(null).when('effectiveFrom', {
+    is: Joi.exist(),
+    then: Joi.date().greater(Joi.ref('effectiveFrom'))
+  }).messages({
+    'date.greater': 'Effective to must be after effective from'
+  }),
+  notes: Joi.string().trim().max(1000).allow('', null),
+  createdBy: Joi.string().trim().max(100)
+};
+
+const createRateCardSchema = Joi.object({
+  ...rateCardFields,
+  name: rateCardFields.name.required().messages({ 'any.required': 'Name is required' }),
+  currency: rateCardFields.currency.default('USD'),
+  baseFee: rateCardFields.baseFee.default(0),
+  perMileRates: rateCardFields.perMileRates.required(),
+  minimumCharge: rateCardFields.minimumCharge.default(0),
+  urgencySurcharges: rateCardFields.urgencySurcharges.default(),
+  effectiveFrom: rateCardFields.effectiveFrom.default(() => new Date())
+});
+
+const updateRateCardSchema = Joi.object(rateCardFields).min(1);
+
+const rateCardQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('draft', 'active', 'retired').optional()
+});
+
+/**
+ * Pricing inputs of a request; the distance can come from locations instead
+ */
+const estimateSchema = Joi.object({
+  estimatedDistance: createRequestSchema.extract('estimatedDistance'),
+  originLocationId: createRequestSchema.extract('originLocationId'),
+  destinationLocationId: createRequestSchema.extract('destinationLocationId'),
+  truckCount: createRequestSchema.extract('truckCount'),
+  truckType: createRequestSchema.extract('truckType'),
+  urgencyLevel: createRequestSchema.extract('urgencyLevel'),
+  // Selects the rate card in effect at pickup; defaults to now
+  pickUpDateTime: Joi.date().iso().optional().messages({
+    'date.base': 'Pickup date/time must be a valid date'
+  })
+});
+
+module.exports = {
+  createRateCardSchema,
+  updateRateCardSchema,
+  rateCardQuerySchema,
+  estimateSchema,
+  validateRequest
+};
@@ -0,0 +1,312 @@
+const recurringService = require('./recurring.service');
+const {
+  validateRequest,
+  createRecurringSchema,
+  updateRecurringSchema,
+  previewQuerySchema,
+  recurringQuerySchema
+} = require('./recurring.validate');
+
+/**
+ * Shared handler for pause/resume (route handlers are passed unbound)
+ */
+async function setRecurringStatus(req, res, status) {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid recurring request ID'
+      });
+    }
+
+    const rule = await recurringService.setRecurringRequestStatus(id, status);
+
+    res.status(200).json({
+      success: true,
+      message: status === 'paused'
+        ? 'Recurring request paused successfully'
+        : 'Recurring request resumed successfully',
+      data: rule
+    });
+
+  } catch (error) {
+    console.error('Error updating recurring request status:', error.message);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring request not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update recurring request status',
+      error: error.message
+    });
+  }
+}
+
+class RecurringController {
+
+  async createRecurringRequest(req, res) {
+    try {
+      const validation = validateRequest(req.body, createRecurringSchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const rule = await recurringService.createRecurringRequest(validation.data);
+
+      res.status(201).json({
+        success: true,
+        message: 'Recurring request created successfully',
+        data: rule
+      });
+
+    } catch (error) {
+      console.error('Error creating recurring request:', error.message);
+
+      if (error.message.includes('Invalid recurrence rule')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid recurrence rule',
+          error: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create recurring request',
+        error: error.message
+      });
+    }
+  }
+
+  async getAllRecurringRequests(req, res) {
+    try {
+      const validation = validateRequest(req.query, recurringQuerySchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid query parameters',
+          errors: validation.errors
+        });
+      }
+
+      const result = await recurringService.getAllRecurringRequests(validation.data);
+
+      res.status(200).json({
+        success: true,
+        message: 'Recurring requests retrieved successfully',
+        data: result.data,
+        pagination: result.pagination
+      });
+
+    } catch (error) {
+      console.error('Error retrieving recurring requests:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve recurring requests',
+        error: error.message
+      });
+    }
+  }
+
+  async getRecurringRequestById(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+
+      if (isNaN(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid recurring request ID'
+        });
+      }
+
+      const rule = await recurringService.getRecurringRequestById(id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Recurring request retrieved successfully',
+        data: rule
+      });
+
+    } catch (error) {
+      console.error('Error retrieving recurring request:', error.message);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Recurring request not found'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve recurring request',
+        error: error.message
+      });
+    }
+  }
+
+  async updateRecurringRequest(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+
+      if (isNaN(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid recurring request ID'
+        });
+      }
+
+      const validation = validateRequest(req.body, updateRecurringSchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const rule = await recurringService.updateRecurringRequest(id, validation.data);
+
+      res.status(200).json({
+        success: true,
+        message: 'Recurring request updated successfully',
+        data: rule
+      });
+
+    } catch (error) {
+      console.error('Error updating recurring request:', error.message);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Recurring request not found'
+        });
+      }
+
+      if (error.message.includes('Invalid recurrence rule')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid recurrence rule',
+          error: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update recurring request',
+        error: error.message
+      });
+    }
+  }
+
+  async pauseRecurringRequest(req, res) {
+    return setRecurringStatus(req, res, 'paused');
+  }
+
+  async resumeRecurringRequest(req, res) {
+    return setRecurringStatus(req, res, 'active');
+  }
+
+  async previewOccurrences(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+
+      if (isNaN(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid recurring request ID'
+        });
+      }
+
+      const validation = validateRequest(req.query, previewQuerySchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid query parameters',
+          errors: validation.errors
+        });
+      }
+
+      const preview = await recurringService.previewOccurrences(id, validation.data.count);
+
+      res.status(200).json({
+        success: true,
+        message: 'Occurrences previewed successfully',
+        data: preview
+      });
+
+    } catch (error) {
+      console.error('Error previewing occurrences:', error.message);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Recurring request not found'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to preview occurrences',
+        error: error.message
+      });
+    }
+  }
+
+  async materializeRecurringRequest(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+
+      if (isNaN(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid recurring request ID'
+        });
+      }
+
+      const result = await recurringService.materializeRecurringRequest(id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Recurring request materialized successfully',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Error materializing recurring request:', error.message);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Recurring request not found'
+        });
+      }
+
+      if (error.message.includes('Only active recurring requests')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Only active recurring requests can be materialized'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to materialize recurring request',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new RecurringController();
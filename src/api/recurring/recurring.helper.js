@@ -0,0 +1,299 @@
+const config = require('../../config/config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upper bound on days scanned when expanding a rule, so a sparse rule cannot loop forever
+const MAX_SCAN_DAYS = 366 * 5;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+/**
+ * Recurring Helper - Contains pure utility functions for recurrence rules
+ * No database operations should be performed here
+ */
+class RecurringHelper {
+
+  /**
+   * Expand a recurrence rule into concrete pickup date/times (UTC).
+   * Returns occurrences at or after `from`, up to `until` and/or `limit`.
+   */
+  generateOccurrences(rule, { from = new Date(), until = null, limit = null } = {}) {
+    const start = this.toUTCDay(rule.startDate);
+    const end = rule.endDate ? this.toUTCDay(rule.endDate) : null;
+    const exceptions = new Set((rule.exceptions || []).map(date => this.toDateKey(date)));
+    const cron = rule.frequency === 'cron' ? this.parseCronExpression(rule.cronExpression) : null;
+    const times = this.getTimesOfDay(rule, cron);
+    const occurrences = [];
+
+    let day = new Date(Math.max(start.getTime(), this.toUTCDay(from).getTime()));
+
+    for (let scanned = 0; scanned < MAX_SCAN_DAYS; scanned++, day = new Date(day.getTime() + DAY_MS)) {
+      if (end && day > end) break;
+      if (until && day > until) break;
+
+      if (exceptions.has(this.toDateKey(day)) || !this.matchesDay(rule, day, start, cron)) {
+        continue;
+      }
+
+      for (const time of times) {
+        const occurrence = new Date(day.getTime() + (time.hour * 60 + time.minute) * 60 * 1000);
+
+        if (occurrence < from) continue;
+        if (until && occurrence > until) return occurrences;
+
+        occurrences.push(occurrence);
+        if (limit && occurrences.length >= limit) return occurrences;
+      }
+    }
+
+    return occurrences;
+  }
+
+  matchesDay(rule, day, start, cron) {
+    const interval = rule.interval || 1;
+    const daysSinceStart = Math.round((day - start) / DAY_MS);
+
+    switch (rule.frequency) {
+      case 'daily':
+        return daysSinceStart % interval === 0;
+
+      case 'weekly': {
+        const daysOfWeek = rule.daysOfWeek && rule.daysOfWeek.length > 0
+          ? rule.daysOfWeek
+          : [start.getUTCDay()];
+        const weekStart = new Date(start.getTime() - start.getUTCDay() * DAY_MS);
+        const weeksSinceStart = Math.floor((day - weekStart) / (7 * DAY_MS));
+        return weeksSinceStart % interval === 0 && daysOfWeek.includes(day.getUTCDay());
+      }
+
+      case 'monthly': {
+        const monthsSinceStart = (day.getUTCFullYear() - start.getUTCFullYear()) * 12
+          + (day.getUTCMonth() - start.getUTCMonth());
+        const daysInMonth = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0)).getUTCDate();
+        // Clamp e.g. day 31 to the last day of shorter months
+        const targetDay = Math.min(rule.dayOfMonth || start.getUTCDate(), daysInMonth);
+        return monthsSinceStart % interval === 0 && day.getUTCDate() === targetDay;
+      }
+
+      case 'cron':
+        return this.matchesCronDay(cron, day);
+
+      default:
+        return false;
+    }
+  }
+
+  getTimesOfDay(rule, cron) {
+    if (cron) {
+      const hours = cron.hour || this.range(0, 23);
+      const minutes = cron.minute || this.range(0, 59);
+      const times = [];
+      hours.forEach(hour => minutes.forEach(minute => times.push({ hour, minute })));
+      return times;
+    }
+
+    const [hour, minute] = (rule.pickupTime || '00:00').split(':').map(Number);
+    return [{ hour, minute }];
+  }
+
+  /**
+   * Cron day matching follows the classic rule: when both day-of-month and
+   * day-of-week are restricted, a day matches if either one matches.
+   */
+  matchesCronDay(cron, day) {
+    if (cron.month && !cron.month.includes(day.getUTCMonth() + 1)) {
+      return false;
+    }
+
+    const domMatch = !cron.dayOfMonth || cron.dayOfMonth.includes(day.getUTCDate());
+    const dowMatch = !cron.dayOfWeek || cron.dayOfWeek.includes(day.getUTCDay());
+
+    if (cron.dayOfMonth && cron.dayOfWeek) {
+      return domMatch || dowMatch;
+    }
+
+    return domMatch && dowMatch;
+  }
+
+  /**
+   * Parse a 5-field cron expression (minute hour day-of-month month day-of-week).
+   * Each parsed field is a sorted list of allowed values, or null for '*'.
+   */
+  parseCronExpression(expression) {
+    const parts = (expression || '').trim().split(/\s+/);
+
+    if (parts.length !== CRON_FIELDS.length) {
+      throw new Error('Invalid cron expression: expected 5 fields (minute hour day-of-month month day-of-week)');
+    }
+
+    const parsed = {};
+    CRON_FIELDS.forEach((field, index) => {
+      parsed[field.name] = this.parseCronField(parts[index], field);
+    });
+
+    if (parsed.dayOfWeek) {
+      // Both 0 and 7 mean Sunday
+      parsed.dayOfWeek = [...new Set(parsed.dayOfWeek.map(value => value % 7))].sort((a, b) => a - b);
+    }
+
+    return parsed;
+  }
+
+  parseCronField(value, field) {
+    if (value === '*') return null;
+
+    const values = new Set();
+
+    for (const part of value.split(',')) {
+      const [rangePart, stepPart] = part.split('/');
+      const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+
+      let min;
+      let max;
+      if (rangePart === '*') {
+        min = field.min;
+        max = field.max;
+      } else if (rangePart.includes('-')) {
+        [min, max] = rangePart.split('-').map(v => parseInt(v, 10));
+      } else {
+        min = parseInt(rangePart, 10);
+        max = stepPart === undefined ? min : field.max;
+      }
+
+      if ([min, max, step].some(isNaN) || step < 1 || min < field.min || max > field.max || min > max) {
+        throw new Error(`Invalid cron expression: bad ${field.name} field '${value}'`);
+      }
+
+      for (let v = min; v <= max; v += step) {
+        values.add(v);
+      }
+    }
+
+    return [...values].sort((a, b) => a - b);
+  }
+
+  /**
+   * Cross-field checks Joi cannot express once a rule has been partially updated
+   */
+  validateRule(rule) {
+    const errors = [];
+
+    if (rule.frequency === 'cron') {
+      try {
+        const runsPerDay = this.getTimesOfDay(rule, this.parseCronExpression(rule.cronExpression)).length;
+        // Each run becomes a request, so e.g. '* * * * *' would create 1440 a day
+        if (runsPerDay > config.recurring.maxRunsPerDay) {
+          errors.push(`cron expression runs ${runsPerDay} times a day; at most ${config.recurring.maxRunsPerDay} are allowed`);
+        }
+      } catch (error) {
+        errors.push(error.message);
+      }
+    } else if (!rule.pickupTime) {
+      errors.push('pickupTime is required for daily, weekly and monthly rules');
+    }
+
+    if (rule.endDate && this.toUTCDay(rule.endDate) < this.toUTCDay(rule.startDate)) {
+      errors.push('endDate cannot be before startDate');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Identify occurrences by UTC date and run of that day ("2026-10-19#0" is the
+   * day's first pickup), so an edited pickup time still matches the request
+   * already created for that day. Returns a Map of key -> pickup date/time.
+   */
+  keyOccurrences(pickUpDateTimes) {
+    const runsPerDay = new Map();
+    const keyed = new Map();
+
+    [...pickUpDateTimes]
+      .map(value => new Date(value))
+      .sort((a, b) => a - b)
+      .forEach(pickUpDateTime => {
+        const dateKey = this.toDateKey(pickUpDateTime);
+        const run = runsPerDay.get(dateKey) || 0;
+        runsPerDay.set(dateKey, run + 1);
+        keyed.set(`${dateKey}#${run}`, pickUpDateTime);
+      });
+
+    return keyed;
+  }
+
+  /**
+   * Fields copied onto every materialized TransportationRequest
+   */
+  buildRequestData(rule, pickUpDateTime) {
+    return {
+      origin: rule.origin,
+      destination: rule.destination,
+      estimatedDistance: rule.estimatedDistance,
+      pickUpDateTime,
+      truckCount: rule.truckCount,
+      truckType: rule.truckType,
+      loadDetails: rule.loadDetails,
+      specialRequirements: rule.specialRequirements,
+      estimatedCost: rule.estimatedCost,
+      urgencyLevel: rule.urgencyLevel,
+      createdBy: rule.createdBy,
+      recurringRequestId: rule.id
+    };
+  }
+
+  formatRecurringResponse(rule) {
+    return {
+      id: rule.id,
+      name: rule.name,
+      origin: rule.origin,
+      destination: rule.destination,
+      estimatedDistance: rule.estimatedDistance,
+      truckCount: rule.truckCount,
+      truckType: rule.truckType,
+      loadDetails: rule.loadDetails,
+      specialRequirements: rule.specialRequirements,
+      estimatedCost: rule.estimatedCost,
+      urgencyLevel: rule.urgencyLevel,
+      rule: {
+        frequency: rule.frequency,
+        interval: rule.interval,
+        daysOfWeek: rule.daysOfWeek,
+        dayOfMonth: rule.dayOfMonth,
+        cronExpression: rule.cronExpression,
+        pickupTime: rule.pickupTime,
+        startDate: rule.startDate,
+        endDate: rule.endDate,
+        exceptions: rule.exceptions || []
+      },
+      status: rule.status,
+      lastMaterializedAt: rule.lastMaterializedAt,
+      createdBy: rule.createdBy,
+      createdAt: rule.createdAt,
+      updatedAt: rule.updatedAt
+    };
+  }
+
+  toUTCDay(value) {
+    const date = new Date(value);
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  }
+
+  toDateKey(value) {
+    return this.toUTCDay(value).toISOString().split('T')[0];
+  }
+
+  range(min, max) {
+    return Array.from({ length: max - min + 1 }, (_, i) => min + i);
+  }
+}
+
+module.exports = RecurringHelper;
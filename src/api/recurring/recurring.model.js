@@ -0,0 +1,139 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+
+/**
+ * Recurring Request Model
+ * A recurrence rule plus the request fields used to materialize concrete
+ * TransportationRequest rows ahead of time. All dates and times are UTC.
+ */
+const RecurringRequest = sequelize.define('RecurringRequest', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  origin: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  destination: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  estimatedDistance: {
+    type: DataTypes.DECIMAL(8, 2),
+    allowNull: true,
+    field: 'estimated_distance'
+  },
+  truckCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'truck_count'
+  },
+  truckType: {
+    type: DataTypes.ENUM('box', 'flatbed', 'semi', 'refrigerated'),
+    allowNull: false,
+    defaultValue: 'box',
+    field: 'truck_type'
+  },
+  loadDetails: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'load_details'
+  },
+  specialRequirements: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'special_requirements'
+  },
+  estimatedCost: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    field: 'estimated_cost'
+  },
+  urgencyLevel: {
+    type: DataTypes.ENUM('low', 'medium', 'high', 'urgent'),
+    allowNull: false,
+    defaultValue: 'medium',
+    field: 'urgency_level'
+  },
+  frequency: {
+    type: DataTypes.ENUM('daily', 'weekly', 'monthly', 'cron'),
+    allowNull: false
+  },
+  interval: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  daysOfWeek: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    field: 'days_of_week'
+  },
+  dayOfMonth: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'day_of_month'
+  },
+  cronExpression: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'cron_expression'
+  },
+  pickupTime: {
+    type: DataTypes.STRING(5),
+    allowNull: true,
+    field: 'pickup_time'
+  },
+  startDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'start_date'
+  },
+  endDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    field: 'end_date'
+  },
+  exceptions: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'paused'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  lastMaterializedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_materialized_at'
+  },
+  createdBy: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    defaultValue: 'System',
+    field: 'created_by'
+  }
+}, {
+  tableName: 'recurring_requests',
+  timestamps: true,
+  paranoid: true,
+  deletedAt: 'deleted_at',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+module.exports = {
+  RecurringRequest
+};
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const recurringController = require('./recurring.controller');
+
+
+router.post('/', recurringController.createRecurringRequest);
+
+router.get('/', recurringController.getAllRecurringRequests);
+
+router.get('/:id', recurringController.getRecurringRequestById);
+
+router.put('/:id', recurringController.updateRecurringRequest);
+
+router.post('/:id/pause', recurringController.pauseRecurringRequest);
+
+router.post('/:id/resume', recurringController.resumeRecurringRequest);
+
+router.get('/:id/preview', recurringController.previewOccurrences);
+
+router.post('/:id/materialize', recurringController.materializeRecurringRequest);
+
+module.exports = router;
@@ -0,0 +1,53 @@
+const config = require('../../config/config');
+const recurringService = require('./recurring.service');
+
+/**
+ * Recurring Scheduler - periodically materializes active recurring requests
+ * so concrete TransportationRequest rows exist ahead of their pickup time
+ */
+class RecurringScheduler {
+
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  start(intervalMs = config.recurring.schedulerIntervalMs) {
+    if (this.timer) return;
+
+    this.runOnce();
+    this.timer = setInterval(() => this.runOnce(), intervalMs);
+    // Do not keep the process alive just for the scheduler
+    this.timer.unref();
+
+    console.log(`Recurring request scheduler started (every ${Math.round(intervalMs / 1000)}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * One scheduler tick. Only the startup message and failures are logged; the
+   * per-rule results are returned (null when the tick was skipped).
+   */
+  async runOnce() {
+    // Skip a tick if the previous run is still going
+    if (this.running) return null;
+
+    this.running = true;
+    try {
+      return await recurringService.materializeAll();
+    } catch (error) {
+      console.error('Recurring request scheduler run failed:', error.message);
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new RecurringScheduler();
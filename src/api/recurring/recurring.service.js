@@ -0,0 +1,257 @@
+const { Op } = require('sequelize');
+const { RecurringRequest } = require('./recurring.model');
+const { TransportationRequest } = require('../request/request.model');
+const requestService = require('../request/request.service');
+const config = require('../../config/config');
+const RecurringHelper = require('./recurring.helper');
+
+class RecurringService {
+
+  constructor() {
+    this.recurringHelper = new RecurringHelper();
+  }
+
+  async createRecurringRequest(data) {
+    try {
+      const validation = this.recurringHelper.validateRule(data);
+      if (!validation.isValid) {
+        throw new Error(`Invalid recurrence rule: ${validation.errors.join(', ')}`);
+      }
+
+      const rule = await RecurringRequest.create(data);
+      return this.recurringHelper.formatRecurringResponse(rule);
+    } catch (error) {
+      throw new Error(`Failed to create recurring request: ${error.message}`);
+    }
+  }
+
+  async getAllRecurringRequests(queryParams = {}) {
+    try {
+      const { page = 1, limit = 10, status } = queryParams;
+      const whereClause = {};
+
+      if (status) {
+        whereClause.status = status;
+      }
+
+      const { count, rows } = await RecurringRequest.findAndCountAll({
+        where: whereClause,
+        order: [['created_at', 'DESC']],
+        limit: parseInt(limit),
+        offset: (parseInt(page) - 1) * parseInt(limit)
+      });
+
+      const totalPages = Math.ceil(count / limit);
+
+      return {
+        data: rows.map(rule => this.recurringHelper.formatRecurringResponse(rule)),
+        pagination: {
+          total: count,
+          totalPages,
+          currentPage: parseInt(page),
+          limit: parseInt(limit),
+          hasNextPage: page < totalPages,
+          hasPreviousPage: page > 1
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to retrieve recurring requests: ${error.message}`);
+    }
+  }
+
+  async getRecurringRequestById(id) {
+    try {
+      const rule = await this.findRuleOrFail(id);
+      return this.recurringHelper.formatRecurringResponse(rule);
+    } catch (error) {
+      throw new Error(`Failed to retrieve recurring request: ${error.message}`);
+    }
+  }
+
+  /**
+   * Edits apply to occurrences that have not been materialized yet. On its next run
+   * the scheduler also moves requests already created from the rule to a changed
+   * pickup time while they are still planned; other fields of those requests are kept.
+   */
+  async updateRecurringRequest(id, updateData) {
+    try {
+      const rule = await this.findRuleOrFail(id);
+
+      const merged = { ...rule.get({ plain: true }), ...updateData };
+      const validation = this.recurringHelper.validateRule(merged);
+      if (!validation.isValid) {
+        throw new Error(`Invalid recurrence rule: ${validation.errors.join(', ')}`);
+      }
+
+      await rule.update(updateData);
+      return this.recurringHelper.formatRecurringResponse(rule);
+    } catch (error) {
+      throw new Error(`Failed to update recurring request: ${error.message}`);
+    }
+  }
+
+  async setRecurringRequestStatus(id, status) {
+    try {
+      const rule = await this.findRuleOrFail(id);
+      await rule.update({ status });
+      return this.recurringHelper.formatRecurringResponse(rule);
+    } catch (error) {
+      throw new Error(`Failed to update recurring request status: ${error.message}`);
+    }
+  }
+
+  async previewOccurrences(id, count = 10) {
+    try {
+      const rule = await this.findRuleOrFail(id);
+      const now = new Date();
+      const upcoming = this.recurringHelper.generateOccurrences(rule, { from: now, limit: count });
+
+      // Keyed from the start of today, as in materializeRule
+      const occurrences = upcoming.length > 0
+        ? this.recurringHelper.keyOccurrences(this.recurringHelper.generateOccurrences(rule, {
+          from: this.recurringHelper.toUTCDay(now),
+          until: upcoming[upcoming.length - 1]
+        }))
+        : new Map();
+
+      const materialized = await this.findMaterializedRequests(rule.id, [...occurrences.values()]);
+
+      return {
+        recurringRequestId: rule.id,
+        status: rule.status,
+        occurrences: [...occurrences].filter(([, pickUpDateTime]) => pickUpDateTime >= now).map(([key, pickUpDateTime]) => {
+          const existing = materialized.get(key);
+          return {
+            pickUpDateTime,
+            materialized: Boolean(existing),
+            requestId: existing ? existing.id : null
+          };
+        })
+      };
+    } catch (error) {
+      throw new Error(`Failed to preview occurrences: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create TransportationRequest rows for every occurrence of a rule inside
+   * the scheduling horizon that does not exist yet.
+   */
+  async materializeRecurringRequest(id, horizonDays = config.recurring.horizonDays) {
+    try {
+      const rule = await this.findRuleOrFail(id);
+
+      if (rule.status !== 'active') {
+        throw new Error('Only active recurring requests can be materialized');
+      }
+
+      return await this.materializeRule(rule, horizonDays);
+    } catch (error) {
+      throw new Error(`Failed to materialize recurring request: ${error.message}`);
+    }
+  }
+
+  /**
+   * Scheduler entry point: materialize every active rule.
+   * A failing rule is logged and skipped so it cannot block the others.
+   */
+  async materializeAll(horizonDays = config.recurring.horizonDays) {
+    const rules = await RecurringRequest.findAll({ where: { status: 'active' } });
+    const results = [];
+
+    for (const rule of rules) {
+      try {
+        results.push(await this.materializeRule(rule, horizonDays));
+      } catch (error) {
+        console.error(`Failed to materialize recurring request ${rule.id}:`, error.message);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Create the requests for the rule's occurrences within the horizon. An occurrence
+   * already materialized on that day is not created again; if the rule's pickup time
+   * has since changed and the request is still planned, it is moved to the new time.
+   */
+  async materializeRule(rule, horizonDays) {
+    const now = new Date();
+    const until = new Date(now.getTime() + horizonDays * 24 * 60 * 60 * 1000);
+    // Keyed from the start of today so the day's runs keep their numbering after some have passed
+    const occurrences = this.recurringHelper.keyOccurrences(
+      this.recurringHelper.generateOccurrences(rule, { from: this.recurringHelper.toUTCDay(now), until })
+    );
+
+    const existing = await this.findMaterializedRequests(rule.id, [...occurrences.values()]);
+    const created = [];
+    const rescheduled = [];
+
+    for (const [key, pickUpDateTime] of occurrences) {
+      if (pickUpDateTime < now) continue;
+
+      const request = existing.get(key);
+
+      if (!request) {
+        created.push(await requestService.createRequest(
+          this.recurringHelper.buildRequestData(rule, pickUpDateTime)
+        ));
+        continue;
+      }
+
+      const moved = new Date(request.pickUpDateTime).getTime() !== pickUpDateTime.getTime();
+      if (moved && request.status === 'planned' && !request.isSoftDeleted()) {
+        rescheduled.push(await requestService.updateRequest(request.id, { pickUpDateTime }));
+      }
+    }
+
+    await rule.update({ lastMaterializedAt: until });
+
+    return {
+      recurringRequestId: rule.id,
+      materializedUntil: until,
+      createdCount: created.length,
+      createdRequests: created,
+      rescheduledCount: rescheduled.length,
+      rescheduledRequests: rescheduled
+    };
+  }
+
+  /**
+   * Map of occurrence key (see RecurringHelper.keyOccurrences) -> request already
+   * created for this rule on the occurrences' days.
+   * Soft-deleted requests count too, so a cancelled occurrence is not recreated.
+   */
+  async findMaterializedRequests(recurringRequestId, occurrences) {
+    if (occurrences.length === 0) return new Map();
+
+    const firstDay = this.recurringHelper.toUTCDay(occurrences[0]);
+    const lastDay = this.recurringHelper.toUTCDay(occurrences[occurrences.length - 1]);
+
+    const requests = await TransportationRequest.findAll({
+      where: {
+        recurringRequestId,
+        pickUpDateTime: {
+          [Op.gte]: firstDay,
+          [Op.lt]: new Date(lastDay.getTime() + 24 * 60 * 60 * 1000)
+        }
+      },
+      attributes: ['id', 'pickUpDateTime', 'status', 'deleted_at'],
+      order: [['pickUpDateTime', 'ASC'], ['id', 'ASC']],
+      paranoid: false
+    });
+
+    const keys = [...this.recurringHelper.keyOccurrences(requests.map(request => request.pickUpDateTime)).keys()];
+    return new Map(requests.map((request, index) => [keys[index], request]));
+  }
+
+  async findRuleOrFail(id) {
+    const rule = await RecurringRequest.findByPk(id);
+    if (!rule) {
+      throw new Error('Recurring request not found');
+    }
+    return rule;
+  }
+}
+
+module.exports = new RecurringService();
@@ -0,0 +1,160 @@
+const Joi = require('joi');
+const { createRequestSchema, updateRequestSchema, validateRequest } = require('../request/request.validate');
+
+/**
+ * Recurrence rule fields shared by create and update
+ */
+const ruleFields = {
+  frequency: Joi.string()
+    .valid('daily', 'weekly', 'monthly', 'cron')
+    .messages({
+      'any.only': 'Frequency must be one of: daily, weekly, monthly, cron'
+    }),
+
+  interval: Joi.number()
+    .integer()
+    .min(1)
+    .max(52)
+    .messages({
+      'number.base': 'Interval must be a number',
+      'number.min': 'Interval must be at least 1',
+      'number.max': 'Interval cannot exceed 52'
+    }),
+
+  daysOfWeek: Joi.array()
+    .items(Joi.number().integer().min(0).max(6))
+    .unique()
+    .messages({
+      'number.min': 'Days of week must be between 0 (Sunday) and 6 (Saturday)',
+      'number.max': 'Days of week must be between 0 (Sunday) and 6 (Saturday)'
+    }),
+
+  dayOfMonth: Joi.number()
+    .integer()
+    .min(1)
+    .max(31)
+    .messages({
+      'number.min': 'Day of month must be between 1 and 31',
+      'number.max': 'Day of month must be between 1 and 31'
+    }),
+
+  cronExpression: Joi.string()
+    .trim()
+    .max(100)
+    .messages({
+      'string.max': 'Cron expression cannot exceed 100 characters'
+    }),
+
+  pickupTime: Joi.string()
+    .pattern(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .messages({
+      'string.pattern.base': 'Pickup time must be in HH:MM format (24-hour, UTC)'
+    }),
+
+  startDate: Joi.date()
+    .iso()
+    .messages({
+      'date.base': 'Start date must be a valid date'
+    }),
+
+  endDate: Joi.date()
+    .iso()
+    .allow(null)
+    .messages({
+      'date.base': 'End date must be a valid date'
+    }),
+
+  exceptions: Joi.array()
+    .items(Joi.date().iso())
+    .messages({
+      'date.base': 'Exceptions must be valid dates'
+    })
+};
+
+/**
+ * Validation schema for creating a recurring request.
+ * Request fields come from createRequestSchema; pickUpDateTime is produced by the rule.
+ */
+const createRecurringSchema = createRequestSchema.keys({
+  name: Joi.string()
+    .trim()
+    .min(3)
+    .max(255)
+    .required()
+    .messages({
+      'string.empty': 'Name is required',
+      'string.min': 'Name must be at least 3 characters long',
+      'string.max': 'Name cannot exceed 255 characters'
+    }),
+  pickUpDateTime: Joi.forbidden(),
+  expectedArrivalDateTime: Joi.forbidden(),
+  originLocationId: Joi.forbidden(),
+  destinationLocationId: Joi.forbidden(),
+  stops: Joi.forbidden(),
+  createdBy: Joi.string().trim().min(2).max(100).optional(),
+  ...ruleFields,
+  frequency: ruleFields.frequency.required(),
+  interval: ruleFields.interval.default(1),
+  startDate: ruleFields.startDate.required(),
+  cronExpression: ruleFields.cronExpression.when('frequency', {
+    is: 'cron',
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  }),
+  pickupTime: ruleFields.pickupTime.when('frequency', {
+    is: 'cron',
+    then: Joi.optional(),
+    otherwise: Joi.required()
+  })
+});
+
+/**
+ * Validation schema for editing a recurring request (all fields optional).
+ * Cross-field rule checks run on the merged rule in the service.
+ */
+const updateRecurringSchema = updateRequestSchema.keys({
+  name: Joi.string()
+    .trim()
+    .min(3)
+    .max(255)
+    .optional()
+    .messages({
+      'string.min': 'Name must be at least 3 characters long',
+      'string.max': 'Name cannot exceed 255 characters'
+    }),
+  pickUpDateTime: Joi.forbidden(),
+  expectedArrivalDateTime: Joi.forbidden(),
+  originLocationId: Joi.forbidden(),
+  destinationLocationId: Joi.forbidden(),
+  stops: Joi.forbidden(),
+  status: Joi.forbidden(),
+  statusReason: Joi.forbidden(),
+  changedBy: Joi.forbidden(),
+  ...ruleFields
+}).min(1);
+
+const previewQuerySchema = Joi.object({
+  count: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(10)
+    .messages({
+      'number.min': 'Count must be at least 1',
+      'number.max': 'Count cannot exceed 100'
+    })
+});
+
+const recurringQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  status: Joi.string().valid('active', 'paused').optional()
+});
+
+module.exports = {
+  createRecurringSchema,
+  updateRecurringSchema,
+  previewQuerySchema,
+  recurringQuerySchema,
+  validateRequest
+};
@@ -0,0 +1,60 @@
+const reportService = require('./report.service');
+const ReportHelper = require('./report.helper');
+
+const reportHelper = new ReportHelper();
+
+class ReportController {
+
+  /**
+   * GET /api/requests/:id/report.pdf
+   */
+  async getRequestReport(req, res) {
+    try {
+      const requestId = parseInt(req.params.id);
+
+      if (isNaN(requestId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid request ID'
+        });
+      }
+
+      const request = await reportService.getRequestReportData(requestId);
+
+      res.status(200);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `inline; filename="${reportHelper.buildFileName(request)}"`);
+
+      reportHelper.renderRequestReport(request, res);
+
+    } catch (error) {
+      console.error('Error generating request report:', error.message);
+
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+
+      if (error.message.includes('Request not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Request not found'
+        });
+      }
+
+      if (error.message.includes('No delivery has been logged')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Report is available once a delivery has been logged for this request'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to generate request report',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ReportController();
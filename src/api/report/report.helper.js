@@ -0,0 +1,187 @@
+const PDFDocument = require('pdfkit');
+
+const PAGE_MARGIN = 50;
+const LABEL_WIDTH = 170;
+
+const RATING_CRITERIA = [
+  ['Punctuality', 'punctuality'],
+  ['Professionalism', 'professionalism'],
+  ['Delivery Quality', 'deliveryQuality'],
+  ['Communication', 'communication'],
+  ['Safety', 'safety'],
+  ['Policy Compliance', 'policyCompliance'],
+  ['Fuel Efficiency', 'fuelEfficiency']
+];
+
+/**
+ * Report Helper - Renders printable PDF reports with pdfkit (no external services)
+ * No database operations should be performed here
+ */
+class ReportHelper {
+
+  buildFileName(request) {
+    return `${request.requestNumber || `request-${request.id}`}-report.pdf`;
+  }
+
+  /**
+   * Render the delivery report for a request loaded with
+   * Deliveries -> DriverRatings -> Driver, piping the PDF into `stream`.
+   * Requests fulfilled in waves get one delivery section per wave.
+   */
+  renderRequestReport(request, stream, generatedAt = new Date()) {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: PAGE_MARGIN,
+      info: {
+        Title: `Delivery Report ${request.requestNumber}`,
+        Subject: 'Transportation request delivery report'
+      }
+    });
+
+    doc.pipe(stream);
+
+    this.drawTitle(doc, request, generatedAt);
+    this.drawRequestDetails(doc, request);
+    this.drawFulfillment(doc, request.getFulfillment(), request.Deliveries.length);
+    request.Deliveries.forEach((delivery, index) => {
+      this.drawDelivery(doc, delivery, request.Deliveries.length > 1 ? index + 1 : null);
+    });
+    this.drawPerformance(doc, request.getPerformanceMetrics());
+    this.drawRatings(doc, request.Deliveries.flatMap(delivery => delivery.DriverRatings || []));
+
+    doc.end();
+    return doc;
+  }
+
+  drawTitle(doc, request, generatedAt) {
+    doc.font('Helvetica-Bold').fontSize(20).text('Delivery Report');
+    doc.font('Helvetica').fontSize(10).fillColor('#555555')
+      .text(`Request ${request.requestNumber} - status: ${request.status}`)
+      .text(`Generated ${this.formatDateTime(generatedAt)}`)
+      .fillColor('black');
+  }
+
+  drawRequestDetails(doc, request) {
+    this.drawSection(doc, 'Request Details', [
+      ['Request Number', request.requestNumber],
+      ['Origin', request.origin],
+      ['Destination', request.destination],
+      ['Estimated Distance', request.estimatedDistance ? `${request.estimatedDistance} miles` : null],
+      ['Planned Pickup', this.formatDateTime(request.pickUpDateTime)],
+      ['Trucks Requested', `${request.truckCount} x ${request.truckType}`],
+      ['Urgency', request.urgencyLevel],
+      ['Estimated Cost', this.formatCurrency(request.estimatedCost)],
+      ['Contracted Cost', this.formatCurrency(request.contractedCost)],
+      ['Load Details', request.loadDetails],
+      ['Special Requirements', request.specialRequirements],
+      ['Created By', request.createdBy]
+    ]);
+  }
+
+  drawFulfillment(doc, fulfillment, deliveryCount) {
+    this.drawSection(doc, 'Fulfillment', [
+      ['Trucks Delivered', `${fulfillment.fulfilledTruckCount} of ${fulfillment.requestedTruckCount}`],
+      ['Deliveries', deliveryCount],
+      ['Closed Short', fulfillment.closedShort ? 'Yes' : null],
+      ['Close-Short Reason', fulfillment.closedShortReason]
+    ]);
+  }
+
+  drawDelivery(doc, delivery, wave = null) {
+    this.drawSection(doc, wave ? `Delivery ${wave}` : 'Delivery', [
+      ['Actual Pickup', this.formatDateTime(delivery.actualPickupDateTime)],
+      ['Trucks Used', delivery.actualTruckCount],
+      ['Invoice Amount', this.formatCurrency(delivery.invoiceAmount)],
+      ['Delay Reason', delivery.delayReasonCode],
+      ['Logged By', delivery.loggedBy],
+      ['Logged At', this.formatDateTime(delivery.loggedAt)],
+      ['Notes', delivery.deliveryNotes]
+    ]);
+  }
+
+  drawPerformance(doc, performance) {
+    if (!performance) return;
+
+    this.drawSection(doc, 'Performance', [
+      ['Performance Grade', performance.performanceGrade],
+      ['Pickup Delay', `${performance.delayMinutes} min`],
+      ['Truck Variance', `${performance.truckVariance} (${performance.truckVariancePercentage}%)`],
+      ['Cost Variance', `${this.formatCurrency(performance.costVariance)} (${performance.costVariancePercentage}%)`]
+    ]);
+  }
+
+  drawRatings(doc, ratings) {
+    this.drawHeading(doc, 'Driver Ratings');
+
+    if (ratings.length === 0) {
+      doc.font('Helvetica-Oblique').fontSize(10).text('No driver ratings recorded.');
+      return;
+    }
+
+    ratings.forEach((rating, index) => {
+      const driver = rating.Driver;
+      const driverLabel = driver
+        ? `${driver.name}${driver.transportCompany ? ` (${driver.transportCompany})` : ''}`
+        : `Driver #${rating.driverId}`;
+
+      if (index > 0) doc.moveDown(0.5);
+      doc.font('Helvetica-Bold').fontSize(11).text(`${driverLabel} - overall ${rating.overallRating}/5`);
+
+      this.drawFields(doc, [
+        ...RATING_CRITERIA.map(([label, key]) => [label, rating[key] ? `${rating[key]}/5` : null]),
+        ['Comments', rating.comments]
+      ]);
+    });
+  }
+
+  drawSection(doc, title, fields) {
+    this.drawHeading(doc, title);
+    this.drawFields(doc, fields);
+  }
+
+  drawHeading(doc, title) {
+    doc.moveDown(1);
+    doc.font('Helvetica-Bold').fontSize(13).text(title);
+
+    const y = doc.y + 2;
+    doc.moveTo(PAGE_MARGIN, y).lineTo(doc.page.width - PAGE_MARGIN, y).strokeColor('#cccccc').stroke();
+    doc.moveDown(0.5);
+  }
+
+  /**
+   * Label/value rows; empty values are skipped
+   */
+  drawFields(doc, fields) {
+    const valueX = PAGE_MARGIN + LABEL_WIDTH;
+    const valueWidth = doc.page.width - PAGE_MARGIN - valueX;
+
+    fields
+      .filter(([, value]) => value !== null && value !== undefined && value !== '')
+      .forEach(([label, value]) => {
+        // Break before a row rather than letting label and value land on different pages
+        if (doc.y + 30 > doc.page.height - PAGE_MARGIN) {
+          doc.addPage();
+        }
+
+        const y = doc.y;
+        doc.font('Helvetica-Bold').fontSize(10).text(label, PAGE_MARGIN, y, { width: LABEL_WIDTH - 10 });
+        const labelBottom = doc.y;
+        doc.font('Helvetica').text(String(value), valueX, y, { width: valueWidth });
+        doc.y = Math.max(labelBottom, doc.y) + 2;
+      });
+
+    doc.x = PAGE_MARGIN;
+  }
+
+  formatDateTime(value) {
+    if (!value) return null;
+    return `${new Date(value).toISOString().replace('T', ' ').slice(0, 16)} UTC`;
+  }
+
+  formatCurrency(value) {
+    if (value === null || value === undefined) return null;
+    return `$${parseFloat(value).toFixed(2)}`;
+  }
+}
+
+module.exports = ReportHelper;
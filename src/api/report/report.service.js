@@ -0,0 +1,50 @@
+const { TransportationRequest } = require('../request/request.model');
+const { Delivery, DriverRating } = require('../delivery/delivery.model');
+const { Driver } = require('../driver/driver.model');
+
+class ReportService {
+
+  /**
+   * Request with its deliveries and every driver rating (with driver) for the PDF report
+   */
+  async getRequestReportData(requestId) {
+    try {
+      const request = await TransportationRequest.findByPk(requestId, {
+        include: [{
+          model: Delivery,
+          as: 'Deliveries',
+          required: false,
+          include: [{
+            model: DriverRating,
+            as: 'DriverRatings',
+            required: false,
+            include: [{
+              model: Driver,
+              as: 'Driver',
+              attributes: ['id', 'name', 'type', 'transportCompany']
+            }]
+          }]
+        }],
+        order: [
+          [{ model: Delivery, as: 'Deliveries' }, 'actualPickupDateTime', 'ASC'],
+          [{ model: Delivery, as: 'Deliveries' }, 'id', 'ASC'],
+          [{ model: Delivery, as: 'Deliveries' }, { model: DriverRating, as: 'DriverRatings' }, 'id', 'ASC']
+        ]
+      });
+
+      if (!request) {
+        throw new Error('Request not found');
+      }
+
+      if (request.Deliveries.length === 0) {
+        throw new Error('No delivery has been logged for this request');
+      }
+
+      return request;
+    } catch (error) {
+      throw new Error(`Failed to load report data: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new ReportService();
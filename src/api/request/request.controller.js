@@ -1,4 +1,6 @@
 const requestService = require('./request.service');
+const requestLifecycle = require('./request.lifecycle');
+const templateService = require('../template/template.service');
 const {
   validateRequest,
   createRequestSchema,
@@ -7,6 +9,47 @@ const {
 } = require('./request.validate');
 
 
+function isInvalidLocationError(error) {
+  return /Invalid ((origin|destination)LocationId|stop locationId)/.test(error.message);
+}
+
+/**
+ * Merge caller overrides onto pre-filled request fields, validate the result
+ * with createRequestSchema and create the request.
+ * Shared by the from-template and clone handlers (route handlers are passed unbound).
+ */
+async function createFromBase(res, baseData, overrides, message) {
+  const base = { ...baseData };
+
+  // A new location in the overrides replaces the text and distance derived from the old one
+  if (overrides.originLocationId !== undefined && overrides.origin === undefined) {
+    delete base.origin;
+    delete base.estimatedDistance;
+  }
+  if (overrides.destinationLocationId !== undefined && overrides.destination === undefined) {
+    delete base.destination;
+    delete base.estimatedDistance;
+  }
+
+  const validation = validateRequest({ ...base, ...overrides }, createRequestSchema);
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: validation.errors
+    });
+  }
+
+  const request = await requestService.createRequest(validation.data);
+
+  return res.status(201).json({
+    success: true,
+    message,
+    data: request
+  });
+}
+
+
 class RequestController {
 
   async createRequest(req, res) {
@@ -31,6 +74,15 @@ class RequestController {
 
     } catch (error) {
       console.error('Error creating request:', error.message);
+
+      if (isInvalidLocationError(error)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid location',
+          error: error.message
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Failed to create transportation request',
@@ -40,6 +92,90 @@ class RequestController {
   }
 
 
+  async createRequestFromTemplate(req, res) {
+    try {
+      const templateId = parseInt(req.params.templateId);
+
+      if (isNaN(templateId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid template ID'
+        });
+      }
+
+      const baseData = await templateService.getTemplateRequestData(templateId);
+
+      return await createFromBase(res, baseData, req.body, 'Transportation request created from template successfully');
+
+    } catch (error) {
+      console.error('Error creating request from template:', error.message);
+
+      if (isInvalidLocationError(error)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid location',
+          error: error.message
+        });
+      }
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Template not found'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create transportation request from template',
+        error: error.message
+      });
+    }
+  }
+
+
+  async cloneRequest(req, res) {
+    try {
+      const requestId = parseInt(req.params.id);
+
+      if (isNaN(requestId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid request ID'
+        });
+      }
+
+      const baseData = await requestService.getCloneData(requestId);
+
+      return await createFromBase(res, baseData, req.body, 'Transportation request cloned successfully');
+
+    } catch (error) {
+      console.error('Error cloning request:', error.message);
+
+      if (isInvalidLocationError(error)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid location',
+          error: error.message
+        });
+      }
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Request not found'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to clone transportation request',
+        error: error.message
+      });
+    }
+  }
+
+
   async getAllRequests(req, res) {
     try {
       // Validate query parameters
@@ -145,6 +281,14 @@ class RequestController {
     } catch (error) {
       console.error('Error updating request:', error.message);
 
+      if (isInvalidLocationError(error)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid location',
+          error: error.message
+        });
+      }
+
       if (error.message.includes('not found')) {
         return res.status(404).json({
           success: false,
@@ -159,6 +303,22 @@ class RequestController {
         });
       }
 
+      if (error.message.includes('Cannot change stops')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot change stops once a delivery has been logged'
+        });
+      }
+
+      if (requestLifecycle.isTransitionError(error)) {
+        return res.status(400).json({
+          success: false,
+          code: requestLifecycle.errorCode,
+          message: 'Invalid status transition',
+          error: error.message
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Failed to update request',
@@ -168,6 +328,44 @@ class RequestController {
   }
 
 
+  async getRequestHistory(req, res) {
+    try {
+      const requestId = parseInt(req.params.id);
+
+      if (isNaN(requestId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid request ID'
+        });
+      }
+
+      const history = await requestService.getRequestHistory(requestId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Request status history retrieved successfully',
+        data: history
+      });
+
+    } catch (error) {
+      console.error('Error retrieving request history:', error.message);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Request not found'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve request history',
+        error: error.message
+      });
+    }
+  }
+
+
   async deleteRequest(req, res) {
     try {
       const requestId = parseInt(req.params.id);
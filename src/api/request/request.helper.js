@@ -32,9 +32,9 @@ class RequestHelper {
     }
 
     if (filters.dateFrom || filters.dateTo) {
-      whereClause.plannedPickupDate = {};
-      if (filters.dateFrom) whereClause.plannedPickupDate[Op.gte] = filters.dateFrom;
-      if (filters.dateTo) whereClause.plannedPickupDate[Op.lte] = filters.dateTo;
+      whereClause.pickUpDateTime = {};
+      if (filters.dateFrom) whereClause.pickUpDateTime[Op.gte] = filters.dateFrom;
+      if (filters.dateTo) whereClause.pickUpDateTime[Op.lte] = filters.dateTo;
     }
 
     return whereClause;
@@ -47,22 +47,37 @@ class RequestHelper {
       requestNumber: request.requestNumber,
       origin: request.origin,
       destination: request.destination,
+      originLocationId: request.originLocationId,
+      destinationLocationId: request.destinationLocationId,
       estimatedDistance: request.estimatedDistance,
       pickUpDateTime: request.pickUpDateTime,
+      expectedArrivalDateTime: request.expectedArrivalDateTime,
       truckCount: request.truckCount,
       truckType: request.truckType,
       loadDetails: request.loadDetails,
       specialRequirements: request.specialRequirements,
       estimatedCost: request.estimatedCost,
+      rateCardId: request.rateCardId,
+      rateCardVersion: request.rateCardVersion,
+      contractedCost: request.contractedCost,
+      awardedTransporterId: request.awardedTransporterId,
       urgencyLevel: request.urgencyLevel,
       status: request.status,
+      fulfillment: request.getFulfillment(),
       createdBy: request.createdBy,
+      recurringRequestId: request.recurringRequestId,
       createdAt: request.createdAt,
       updatedAt: request.updatedAt
     };
 
-    if (request.Delivery) {
-      formatted.delivery = this.formatDeliveryResponse(request.Delivery);
+    if (request.Stops) {
+      formatted.stops = this.sortStops(request.Stops).map(stop => this.formatStopResponse(stop));
+    }
+
+    if (request.Deliveries && request.Deliveries.length > 0) {
+      formatted.deliveries = this.sortDeliveries(request.Deliveries).map(delivery => this.formatDeliveryResponse(delivery));
+      // Most recent delivery, kept for clients written before requests could have several
+      formatted.delivery = formatted.deliveries[formatted.deliveries.length - 1];
       
       if (includePerformance) {
         formatted.performance = request.getPerformanceMetrics();
@@ -73,6 +88,13 @@ class RequestHelper {
   }
 
 
+  sortDeliveries(deliveries) {
+    return [...deliveries].sort((a, b) =>
+      new Date(a.actualPickupDateTime) - new Date(b.actualPickupDateTime) || a.id - b.id
+    );
+  }
+
+
   formatDeliveryResponse(delivery) {
     const response = {
       id: delivery.id,
@@ -81,6 +103,7 @@ class RequestHelper {
       actualTruckCount: delivery.actualTruckCount,
       invoiceAmount: delivery.invoiceAmount,
       deliveryNotes: delivery.deliveryNotes,
+      delayReasonCode: delivery.delayReasonCode,
       loggedBy: delivery.loggedBy,
       loggedAt: delivery.loggedAt,
       drivers: []
@@ -121,6 +144,113 @@ class RequestHelper {
   }
 
 
+  formatStopResponse(stop) {
+    return {
+      id: stop.id,
+      sequence: stop.sequence,
+      type: stop.type,
+      address: stop.address,
+      locationId: stop.locationId,
+      windowStart: stop.windowStart,
+      windowEnd: stop.windowEnd,
+      loadPercentage: stop.loadPercentage === null || stop.loadPercentage === undefined ? null : parseFloat(stop.loadPercentage),
+      loadDetails: stop.loadDetails
+    };
+  }
+
+
+  sortStops(stops) {
+    return [...stops].sort((a, b) => a.sequence - b.sequence);
+  }
+
+
+  /**
+   * Multi-stop requests keep origin, destination, pickup time and expected arrival
+   * in step with the first and last stop unless the caller set them explicitly.
+   */
+  applyStopDefaults(fields, stops) {
+    const first = stops[0];
+    const last = stops[stops.length - 1];
+    const data = { ...fields };
+
+    if (data.origin === undefined && data.originLocationId === undefined) {
+      data.origin = first.address;
+      data.originLocationId = first.locationId || null;
+    }
+
+    if (data.destination === undefined && data.destinationLocationId === undefined) {
+      data.destination = last.address;
+      data.destinationLocationId = last.locationId || null;
+    }
+
+    if (data.pickUpDateTime === undefined) {
+      data.pickUpDateTime = first.windowStart;
+    }
+
+    if (data.expectedArrivalDateTime === undefined) {
+      data.expectedArrivalDateTime = last.windowEnd;
+    }
+
+    return data;
+  }
+
+
+  buildStopRecords(requestId, stops) {
+    return stops.map((stop, index) => ({
+      requestId,
+      sequence: index + 1,
+      type: stop.type,
+      address: stop.address,
+      locationId: stop.locationId || null,
+      windowStart: stop.windowStart,
+      windowEnd: stop.windowEnd,
+      loadPercentage: stop.loadPercentage === undefined ? null : stop.loadPercentage,
+      loadDetails: stop.loadDetails || null
+    }));
+  }
+
+
+  /**
+   * Request fields carried over when cloning; status, number and history are not
+   */
+  buildCloneData(request) {
+    const data = {
+      origin: request.origin,
+      destination: request.destination,
+      originLocationId: request.originLocationId,
+      destinationLocationId: request.destinationLocationId,
+      estimatedDistance: request.estimatedDistance,
+      pickUpDateTime: request.pickUpDateTime,
+      truckCount: request.truckCount,
+      truckType: request.truckType,
+      loadDetails: request.loadDetails,
+      specialRequirements: request.specialRequirements,
+      // A rate-card estimate is re-priced for the clone; manual estimates are kept
+      estimatedCost: request.rateCardId ? null : request.estimatedCost,
+      urgencyLevel: request.urgencyLevel
+    };
+
+    // Drop empty values so createRequestSchema treats them as not provided
+    Object.keys(data).forEach(key => {
+      if (data[key] === null || data[key] === undefined) delete data[key];
+    });
+
+    return data;
+  }
+
+
+  formatStatusHistoryResponse(entry) {
+    return {
+      id: entry.id,
+      fromStatus: entry.fromStatus,
+      toStatus: entry.toStatus,
+      changedBy: entry.changedBy,
+      reason: entry.reason,
+      changedAt: entry.changedAt
+    };
+  }
+
+
   calculateAverage(numbers) {
     if (numbers.length === 0) return 0;
     const sum = numbers.reduce((acc, num) => acc + num, 0);
@@ -128,8 +258,39 @@ class RequestHelper {
   }
 
 
-  generateRequestNumber() {
-    return `REQ-${new Date().getFullYear()}-${String(Math.floor(Math.random() * 1000)).padStart(3, '0')}`;
+  /**
+   * Render a request number from a pattern such as 'REQ-{SITE}-{YYYY}-{SEQ:5}'.
+   * Separators left dangling by an empty {SITE} are collapsed.
+   */
+  formatRequestNumber(pattern, { year, sequence, siteCode = '' }) {
+    const formatted = pattern
+      .replace(/\{YYYY\}/g, String(year))
+      .replace(/\{YY\}/g, String(year).slice(-2))
+      .replace(/\{SITE\}/g, siteCode)
+      .replace(/\{SEQ(?::(\d+))?\}/g, (match, width) => String(sequence).padStart(parseInt(width || '1'), '0'));
+
+    return formatted
+      .replace(/([-_/.])\1+/g, '$1')
+      .replace(/^[-_/.]+|[-_/.]+$/g, '');
+  }
+
+
+  /**
+   * The sequence restarts every year, so a pattern must carry the year as well as the
+   * sequence; otherwise January's numbers repeat last year's. Returns null when usable.
+   */
+  checkRequestNumberPattern(pattern) {
+    if (!/\{SEQ(?::\d+)?\}/.test(pattern)) return 'pattern must include {SEQ} or {SEQ:n}';
+    if (!/\{YYYY\}|\{YY\}/.test(pattern)) return 'pattern must include {YYYY} or {YY}';
+    return null;
+  }
+
+
+  isRequestNumberCollision(error) {
+    if (error.name !== 'SequelizeUniqueConstraintError') return false;
+
+    const fields = Object.keys(error.fields || {});
+    return fields.includes('request_number') || fields.includes('requestNumber');
   }
 
 
@@ -0,0 +1,98 @@
+const { RequestStatusHistory, REQUEST_STATUSES } = require('./request.model');
+
+const INVALID_STATUS_TRANSITION = 'INVALID_STATUS_TRANSITION';
+
+/**
+ * Legal status transitions for a transportation request.
+ * Terminal statuses map to an empty list.
+ */
+const ALLOWED_TRANSITIONS = {
+  planned: ['assigned', 'processing', 'on_hold', 'rejected', 'cancelled'],
+  assigned: ['planned', 'processing', 'on_hold', 'cancelled'],
+  processing: ['in_transit', 'completed', 'on_hold', 'cancelled'],
+  in_transit: ['completed', 'on_hold'],
+  on_hold: ['planned', 'assigned', 'processing', 'cancelled'],
+  rejected: [],
+  completed: [],
+  cancelled: ['planned']
+};
+
+/**
+ * Request Lifecycle - Central state machine for TransportationRequest status.
+ * Every status change goes through transition() so it is validated and recorded.
+ */
+class RequestLifecycle {
+
+  constructor() {
+    this.statuses = REQUEST_STATUSES;
+    this.transitions = ALLOWED_TRANSITIONS;
+    this.errorCode = INVALID_STATUS_TRANSITION;
+  }
+
+  getAllowedTransitions(fromStatus) {
+    return this.transitions[fromStatus] || [];
+  }
+
+  canTransition(fromStatus, toStatus) {
+    return this.getAllowedTransitions(fromStatus).includes(toStatus);
+  }
+
+  assertTransition(fromStatus, toStatus) {
+    if (!this.statuses.includes(toStatus)) {
+      const error = new Error(`Invalid status transition: unknown status '${toStatus}'`);
+      error.code = INVALID_STATUS_TRANSITION;
+      throw error;
+    }
+
+    if (!this.canTransition(fromStatus, toStatus)) {
+      const error = new Error(`Invalid status transition from '${fromStatus}' to '${toStatus}'`);
+      error.code = INVALID_STATUS_TRANSITION;
+      throw error;
+    }
+  }
+
+  isTransitionError(error) {
+    return error.code === INVALID_STATUS_TRANSITION || error.message.includes('Invalid status transition');
+  }
+
+  /**
+   * Move a request to a new status and record the transition.
+   * Moving to the current status is a no-op and is not recorded.
+   */
+  async transition(request, toStatus, { changedBy = 'System', reason = null, transaction } = {}) {
+    const fromStatus = request.status;
+
+    if (fromStatus === toStatus) {
+      return request;
+    }
+
+    this.assertTransition(fromStatus, toStatus);
+
+    await request.update({ status: toStatus }, { transaction });
+    await this.recordTransition(request.id, fromStatus, toStatus, { changedBy, reason, transaction });
+
+    return request;
+  }
+
+  /**
+   * Record a status change without validating it (used for the initial status on creation)
+   */
+  async recordTransition(requestId, fromStatus, toStatus, { changedBy = 'System', reason = null, transaction } = {}) {
+    return RequestStatusHistory.create({
+      requestId,
+      fromStatus,
+      toStatus,
+      changedBy: changedBy || 'System',
+      reason
+    }, { transaction });
+  }
+
+  async getHistory(requestId) {
+    return RequestStatusHistory.findAll({
+      where: { requestId },
+      order: [['changedAt', 'ASC'], ['id', 'ASC']]
+    });
+  }
+}
+
+module.exports = new RequestLifecycle();
@@ -1,5 +1,21 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../../config/db');
+const config = require('../../config/config');
+
+/**
+ * All statuses a transportation request can be in.
+ * Legal moves between them are defined in request.lifecycle.js
+ */
+const REQUEST_STATUSES = [
+  'planned',
+  'assigned',
+  'processing',
+  'in_transit',
+  'on_hold',
+  'rejected',
+  'completed',
+  'cancelled'
+];
 
 /**
  * Transportation Request Model
@@ -12,7 +28,7 @@ const TransportationRequest = sequelize.define('TransportationRequest', {
     autoIncrement: true
   },
   requestNumber: {
-    type: DataTypes.STRING(20),
+    type: DataTypes.STRING(40),
     allowNull: true,
     unique: true,
     field: 'request_number'
@@ -25,6 +41,24 @@ const TransportationRequest = sequelize.define('TransportationRequest', {
     type: DataTypes.STRING(255),
     allowNull: false
   },
+  originLocationId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'origin_location_id',
+    references: {
+      model: 'locations',
+      key: 'id'
+    }
+  },
+  destinationLocationId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'destination_location_id',
+    references: {
+      model: 'locations',
+      key: 'id'
+    }
+  },
   estimatedDistance: {
     type: DataTypes.DECIMAL(8, 2),
     allowNull: true,
@@ -35,6 +69,12 @@ const TransportationRequest = sequelize.define('TransportationRequest', {
     allowNull: false,
     field: 'pickup_datetime'
   },
+  // Planned arrival at the destination; when unset it is estimated from the distance
+  expectedArrivalDateTime: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'expected_arrival_datetime'
+  },
   truckCount: {
     type: DataTypes.INTEGER,
     allowNull: false,
@@ -61,14 +101,63 @@ const TransportationRequest = sequelize.define('TransportationRequest', {
     allowNull: true,
     field: 'estimated_cost'
   },
+  // Set when estimatedCost was computed by the rate engine; null for manual estimates
+  rateCardId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'rate_card_id',
+    references: {
+      model: 'rate_cards',
+      key: 'id'
+    }
+  },
+  rateCardVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'rate_card_version'
+  },
+  // Price of the accepted tender quote; replaces estimatedCost as the variance baseline
+  contractedCost: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    field: 'contracted_cost'
+  },
+  awardedTransporterId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'awarded_transporter_id',
+    references: {
+      model: 'transporters',
+      key: 'id'
+    }
+  },
   urgencyLevel: {
     type: DataTypes.ENUM('low', 'medium', 'high', 'urgent'),
     allowNull: false,
     defaultValue: 'medium',
     field: 'urgency_level'
   },
+  // Trucks delivered so far across all of the request's deliveries
+  fulfilledTruckCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'fulfilled_truck_count'
+  },
+  // Set when the request is confirmed completed before every truck was delivered
+  closedShort: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'closed_short'
+  },
+  closedShortReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'closed_short_reason'
+  },
   status: {
-    type: DataTypes.ENUM('planned', 'processing', 'completed', 'cancelled'),
+    type: DataTypes.ENUM(...REQUEST_STATUSES),
     allowNull: false,
     defaultValue: 'planned'
   },
@@ -77,6 +166,15 @@ const TransportationRequest = sequelize.define('TransportationRequest', {
     allowNull: false,
     defaultValue: 'System',
     field: 'created_by'
+  },
+  recurringRequestId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'recurring_request_id',
+    references: {
+      model: 'recurring_requests',
+      key: 'id'
+    }
   }
 }, {
   tableName: 'transportation_requests',
@@ -91,30 +189,75 @@ const TransportationRequest = sequelize.define('TransportationRequest', {
     },
     {
       fields: ['pickup_datetime']
+    },
+    {
+      // One materialized request per recurrence occurrence
+      unique: true,
+      fields: ['recurring_request_id', 'pickup_datetime']
     }
   ]
 });
 
+TransportationRequest.prototype.getBaselineCost = function() {
+  return this.contractedCost !== null && this.contractedCost !== undefined
+    ? this.contractedCost
+    : this.estimatedCost;
+};
+
+/**
+ * Planned arrival: the expected arrival when set, else the pickup time plus the
+ * estimated distance driven at the configured average speed (null without a distance)
+ */
+TransportationRequest.prototype.getExpectedArrival = function() {
+  if (this.expectedArrivalDateTime) return new Date(this.expectedArrivalDateTime);
+  if (!this.estimatedDistance) return null;
+
+  const transitMinutes = Math.round((parseFloat(this.estimatedDistance) / config.milestones.averageSpeedMph) * 60);
+  return new Date(new Date(this.pickUpDateTime).getTime() + transitMinutes * 60 * 1000);
+};
+
+TransportationRequest.prototype.isFullyFulfilled = function() {
+  return this.fulfilledTruckCount >= this.truckCount;
+};
+
+TransportationRequest.prototype.getFulfillment = function() {
+  return {
+    requestedTruckCount: this.truckCount,
+    fulfilledTruckCount: this.fulfilledTruckCount,
+    remainingTruckCount: Math.max(0, this.truckCount - this.fulfilledTruckCount),
+    fullyFulfilled: this.isFullyFulfilled(),
+    closedShort: this.closedShort,
+    closedShortReason: this.closedShortReason
+  };
+};
+
+/**
+ * Metrics across every delivery of the request: delay of the first pickup,
+ * trucks and invoices summed over all deliveries.
+ */
 TransportationRequest.prototype.getPerformanceMetrics = function() {
-  if (!this.Delivery) return null;
+  const deliveries = this.Deliveries || [];
+  if (deliveries.length === 0) return null;
+
+  const firstPickup = Math.min(...deliveries.map(delivery => new Date(delivery.actualPickupDateTime).getTime()));
+  const actualTruckCount = deliveries.reduce((sum, delivery) => sum + delivery.actualTruckCount, 0);
+  const invoiceAmount = deliveries.reduce((sum, delivery) => sum + parseFloat(delivery.invoiceAmount), 0);
 
-  const delivery = this.Delivery;
-  
   // Calculate delay in minutes
   const plannedDateTime = new Date(this.pickUpDateTime);
-  const actualDateTime = new Date(delivery.actualPickupDateTime);
-  const delayMinutes = Math.round((actualDateTime - plannedDateTime) / (1000 * 60));
+  const delayMinutes = Math.round((firstPickup - plannedDateTime) / (1000 * 60));
   
   // Calculate truck variance
-  const truckVariance = delivery.actualTruckCount - this.truckCount;
+  const truckVariance = actualTruckCount - this.truckCount;
   const truckVariancePercentage = this.truckCount > 0 
     ? ((truckVariance / this.truckCount) * 100) 
     : 0;
   
-  // Calculate cost variance
-  const costVariance = delivery.invoiceAmount - (this.estimatedCost || 0);
-  const costVariancePercentage = this.estimatedCost > 0 
-    ? ((costVariance / this.estimatedCost) * 100) 
+  // Calculate cost variance against the contracted cost when a tender was awarded
+  const baselineCost = this.getBaselineCost();
+  const costVariance = invoiceAmount - (baselineCost || 0);
+  const costVariancePercentage = baselineCost > 0 
+    ? ((costVariance / baselineCost) * 100) 
     : 0;
   
   // Determine performance grade
@@ -137,6 +280,187 @@ TransportationRequest.prototype.getPerformanceMetrics = function() {
   };
 };
 
+/**
+ * Request Status History Model
+ * Append-only audit trail of every status transition on a transportation request
+ */
+const RequestStatusHistory = sequelize.define('RequestStatusHistory', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  requestId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'request_id',
+    references: {
+      model: 'transportation_requests',
+      key: 'id'
+    }
+  },
+  fromStatus: {
+    type: DataTypes.ENUM(...REQUEST_STATUSES),
+    allowNull: true,
+    field: 'from_status'
+  },
+  toStatus: {
+    type: DataTypes.ENUM(...REQUEST_STATUSES),
+    allowNull: false,
+    field: 'to_status'
+  },
+  changedBy: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    defaultValue: 'System',
+    field: 'changed_by'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  changedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'changed_at'
+  }
+}, {
+  tableName: 'request_status_history',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['request_id']
+    },
+    {
+      fields: ['changed_at']
+    }
+  ]
+});
+
+const STOP_TYPES = ['pickup', 'dropoff'];
+
+/**
+ * Request Stop Model
+ * Ordered pickup and drop-off points of a multi-stop request, each with its own
+ * time window and share of the load. origin/destination mirror the first and last stop.
+ */
+const RequestStop = sequelize.define('RequestStop', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  requestId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'request_id',
+    references: {
+      model: 'transportation_requests',
+      key: 'id'
+    }
+  },
+  sequence: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.ENUM(...STOP_TYPES),
+    allowNull: false
+  },
+  address: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  locationId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'location_id',
+    references: {
+      model: 'locations',
+      key: 'id'
+    }
+  },
+  windowStart: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'window_start'
+  },
+  windowEnd: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'window_end'
+  },
+  // Percentage of the request's load picked up or dropped off here
+  loadPercentage: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true,
+    field: 'load_percentage'
+  },
+  loadDetails: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'load_details'
+  }
+}, {
+  tableName: 'request_stops',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['request_id', 'sequence']
+    }
+  ]
+});
+
+/**
+ * Request Number Sequence Model
+ * Per-year (and optional site) counter backing request number generation
+ */
+const RequestNumberSequence = sequelize.define('RequestNumberSequence', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  year: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  siteCode: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: '',
+    field: 'site_code'
+  },
+  lastValue: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'last_value'
+  }
+}, {
+  tableName: 'request_number_sequences',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['year', 'site_code']
+    }
+  ]
+});
+
 module.exports = {
-  TransportationRequest
+  TransportationRequest,
+  RequestNumberSequence,
+  RequestStatusHistory,
+  RequestStop,
+  REQUEST_STATUSES,
+  STOP_TYPES
 };
\ No newline at end of file
@@ -0,0 +1,73 @@
+const { TransportationRequest, RequestNumberSequence } = require('./request.model');
+const config = require('../../config/config');
+const RequestHelper = require('./request.helper');
+
+// How many already-taken numbers to skip before giving up (e.g. legacy random numbers)
+const MAX_SKIPS = 50;
+
+/**
+ * Request Numbering - Sequence-backed request number generation.
+ * Must run inside the transaction that creates the request: the counter row
+ * stays locked until commit, so concurrent creates never draw the same value.
+ */
+class RequestNumbering {
+
+  constructor() {
+    this.requestHelper = new RequestHelper();
+
+    // Fail at startup rather than on the first colliding number
+    const problem = this.requestHelper.checkRequestNumberPattern(config.requestNumbering.pattern);
+    if (problem) {
+      throw new Error(`Invalid REQUEST_NUMBER_PATTERN '${config.requestNumbering.pattern}': ${problem}`);
+    }
+  }
+
+  async next(transaction, { date = new Date(), pattern = config.requestNumbering.pattern, siteCode = config.requestNumbering.siteCode } = {}) {
+    const year = date.getFullYear();
+    const sequence = await this.lockSequence(year, siteCode, transaction);
+
+    for (let skipped = 0; skipped < MAX_SKIPS; skipped++) {
+      sequence.lastValue += 1;
+
+      const requestNumber = this.requestHelper.formatRequestNumber(pattern, {
+        year,
+        sequence: sequence.lastValue,
+        siteCode
+      });
+
+      const taken = await TransportationRequest.count({
+        where: { requestNumber },
+        paranoid: false,
+        transaction
+      });
+
+      if (!taken) {
+        await sequence.save({ transaction });
+        return requestNumber;
+      }
+    }
+
+    throw new Error(`Could not allocate a free request number after ${MAX_SKIPS} attempts`);
+  }
+
+  /**
+   * Fetch the counter row for update, creating it on first use in a year/site
+   */
+  async lockSequence(year, siteCode, transaction) {
+    const where = { year, siteCode };
+
+    let sequence = await RequestNumberSequence.findOne({ where, transaction, lock: transaction.LOCK.UPDATE });
+    if (sequence) return sequence;
+
+    try {
+      await RequestNumberSequence.create({ ...where, lastValue: 0 }, { transaction });
+    } catch (error) {
+      // Another transaction created the row first; fall through and lock it
+      if (error.name !== 'SequelizeUniqueConstraintError') throw error;
+    }
+
+    return RequestNumberSequence.findOne({ where, transaction, lock: transaction.LOCK.UPDATE });
+  }
+}
+
+module.exports = new RequestNumbering();
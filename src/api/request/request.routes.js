@@ -1,14 +1,51 @@
 const express = require('express');
 const router = express.Router();
 const requestController = require('./request.controller');
+const importRoutes = require('../import/import.routes');
+const exportController = require('../export/export.controller');
+const reportController = require('../report/report.controller');
+const rateController = require('../rate/rate.controller');
+const tenderController = require('../tender/tender.controller');
+const assignmentController = require('../assignment/assignment.controller');
+const attachmentController = require('../attachment/attachment.controller');
+const { uploadAttachmentFile } = require('../attachment/attachment.upload');
 
 
 router.post('/', requestController.createRequest);
 
+router.post('/estimate', rateController.estimateRequestCost);
+
+// Bulk import: POST /import, GET /imports, GET /imports/:importId
+router.use('/', importRoutes);
+
+router.post('/from-template/:templateId', requestController.createRequestFromTemplate);
+
+router.post('/:id/clone', requestController.cloneRequest);
+
 router.get('/', requestController.getAllRequests);
 
+router.get('/export', exportController.exportRequests);
+
 router.get('/:id', requestController.getRequestById);
 
+router.get('/:id/history', requestController.getRequestHistory);
+
+router.get('/:id/report.pdf', reportController.getRequestReport);
+
+router.post('/:id/tenders', tenderController.createTender);
+
+router.get('/:id/tenders', tenderController.getRequestTenders);
+
+router.post('/:id/assignments', assignmentController.assignDrivers);
+
+router.get('/:id/assignments', assignmentController.getRequestAssignments);
+
+router.delete('/:id/assignments/:assignmentId', assignmentController.releaseAssignment);
+
+router.post('/:id/attachments', uploadAttachmentFile, attachmentController.uploadRequestAttachment);
+
+router.get('/:id/attachments', attachmentController.getRequestAttachments);
+
 router.put('/:id', requestController.updateRequest);
 
 router.delete('/:id', requestController.deleteRequest);
@@ -38,6 +75,14 @@ router.use((error, req, res, next) => {
     });
   }
 
+  if (error.name === 'MulterError') {
+    return res.status(400).json({
+      success: false,
+      message: 'File upload error',
+      error: error.message
+    });
+  }
+
   if (error.name === 'SequelizeForeignKeyConstraintError') {
     return res.status(400).json({
       success: false,
@@ -66,7 +111,23 @@ router.use('*', (req, res) => {
     availableEndpoints: [
       'GET /api/requests - Get all requests',
       'POST /api/requests - Create new request',
+      'POST /api/requests/estimate - Estimate request cost from the active rate card',
+      'POST /api/requests/from-template/:templateId - Create request from template',
+      'POST /api/requests/:id/clone - Clone request',
+      'POST /api/requests/import - Import requests from CSV/XLSX',
+      'GET /api/requests/imports - Get import reports',
+      'GET /api/requests/imports/:importId - Get import report',
+      'GET /api/requests/export - Export requests as CSV/XLSX',
       'GET /api/requests/:id - Get request by ID',
+      'GET /api/requests/:id/history - Get request status history',
+      'GET /api/requests/:id/report.pdf - Download delivery report (PDF)',
+      'POST /api/requests/:id/tenders - Tender request to transporters',
+      'GET /api/requests/:id/tenders - Get request tenders',
+      'POST /api/requests/:id/assignments - Assign drivers before pickup',
+      'GET /api/requests/:id/assignments - Get request assignments',
+      'DELETE /api/requests/:id/assignments/:assignmentId - Release assignment',
+      'POST /api/requests/:id/attachments - Upload an attachment (multipart "file", category)',
+      'GET /api/requests/:id/attachments - Request and delivery attachments (filter by category)',
       'PUT /api/requests/:id - Update request',
       'DELETE /api/requests/:id - Delete request',
       'POST /api/requests/:id/delivery - Log delivery completion',
@@ -1,8 +1,24 @@
-const { TransportationRequest } = require('./request.model');
+const { TransportationRequest, RequestStop } = require('./request.model');
 const { Delivery } = require('../delivery/delivery.model');
 const { Op } = require('sequelize');
 const { sequelize } = require('../../config/db');
 const RequestHelper = require('./request.helper');
+const requestLifecycle = require('./request.lifecycle');
+const requestNumbering = require('./request.numbering');
+const locationService = require('../location/location.service');
+const rateService = require('../rate/rate.service');
+const etaService = require('../eta/eta.service');
+const assignmentService = require('../assignment/assignment.service');
+
+// Statuses that end a request before delivery; its planned drivers are freed
+const RELEASING_STATUSES = ['cancelled', 'rejected'];
+
+function toCreateError(error) {
+  if (error.name === 'SequelizeValidationError') {
+    return new Error(`Validation error: ${error.errors.map(e => e.message).join(', ')}`);
+  }
+  return new Error(`Failed to create request: ${error.message}`);
+}
 
 class RequestService {
 
@@ -11,17 +27,99 @@ class RequestService {
   }
   
 
-  async createRequest(requestData) {
-    try {
-      requestData.requestNumber = this.requestHelper.generateRequestNumber();
-      const request = await TransportationRequest.create(requestData);
-      return this.requestHelper.formatRequestResponse(request);
-    } catch (error) {
-      if (error.name === 'SequelizeValidationError') {
-        throw new Error(`Validation error: ${error.errors.map(e => e.message).join(', ')}`);
+  /**
+   * Create a request in its own transaction, or inside the caller's when
+   * `options.transaction` is given (the caller then owns commit/rollback and retries).
+   */
+  async createRequest(requestData, { transaction: outerTransaction } = {}) {
+    if (outerTransaction) {
+      try {
+        return await this.insertRequest(requestData, outerTransaction);
+      } catch (error) {
+        throw toCreateError(error);
       }
-      throw new Error(`Failed to create request: ${error.message}`);
     }
+
+    // Retry on request number collisions (e.g. a number inserted outside the sequence)
+    const maxRetries = 3;
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      const transaction = await sequelize.transaction();
+
+      try {
+        const request = await this.insertRequest(requestData, transaction);
+
+        await transaction.commit();
+        return request;
+      } catch (error) {
+        await transaction.rollback();
+
+        if (this.requestHelper.isRequestNumberCollision(error) && attempt < maxRetries) {
+          console.warn(`Request number collision on attempt ${attempt}/${maxRetries}, retrying...`);
+          continue;
+        }
+
+        throw toCreateError(error);
+      }
+    }
+  }
+
+  async insertRequest(requestData, transaction) {
+    const { stops, ...fields } = requestData;
+    const route = stops ? await this.resolveStops(fields, stops, transaction) : { fields };
+
+    const located = await locationService.resolveRequestLocations(route.fields, { transaction });
+    const data = await rateService.applyEstimate(located, { transaction });
+
+    const request = await TransportationRequest.create({
+      ...data,
+      requestNumber: await requestNumbering.next(transaction)
+    }, { transaction });
+
+    if (route.stops) {
+      request.Stops = await RequestStop.bulkCreate(
+        this.requestHelper.buildStopRecords(request.id, route.stops),
+        { transaction }
+      );
+    }
+
+    await requestLifecycle.recordTransition(request.id, null, request.status, {
+      changedBy: request.createdBy,
+      reason: 'Request created',
+      transaction
+    });
+
+    return this.requestHelper.formatRequestResponse(request);
+  }
+
+
+  /**
+   * Resolve stop locations and derive origin, destination, pickup time, expected
+   * arrival and (when every stop has coordinates) the multi-leg distance from the stops.
+   */
+  async resolveStops(fields, stops, transaction) {
+    const route = await locationService.resolveStopLocations(stops, { transaction });
+    const derived = this.requestHelper.applyStopDefaults(fields, route.stops);
+
+    if (derived.estimatedDistance === undefined && route.estimatedDistance !== null) {
+      derived.estimatedDistance = route.estimatedDistance;
+    }
+
+    return { fields: derived, stops: route.stops };
+  }
+
+
+  /**
+   * Request fields to pre-fill a clone of an existing request, before caller overrides
+   */
+  async getCloneData(requestId) {
+    const request = await TransportationRequest.findByPk(requestId);
+
+    if (!request) {
+      throw new Error('Request not found');
+    }
+
+    return this.requestHelper.buildCloneData(request);
   }
 
 
@@ -52,8 +150,9 @@ class RequestService {
         where: whereClause,
         include: [{
           model: Delivery,
-          as: 'Delivery',
-          required: false
+          as: 'Deliveries',
+          // Loaded per page so the LIMIT applies to requests, not request/delivery rows
+          separate: true
         }],
         order: [['created_at', 'DESC']],
         limit: parseInt(limit),
@@ -87,18 +186,35 @@ class RequestService {
   async getRequestById(requestId) {
     try {
       const request = await TransportationRequest.findByPk(requestId, {
-        include: [{
-          model: Delivery,
-          as: 'Delivery',
-          required: false
-        }]
+        include: [
+          {
+            model: Delivery,
+            as: 'Deliveries',
+            required: false
+          },
+          {
+            model: RequestStop,
+            as: 'Stops',
+            required: false
+          }
+        ]
       });
 
       if (!request) {
         throw new Error('Request not found');
       }
 
-      return this.requestHelper.formatRequestResponse(request);
+      const formatted = this.requestHelper.formatRequestResponse(request);
+
+      // The prediction is extra; a failing ETA query must not make the request unreadable
+      try {
+        formatted.eta = await etaService.getRequestEta(request);
+      } catch (etaError) {
+        console.warn(`Failed to predict ETA for request ${request.id}:`, etaError.message);
+        formatted.eta = null;
+      }
+
+      return formatted;
     } catch (error) {
       throw new Error(`Failed to retrieve request: ${error.message}`);
     }
@@ -119,7 +235,47 @@ class RequestService {
         throw new Error('Cannot update completed requests');
       }
 
-      await request.update(updateData, { transaction });
+      const { status, changedBy, statusReason, stops, ...requestFields } = updateData;
+
+      if (status) {
+        await requestLifecycle.transition(request, status, {
+          changedBy,
+          reason: statusReason,
+          transaction
+        });
+
+        if (RELEASING_STATUSES.includes(status)) {
+          await assignmentService.releaseRemaining(request.id, transaction);
+        }
+      }
+
+      let fields = requestFields;
+
+      if (stops) {
+        const deliveryCount = await Delivery.count({ where: { requestId }, transaction });
+        if (deliveryCount > 0) {
+          throw new Error('Cannot change stops once a delivery has been logged');
+        }
+
+        const route = await this.resolveStops(requestFields, stops, transaction);
+        fields = route.fields;
+
+        await RequestStop.destroy({ where: { requestId }, transaction });
+        await RequestStop.bulkCreate(this.requestHelper.buildStopRecords(requestId, route.stops), { transaction });
+      }
+
+      const resolvedFields = await locationService.resolveRequestLocations(fields, {
+        current: request,
+        transaction
+      });
+
+      // A manually entered cost replaces the rate engine's estimate
+      if (fields.estimatedCost !== undefined) {
+        resolvedFields.rateCardId = null;
+        resolvedFields.rateCardVersion = null;
+      }
+
+      await request.update(resolvedFields, { transaction });
       await transaction.commit();
 
       const updatedRequest = await this.getRequestById(requestId);
@@ -131,6 +287,29 @@ class RequestService {
   }
 
 
+  async getRequestHistory(requestId) {
+    try {
+      const request = await TransportationRequest.findByPk(requestId);
+
+      if (!request) {
+        throw new Error('Request not found');
+      }
+
+      const history = await requestLifecycle.getHistory(requestId);
+
+      return {
+        requestId: request.id,
+        requestNumber: request.requestNumber,
+        currentStatus: request.status,
+        allowedTransitions: requestLifecycle.getAllowedTransitions(request.status),
+        history: history.map(entry => this.requestHelper.formatStatusHistoryResponse(entry))
+      };
+    } catch (error) {
+      throw new Error(`Failed to retrieve request history: ${error.message}`);
+    }
+  }
+
+
   async deleteRequest(requestId) {
     const transaction = await sequelize.transaction();
     
@@ -145,6 +324,7 @@ class RequestService {
         throw new Error('Cannot delete completed requests');
       }
 
+      await assignmentService.releaseRemaining(request.id, transaction);
       await request.destroy({ transaction });
       await transaction.commit();
 
@@ -160,7 +340,7 @@ class RequestService {
       const request = await TransportationRequest.findByPk(requestId, {
         include: [{
           model: Delivery,
-          as: 'Delivery',
+          as: 'Deliveries',
           required: true // Only get requests with delivery data
         }]
       });
@@ -173,7 +353,7 @@ class RequestService {
       
       return {
         request: this.requestHelper.formatRequestResponse(request, false),
-        delivery: this.requestHelper.formatDeliveryResponse(request.DeliveryCompletion),
+        deliveries: request.Deliveries.map(delivery => this.requestHelper.formatDeliveryResponse(delivery)),
         performance
       };
     } catch (error) {
@@ -236,7 +416,7 @@ class RequestService {
 
       const completedRequests = await TransportationRequest.findAll({
         where: whereClause,
-        include: [{ model: Delivery, as: 'Delivery', required: true }]
+        include: [{ model: Delivery, as: 'Deliveries', required: true }]
       });
 
       if (completedRequests.length === 0) {
@@ -271,7 +451,7 @@ class RequestService {
     try {
       const completedRequests = await TransportationRequest.findAll({
         where: { status: 'completed' },
-        include: [{ model: Delivery, as: 'Delivery', required: true }],
+        include: [{ model: Delivery, as: 'Deliveries', required: true }],
         limit: 100 // Limit to recent 100 for performance
       });
 
@@ -1,15 +1,154 @@
 const Joi = require('joi');
+const { REQUEST_STATUSES, STOP_TYPES } = require('./request.model');
+
+/**
+ * A single stop of a multi-stop request; the address defaults to the location's name
+ */
+const stopSchema = Joi.object({
+  type: Joi.string()
+    .valid(...STOP_TYPES)
+    .required()
+    .messages({
+      'any.only': `Stop type must be one of: ${STOP_TYPES.join(', ')}`,
+      'any.required': 'Stop type is required'
+    }),
+
+  address: Joi.string()
+    .trim()
+    .min(3)
+    .max(255)
+    .when('locationId', {
+      is: Joi.exist(),
+      then: Joi.optional(),
+      otherwise: Joi.required()
+    })
+    .messages({
+      'string.min': 'Stop address must be at least 3 characters long',
+      'string.max': 'Stop address cannot exceed 255 characters',
+      'any.required': 'Stop address is required when no location is given'
+    }),
+
+  locationId: Joi.number()
+    .integer()
+    .positive()
+    .optional()
+    .messages({
+      'number.base': 'Stop location ID must be a number'
+    }),
+
+  windowStart: Joi.date()
+    .iso()
+    .min('now')
+    .required()
+    .messages({
+      'date.base': 'Stop window start must be a valid date',
+      'date.min': 'Stop window start cannot be in the past',
+      'any.required': 'Stop window start is required'
+    }),
+
+  windowEnd: Joi.date()
+    .iso()
+    .min(Joi.ref('windowStart'))
+    .required()
+    .messages({
+      'date.base': 'Stop window end must be a valid date',
+      'date.min': 'Stop window end cannot be before its start',
+      'any.required': 'Stop window end is required'
+    }),
+
+  loadPercentage: Joi.number()
+    .greater(0)
+    .max(100)
+    .precision(2)
+    .optional()
+    .messages({
+      'number.greater': 'Stop load percentage must be greater than 0',
+      'number.max': 'Stop load percentage cannot exceed 100'
+    }),
+
+  loadDetails: Joi.string()
+    .trim()
+    .max(1000)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Stop load details cannot exceed 1000 characters'
+    })
+});
+
+/**
+ * Stops are ordered: the route starts with a pickup and ends with a drop-off,
+ * windows open in stop order and the truck never drops more load than it has picked up.
+ */
+const validateStopSequence = (stops, helpers) => {
+  if (stops[0].type !== 'pickup') {
+    return helpers.message('The first stop must be a pickup');
+  }
+
+  if (stops[stops.length - 1].type !== 'dropoff') {
+    return helpers.message('The last stop must be a drop-off');
+  }
+
+  for (let index = 1; index < stops.length; index++) {
+    if (new Date(stops[index].windowStart) < new Date(stops[index - 1].windowStart)) {
+      return helpers.message(`Stop ${index + 1} window cannot start before stop ${index}`);
+    }
+  }
+
+  let pickedUp = 0;
+  let onBoard = 0;
+
+  for (const [index, stop] of stops.entries()) {
+    const portion = stop.loadPercentage || 0;
+
+    if (stop.type === 'pickup') {
+      pickedUp += portion;
+      onBoard += portion;
+    } else {
+      onBoard -= portion;
+    }
+
+    // Allow for rounding of two-decimal percentages
+    if (pickedUp > 100.01) {
+      return helpers.message('Pickup load percentages cannot add up to more than 100');
+    }
+    if (onBoard < -0.01) {
+      return helpers.message(`Stop ${index + 1} drops off more load than has been picked up`);
+    }
+  }
+
+  return stops;
+};
+
+const stopsSchema = Joi.array()
+  .items(stopSchema)
+  .min(2)
+  .max(25)
+  .custom(validateStopSequence)
+  .messages({
+    'array.min': 'A multi-stop request needs at least 2 stops',
+    'array.max': 'Cannot exceed 25 stops'
+  });
 
 /**
  * Validation schema for creating a new transportation request
  * Updated to match frontend data structure
  */
 const createRequestSchema = Joi.object({
+  // Free text stays supported; with a location ID it defaults to the location's name
   origin: Joi.string()
     .trim()
     .min(3)
     .max(255)
-    .required()
+    .when('originLocationId', {
+      is: Joi.exist(),
+      then: Joi.optional(),
+      otherwise: Joi.when('stops', {
+        is: Joi.exist(),
+        then: Joi.optional(),
+        otherwise: Joi.required()
+      })
+    })
     .messages({
       'string.empty': 'Origin is required',
       'string.min': 'Origin must be at least 3 characters long',
@@ -20,13 +159,37 @@ const createRequestSchema = Joi.object({
     .trim()
     .min(3)
     .max(255)
-    .required()
+    .when('destinationLocationId', {
+      is: Joi.exist(),
+      then: Joi.optional(),
+      otherwise: Joi.when('stops', {
+        is: Joi.exist(),
+        then: Joi.optional(),
+        otherwise: Joi.required()
+      })
+    })
     .messages({
       'string.empty': 'Destination is required',
       'string.min': 'Destination must be at least 3 characters long',
       'string.max': 'Destination cannot exceed 255 characters'
     }),
 
+  originLocationId: Joi.number()
+    .integer()
+    .positive()
+    .optional()
+    .messages({
+      'number.base': 'Origin location ID must be a number'
+    }),
+
+  destinationLocationId: Joi.number()
+    .integer()
+    .positive()
+    .optional()
+    .messages({
+      'number.base': 'Destination location ID must be a number'
+    }),
+
   // Frontend sends estimatedDistance instead of distanceMiles
   estimatedDistance: Joi.number()
     .positive()
@@ -39,16 +202,34 @@ const createRequestSchema = Joi.object({
     }),
 
   // Frontend sends single pickUpDateTime instead of separate date/time
+  // Multi-stop requests default it to the first stop's window start
   pickUpDateTime: Joi.date()
     .iso()
     .min('now')
-    .required()
+    .when('stops', {
+      is: Joi.exist(),
+      then: Joi.optional(),
+      otherwise: Joi.required()
+    })
     .messages({
       'date.base': 'Pickup date/time must be a valid date',
       'date.min': 'Pickup date/time cannot be in the past',
       'any.required': 'Pickup date/time is required'
     }),
 
+  // Multi-stop requests default it to the last stop's window end
+  expectedArrivalDateTime: Joi.date()
+    .iso()
+    .when('pickUpDateTime', {
+      is: Joi.exist(),
+      then: Joi.date().greater(Joi.ref('pickUpDateTime'))
+    })
+    .optional()
+    .messages({
+      'date.base': 'Expected arrival must be a valid date',
+      'date.greater': 'Expected arrival must be after the pickup date/time'
+    }),
+
   // Frontend sends truckCount instead of requiredTrucks
   truckCount: Joi.number()
     .integer()
@@ -104,7 +285,10 @@ const createRequestSchema = Joi.object({
     .default('medium')
     .messages({
       'any.only': 'Urgency level must be one of: low, medium, high, urgent'
-    })
+    }),
+
+  // Ordered pickups and drop-offs; origin and destination become the first and last stop
+  stops: stopsSchema.optional()
 
   // Remove createdBy requirement - backend will handle this automatically
 });
@@ -133,6 +317,25 @@ const updateRequestSchema = Joi.object({
       'string.max': 'Destination cannot exceed 255 characters'
     }),
 
+  // null unlinks the location; the free-text origin/destination is kept
+  originLocationId: Joi.number()
+    .integer()
+    .positive()
+    .allow(null)
+    .optional()
+    .messages({
+      'number.base': 'Origin location ID must be a number'
+    }),
+
+  destinationLocationId: Joi.number()
+    .integer()
+    .positive()
+    .allow(null)
+    .optional()
+    .messages({
+      'number.base': 'Destination location ID must be a number'
+    }),
+
   // Match create schema field name
   estimatedDistance: Joi.number()
     .positive()
@@ -154,6 +357,18 @@ const updateRequestSchema = Joi.object({
       'date.min': 'Pickup date/time cannot be in the past'
     }),
 
+  expectedArrivalDateTime: Joi.date()
+    .iso()
+    .when('pickUpDateTime', {
+      is: Joi.exist(),
+      then: Joi.date().greater(Joi.ref('pickUpDateTime'))
+    })
+    .optional()
+    .messages({
+      'date.base': 'Expected arrival must be a valid date',
+      'date.greater': 'Expected arrival must be after the pickup date/time'
+    }),
+
   // Match create schema field name
   truckCount: Joi.number()
     .integer()
@@ -209,11 +424,34 @@ const updateRequestSchema = Joi.object({
       'any.only': 'Urgency level must be one of: low, medium, high, urgent'
     }),
 
+  // Replaces all stops; not allowed once a delivery has been logged
+  stops: stopsSchema.optional(),
+
+  // Delivery-driven statuses (processing, in_transit, completed) are set by the delivery flow
   status: Joi.string()
-    .valid('planned', 'cancelled')
+    .valid('planned', 'assigned', 'on_hold', 'rejected', 'cancelled')
+    .optional()
+    .messages({
+      'any.only': 'Status can only be updated to: planned, assigned, on_hold, rejected, cancelled'
+    }),
+
+  statusReason: Joi.string()
+    .trim()
+    .max(1000)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Status reason cannot exceed 1000 characters'
+    }),
+
+  changedBy: Joi.string()
+    .trim()
+    .min(2)
+    .max(100)
     .optional()
     .messages({
-      'any.only': 'Status can only be updated to: planned, cancelled'
+      'string.min': 'Changed by must be at least 2 characters long',
+      'string.max': 'Changed by cannot exceed 100 characters'
     })
 });
 
@@ -503,10 +741,10 @@ const querySchema = Joi.object({
     }),
 
   status: Joi.string()
-    .valid('planned', 'completed', 'cancelled')
+    .valid(...REQUEST_STATUSES)
     .optional()
     .messages({
-      'any.only': 'Status must be one of: planned, completed, cancelled'
+      'any.only': `Status must be one of: ${REQUEST_STATUSES.join(', ')}`
     }),
 
   urgencyLevel: Joi.string()
@@ -0,0 +1,194 @@
+const templateService = require('./template.service');
+const {
+  validateRequest,
+  createTemplateSchema,
+  updateTemplateSchema
+} = require('./template.validate');
+
+class TemplateController {
+
+  async createTemplate(req, res) {
+    try {
+      const validation = validateRequest(req.body, createTemplateSchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const template = await templateService.createTemplate(validation.data);
+
+      res.status(201).json({
+        success: true,
+        message: 'Request template created successfully',
+        data: template
+      });
+
+    } catch (error) {
+      console.error('Error creating template:', error.message);
+
+      if (error.message.includes('already exists')) {
+        return res.status(400).json({
+          success: false,
+          message: 'A template with this name already exists'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create request template',
+        error: error.message
+      });
+    }
+  }
+
+  async getAllTemplates(req, res) {
+    try {
+      const templates = await templateService.getAllTemplates();
+
+      res.status(200).json({
+        success: true,
+        message: 'Request templates retrieved successfully',
+        data: templates
+      });
+
+    } catch (error) {
+      console.error('Error retrieving templates:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve request templates',
+        error: error.message
+      });
+    }
+  }
+
+  async getTemplateById(req, res) {
+    try {
+      const templateId = parseInt(req.params.id);
+
+      if (isNaN(templateId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid template ID'
+        });
+      }
+
+      const template = await templateService.getTemplateById(templateId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Request template retrieved successfully',
+        data: template
+      });
+
+    } catch (error) {
+      console.error('Error retrieving template:', error.message);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Template not found'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve request template',
+        error: error.message
+      });
+    }
+  }
+
+  async updateTemplate(req, res) {
+    try {
+      const templateId = parseInt(req.params.id);
+
+      if (isNaN(templateId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid template ID'
+        });
+      }
+
+      const validation = validateRequest(req.body, updateTemplateSchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const template = await templateService.updateTemplate(templateId, validation.data);
+
+      res.status(200).json({
+        success: true,
+        message: 'Request template updated successfully',
+        data: template
+      });
+
+    } catch (error) {
+      console.error('Error updating template:', error.message);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Template not found'
+        });
+      }
+
+      if (error.message.includes('already exists')) {
+        return res.status(400).json({
+          success: false,
+          message: 'A template with this name already exists'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update request template',
+        error: error.message
+      });
+    }
+  }
+
+  async deleteTemplate(req, res) {
+    try {
+      const templateId = parseInt(req.params.id);
+
+      if (isNaN(templateId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid template ID'
+        });
+      }
+
+      await templateService.deleteTemplate(templateId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Request template deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Error deleting template:', error.message);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Template not found'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete request template',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new TemplateController();
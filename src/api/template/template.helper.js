@@ -0,0 +1,39 @@
+/**
+ * Template Helper - Contains pure utility functions for request templates
+ * No database operations should be performed here
+ */
+class TemplateHelper {
+
+  formatTemplateResponse(template) {
+    return {
+      id: template.id,
+      name: template.name,
+      description: template.description,
+      origin: template.origin,
+      destination: template.destination,
+      truckCount: template.truckCount,
+      truckType: template.truckType,
+      loadDetails: template.loadDetails,
+      specialRequirements: template.specialRequirements,
+      createdBy: template.createdBy,
+      createdAt: template.createdAt,
+      updatedAt: template.updatedAt
+    };
+  }
+
+  /**
+   * Request fields a template pre-fills; pickup time always comes from the caller
+   */
+  buildRequestData(template) {
+    return {
+      origin: template.origin,
+      destination: template.destination,
+      truckCount: template.truckCount,
+      truckType: template.truckType,
+      loadDetails: template.loadDetails || undefined,
+      specialRequirements: template.specialRequirements || undefined
+    };
+  }
+}
+
+module.exports = TemplateHelper;
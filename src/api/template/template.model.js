@@ -0,0 +1,69 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+
+/**
+ * Request Template Model
+ * Reusable preset of request fields that coordinators create new requests from
+ */
+const RequestTemplate = sequelize.define('RequestTemplate', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    unique: true
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  origin: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  destination: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  truckCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'truck_count'
+  },
+  truckType: {
+    type: DataTypes.ENUM('box', 'flatbed', 'semi', 'refrigerated'),
+    allowNull: false,
+    defaultValue: 'box',
+    field: 'truck_type'
+  },
+  loadDetails: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'load_details'
+  },
+  specialRequirements: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'special_requirements'
+  },
+  createdBy: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    defaultValue: 'System',
+    field: 'created_by'
+  }
+}, {
+  tableName: 'request_templates',
+  timestamps: true,
+  paranoid: true,
+  deletedAt: 'deleted_at',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+module.exports = {
+  RequestTemplate
+};
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const templateController = require('./template.controller');
+
+
+router.post('/', templateController.createTemplate);
+
+router.get('/', templateController.getAllTemplates);
+
+router.get('/:id', templateController.getTemplateById);
+
+router.put('/:id', templateController.updateTemplate);
+
+router.delete('/:id', templateController.deleteTemplate);
+
+module.exports = router;
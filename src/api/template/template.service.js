@@ -0,0 +1,82 @@
+const { RequestTemplate } = require('./template.model');
+const TemplateHelper = require('./template.helper');
+
+class TemplateService {
+
+  constructor() {
+    this.templateHelper = new TemplateHelper();
+  }
+
+  async createTemplate(templateData) {
+    try {
+      const template = await RequestTemplate.create(templateData);
+      return this.templateHelper.formatTemplateResponse(template);
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw new Error('A template with this name already exists');
+      }
+      throw new Error(`Failed to create template: ${error.message}`);
+    }
+  }
+
+  async getAllTemplates() {
+    try {
+      const templates = await RequestTemplate.findAll({
+        order: [['name', 'ASC']]
+      });
+      return templates.map(template => this.templateHelper.formatTemplateResponse(template));
+    } catch (error) {
+      throw new Error(`Failed to retrieve templates: ${error.message}`);
+    }
+  }
+
+  async getTemplateById(templateId) {
+    try {
+      const template = await this.findTemplateOrFail(templateId);
+      return this.templateHelper.formatTemplateResponse(template);
+    } catch (error) {
+      throw new Error(`Failed to retrieve template: ${error.message}`);
+    }
+  }
+
+  async updateTemplate(templateId, updateData) {
+    try {
+      const template = await this.findTemplateOrFail(templateId);
+      await template.update(updateData);
+      return this.templateHelper.formatTemplateResponse(template);
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw new Error('A template with this name already exists');
+      }
+      throw new Error(`Failed to update template: ${error.message}`);
+    }
+  }
+
+  async deleteTemplate(templateId) {
+    try {
+      const template = await this.findTemplateOrFail(templateId);
+      await template.destroy();
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to delete template: ${error.message}`);
+    }
+  }
+
+  /**
+   * Request fields pre-filled from a template, before caller overrides
+   */
+  async getTemplateRequestData(templateId) {
+    const template = await this.findTemplateOrFail(templateId);
+    return this.templateHelper.buildRequestData(template);
+  }
+
+  async findTemplateOrFail(templateId) {
+    const template = await RequestTemplate.findByPk(templateId);
+    if (!template) {
+      throw new Error('Template not found');
+    }
+    return template;
+  }
+}
+
+module.exports = new TemplateService();
@@ -0,0 +1,56 @@
+const Joi = require('joi');
+const { createRequestSchema, updateRequestSchema, validateRequest } = require('../request/request.validate');
+
+const nameField = Joi.string()
+  .trim()
+  .min(3)
+  .max(255)
+  .messages({
+    'string.empty': 'Template name is required',
+    'string.min': 'Template name must be at least 3 characters long',
+    'string.max': 'Template name cannot exceed 255 characters'
+  });
+
+const descriptionField = Joi.string()
+  .trim()
+  .max(1000)
+  .allow('')
+  .messages({
+    'string.max': 'Description cannot exceed 1000 characters'
+  });
+
+/**
+ * Validation schema for creating a request template.
+ * Request fields reuse the rules from createRequestSchema.
+ */
+const createTemplateSchema = Joi.object({
+  name: nameField.required(),
+  description: descriptionField.optional(),
+  origin: createRequestSchema.extract('origin'),
+  destination: createRequestSchema.extract('destination'),
+  truckCount: createRequestSchema.extract('truckCount'),
+  truckType: createRequestSchema.extract('truckType'),
+  loadDetails: createRequestSchema.extract('loadDetails'),
+  specialRequirements: createRequestSchema.extract('specialRequirements'),
+  createdBy: Joi.string().trim().min(2).max(100).optional()
+});
+
+/**
+ * Validation schema for updating a request template (all fields optional)
+ */
+const updateTemplateSchema = Joi.object({
+  name: nameField.optional(),
+  description: descriptionField.optional(),
+  origin: updateRequestSchema.extract('origin'),
+  destination: updateRequestSchema.extract('destination'),
+  truckCount: updateRequestSchema.extract('truckCount'),
+  truckType: updateRequestSchema.extract('truckType'),
+  loadDetails: updateRequestSchema.extract('loadDetails'),
+  specialRequirements: updateRequestSchema.extract('specialRequirements')
+}).min(1);
+
+module.exports = {
+  createTemplateSchema,
+  updateTemplateSchema,
+  validateRequest
+};
@@ -0,0 +1,222 @@
+const tenderService = require('./tender.service');
+const {
+  validateRequest,
+  createTenderSchema,
+  submitQuoteSchema,
+  closeTenderSchema
+} = require('./tender.validate');
+
+// Service errors caused by the submitted data or the tender's state rather than the server
+const TENDER_INPUT_ERRORS = [
+  'Invalid transporterIds',
+  'already has an open tender',
+  'Cannot tender',
+  'Tender is already',
+  'was not invited',
+  'deadline has passed',
+  'Only submitted quotes'
+];
+
+/**
+ * Shared error mapping for the tender endpoints
+ */
+function sendTenderError(res, error, message) {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      success: false,
+      message: error.message.replace(/^.*?: /, '')
+    });
+  }
+
+  if (TENDER_INPUT_ERRORS.some(text => error.message.includes(text))) {
+    return res.status(400).json({
+      success: false,
+      message,
+      error: error.message.replace(/^.*?: /, '')
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+}
+
+function parseId(req, res, param, label) {
+  const id = parseInt(req.params[param]);
+
+  if (isNaN(id)) {
+    res.status(400).json({
+      success: false,
+      message: `Invalid ${label} ID`
+    });
+    return null;
+  }
+
+  return id;
+}
+
+class TenderController {
+
+  /**
+   * POST /api/requests/:id/tenders
+   */
+  async createTender(req, res) {
+    try {
+      const requestId = parseId(req, res, 'id', 'request');
+      if (requestId === null) return;
+
+      const validation = validateRequest(req.body, createTenderSchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const tender = await tenderService.createTender(requestId, validation.data);
+
+      res.status(201).json({
+        success: true,
+        message: 'Tender created successfully',
+        data: tender
+      });
+
+    } catch (error) {
+      console.error('Error creating tender:', error.message);
+      sendTenderError(res, error, 'Failed to create tender');
+    }
+  }
+
+  /**
+   * GET /api/requests/:id/tenders
+   */
+  async getRequestTenders(req, res) {
+    try {
+      const requestId = parseId(req, res, 'id', 'request');
+      if (requestId === null) return;
+
+      const tenders = await tenderService.getRequestTenders(requestId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Tenders retrieved successfully',
+        data: tenders
+      });
+
+    } catch (error) {
+      console.error('Error fetching tenders:', error.message);
+      sendTenderError(res, error, 'Failed to retrieve tenders');
+    }
+  }
+
+  async getTenderById(req, res) {
+    try {
+      const tenderId = parseId(req, res, 'id', 'tender');
+      if (tenderId === null) return;
+
+      const tender = await tenderService.getTenderById(tenderId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Tender retrieved successfully',
+        data: tender
+      });
+
+    } catch (error) {
+      console.error('Error fetching tender:', error.message);
+      sendTenderError(res, error, 'Failed to retrieve tender');
+    }
+  }
+
+  async submitQuote(req, res) {
+    try {
+      const tenderId = parseId(req, res, 'id', 'tender');
+      if (tenderId === null) return;
+
+      const validation = validateRequest(req.body, submitQuoteSchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const tender = await tenderService.submitQuote(tenderId, validation.data);
+
+      res.status(200).json({
+        success: true,
+        message: 'Quote submitted successfully',
+        data: tender
+      });
+
+    } catch (error) {
+      console.error('Error submitting quote:', error.message);
+      sendTenderError(res, error, 'Failed to submit quote');
+    }
+  }
+
+  async acceptQuote(req, res) {
+    try {
+      const tenderId = parseId(req, res, 'id', 'tender');
+      if (tenderId === null) return;
+
+      const quoteId = parseId(req, res, 'quoteId', 'quote');
+      if (quoteId === null) return;
+
+      const validation = validateRequest(req.body || {}, closeTenderSchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const tender = await tenderService.acceptQuote(tenderId, quoteId, validation.data);
+
+      res.status(200).json({
+        success: true,
+        message: 'Quote accepted and tender awarded',
+        data: tender
+      });
+
+    } catch (error) {
+      console.error('Error accepting quote:', error.message);
+      sendTenderError(res, error, 'Failed to accept quote');
+    }
+  }
+
+  async cancelTender(req, res) {
+    try {
+      const tenderId = parseId(req, res, 'id', 'tender');
+      if (tenderId === null) return;
+
+      const validation = validateRequest(req.body || {}, closeTenderSchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const tender = await tenderService.cancelTender(tenderId, validation.data);
+
+      res.status(200).json({
+        success: true,
+        message: 'Tender cancelled successfully',
+        data: tender
+      });
+
+    } catch (error) {
+      console.error('Error cancelling tender:', error.message);
+      sendTenderError(res, error, 'Failed to cancel tender');
+    }
+  }
+}
+
+module.exports = new TenderController();
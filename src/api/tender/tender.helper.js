@@ -0,0 +1,77 @@
+// Request statuses that can still be put out to tender (not yet processing)
+const TENDERABLE_STATUSES = ['planned', 'assigned', 'on_hold'];
+
+/**
+ * Tender Helper - Contains pure utility functions for carrier tendering
+ * No database operations should be performed here
+ */
+class TenderHelper {
+
+  get tenderableStatuses() {
+    return TENDERABLE_STATUSES;
+  }
+
+  isTenderable(request) {
+    return TENDERABLE_STATUSES.includes(request.status);
+  }
+
+  /**
+   * Quoted offers, cheapest first; ties go to the earliest committed pickup
+   */
+  rankQuotes(quotes) {
+    return quotes
+      .filter(quote => quote.status === 'quoted' || quote.status === 'accepted')
+      .sort((a, b) => parseFloat(a.price) - parseFloat(b.price)
+        || new Date(a.committedPickupDateTime) - new Date(b.committedPickupDateTime));
+  }
+
+  formatTenderResponse(tender, request = null) {
+    const quotes = tender.Quotes || [];
+    const ranked = this.rankQuotes(quotes);
+
+    return {
+      id: tender.id,
+      requestId: tender.requestId,
+      status: tender.status,
+      responseDeadline: tender.responseDeadline,
+      notes: tender.notes,
+      createdBy: tender.createdBy,
+      awardedQuoteId: tender.awardedQuoteId,
+      closedBy: tender.closedBy,
+      closedAt: tender.closedAt,
+      lowestQuoteId: ranked.length > 0 ? ranked[0].id : null,
+      quotes: quotes.map(quote => this.formatQuoteResponse(quote, request)),
+      createdAt: tender.createdAt,
+      updatedAt: tender.updatedAt
+    };
+  }
+
+  /**
+   * With the request, flags quotes that cannot cover its trucks or planned pickup
+   */
+  formatQuoteResponse(quote, request = null) {
+    const formatted = {
+      id: quote.id,
+      transporterId: quote.transporterId,
+      transporterName: quote.Transporter ? quote.Transporter.name : null,
+      status: quote.status,
+      price: quote.price === null ? null : parseFloat(quote.price),
+      trucksAvailable: quote.trucksAvailable,
+      committedPickupDateTime: quote.committedPickupDateTime,
+      notes: quote.notes,
+      submittedBy: quote.submittedBy,
+      quotedAt: quote.quotedAt
+    };
+
+    if (request && quote.quotedAt) {
+      formatted.coversTruckCount = quote.trucksAvailable >= request.truckCount;
+      formatted.pickupDelayMinutes = Math.round(
+        (new Date(quote.committedPickupDateTime) - new Date(request.pickUpDateTime)) / (1000 * 60)
+      );
+    }
+
+    return formatted;
+  }
+}
+
+module.exports = TenderHelper;
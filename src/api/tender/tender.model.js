@@ -0,0 +1,154 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+
+const TENDER_STATUSES = ['open', 'awarded', 'cancelled'];
+const QUOTE_STATUSES = ['invited', 'quoted', 'accepted', 'rejected'];
+
+/**
+ * Tender Model
+ * A request sent out to selected transporters for quotes
+ */
+const Tender = sequelize.define('Tender', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  requestId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'request_id',
+    references: {
+      model: 'transportation_requests',
+      key: 'id'
+    }
+  },
+  status: {
+    type: DataTypes.ENUM(...TENDER_STATUSES),
+    allowNull: false,
+    defaultValue: 'open'
+  },
+  // Quotes are refused after it; already submitted quotes can still be accepted
+  responseDeadline: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'response_deadline'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    defaultValue: 'System',
+    field: 'created_by'
+  },
+  awardedQuoteId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'awarded_quote_id'
+  },
+  closedBy: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'closed_by'
+  },
+  closedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'closed_at'
+  }
+}, {
+  tableName: 'tenders',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['request_id', 'status']
+    }
+  ]
+});
+
+/**
+ * Tender Quote Model
+ * One invited transporter's answer to a tender
+ */
+const TenderQuote = sequelize.define('TenderQuote', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  tenderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'tender_id',
+    references: {
+      model: 'tenders',
+      key: 'id'
+    }
+  },
+  transporterId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'transporter_id',
+    references: {
+      model: 'transporters',
+      key: 'id'
+    }
+  },
+  status: {
+    type: DataTypes.ENUM(...QUOTE_STATUSES),
+    allowNull: false,
+    defaultValue: 'invited'
+  },
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  trucksAvailable: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'trucks_available'
+  },
+  committedPickupDateTime: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'committed_pickup_datetime'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  submittedBy: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'submitted_by'
+  },
+  quotedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'quoted_at'
+  }
+}, {
+  tableName: 'tender_quotes',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      // One invitation per transporter per tender
+      unique: true,
+      fields: ['tender_id', 'transporter_id']
+    }
+  ]
+});
+
+module.exports = {
+  Tender,
+  TenderQuote,
+  TENDER_STATUSES,
+  QUOTE_STATUSES
+};
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const tenderController = require('./tender.controller');
+
+
+router.get('/:id', tenderController.getTenderById);
+
+router.post('/:id/quotes', tenderController.submitQuote);
+
+router.post('/:id/quotes/:quoteId/accept', tenderController.acceptQuote);
+
+router.post('/:id/cancel', tenderController.cancelTender);
+
+module.exports = router;
@@ -0,0 +1,233 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../../config/db');
+const { Tender, TenderQuote } = require('./tender.model');
+const { TransportationRequest } = require('../request/request.model');
+const { Transporter } = require('../transporter/transporter.model');
+const requestLifecycle = require('../request/request.lifecycle');
+const TenderHelper = require('./tender.helper');
+
+const QUOTES_INCLUDE = {
+  model: TenderQuote,
+  as: 'Quotes',
+  include: [{
+    model: Transporter,
+    as: 'Transporter',
+    attributes: ['id', 'name']
+  }]
+};
+
+class TenderService {
+
+  constructor() {
+    this.tenderHelper = new TenderHelper();
+  }
+
+  /**
+   * Open a tender for a request and invite each transporter to quote.
+   * A request has at most one open tender at a time.
+   */
+  async createTender(requestId, tenderData) {
+    const transaction = await sequelize.transaction();
+    let tender;
+
+    try {
+      const { transporterIds, ...fields } = tenderData;
+      const request = await this.findTenderableRequest(requestId, transaction);
+
+      const openTender = await Tender.findOne({
+        where: { requestId: request.id, status: 'open' },
+        transaction
+      });
+      if (openTender) {
+        throw new Error(`Request already has an open tender (${openTender.id})`);
+      }
+
+      const transporters = await Transporter.findAll({
+        where: { id: { [Op.in]: transporterIds } },
+        attributes: ['id'],
+        transaction
+      });
+      const found = new Set(transporters.map(transporter => transporter.id));
+      const missing = transporterIds.filter(id => !found.has(id));
+      if (missing.length > 0) {
+        throw new Error(`Invalid transporterIds: transporter ${missing.join(', ')} does not exist`);
+      }
+
+      tender = await Tender.create({ ...fields, requestId: request.id }, { transaction });
+      await TenderQuote.bulkCreate(
+        transporterIds.map(transporterId => ({ tenderId: tender.id, transporterId })),
+        { transaction }
+      );
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw new Error(`Failed to create tender: ${error.message}`);
+    }
+
+    return this.getTenderById(tender.id);
+  }
+
+  async getRequestTenders(requestId) {
+    try {
+      const request = await TransportationRequest.findByPk(requestId);
+      if (!request) {
+        throw new Error('Request not found');
+      }
+
+      const tenders = await Tender.findAll({
+        where: { requestId },
+        include: [QUOTES_INCLUDE],
+        order: [['createdAt', 'DESC'], [{ model: TenderQuote, as: 'Quotes' }, 'id', 'ASC']]
+      });
+
+      return tenders.map(tender => this.tenderHelper.formatTenderResponse(tender, request));
+    } catch (error) {
+      throw new Error(`Failed to retrieve tenders: ${error.message}`);
+    }
+  }
+
+  async getTenderById(tenderId) {
+    try {
+      const tender = await this.findTenderOrFail(tenderId);
+      const request = await TransportationRequest.findByPk(tender.requestId);
+      return this.tenderHelper.formatTenderResponse(tender, request);
+    } catch (error) {
+      throw new Error(`Failed to retrieve tender: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record an invited transporter's quote; it can be revised while the tender is open
+   * and its response deadline (if any) has not passed
+   */
+  async submitQuote(tenderId, quoteData) {
+    try {
+      const { transporterId, ...fields } = quoteData;
+      const tender = await this.findTenderOrFail(tenderId);
+      this.assertOpen(tender);
+
+      if (tender.responseDeadline && new Date() > new Date(tender.responseDeadline)) {
+        throw new Error(`Response deadline has passed (${new Date(tender.responseDeadline).toISOString()})`);
+      }
+
+      const quote = tender.Quotes.find(candidate => candidate.transporterId === transporterId);
+      if (!quote) {
+        throw new Error(`Transporter ${transporterId} was not invited to this tender`);
+      }
+
+      await quote.update({ ...fields, status: 'quoted', quotedAt: new Date() });
+    } catch (error) {
+      throw new Error(`Failed to submit quote: ${error.message}`);
+    }
+
+    return this.getTenderById(tenderId);
+  }
+
+  /**
+   * Award the tender: the accepted quote's price becomes the request's contracted
+   * cost, every other quote is rejected, and a planned request moves to assigned.
+   */
+  async acceptQuote(tenderId, quoteId, { changedBy = 'System' } = {}) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      // Locked so a concurrent accept or cancel waits and then finds the tender closed
+      const tender = await this.findTenderOrFail(tenderId, transaction, { lock: true });
+      this.assertOpen(tender);
+
+      const quote = tender.Quotes.find(candidate => candidate.id === quoteId);
+      if (!quote) {
+        throw new Error('Quote not found');
+      }
+      if (quote.status !== 'quoted') {
+        throw new Error('Only submitted quotes can be accepted');
+      }
+
+      const request = await this.findTenderableRequest(tender.requestId, transaction);
+
+      await quote.update({ status: 'accepted' }, { transaction });
+      await TenderQuote.update(
+        { status: 'rejected' },
+        { where: { tenderId: tender.id, id: { [Op.ne]: quote.id } }, transaction }
+      );
+
+      await tender.update({
+        status: 'awarded',
+        awardedQuoteId: quote.id,
+        closedBy: changedBy,
+        closedAt: new Date()
+      }, { transaction });
+
+      if (request.status === 'planned') {
+        await requestLifecycle.transition(request, 'assigned', {
+          changedBy,
+          reason: `Tender awarded to ${quote.Transporter ? quote.Transporter.name : `transporter ${quote.transporterId}`}`,
+          transaction
+        });
+      }
+
+      await request.update({
+        contractedCost: quote.price,
+        awardedTransporterId: quote.transporterId
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw new Error(`Failed to accept quote: ${error.message}`);
+    }
+
+    return this.getTenderById(tenderId);
+  }
+
+  async cancelTender(tenderId, { changedBy = 'System', reason } = {}) {
+    try {
+      const tender = await this.findTenderOrFail(tenderId);
+      this.assertOpen(tender);
+
+      await tender.update({
+        status: 'cancelled',
+        closedBy: changedBy,
+        closedAt: new Date(),
+        notes: reason ? [tender.notes, `Cancelled: ${reason}`].filter(Boolean).join('\n') : tender.notes
+      });
+    } catch (error) {
+      throw new Error(`Failed to cancel tender: ${error.message}`);
+    }
+
+    return this.getTenderById(tenderId);
+  }
+
+  assertOpen(tender) {
+    if (tender.status !== 'open') {
+      throw new Error(`Tender is already ${tender.status}`);
+    }
+  }
+
+  async findTenderableRequest(requestId, transaction) {
+    const request = await TransportationRequest.findByPk(requestId, { transaction });
+    if (!request) {
+      throw new Error('Request not found');
+    }
+    if (!this.tenderHelper.isTenderable(request)) {
+      throw new Error(`Cannot tender a request with status '${request.status}'`);
+    }
+    return request;
+  }
+
+  async findTenderOrFail(tenderId, transaction, { lock = false } = {}) {
+    const tender = await Tender.findByPk(tenderId, {
+      include: [QUOTES_INCLUDE],
+      order: [[{ model: TenderQuote, as: 'Quotes' }, 'id', 'ASC']],
+      transaction,
+      lock
+    });
+    if (!tender) {
+      throw new Error('Tender not found');
+    }
+    return tender;
+  }
+}
+
+module.exports = new TenderService();
@@ -0,0 +1,73 @@
+const Joi = require('joi');
+const { validateRequest } = require('../request/request.validate');
+
+const createTenderSchema = Joi.object({
+  transporterIds: Joi.array()
+    .items(Joi.number().integer().positive())
+    .unique()
+    .min(1)
+    .max(50)
+    .required()
+    .messages({
+      'array.min': 'Invite at least one transporter',
+      'array.unique': 'Each transporter can only be invited once',
+      'any.required': 'Transporter IDs are required'
+    }),
+  responseDeadline: Joi.date()
+    .iso()
+    .min('now')
+    .optional()
+    .messages({
+      'date.min': 'Response deadline cannot be in the past'
+    }),
+  notes: Joi.string().trim().max(1000).optional().allow(''),
+  createdBy: Joi.string().trim().max(100).optional()
+});
+
+/**
+ * A quote can be revised until the tender is awarded or cancelled
+ */
+const submitQuoteSchema = Joi.object({
+  transporterId: Joi.number().integer().positive().required().messages({
+    'any.required': 'Transporter ID is required'
+  }),
+  price: Joi.number()
+    .positive()
+    .precision(2)
+    .max(99999999.99)
+    .required()
+    .messages({
+      'number.positive': 'Price must be a positive number',
+      'any.required': 'Price is required'
+    }),
+  trucksAvailable: Joi.number()
+    .integer()
+    .min(1)
+    .max(50)
+    .required()
+    .messages({
+      'number.min': 'At least 1 truck must be available',
+      'any.required': 'Trucks available is required'
+    }),
+  committedPickupDateTime: Joi.date()
+    .iso()
+    .required()
+    .messages({
+      'date.base': 'Committed pickup date/time must be a valid date',
+      'any.required': 'Committed pickup date/time is required'
+    }),
+  notes: Joi.string().trim().max(1000).optional().allow(''),
+  submittedBy: Joi.string().trim().max(100).optional()
+});
+
+const closeTenderSchema = Joi.object({
+  changedBy: Joi.string().trim().max(100).optional(),
+  reason: Joi.string().trim().max(500).optional()
+});
+
+module.exports = {
+  createTenderSchema,
+  submitQuoteSchema,
+  closeTenderSchema,
+  validateRequest
+};
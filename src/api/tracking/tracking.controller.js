@@ -0,0 +1,94 @@
+const trackingService = require('./tracking.service');
+const {
+  validateRequest,
+  ingestPositionsSchema,
+  trackQuerySchema
+} = require('./tracking.validate');
+
+class TrackingController {
+
+  async ingestPositions(req, res) {
+    try {
+      const validation = validateRequest(req.body, ingestPositionsSchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const result = await trackingService.ingestPositions(validation.data);
+
+      res.status(201).json({
+        success: true,
+        message: `${result.accepted} position(s) recorded`,
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Error ingesting positions:', error.message);
+
+      if (error.message.includes('Invalid deliveryId') || error.message.includes('Invalid vehicleId')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Failed to ingest positions',
+          error: error.message.replace(/^Failed to ingest positions: /, '')
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to ingest positions',
+        error: error.message
+      });
+    }
+  }
+
+  async getDeliveryTrack(req, res) {
+    try {
+      const deliveryId = parseInt(req.params.id);
+      if (isNaN(deliveryId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid delivery ID'
+        });
+      }
+
+      const validation = validateRequest(req.query, trackQuerySchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const track = await trackingService.getTrack(deliveryId, validation.data);
+
+      res.status(200).json({
+        success: true,
+        message: 'Delivery track retrieved successfully',
+        data: track
+      });
+
+    } catch (error) {
+      console.error('Error fetching delivery track:', error.message);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Delivery not found'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch delivery track',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new TrackingController();
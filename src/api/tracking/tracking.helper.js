@@ -0,0 +1,89 @@
+/**
+ * Tracking Helper - Contains pure utility functions for GPS position pings
+ * No database operations should be performed here
+ */
+class TrackingHelper {
+
+  /**
+   * Rows for bulk insert in time order; a batch re-sent with the same
+   * timestamps keeps one ping per timestamp
+   */
+  buildPingRecords(positions, { deliveryId = null, vehicleId = null }) {
+    const byTime = new Map();
+
+    positions.forEach(position => {
+      byTime.set(new Date(position.timestamp).getTime(), {
+        deliveryId,
+        vehicleId,
+        latitude: position.lat,
+        longitude: position.lng,
+        speedMph: position.speed === undefined ? null : position.speed,
+        recordedAt: new Date(position.timestamp)
+      });
+    });
+
+    return [...byTime.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([, record]) => record);
+  }
+
+  formatPosition(ping) {
+    return {
+      lat: parseFloat(ping.latitude),
+      lng: parseFloat(ping.longitude),
+      speed: ping.speedMph === null ? null : parseFloat(ping.speedMph),
+      timestamp: ping.recordedAt,
+      vehicleId: ping.vehicleId
+    };
+  }
+
+  /**
+   * Path of a delivery as a GeoJSON FeatureCollection (one LineString per
+   * vehicle; GeoJSON positions are [lng, lat]) plus the last known position.
+   * Pings must be in time order.
+   */
+  buildTrack(delivery, requestStatus, pings, truncated = false) {
+    const byVehicle = new Map();
+
+    pings.forEach(ping => {
+      const key = ping.vehicleId || null;
+      if (!byVehicle.has(key)) byVehicle.set(key, []);
+      byVehicle.get(key).push(ping);
+    });
+
+    const features = [...byVehicle.entries()]
+      // A LineString needs at least two positions
+      .filter(([, vehiclePings]) => vehiclePings.length >= 2)
+      .map(([vehicleId, vehiclePings]) => ({
+        type: 'Feature',
+        geometry: {
+          type: 'LineString',
+          coordinates: vehiclePings.map(ping => [parseFloat(ping.longitude), parseFloat(ping.latitude)])
+        },
+        properties: {
+          deliveryId: delivery.id,
+          vehicleId,
+          pointCount: vehiclePings.length,
+          startedAt: vehiclePings[0].recordedAt,
+          endedAt: vehiclePings[vehiclePings.length - 1].recordedAt
+        }
+      }));
+
+    const last = pings.length > 0 ? pings[pings.length - 1] : null;
+
+    return {
+      deliveryId: delivery.id,
+      requestId: delivery.requestId,
+      requestStatus,
+      pointCount: pings.length,
+      truncated,
+      lastPosition: last ? this.formatPosition(last) : null,
+      path: {
+        type: 'FeatureCollection',
+        features
+      }
+    };
+  }
+}
+
+module.exports = TrackingHelper;
@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+
+/**
+ * Position Ping Model
+ * GPS positions reported for a delivery or a vehicle. Append-only and high
+ * volume, so rows are kept narrow (no updated_at) and indexed for reading a
+ * delivery's or vehicle's path in time order.
+ */
+const PositionPing = sequelize.define('PositionPing', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  // Set directly, or resolved from the vehicle's active delivery
+  deliveryId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'delivery_id',
+    references: {
+      model: 'deliveries',
+      key: 'id'
+    }
+  },
+  vehicleId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'vehicle_id',
+    references: {
+      model: 'vehicles',
+      key: 'id'
+    }
+  },
+  latitude: {
+    type: DataTypes.DECIMAL(9, 6),
+    allowNull: false
+  },
+  longitude: {
+    type: DataTypes.DECIMAL(9, 6),
+    allowNull: false
+  },
+  speedMph: {
+    type: DataTypes.DECIMAL(5, 1),
+    allowNull: true,
+    field: 'speed_mph'
+  },
+  recordedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'recorded_at'
+  }
+}, {
+  tableName: 'position_pings',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['delivery_id', 'recorded_at']
+    },
+    {
+      fields: ['vehicle_id', 'recorded_at']
+    }
+  ]
+});
+
+module.exports = {
+  PositionPing
+};
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const trackingController = require('./tracking.controller');
+
+/**
+ * Ingest a batch of GPS positions for a delivery or a vehicle
+ * POST /api/tracking/positions
+ */
+router.post('/positions', trackingController.ingestPositions);
+
+module.exports = router;
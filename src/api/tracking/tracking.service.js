@@ -0,0 +1,140 @@
+const { sequelize, Op } = require('../../config/db');
+const { TransportationRequest } = require('../request/request.model');
+const { Delivery } = require('../delivery/delivery.model');
+const { Vehicle } = require('../vehicle/vehicle.model');
+const { PositionPing } = require('./tracking.model');
+const TrackingHelper = require('./tracking.helper');
+const deliveryService = require('../delivery/delivery.service');
+
+// Request statuses in which a vehicle's pings are attached to its delivery
+const TRACKABLE_STATUSES = ['processing', 'in_transit'];
+
+const PING_ATTRIBUTES = ['vehicleId', 'latitude', 'longitude', 'speedMph', 'recordedAt'];
+
+class TrackingService {
+
+  constructor() {
+    this.trackingHelper = new TrackingHelper();
+  }
+
+  /**
+   * Store a batch of pings for a delivery, or for a vehicle (attached to the
+   * vehicle's delivery under way, if any). The first pings of a processing
+   * request move it to in_transit.
+   */
+  async ingestPositions({ deliveryId, vehicleId, positions }) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      if (vehicleId) {
+        const vehicle = await Vehicle.findByPk(vehicleId, { transaction });
+        if (!vehicle) {
+          throw new Error(`Invalid vehicleId: vehicle ${vehicleId} does not exist`);
+        }
+      }
+
+      let delivery = null;
+      if (deliveryId) {
+        delivery = await Delivery.findByPk(deliveryId, { transaction });
+        if (!delivery) {
+          throw new Error(`Invalid deliveryId: delivery ${deliveryId} does not exist`);
+        }
+      } else {
+        delivery = await this.findActiveDeliveryForVehicle(vehicleId, transaction);
+      }
+
+      const records = this.trackingHelper.buildPingRecords(positions, {
+        deliveryId: delivery ? delivery.id : null,
+        vehicleId: vehicleId || null
+      });
+      await PositionPing.bulkCreate(records, { transaction });
+
+      let request = null;
+      if (delivery) {
+        request = await deliveryService.markInTransit(delivery.requestId, 'Position received', transaction);
+      }
+
+      await transaction.commit();
+
+      return {
+        accepted: records.length,
+        deliveryId: delivery ? delivery.id : null,
+        vehicleId: vehicleId || null,
+        requestStatus: request ? request.status : null
+      };
+    } catch (error) {
+      await transaction.rollback();
+      throw new Error(`Failed to ingest positions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Latest delivery the vehicle is assigned to whose request is still under way
+   */
+  async findActiveDeliveryForVehicle(vehicleId, transaction) {
+    return Delivery.findOne({
+      include: [
+        {
+          model: Vehicle,
+          as: 'Vehicles',
+          where: { id: vehicleId },
+          attributes: [],
+          through: { attributes: [] }
+        },
+        {
+          model: TransportationRequest,
+          as: 'TransportationRequest',
+          where: { status: { [Op.in]: TRACKABLE_STATUSES } },
+          attributes: []
+        }
+      ],
+      order: [['actualPickupDateTime', 'DESC'], ['id', 'DESC']],
+      transaction
+    });
+  }
+
+  /**
+   * Path travelled by a delivery as GeoJSON plus its last known position.
+   * Only the latest `limit` positions are returned; `truncated` flags older ones left out.
+   */
+  async getTrack(deliveryId, { since, limit } = {}) {
+    try {
+      const delivery = await Delivery.findByPk(deliveryId, {
+        attributes: ['id', 'requestId'],
+        include: [{
+          model: TransportationRequest,
+          as: 'TransportationRequest',
+          attributes: ['id', 'status']
+        }]
+      });
+
+      if (!delivery) {
+        throw new Error('Delivery not found');
+      }
+
+      const where = { deliveryId };
+      if (since) {
+        where.recordedAt = { [Op.gt]: since };
+      }
+
+      // Newest first so the limit keeps the latest positions; one extra row tells if any were cut
+      const latest = await PositionPing.findAll({
+        where,
+        attributes: PING_ATTRIBUTES,
+        order: [['recordedAt', 'DESC'], ['id', 'DESC']],
+        ...(limit ? { limit: limit + 1 } : {}),
+        raw: true
+      });
+
+      const truncated = Boolean(limit) && latest.length > limit;
+      const pings = latest.slice(0, limit || latest.length).reverse();
+      const requestStatus = delivery.TransportationRequest ? delivery.TransportationRequest.status : null;
+
+      return this.trackingHelper.buildTrack(delivery, requestStatus, pings, truncated);
+    } catch (error) {
+      throw new Error(`Failed to fetch delivery track: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new TrackingService();
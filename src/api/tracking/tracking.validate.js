@@ -0,0 +1,43 @@
+const Joi = require('joi');
+const { validateRequest } = require('../request/request.validate');
+
+// Largest batch accepted in one call; devices with a longer backlog send several
+const MAX_BATCH_SIZE = 1000;
+
+// Most recent positions returned in one track; a day of pings every few seconds runs to tens of thousands
+const DEFAULT_TRACK_POINTS = 500;
+const MAX_TRACK_POINTS = 5000;
+
+const positionSchema = Joi.object({
+  lat: Joi.number().min(-90).max(90).required(),
+  lng: Joi.number().min(-180).max(180).required(),
+  speed: Joi.number().min(0).max(200).allow(null).optional(),
+  timestamp: Joi.date().iso().required()
+});
+
+// Pings are reported for a delivery, a vehicle, or both
+const ingestPositionsSchema = Joi.object({
+  deliveryId: Joi.number().integer().positive().optional(),
+  vehicleId: Joi.number().integer().positive().optional(),
+  positions: Joi.array()
+    .items(positionSchema)
+    .min(1)
+    .max(MAX_BATCH_SIZE)
+    .required()
+    .messages({
+      'array.max': `A batch cannot exceed ${MAX_BATCH_SIZE} positions`
+    })
+}).or('deliveryId', 'vehicleId').messages({
+  'object.missing': 'Either deliveryId or vehicleId is required'
+});
+
+const trackQuerySchema = Joi.object({
+  since: Joi.date().iso().optional(),
+  limit: Joi.number().integer().min(1).max(MAX_TRACK_POINTS).default(DEFAULT_TRACK_POINTS)
+});
+
+module.exports = {
+  validateRequest,
+  ingestPositionsSchema,
+  trackQuerySchema
+};
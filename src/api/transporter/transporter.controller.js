@@ -0,0 +1,212 @@
+const transporterService = require('./transporter.service');
+const {
+  validateRequest,
+  createTransporterSchema,
+  updateTransporterSchema,
+  transporterQuerySchema
+} = require('./transporter.validate');
+
+class TransporterController {
+
+  async createTransporter(req, res) {
+    try {
+      const validation = validateRequest(req.body, createTransporterSchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const transporter = await transporterService.createTransporter(validation.data);
+
+      res.status(201).json({
+        success: true,
+        message: 'Transporter created successfully',
+        data: transporter
+      });
+
+    } catch (error) {
+      console.error('Error creating transporter:', error.message);
+
+      if (error.message.includes('already exists')) {
+        return res.status(400).json({
+          success: false,
+          message: 'A transporter with this name already exists'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create transporter',
+        error: error.message
+      });
+    }
+  }
+
+  async getAllTransporters(req, res) {
+    try {
+      const validation = validateRequest(req.query, transporterQuerySchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid query parameters',
+          errors: validation.errors
+        });
+      }
+
+      const result = await transporterService.getAllTransporters(validation.data);
+
+      res.status(200).json({
+        success: true,
+        message: 'Transporters retrieved successfully',
+        data: result.data,
+        pagination: result.pagination
+      });
+
+    } catch (error) {
+      console.error('Error retrieving transporters:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve transporters',
+        error: error.message
+      });
+    }
+  }
+
+  async getTransporterById(req, res) {
+    try {
+      const transporterId = parseInt(req.params.id);
+
+      if (isNaN(transporterId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid transporter ID'
+        });
+      }
+
+      const transporter = await transporterService.getTransporterById(transporterId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Transporter retrieved successfully',
+        data: transporter
+      });
+
+    } catch (error) {
+      console.error('Error retrieving transporter:', error.message);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Transporter not found'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve transporter',
+        error: error.message
+      });
+    }
+  }
+
+  async updateTransporter(req, res) {
+    try {
+      const transporterId = parseInt(req.params.id);
+
+      if (isNaN(transporterId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid transporter ID'
+        });
+      }
+
+      const validation = validateRequest(req.body, updateTransporterSchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const transporter = await transporterService.updateTransporter(transporterId, validation.data);
+
+      res.status(200).json({
+        success: true,
+        message: 'Transporter updated successfully',
+        data: transporter
+      });
+
+    } catch (error) {
+      console.error('Error updating transporter:', error.message);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Transporter not found'
+        });
+      }
+
+      if (error.message.includes('already exists')) {
+        return res.status(400).json({
+          success: false,
+          message: 'A transporter with this name already exists'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update transporter',
+        error: error.message
+      });
+    }
+  }
+
+  async deleteTransporter(req, res) {
+    try {
+      const transporterId = parseInt(req.params.id);
+
+      if (isNaN(transporterId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid transporter ID'
+        });
+      }
+
+      await transporterService.deleteTransporter(transporterId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Transporter deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Error deleting transporter:', error.message);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Transporter not found'
+        });
+      }
+
+      if (error.message.includes('still has drivers')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot delete a transporter that still has drivers'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete transporter',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new TransporterController();
@@ -0,0 +1,69 @@
+// Legal-form suffixes ignored when comparing company names
+const COMPANY_SUFFIXES = ['inc', 'incorporated', 'llc', 'ltd', 'limited', 'co', 'corp', 'corporation', 'company', 'plc', 'gmbh'];
+
+/**
+ * Transporter Helper - Contains pure utility functions for carrier companies
+ * No database operations should be performed here
+ */
+class TransporterHelper {
+
+  /**
+   * Matching key for a company name: case, punctuation, spacing and a
+   * trailing legal form are ignored ("Swift Transportation, Inc." -> "swift transportation")
+   */
+  normalizeName(name) {
+    const words = (name || '')
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim()
+      .split(' ')
+      .filter(Boolean);
+
+    while (words.length > 1 && COMPANY_SUFFIXES.includes(words[words.length - 1])) {
+      words.pop();
+    }
+
+    return words.join(' ');
+  }
+
+  /**
+   * Most frequent spelling among variants of one company; ties go to the alphabetically first
+   */
+  pickCanonicalName(spellings) {
+    const counts = {};
+    spellings.forEach(spelling => {
+      const name = spelling.trim().replace(/\s+/g, ' ');
+      counts[name] = (counts[name] || 0) + 1;
+    });
+
+    return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b))[0];
+  }
+
+  formatTransporterResponse(transporter) {
+    const formatted = {
+      id: transporter.id,
+      name: transporter.name,
+      contactName: transporter.contactName,
+      email: transporter.email,
+      phone: transporter.phone,
+      notes: transporter.notes,
+      createdAt: transporter.createdAt,
+      updatedAt: transporter.updatedAt
+    };
+
+    if (transporter.Drivers) {
+      formatted.drivers = transporter.Drivers.map(driver => ({
+        id: driver.id,
+        name: driver.name,
+        phone: driver.phone,
+        overallRating: driver.overallRating,
+        totalDeliveries: driver.totalDeliveries
+      }));
+    }
+
+    return formatted;
+  }
+}
+
+module.exports = TransporterHelper;
@@ -0,0 +1,53 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+
+/**
+ * Transporter Model
+ * A carrier company; transporter-type drivers belong to one
+ */
+const Transporter = sequelize.define('Transporter', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  // TransporterHelper.normalizeName(name); keeps "ACME Freight, Inc." and "Acme Freight" one carrier
+  normalizedName: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    unique: true,
+    field: 'normalized_name'
+  },
+  contactName: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'contact_name'
+  },
+  email: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  phone: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'transporters',
+  timestamps: true,
+  paranoid: true,
+  deletedAt: 'deleted_at',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+module.exports = {
+  Transporter
+};
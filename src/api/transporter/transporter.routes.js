@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const transporterController = require('./transporter.controller');
+
+
+router.post('/', transporterController.createTransporter);
+
+router.get('/', transporterController.getAllTransporters);
+
+router.get('/:id', transporterController.getTransporterById);
+
+router.put('/:id', transporterController.updateTransporter);
+
+router.delete('/:id', transporterController.deleteTransporter);
+
+module.exports = router;
@@ -0,0 +1,195 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../../config/db');
+const { Transporter } = require('./transporter.model');
+const { Driver } = require('../driver/driver.model');
+const TransporterHelper = require('./transporter.helper');
+
+class TransporterService {
+
+  constructor() {
+    this.transporterHelper = new TransporterHelper();
+  }
+
+  async createTransporter(transporterData) {
+    try {
+      const transporter = await Transporter.create({
+        ...transporterData,
+        normalizedName: this.transporterHelper.normalizeName(transporterData.name)
+      });
+      return this.transporterHelper.formatTransporterResponse(transporter);
+    } catch (error) {
+      throw this.toTransporterError('create', error);
+    }
+  }
+
+  async getAllTransporters(queryParams = {}) {
+    try {
+      const { page = 1, limit = 20, search } = queryParams;
+      const whereClause = {};
+
+      if (search) {
+        whereClause[Op.or] = [
+          { name: { [Op.like]: `%${search}%` } },
+          { normalizedName: { [Op.like]: `%${this.transporterHelper.normalizeName(search)}%` } }
+        ];
+      }
+
+      const { count, rows } = await Transporter.findAndCountAll({
+        where: whereClause,
+        order: [['name', 'ASC']],
+        limit: parseInt(limit),
+        offset: (parseInt(page) - 1) * parseInt(limit)
+      });
+
+      const totalPages = Math.ceil(count / limit);
+
+      return {
+        data: rows.map(transporter => this.transporterHelper.formatTransporterResponse(transporter)),
+        pagination: {
+          total: count,
+          totalPages,
+          currentPage: parseInt(page),
+          limit: parseInt(limit),
+          hasNextPage: page < totalPages,
+          hasPreviousPage: page > 1
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to retrieve transporters: ${error.message}`);
+    }
+  }
+
+  async getTransporterById(transporterId) {
+    try {
+      const transporter = await Transporter.findByPk(transporterId, {
+        include: [{
+          model: Driver,
+          as: 'Drivers',
+          attributes: ['id', 'name', 'phone', 'overallRating', 'totalDeliveries']
+        }]
+      });
+
+      if (!transporter) {
+        throw new Error('Transporter not found');
+      }
+
+      return this.transporterHelper.formatTransporterResponse(transporter);
+    } catch (error) {
+      throw new Error(`Failed to retrieve transporter: ${error.message}`);
+    }
+  }
+
+  /**
+   * A rename is copied to the drivers' transportCompany so existing readers stay consistent
+   */
+  async updateTransporter(transporterId, updateData) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const transporter = await this.findTransporterOrFail(transporterId, transaction);
+      const fields = { ...updateData };
+
+      if (fields.name) {
+        fields.normalizedName = this.transporterHelper.normalizeName(fields.name);
+      }
+
+      await transporter.update(fields, { transaction });
+
+      if (fields.name) {
+        await Driver.update(
+          { transportCompany: transporter.name },
+          { where: { transporterId: transporter.id }, transaction }
+        );
+      }
+
+      await transaction.commit();
+      return this.transporterHelper.formatTransporterResponse(transporter);
+    } catch (error) {
+      await transaction.rollback();
+      throw this.toTransporterError('update', error);
+    }
+  }
+
+  async deleteTransporter(transporterId) {
+    try {
+      const transporter = await this.findTransporterOrFail(transporterId);
+
+      const driverCount = await Driver.count({ where: { transporterId } });
+      if (driverCount > 0) {
+        throw new Error('Cannot delete a transporter that still has drivers');
+      }
+
+      await transporter.destroy();
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to delete transporter: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fill a driver's transporterId/transportCompany pair: an explicit transporterId wins and
+   * sets the company name; a company name alone is matched (or added) by normalized name.
+   */
+  async resolveDriverTransporter(data, { transaction } = {}) {
+    const resolved = { ...data };
+
+    if (data.transporterId) {
+      const transporter = await Transporter.findByPk(data.transporterId, { transaction });
+      if (!transporter) {
+        throw new Error(`Invalid transporterId: transporter ${data.transporterId} does not exist`);
+      }
+      resolved.transportCompany = transporter.name;
+    } else if (data.transporterId === null || data.transportCompany === null || data.transportCompany === '') {
+      resolved.transporterId = null;
+      resolved.transportCompany = null;
+    } else if (data.transportCompany) {
+      const transporter = await this.findOrCreateByName(data.transportCompany, transaction);
+      resolved.transporterId = transporter.id;
+      resolved.transportCompany = transporter.name;
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Soft-deleted matches are restored rather than duplicated (normalized names are unique)
+   */
+  async findOrCreateByName(name, transaction) {
+    const normalizedName = this.transporterHelper.normalizeName(name);
+    const existing = await Transporter.findOne({ where: { normalizedName }, paranoid: false, transaction });
+
+    if (existing) {
+      if (existing.deletedAt) {
+        await existing.restore({ transaction });
+      }
+      return existing;
+    }
+
+    try {
+      return await Transporter.create({ name: name.trim(), normalizedName }, { transaction });
+    } catch (error) {
+      // Created concurrently by another request
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return Transporter.findOne({ where: { normalizedName }, transaction });
+      }
+      throw error;
+    }
+  }
+
+  toTransporterError(action, error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return new Error('A transporter with this name already exists');
+    }
+    return new Error(`Failed to ${action} transporter: ${error.message}`);
+  }
+
+  async findTransporterOrFail(transporterId, transaction) {
+    const transporter = await Transporter.findByPk(transporterId, { transaction });
+    if (!transporter) {
+      throw new Error('Transporter not found');
+    }
+    return transporter;
+  }
+}
+
+module.exports = new TransporterService();
@@ -0,0 +1,39 @@
+const Joi = require('joi');
+const { validateRequest } = require('../request/request.validate');
+
+const transporterFields = {
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(255)
+    .messages({
+      'string.min': 'Name must be at least 2 characters long',
+      'string.max': 'Name cannot exceed 255 characters'
+    }),
+  contactName: Joi.string().trim().max(255).allow('', null),
+  email: Joi.string().trim().email().max(255).allow('', null).messages({
+    'string.email': 'Email must be a valid email address'
+  }),
+  phone: Joi.string().trim().max(50).allow('', null),
+  notes: Joi.string().trim().max(1000).allow('', null)
+};
+
+const createTransporterSchema = Joi.object({
+  ...transporterFields,
+  name: transporterFields.name.required().messages({ 'any.required': 'Name is required' })
+});
+
+const updateTransporterSchema = Joi.object(transporterFields).min(1);
+
+const transporterQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  search: Joi.string().trim().max(255).optional()
+});
+
+module.exports = {
+  createTransporterSchema,
+  updateTransporterSchema,
+  transporterQuerySchema,
+  validateRequest
+};
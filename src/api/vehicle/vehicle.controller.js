@@ -0,0 +1,172 @@
+const vehicleService = require('./vehicle.service');
+const {
+  validateRequest,
+  createVehicleSchema,
+  updateVehicleSchema,
+  vehicleQuerySchema
+} = require('./vehicle.validate');
+
+/**
+ * Shared error mapping for the single vehicle endpoints
+ */
+function sendVehicleError(res, error, message) {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      success: false,
+      message: 'Vehicle not found'
+    });
+  }
+
+  if (error.message.includes('already exists') || error.message.includes('Invalid transporterId')) {
+    return res.status(400).json({
+      success: false,
+      message,
+      error: error.message.replace(/^Failed to \w+ vehicle: /, '')
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+}
+
+function parseVehicleId(req, res) {
+  const vehicleId = parseInt(req.params.id);
+
+  if (isNaN(vehicleId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid vehicle ID'
+    });
+    return null;
+  }
+
+  return vehicleId;
+}
+
+class VehicleController {
+
+  async createVehicle(req, res) {
+    try {
+      const validation = validateRequest(req.body, createVehicleSchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const vehicle = await vehicleService.createVehicle(validation.data);
+
+      res.status(201).json({
+        success: true,
+        message: 'Vehicle created successfully',
+        data: vehicle
+      });
+
+    } catch (error) {
+      console.error('Error creating vehicle:', error.message);
+      sendVehicleError(res, error, 'Failed to create vehicle');
+    }
+  }
+
+  async getAllVehicles(req, res) {
+    try {
+      const validation = validateRequest(req.query, vehicleQuerySchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid query parameters',
+          errors: validation.errors
+        });
+      }
+
+      const result = await vehicleService.getAllVehicles(validation.data);
+
+      res.status(200).json({
+        success: true,
+        message: 'Vehicles retrieved successfully',
+        data: result.data,
+        pagination: result.pagination
+      });
+
+    } catch (error) {
+      console.error('Error retrieving vehicles:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve vehicles',
+        error: error.message
+      });
+    }
+  }
+
+  async getVehicleById(req, res) {
+    try {
+      const vehicleId = parseVehicleId(req, res);
+      if (vehicleId === null) return;
+
+      const vehicle = await vehicleService.getVehicleById(vehicleId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Vehicle retrieved successfully',
+        data: vehicle
+      });
+
+    } catch (error) {
+      console.error('Error retrieving vehicle:', error.message);
+      sendVehicleError(res, error, 'Failed to retrieve vehicle');
+    }
+  }
+
+  async updateVehicle(req, res) {
+    try {
+      const vehicleId = parseVehicleId(req, res);
+      if (vehicleId === null) return;
+
+      const validation = validateRequest(req.body, updateVehicleSchema);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const vehicle = await vehicleService.updateVehicle(vehicleId, validation.data);
+
+      res.status(200).json({
+        success: true,
+        message: 'Vehicle updated successfully',
+        data: vehicle
+      });
+
+    } catch (error) {
+      console.error('Error updating vehicle:', error.message);
+      sendVehicleError(res, error, 'Failed to update vehicle');
+    }
+  }
+
+  async deleteVehicle(req, res) {
+    try {
+      const vehicleId = parseVehicleId(req, res);
+      if (vehicleId === null) return;
+
+      await vehicleService.deleteVehicle(vehicleId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Vehicle deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Error deleting vehicle:', error.message);
+      sendVehicleError(res, error, 'Failed to delete vehicle');
+    }
+  }
+}
+
+module.exports = new VehicleController();
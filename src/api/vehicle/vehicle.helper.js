@@ -0,0 +1,52 @@
+/**
+ * Vehicle Helper - Contains pure utility functions for the fleet registry
+ * No database operations should be performed here
+ */
+class VehicleHelper {
+
+  /**
+   * "ab-12 cde" and "AB12CDE" are the same plate
+   */
+  normalizePlate(plate) {
+    return String(plate).toUpperCase().replace(/[\s\-.]/g, '');
+  }
+
+  toDateOnly(value) {
+    if (value === null || value === undefined) return value;
+    return value instanceof Date ? value.toISOString().split('T')[0] : String(value).split('T')[0];
+  }
+
+  /**
+   * Earliest of the service and inspection due dates, or null
+   */
+  getNextMaintenanceDue(vehicle) {
+    const dates = [vehicle.nextServiceDue, vehicle.inspectionDue]
+      .filter(Boolean)
+      .map(date => this.toDateOnly(date))
+      .sort();
+    return dates.length > 0 ? dates[0] : null;
+  }
+
+  formatVehicleResponse(vehicle, today = new Date().toISOString().split('T')[0]) {
+    const maintenanceDue = this.getNextMaintenanceDue(vehicle);
+
+    return {
+      id: vehicle.id,
+      plateNumber: vehicle.plateNumber,
+      truckType: vehicle.truckType,
+      capacityKg: vehicle.capacityKg === null ? null : parseFloat(vehicle.capacityKg),
+      ownership: vehicle.ownership,
+      transporterId: vehicle.transporterId,
+      transporter: vehicle.Transporter ? { id: vehicle.Transporter.id, name: vehicle.Transporter.name } : null,
+      status: vehicle.status,
+      nextServiceDue: this.toDateOnly(vehicle.nextServiceDue),
+      inspectionDue: this.toDateOnly(vehicle.inspectionDue),
+      maintenanceOverdue: maintenanceDue !== null && maintenanceDue < today,
+      notes: vehicle.notes,
+      createdAt: vehicle.createdAt,
+      updatedAt: vehicle.updatedAt
+    };
+  }
+}
+
+module.exports = VehicleHelper;
@@ -0,0 +1,132 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+
+const VEHICLE_STATUSES = ['active', 'maintenance', 'retired'];
+
+/**
+ * Vehicle Model
+ * A truck in the fleet registry, owned in-house or by a transporter
+ */
+const Vehicle = sequelize.define('Vehicle', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  // Stored upper-case without spaces or dashes (VehicleHelper.normalizePlate)
+  plateNumber: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: true,
+    field: 'plate_number'
+  },
+  truckType: {
+    type: DataTypes.ENUM('box', 'flatbed', 'semi', 'refrigerated'),
+    allowNull: false,
+    field: 'truck_type'
+  },
+  // Payload capacity in kilograms
+  capacityKg: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    field: 'capacity_kg'
+  },
+  ownership: {
+    type: DataTypes.ENUM('in_house', 'transporter'),
+    allowNull: false,
+    defaultValue: 'in_house'
+  },
+  transporterId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'transporter_id',
+    references: {
+      model: 'transporters',
+      key: 'id'
+    }
+  },
+  status: {
+    type: DataTypes.ENUM(...VEHICLE_STATUSES),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  nextServiceDue: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    field: 'next_service_due'
+  },
+  inspectionDue: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    field: 'inspection_due'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'vehicles',
+  timestamps: true,
+  paranoid: true,
+  deletedAt: 'deleted_at',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['ownership', 'status']
+    },
+    {
+      fields: ['transporter_id']
+    }
+  ]
+});
+
+/**
+ * Delivery Vehicle Model
+ * Vehicles used on a delivery (one row per truck)
+ */
+const DeliveryVehicle = sequelize.define('DeliveryVehicle', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  deliveryId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'delivery_id',
+    references: {
+      model: 'deliveries',
+      key: 'id'
+    }
+  },
+  vehicleId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'vehicle_id',
+    references: {
+      model: 'vehicles',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'delivery_vehicles',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['delivery_id', 'vehicle_id']
+    },
+    {
+      fields: ['vehicle_id']
+    }
+  ]
+});
+
+module.exports = {
+  Vehicle,
+  DeliveryVehicle,
+  VEHICLE_STATUSES
+};
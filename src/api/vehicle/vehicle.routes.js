@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const vehicleController = require('./vehicle.controller');
+
+
+router.post('/', vehicleController.createVehicle);
+
+router.get('/', vehicleController.getAllVehicles);
+
+router.get('/:id', vehicleController.getVehicleById);
+
+router.put('/:id', vehicleController.updateVehicle);
+
+router.delete('/:id', vehicleController.deleteVehicle);
+
+module.exports = router;
@@ -0,0 +1,211 @@
+const { Op } = require('sequelize');
+const { Vehicle, DeliveryVehicle } = require('./vehicle.model');
+const { Transporter } = require('../transporter/transporter.model');
+const VehicleHelper = require('./vehicle.helper');
+
+const TRANSPORTER_INCLUDE = {
+  model: Transporter,
+  as: 'Transporter',
+  attributes: ['id', 'name']
+};
+
+class VehicleService {
+
+  constructor() {
+    this.vehicleHelper = new VehicleHelper();
+  }
+
+  async createVehicle(vehicleData) {
+    let vehicle;
+
+    try {
+      const fields = this.normalizeFields(vehicleData);
+      await this.assertOwnership(fields);
+      vehicle = await Vehicle.create(fields);
+    } catch (error) {
+      throw this.toVehicleError('create', error);
+    }
+
+    return this.getVehicleById(vehicle.id);
+  }
+
+  async getAllVehicles(queryParams = {}) {
+    try {
+      const { page = 1, limit = 20, search, truckType, ownership, transporterId, status, maintenanceDueBy } = queryParams;
+      const whereClause = {};
+
+      if (search) {
+        whereClause.plateNumber = { [Op.like]: `%${this.vehicleHelper.normalizePlate(search)}%` };
+      }
+
+      if (truckType) whereClause.truckType = truckType;
+      if (ownership) whereClause.ownership = ownership;
+      if (transporterId) whereClause.transporterId = transporterId;
+      if (status) whereClause.status = status;
+
+      if (maintenanceDueBy) {
+        const dueBy = this.vehicleHelper.toDateOnly(maintenanceDueBy);
+        whereClause[Op.or] = [
+          { nextServiceDue: { [Op.lte]: dueBy } },
+          { inspectionDue: { [Op.lte]: dueBy } }
+        ];
+      }
+
+      const { count, rows } = await Vehicle.findAndCountAll({
+        where: whereClause,
+        include: [TRANSPORTER_INCLUDE],
+        order: [['plateNumber', 'ASC']],
+        limit: parseInt(limit),
+        offset: (parseInt(page) - 1) * parseInt(limit)
+      });
+
+      const totalPages = Math.ceil(count / limit);
+
+      return {
+        data: rows.map(vehicle => this.vehicleHelper.formatVehicleResponse(vehicle)),
+        pagination: {
+          total: count,
+          totalPages,
+          currentPage: parseInt(page),
+          limit: parseInt(limit),
+          hasNextPage: page < totalPages,
+          hasPreviousPage: page > 1
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to retrieve vehicles: ${error.message}`);
+    }
+  }
+
+  async getVehicleById(vehicleId) {
+    try {
+      const vehicle = await Vehicle.findByPk(vehicleId, { include: [TRANSPORTER_INCLUDE] });
+      if (!vehicle) {
+        throw new Error('Vehicle not found');
+      }
+
+      return this.vehicleHelper.formatVehicleResponse(vehicle);
+    } catch (error) {
+      throw new Error(`Failed to retrieve vehicle: ${error.message}`);
+    }
+  }
+
+  async updateVehicle(vehicleId, updateData) {
+    try {
+      const vehicle = await this.findVehicleOrFail(vehicleId);
+      const fields = this.normalizeFields(updateData);
+
+      if (fields.ownership === 'in_house') {
+        fields.transporterId = null;
+      }
+
+      await this.assertOwnership({
+        ownership: fields.ownership || vehicle.ownership,
+        transporterId: fields.transporterId !== undefined ? fields.transporterId : vehicle.transporterId
+      });
+
+      await vehicle.update(fields);
+    } catch (error) {
+      throw this.toVehicleError('update', error);
+    }
+
+    return this.getVehicleById(vehicleId);
+  }
+
+  /**
+   * Soft delete; delivery history keeps its vehicle references
+   */
+  async deleteVehicle(vehicleId) {
+    try {
+      const vehicle = await this.findVehicleOrFail(vehicleId);
+      await vehicle.destroy();
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to delete vehicle: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace the vehicles recorded on a delivery; one active vehicle of the request's
+   * truck type per truck used. Returns the vehicles.
+   */
+  async setDeliveryVehicles(deliveryId, vehicleIds, { actualTruckCount, truckType, transaction } = {}) {
+    if (actualTruckCount !== undefined && vehicleIds.length !== actualTruckCount) {
+      throw new Error(`Invalid vehicleIds: expected ${actualTruckCount} vehicle(s), one per truck, got ${vehicleIds.length}`);
+    }
+
+    const vehicles = await Vehicle.findAll({
+      where: { id: { [Op.in]: vehicleIds } },
+      attributes: ['id', 'plateNumber', 'truckType', 'ownership', 'status'],
+      transaction
+    });
+    const found = new Set(vehicles.map(vehicle => vehicle.id));
+    const missing = vehicleIds.filter(id => !found.has(id));
+    if (missing.length > 0) {
+      throw new Error(`Invalid vehicleIds: vehicle ${missing.join(', ')} does not exist`);
+    }
+
+    const inactive = vehicles.filter(vehicle => vehicle.status !== 'active');
+    if (inactive.length > 0) {
+      throw new Error(`Invalid vehicleIds: ${inactive.map(vehicle => `${vehicle.plateNumber} is ${vehicle.status}`).join(', ')}`);
+    }
+
+    const mismatched = truckType ? vehicles.filter(vehicle => vehicle.truckType !== truckType) : [];
+    if (mismatched.length > 0) {
+      throw new Error(`Invalid vehicleIds: the request needs ${truckType} trucks, ${mismatched.map(vehicle => `${vehicle.plateNumber} is ${vehicle.truckType}`).join(', ')}`);
+    }
+
+    await DeliveryVehicle.destroy({ where: { deliveryId }, transaction });
+    await DeliveryVehicle.bulkCreate(
+      vehicleIds.map(vehicleId => ({ deliveryId, vehicleId })),
+      { transaction }
+    );
+
+    return vehicles;
+  }
+
+  normalizeFields(data) {
+    const fields = { ...data };
+
+    if (fields.plateNumber) {
+      fields.plateNumber = this.vehicleHelper.normalizePlate(fields.plateNumber);
+    }
+    ['nextServiceDue', 'inspectionDue'].forEach(field => {
+      if (fields[field]) fields[field] = this.vehicleHelper.toDateOnly(fields[field]);
+    });
+
+    return fields;
+  }
+
+  async assertOwnership({ ownership, transporterId }) {
+    if (ownership === 'transporter' && !transporterId) {
+      throw new Error('Invalid transporterId: transporter-owned vehicles need a transporter');
+    }
+    if (ownership === 'in_house' && transporterId) {
+      throw new Error('Invalid transporterId: in-house vehicles cannot reference a transporter');
+    }
+    if (transporterId) {
+      const transporter = await Transporter.findByPk(transporterId);
+      if (!transporter) {
+        throw new Error(`Invalid transporterId: transporter ${transporterId} does not exist`);
+      }
+    }
+  }
+
+  toVehicleError(action, error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return new Error('A vehicle with this plate number already exists');
+    }
+    return new Error(`Failed to ${action} vehicle: ${error.message}`);
+  }
+
+  async findVehicleOrFail(vehicleId) {
+    const vehicle = await Vehicle.findByPk(vehicleId);
+    if (!vehicle) {
+      throw new Error('Vehicle not found');
+    }
+    return vehicle;
+  }
+}
+
+module.exports = new VehicleService();
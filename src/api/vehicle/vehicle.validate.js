@@ -0,0 +1,65 @@
+const Joi = require('joi');
+const { validateRequest } = require('../request/request.validate');
+const { VEHICLE_STATUSES } = require('./vehicle.model');
+
+const TRUCK_TYPES = ['box', 'flatbed', 'semi', 'refrigerated'];
+
+const vehicleFields = {
+  plateNumber: Joi.string()
+    .trim()
+    .min(2)
+    .max(20)
+    .messages({
+      'string.max': 'Plate number cannot exceed 20 characters'
+    }),
+  truckType: Joi.string()
+    .valid(...TRUCK_TYPES)
+    .messages({
+      'any.only': `Truck type must be one of: ${TRUCK_TYPES.join(', ')}`
+    }),
+  capacityKg: Joi.number().positive().precision(2).max(99999999.99).allow(null),
+  ownership: Joi.string().valid('in_house', 'transporter'),
+  transporterId: Joi.number().integer().positive().allow(null),
+  status: Joi.string().valid(...VEHICLE_STATUSES),
+  nextServiceDue: Joi.date().iso().allow(null),
+  inspectionDue: Joi.date().iso().allow(null),
+  notes: Joi.string().trim().max(1000).allow('', null)
+};
+
+// Transporter-owned vehicles reference their carrier; in-house vehicles have none
+const createVehicleSchema = Joi.object({
+  ...vehicleFields,
+  plateNumber: vehicleFields.plateNumber.required().messages({ 'any.required': 'Plate number is required' }),
+  truckType: vehicleFields.truckType.required().messages({ 'any.required': 'Truck type is required' }),
+  ownership: vehicleFields.ownership.default('in_house'),
+  transporterId: Joi.when('ownership', {
+    is: 'transporter',
+    then: Joi.number().integer().positive().required().messages({
+      'any.required': 'Transporter ID is required for transporter-owned vehicles'
+    }),
+    otherwise: Joi.valid(null).optional().messages({
+      'any.only': 'In-house vehicles cannot reference a transporter'
+    })
+  })
+});
+
+const updateVehicleSchema = Joi.object(vehicleFields).min(1);
+
+const vehicleQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  search: Joi.string().trim().max(20).optional(),
+  truckType: Joi.string().valid(...TRUCK_TYPES).optional(),
+  ownership: Joi.string().valid('in_house', 'transporter').optional(),
+  transporterId: Joi.number().integer().positive().optional(),
+  status: Joi.string().valid(...VEHICLE_STATUSES).optional(),
+  // Vehicles with a service or inspection due on or before this date
+  maintenanceDueBy: Joi.date().iso().optional()
+});
+
+module.exports = {
+  createVehicleSchema,
+  updateVehicleSchema,
+  vehicleQuerySchema,
+  validateRequest
+};
@@ -53,6 +53,95 @@ module.exports = {
   jwtRefreshSecret: process.env.JWT_REFRESH_SECRET,
   locale: process.env.LOCALE || 'en',
 
+  // Request numbering: pattern tokens are {YYYY}, {YY}, {SITE} and {SEQ:n} (sequence zero-padded to n digits);
+  // the sequence restarts each year, so a pattern needs {SEQ} and {YYYY} or {YY}
+  requestNumbering: {
+    pattern: process.env.REQUEST_NUMBER_PATTERN || 'REQ-{YYYY}-{SEQ:3}',
+    siteCode: process.env.REQUEST_NUMBER_SITE_CODE || ''
+  },
+
+  // Offline distance estimate: straight-line (haversine) miles x roadFactor to approximate road distance
+  distance: {
+    roadFactor: parseFloat(process.env.DISTANCE_ROAD_FACTOR) || 1.3
+  },
+
+  // Planned driver assignments: booking window length when no end time is given
+  assignments: {
+    defaultDurationHours: parseFloat(process.env.ASSIGNMENT_DEFAULT_DURATION_HOURS) || 8
+  },
+
+  // Multi-stop requests: minutes after a stop's window closes that still count as an on-time arrival
+  stops: {
+    onTimeGraceMinutes: parseInt(process.env.STOP_ON_TIME_GRACE_MINUTES) || 15
+  },
+
+  // Delivery milestones: average road speed for estimating arrival when a request has no expected
+  // arrival time, and minutes after the expected arrival that still count as on time
+  milestones: {
+    averageSpeedMph: parseFloat(process.env.MILESTONE_AVERAGE_SPEED_MPH) || 50,
+    arrivalGraceMinutes: parseInt(process.env.MILESTONE_ARRIVAL_GRACE_MINUTES) || 15
+  },
+
+  // Delay reason codes: one is required on a first delivery wave picked up after the planned pickup
+  // (DELAY_REASON_CODES is a comma-separated list that replaces the defaults)
+  delayReasons: {
+    codes: (process.env.DELAY_REASON_CODES || 'traffic,loading_dock,driver_late,weather,paperwork')
+      .split(',')
+      .map(code => code.trim())
+      .filter(Boolean)
+  },
+
+  // Incidents: how far back a driver's incidents count toward their risk assessment, and how
+  // many incidents in that window make a driver high risk
+  incidents: {
+    riskWindowDays: parseInt(process.env.INCIDENT_RISK_WINDOW_DAYS) || 365,
+    repeatThreshold: parseInt(process.env.INCIDENT_REPEAT_THRESHOLD) || 3
+  },
+
+  // Attachments: storage backend (and the local backend's directory), upload limits, and whether a
+  // request needs a proof-of-delivery (pod) attachment before it can be confirmed as completed
+  attachments: {
+    storageBackend: process.env.ATTACHMENT_STORAGE_BACKEND || 'local',
+    localDirectory: process.env.ATTACHMENT_LOCAL_DIR || 'uploads/attachments',
+    maxFileSizeMb: parseFloat(process.env.ATTACHMENT_MAX_FILE_SIZE_MB) || 10,
+    allowedMimeTypes: (process.env.ATTACHMENT_ALLOWED_MIME_TYPES || 'application/pdf,image/jpeg,image/png,image/webp,image/heic')
+      .split(',')
+      .map(type => type.trim())
+      .filter(Boolean),
+    requirePodForCompletion: process.env.ATTACHMENT_REQUIRE_POD === 'true'
+  },
+
+  // Signed delivery confirmation: requests of these truck types or urgency levels can only be
+  // confirmed as completed with the receiver's signature (comma-separated; empty requires none)
+  signatures: {
+    requiredTruckTypes: (process.env.SIGNATURE_REQUIRED_TRUCK_TYPES || '')
+      .split(',')
+      .map(type => type.trim())
+      .filter(Boolean),
+    requiredUrgencyLevels: (process.env.SIGNATURE_REQUIRED_URGENCY_LEVELS || '')
+      .split(',')
+      .map(level => level.trim())
+      .filter(Boolean)
+  },
+
+  // ETA prediction: completed requests a lane needs before its history replaces the distance
+  // estimate, how many days of completed requests that history covers, and how many days ahead
+  // of their pickup requests not yet underway are checked for the at-risk list
+  eta: {
+    minLaneSamples: parseInt(process.env.ETA_MIN_LANE_SAMPLES) || 3,
+    laneHistoryDays: parseInt(process.env.ETA_LANE_HISTORY_DAYS) || 180,
+    atRiskHorizonDays: parseInt(process.env.ETA_AT_RISK_HORIZON_DAYS) || 7
+  },
+
+  // Recurring request scheduler: how often it runs, how far ahead it materializes requests
+  // and how many pickups a day a cron rule may schedule
+  recurring: {
+    schedulerIntervalMs: parseInt(process.env.RECURRING_SCHEDULER_INTERVAL_MS) || 60 * 60 * 1000,
+    horizonDays: parseInt(process.env.RECURRING_HORIZON_DAYS) || 14,
+    maxRunsPerDay: parseInt(process.env.RECURRING_MAX_RUNS_PER_DAY) || 24,
+    schedulerEnabled: process.env.RECURRING_SCHEDULER_ENABLED !== 'false'
+  },
+
   // This `db` property will expose the CURRENT environment's database config
   // in the structure your application expects (e.g., `config.db.host`)
   db: databaseConfigs[env],
@@ -0,0 +1,173 @@
+'use strict';
+
+const TransporterHelper = require('../api/transporter/transporter.helper');
+
+/**
+ * Moves carrier companies from the free-text drivers.transport_company column
+ * into the transporters table. Spellings that normalize to the same name
+ * ("Swift Transportation", "swift transportation inc.") become one transporter,
+ * named after the most common spelling, and drivers are linked to it.
+ *
+ * Run with `npm run db:migrate` before starting the app: sync({ alter: true }) drops
+ * transporter_contracts.transport_company, which this migration maps to transporter_id.
+ * A fresh database has no tables yet and is left to sync.
+ *
+ * MySQL commits each schema change as it runs, so there is no transaction to roll
+ * back; every step checks what is already in place, and a failed run can be re-run.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const helper = new TransporterHelper();
+    const tables = (await queryInterface.showAllTables())
+      .map(table => (typeof table === 'string' ? table : table.tableName));
+
+    if (!tables.includes('drivers')) {
+      return;
+    }
+
+    if (!tables.includes('transporters')) {
+      await queryInterface.createTable('transporters', {
+        id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        name: { type: Sequelize.STRING(255), allowNull: false },
+        normalized_name: { type: Sequelize.STRING(255), allowNull: false, unique: true },
+        contact_name: { type: Sequelize.STRING(255), allowNull: true },
+        email: { type: Sequelize.STRING(255), allowNull: true },
+        phone: { type: Sequelize.STRING(50), allowNull: true },
+        notes: { type: Sequelize.TEXT, allowNull: true },
+        created_at: { type: Sequelize.DATE, allowNull: false },
+        updated_at: { type: Sequelize.DATE, allowNull: false },
+        deleted_at: { type: Sequelize.DATE, allowNull: true }
+      });
+    }
+
+    const driverColumns = await queryInterface.describeTable('drivers');
+    if (!driverColumns.transporter_id) {
+      await queryInterface.addColumn('drivers', 'transporter_id', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'transporters', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      });
+    }
+
+    const contractColumns = tables.includes('transporter_contracts')
+      ? await queryInterface.describeTable('transporter_contracts')
+      : {};
+    const migrateContracts = Boolean(contractColumns.transport_company);
+
+    // Every company spelling in use, grouped by normalized name
+    const [driverRows] = await queryInterface.sequelize.query(
+      `SELECT transport_company FROM drivers
+       WHERE transport_company IS NOT NULL AND TRIM(transport_company) <> ''`
+    );
+    const [contractRows] = migrateContracts
+      ? await queryInterface.sequelize.query('SELECT DISTINCT transport_company FROM transporter_contracts')
+      : [[]];
+
+    const groups = new Map();
+    [...driverRows, ...contractRows].forEach(({ transport_company: spelling }) => {
+      const key = helper.normalizeName(spelling);
+      if (!key) return;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(spelling);
+    });
+
+    const now = new Date();
+
+    for (const [normalizedName, spellings] of groups) {
+      const name = helper.pickCanonicalName(spellings);
+
+      const [existing] = await queryInterface.sequelize.query(
+        'SELECT id, name FROM transporters WHERE normalized_name = :normalizedName',
+        { replacements: { normalizedName }, type: Sequelize.QueryTypes.SELECT }
+      );
+
+      let transporterId = existing && existing.id;
+      const transporterName = existing ? existing.name : name;
+
+      if (!transporterId) {
+        await queryInterface.bulkInsert('transporters', [{
+          name,
+          normalized_name: normalizedName,
+          created_at: now,
+          updated_at: now
+        }]);
+
+        const [created] = await queryInterface.sequelize.query(
+          'SELECT id FROM transporters WHERE normalized_name = :normalizedName',
+          { replacements: { normalizedName }, type: Sequelize.QueryTypes.SELECT }
+        );
+        transporterId = created.id;
+      }
+
+      const variants = [...new Set(spellings)];
+
+      await queryInterface.sequelize.query(
+        `UPDATE drivers SET transporter_id = :transporterId, transport_company = :transporterName
+         WHERE transport_company IN (:variants)`,
+        { replacements: { transporterId, transporterName, variants } }
+      );
+
+      if (migrateContracts) {
+        if (!contractColumns.transporter_id) {
+          await queryInterface.addColumn('transporter_contracts', 'transporter_id', {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            references: { model: 'transporters', key: 'id' },
+            onUpdate: 'CASCADE',
+            onDelete: 'CASCADE'
+          });
+          contractColumns.transporter_id = true;
+        }
+
+        await queryInterface.sequelize.query(
+          'UPDATE transporter_contracts SET transporter_id = :transporterId WHERE transport_company IN (:variants)',
+          { replacements: { transporterId, variants } }
+        );
+      }
+    }
+
+    if (migrateContracts) {
+      await queryInterface.removeColumn('transporter_contracts', 'transport_company');
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    // drivers.transport_company still holds each company's name, so only the link is dropped
+    const tables = (await queryInterface.showAllTables())
+      .map(table => (typeof table === 'string' ? table : table.tableName));
+
+    if (tables.includes('transporter_contracts')) {
+      const contractColumns = await queryInterface.describeTable('transporter_contracts');
+
+      if (contractColumns.transporter_id) {
+        if (!contractColumns.transport_company) {
+          await queryInterface.addColumn('transporter_contracts', 'transport_company', {
+            type: Sequelize.STRING(255),
+            allowNull: true
+          });
+        }
+
+        await queryInterface.sequelize.query(
+          `UPDATE transporter_contracts tc
+           JOIN transporters t ON tc.transporter_id = t.id
+           SET tc.transport_company = t.name`
+        );
+
+        await queryInterface.removeColumn('transporter_contracts', 'transporter_id');
+      }
+    }
+
+    const driverColumns = await queryInterface.describeTable('drivers');
+    if (driverColumns.transporter_id) {
+      await queryInterface.removeColumn('drivers', 'transporter_id');
+    }
+
+    if (tables.includes('transporters')) {
+      await queryInterface.dropTable('transporters');
+    }
+  }
+};
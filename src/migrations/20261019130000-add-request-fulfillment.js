@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * Requests can now be delivered in several waves. Adds the fulfillment columns
+ * to transportation_requests and backfills fulfilled_truck_count from the
+ * deliveries already logged (at most one per request until now).
+ *
+ * sync({ alter: true }) also adds the columns, but only this migration fills
+ * fulfilled_truck_count for existing requests; run it with `npm run db:migrate`
+ * before starting the app. A fresh database has no tables yet and is left to sync.
+ *
+ * MySQL commits each schema change as it runs, so there is no transaction to roll
+ * back; every step checks what is already in place, and a failed run can be re-run.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = (await queryInterface.showAllTables())
+      .map(table => (typeof table === 'string' ? table : table.tableName));
+
+    if (!tables.includes('transportation_requests')) {
+      return;
+    }
+
+    const columns = await queryInterface.describeTable('transportation_requests');
+
+    if (!columns.fulfilled_truck_count) {
+      await queryInterface.addColumn('transportation_requests', 'fulfilled_truck_count', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      });
+    }
+
+    if (!columns.closed_short) {
+      await queryInterface.addColumn('transportation_requests', 'closed_short', {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      });
+    }
+
+    if (!columns.closed_short_reason) {
+      await queryInterface.addColumn('transportation_requests', 'closed_short_reason', {
+        type: Sequelize.TEXT,
+        allowNull: true
+      });
+    }
+
+    if (!tables.includes('deliveries')) {
+      return;
+    }
+
+    await queryInterface.sequelize.query(
+      `UPDATE transportation_requests tr
+       JOIN (
+         SELECT request_id, SUM(actual_truck_count) AS fulfilled
+         FROM deliveries
+         WHERE deleted_at IS NULL
+         GROUP BY request_id
+       ) d ON d.request_id = tr.id
+       SET tr.fulfilled_truck_count = d.fulfilled`
+    );
+  },
+
+  async down(queryInterface) {
+    // fulfilled_truck_count can be recomputed from deliveries, so only it is dropped;
+    // closed_short and its reason are kept since they cannot be recovered
+    const columns = await queryInterface.describeTable('transportation_requests');
+
+    if (columns.fulfilled_truck_count) {
+      await queryInterface.removeColumn('transportation_requests', 'fulfilled_truck_count');
+    }
+  }
+};
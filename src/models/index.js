@@ -1,17 +1,31 @@
 const { sequelize, DBconnect } = require("../config/db");
-const { TransportationRequest } = require("../api/request/request.model");
-const { Driver } = require("../api/driver/driver.model");
-const { Delivery, DriverRating } = require("../api/delivery/delivery.model");
+const { TransportationRequest, RequestStatusHistory, RequestNumberSequence, RequestStop } = require("../api/request/request.model");
+const { Driver, DriverAvailability } = require("../api/driver/driver.model");
+const { Delivery, DriverRating, DeliveryStop, DeliveryMilestone, DeliverySignature } = require("../api/delivery/delivery.model");
+const { RecurringRequest } = require("../api/recurring/recurring.model");
+const { RequestTemplate } = require("../api/template/template.model");
+const { RequestImport } = require("../api/import/import.model");
+const { Location } = require("../api/location/location.model");
+const { RateCard } = require("../api/rate/rate.model");
+const { TransporterContract, TransporterContractRate } = require("../api/contract/contract.model");
+const { Transporter } = require("../api/transporter/transporter.model");
+const { Tender, TenderQuote } = require("../api/tender/tender.model");
+const { Assignment } = require("../api/assignment/assignment.model");
+const { Vehicle, DeliveryVehicle } = require("../api/vehicle/vehicle.model");
+const { PositionPing } = require("../api/tracking/tracking.model");
+const { Incident, IncidentDriver, OPEN_INCIDENT_STATUSES } = require("../api/incident/incident.model");
+const { FreightClaim } = require("../api/claim/claim.model");
+const { Attachment } = require("../api/attachment/attachment.model");
 
 /**
  * Define model associations
  * Sets up relationships between models
  */
 const defineAssociations = () => {
-    // TransportationRequest has one Delivery
-    TransportationRequest.hasOne(Delivery, {
+    // TransportationRequest has many Deliveries (a request can be fulfilled in several waves)
+    TransportationRequest.hasMany(Delivery, {
         foreignKey: 'requestId',
-        as: 'Delivery',
+        as: 'Deliveries',
         onDelete: 'CASCADE',
         onUpdate: 'CASCADE'
     });
@@ -23,6 +37,454 @@ const defineAssociations = () => {
         onUpdate: 'CASCADE'
     });
 
+    // TransportationRequest has many status history entries
+    TransportationRequest.hasMany(RequestStatusHistory, {
+        foreignKey: 'requestId',
+        as: 'StatusHistory',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    RequestStatusHistory.belongsTo(TransportationRequest, {
+        foreignKey: 'requestId',
+        as: 'TransportationRequest',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    // TransportationRequest has ordered stops (multi-stop requests)
+    TransportationRequest.hasMany(RequestStop, {
+        foreignKey: 'requestId',
+        as: 'Stops',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    RequestStop.belongsTo(TransportationRequest, {
+        foreignKey: 'requestId',
+        as: 'TransportationRequest',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    RequestStop.belongsTo(Location, {
+        foreignKey: 'locationId',
+        as: 'Location',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+    });
+
+    // Delivery records actual arrival/departure per stop
+    Delivery.hasMany(DeliveryStop, {
+        foreignKey: 'deliveryId',
+        as: 'Stops',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    DeliveryStop.belongsTo(Delivery, {
+        foreignKey: 'deliveryId',
+        as: 'Delivery',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    RequestStop.hasMany(DeliveryStop, {
+        foreignKey: 'stopId',
+        as: 'Actuals',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    DeliveryStop.belongsTo(RequestStop, {
+        foreignKey: 'stopId',
+        as: 'Stop',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    // Delivery has a timeline of milestone events
+    Delivery.hasMany(DeliveryMilestone, {
+        foreignKey: 'deliveryId',
+        as: 'Milestones',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    DeliveryMilestone.belongsTo(Delivery, {
+        foreignKey: 'deliveryId',
+        as: 'Delivery',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    // RecurringRequest has many materialized TransportationRequests
+    RecurringRequest.hasMany(TransportationRequest, {
+        foreignKey: 'recurringRequestId',
+        as: 'Requests',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+    });
+
+    TransportationRequest.belongsTo(RecurringRequest, {
+        foreignKey: 'recurringRequestId',
+        as: 'RecurringRequest',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+    });
+
+    // TransportationRequest references Locations as origin and destination
+    Location.hasMany(TransportationRequest, {
+        foreignKey: 'originLocationId',
+        as: 'OriginRequests',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+    });
+
+    TransportationRequest.belongsTo(Location, {
+        foreignKey: 'originLocationId',
+        as: 'OriginLocation',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+    });
+
+    Location.hasMany(TransportationRequest, {
+        foreignKey: 'destinationLocationId',
+        as: 'DestinationRequests',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+    });
+
+    TransportationRequest.belongsTo(Location, {
+        foreignKey: 'destinationLocationId',
+        as: 'DestinationLocation',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+    });
+
+    // TransportationRequest records the RateCard its estimatedCost was computed with
+    RateCard.hasMany(TransportationRequest, {
+        foreignKey: 'rateCardId',
+        as: 'Requests',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+    });
+
+    TransportationRequest.belongsTo(RateCard, {
+        foreignKey: 'rateCardId',
+        as: 'RateCard',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+    });
+
+    // Transporter (carrier company) has many Drivers
+    Transporter.hasMany(Driver, {
+        foreignKey: 'transporterId',
+        as: 'Drivers',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+    });
+
+    Driver.belongsTo(Transporter, {
+        foreignKey: 'transporterId',
+        as: 'Transporter',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+    });
+
+    // Transporter has many contracts
+    Transporter.hasMany(TransporterContract, {
+        foreignKey: 'transporterId',
+        as: 'Contracts',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    TransporterContract.belongsTo(Transporter, {
+        foreignKey: 'transporterId',
+        as: 'Transporter',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    // TransporterContract has many lane rates
+    TransporterContract.hasMany(TransporterContractRate, {
+        foreignKey: 'contractId',
+        as: 'Rates',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    TransporterContractRate.belongsTo(TransporterContract, {
+        foreignKey: 'contractId',
+        as: 'Contract',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    // TransportationRequest is tendered out to transporters; the awarded one is kept on the request
+    TransportationRequest.hasMany(Tender, {
+        foreignKey: 'requestId',
+        as: 'Tenders',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    Tender.belongsTo(TransportationRequest, {
+        foreignKey: 'requestId',
+        as: 'TransportationRequest',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    TransportationRequest.belongsTo(Transporter, {
+        foreignKey: 'awardedTransporterId',
+        as: 'AwardedTransporter',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+    });
+
+    // Tender has one quote per invited transporter
+    Tender.hasMany(TenderQuote, {
+        foreignKey: 'tenderId',
+        as: 'Quotes',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    TenderQuote.belongsTo(Tender, {
+        foreignKey: 'tenderId',
+        as: 'Tender',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    Transporter.hasMany(TenderQuote, {
+        foreignKey: 'transporterId',
+        as: 'TenderQuotes',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    TenderQuote.belongsTo(Transporter, {
+        foreignKey: 'transporterId',
+        as: 'Transporter',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    // TransportationRequest has planned driver Assignments
+    TransportationRequest.hasMany(Assignment, {
+        foreignKey: 'requestId',
+        as: 'Assignments',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    Assignment.belongsTo(TransportationRequest, {
+        foreignKey: 'requestId',
+        as: 'TransportationRequest',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    Driver.hasMany(Assignment, {
+        foreignKey: 'driverId',
+        as: 'Assignments',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    Assignment.belongsTo(Driver, {
+        foreignKey: 'driverId',
+        as: 'Driver',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    // Transporter owns vehicles; in-house vehicles have no transporter
+    Transporter.hasMany(Vehicle, {
+        foreignKey: 'transporterId',
+        as: 'Vehicles',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+    });
+
+    Vehicle.belongsTo(Transporter, {
+        foreignKey: 'transporterId',
+        as: 'Transporter',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+    });
+
+    // Delivery records the vehicles used
+    Delivery.belongsToMany(Vehicle, {
+        through: DeliveryVehicle,
+        foreignKey: 'deliveryId',
+        otherKey: 'vehicleId',
+        as: 'Vehicles'
+    });
+
+    Vehicle.belongsToMany(Delivery, {
+        through: DeliveryVehicle,
+        foreignKey: 'vehicleId',
+        otherKey: 'deliveryId',
+        as: 'Deliveries'
+    });
+
+    // GPS positions reported for a delivery and/or the vehicle that sent them
+    Delivery.hasMany(PositionPing, {
+        foreignKey: 'deliveryId',
+        as: 'Positions',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    PositionPing.belongsTo(Delivery, {
+        foreignKey: 'deliveryId',
+        as: 'Delivery',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    Vehicle.hasMany(PositionPing, {
+        foreignKey: 'vehicleId',
+        as: 'Positions',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+    });
+
+    PositionPing.belongsTo(Vehicle, {
+        foreignKey: 'vehicleId',
+        as: 'Vehicle',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+    });
+
+    // Delivery has many Incidents; OpenIncidents is the subset still needing action
+    Delivery.hasMany(Incident, {
+        foreignKey: 'deliveryId',
+        as: 'Incidents',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    Delivery.hasMany(Incident, {
+        foreignKey: 'deliveryId',
+        as: 'OpenIncidents',
+        scope: { status: OPEN_INCIDENT_STATUSES },
+        constraints: false
+    });
+
+    Incident.belongsTo(Delivery, {
+        foreignKey: 'deliveryId',
+        as: 'Delivery',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    // Drivers involved in an incident
+    Incident.belongsToMany(Driver, {
+        through: IncidentDriver,
+        foreignKey: 'incidentId',
+        otherKey: 'driverId',
+        as: 'Drivers'
+    });
+
+    Driver.belongsToMany(Incident, {
+        through: IncidentDriver,
+        foreignKey: 'driverId',
+        otherKey: 'incidentId',
+        as: 'Incidents'
+    });
+
+    // Freight claims against a carrier company for a delivery, optionally raised from an incident
+    Delivery.hasMany(FreightClaim, {
+        foreignKey: 'deliveryId',
+        as: 'Claims',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    FreightClaim.belongsTo(Delivery, {
+        foreignKey: 'deliveryId',
+        as: 'Delivery',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    Transporter.hasMany(FreightClaim, {
+        foreignKey: 'transporterId',
+        as: 'Claims',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    FreightClaim.belongsTo(Transporter, {
+        foreignKey: 'transporterId',
+        as: 'Transporter',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    Incident.hasMany(FreightClaim, {
+        foreignKey: 'incidentId',
+        as: 'Claims',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+    });
+
+    FreightClaim.belongsTo(Incident, {
+        foreignKey: 'incidentId',
+        as: 'Incident',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+    });
+
+    // Signed confirmation of a completed request, kept against its latest delivery
+    Delivery.hasOne(DeliverySignature, {
+        foreignKey: 'deliveryId',
+        as: 'Signature',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+    });
+
+    DeliverySignature.belongsTo(Delivery, {
+        foreignKey: 'deliveryId',
+        as: 'Delivery',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+    });
+
+    // Attachments belong to a request, and optionally to one of its deliveries
+    TransportationRequest.hasMany(Attachment, {
+        foreignKey: 'requestId',
+        as: 'Attachments',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    Attachment.belongsTo(TransportationRequest, {
+        foreignKey: 'requestId',
+        as: 'TransportationRequest',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    Delivery.hasMany(Attachment, {
+        foreignKey: 'deliveryId',
+        as: 'Attachments',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    Attachment.belongsTo(Delivery, {
+        foreignKey: 'deliveryId',
+        as: 'Delivery',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
     // Delivery has many DriverRatings
     Delivery.hasMany(DriverRating, {
         foreignKey: 'deliveryId',
@@ -38,6 +500,21 @@ const defineAssociations = () => {
         onUpdate: 'CASCADE'
     });
 
+    // Driver has calendar windows (shifts and time off)
+    Driver.hasMany(DriverAvailability, {
+        foreignKey: 'driverId',
+        as: 'AvailabilityWindows',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    DriverAvailability.belongsTo(Driver, {
+        foreignKey: 'driverId',
+        as: 'Driver',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
     // Driver has many DriverRatings
     Driver.hasMany(DriverRating, {
         foreignKey: 'driverId',
@@ -83,9 +560,34 @@ const initModels = async () => {
 module.exports = {
     sequelize,
     TransportationRequest,
+    RequestStatusHistory,
+    RequestNumberSequence,
+    RequestStop,
     Driver,
+    DriverAvailability,
     Delivery,
     DriverRating,
+    DeliveryStop,
+    DeliveryMilestone,
+    DeliverySignature,
+    RecurringRequest,
+    RequestTemplate,
+    RequestImport,
+    Location,
+    RateCard,
+    Transporter,
+    TransporterContract,
+    TransporterContractRate,
+    Tender,
+    TenderQuote,
+    Assignment,
+    Vehicle,
+    DeliveryVehicle,
+    PositionPing,
+    Incident,
+    IncidentDriver,
+    FreightClaim,
+    Attachment,
     initModels,
     defineAssociations
 };
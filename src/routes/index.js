@@ -4,6 +4,18 @@ const requestRoutes = require('../api/request/request.routes');
 const driverRoutes = require('../api/driver/driver.routes');
 const dashboardRoutes = require('../api/dashboard/dashboard.routes');
 const deliveryRoutes = require('../api/delivery/delivery.routes');
+const recurringRoutes = require('../api/recurring/recurring.routes');
+const templateRoutes = require('../api/template/template.routes');
+const locationRoutes = require('../api/location/location.routes');
+const rateRoutes = require('../api/rate/rate.routes');
+const contractRoutes = require('../api/contract/contract.routes');
+const transporterRoutes = require('../api/transporter/transporter.routes');
+const tenderRoutes = require('../api/tender/tender.routes');
+const vehicleRoutes = require('../api/vehicle/vehicle.routes');
+const trackingRoutes = require('../api/tracking/tracking.routes');
+const incidentRoutes = require('../api/incident/incident.routes');
+const claimRoutes = require('../api/claim/claim.routes');
+const attachmentRoutes = require('../api/attachment/attachment.routes');
 
 /**
  * Main API Routes
@@ -13,6 +25,42 @@ const deliveryRoutes = require('../api/delivery/delivery.routes');
 // Transportation Request Management Routes
 router.use('/requests', requestRoutes);
 
+// Request Templates
+router.use('/request-templates', templateRoutes);
+
+// Locations (origin/destination sites with coordinates)
+router.use('/locations', locationRoutes);
+
+// Rate Cards (cost estimation)
+router.use('/rate-cards', rateRoutes);
+
+// Transporters (carrier companies)
+router.use('/transporters', transporterRoutes);
+
+// Transporter Contracts (contracted lane rates)
+router.use('/transporter-contracts', contractRoutes);
+
+// Tenders (transporter quotes for a request)
+router.use('/tenders', tenderRoutes);
+
+// Vehicles (fleet registry)
+router.use('/vehicles', vehicleRoutes);
+
+// GPS position ingestion
+router.use('/tracking', trackingRoutes);
+
+// Delivery incidents (damage, accidents, shortages, refused loads, safety)
+router.use('/incidents', incidentRoutes);
+
+// Freight claims against carrier companies
+router.use('/claims', claimRoutes);
+
+// File attachments (uploaded under /requests/:id and /deliveries/:id)
+router.use('/attachments', attachmentRoutes);
+
+// Recurring Request Definitions
+router.use('/recurring-requests', recurringRoutes);
+
 // Driver Management Routes
 router.use('/drivers', driverRoutes);
 
@@ -46,6 +94,17 @@ router.get('/health', (req, res) => {
         version: '1.0.0',
         availableModules: [
             'Transportation Request Management',
+            'Recurring Requests',
+            'Locations',
+            'Rate Cards',
+            'Transporters',
+            'Transporter Contracts',
+            'Tenders',
+            'Vehicles',
+            'Tracking',
+            'Incidents',
+            'Freight Claims',
+            'Attachments',
             'Driver Management',
             'Delivery Management',
             'Executive Dashboard'
@@ -62,6 +121,18 @@ router.get('/', (req, res) => {
         version: '1.0.0',
         endpoints: {
             'Transportation Requests': '/api/requests',
+            'Request Templates': '/api/request-templates',
+            'Recurring Requests': '/api/recurring-requests',
+            'Locations': '/api/locations',
+            'Rate Cards': '/api/rate-cards',
+            'Transporters': '/api/transporters',
+            'Transporter Contracts': '/api/transporter-contracts',
+            'Tenders': '/api/tenders',
+            'Vehicles': '/api/vehicles',
+            'Tracking': '/api/tracking',
+            'Incidents': '/api/incidents',
+            'Freight Claims': '/api/claims',
+            'Attachments': '/api/attachments',
             'Driver Management': '/api/drivers',
             'Delivery Management': '/api/deliveries',
             'Executive Dashboard': '/api/dashboard',
@@ -73,8 +144,22 @@ router.get('/', (req, res) => {
                 description: 'Transportation request management system',
                 endpoints: [
                     'GET /api/requests - List all requests',
-                    'POST /api/requests - Create new request',
-                    'GET /api/requests/:id - Get request details',
+                    'POST /api/requests - Create new request (estimatedCost defaults to the rate card estimate; optional ordered pickup/drop-off stops)',
+                    'POST /api/requests/estimate - Estimate cost from distance, truck type/count and urgency',
+                    'POST /api/requests/from-template/:templateId - Create request from template',
+                    'POST /api/requests/:id/clone - Clone request with a fresh number',
+                    'POST /api/requests/import - Import requests from CSV/XLSX (dryRun, mode, columnMapping)',
+                    'GET /api/requests/imports - List import reports',
+                    'GET /api/requests/imports/:importId - Get import report',
+                    'GET /api/requests/export - Export requests as CSV/XLSX (same filters as the list, format=csv|xlsx)',
+                    'GET /api/requests/:id - Get request details (with the predicted arrival while active)',
+                    'GET /api/requests/:id/history - Get request status history',
+                    'GET /api/requests/:id/report.pdf - Printable delivery report (PDF)',
+                    'POST /api/requests/:id/tenders - Tender request to selected transporters',
+                    'GET /api/requests/:id/tenders - List tenders with quotes',
+                    'POST /api/requests/:id/assignments - Assign drivers ahead of pickup (rejects double-booked, off-shift or on-leave drivers)',
+                    'GET /api/requests/:id/assignments - List driver assignments',
+                    'DELETE /api/requests/:id/assignments/:assignmentId - Release a planned assignment',
                     'PUT /api/requests/:id - Update request',
                     'DELETE /api/requests/:id - Delete request',
                     'POST /api/requests/:id/delivery - Log delivery completion',
@@ -84,35 +169,173 @@ router.get('/', (req, res) => {
                     'GET /api/requests/performance/summary - Performance summary'
                 ]
             },
+            'request-templates': {
+                description: 'Reusable request presets',
+                endpoints: [
+                    'GET /api/request-templates - List templates',
+                    'POST /api/request-templates - Create template',
+                    'GET /api/request-templates/:id - Get template',
+                    'PUT /api/request-templates/:id - Update template',
+                    'DELETE /api/request-templates/:id - Delete template'
+                ]
+            },
+            'locations': {
+                description: 'Named sites with address and coordinates; requests can reference them as origin/destination',
+                endpoints: [
+                    'GET /api/locations - List locations',
+                    'POST /api/locations - Create location',
+                    'GET /api/locations/:id - Get location',
+                    'PUT /api/locations/:id - Update location',
+                    'DELETE /api/locations/:id - Delete location',
+                    'GET /api/locations/distance?fromLocationId=&toLocationId= - Estimate road distance (haversine x road factor)'
+                ]
+            },
+            'rate-cards': {
+                description: 'Versioned pricing rules for the cost estimation engine; only drafts are editable',
+                endpoints: [
+                    'GET /api/rate-cards - List rate cards',
+                    'POST /api/rate-cards - Create draft rate card (next version)',
+                    'GET /api/rate-cards/:id - Get rate card',
+                    'PUT /api/rate-cards/:id - Update draft rate card',
+                    'POST /api/rate-cards/:id/activate - Activate draft rate card',
+                    'POST /api/rate-cards/:id/retire - Retire active rate card'
+                ]
+            },
+            'transporters': {
+                description: 'Carrier companies; transporter drivers link to one, matched by normalized company name',
+                endpoints: [
+                    'GET /api/transporters - List transporters',
+                    'POST /api/transporters - Create transporter',
+                    'GET /api/transporters/:id - Get transporter with its drivers',
+                    'PUT /api/transporters/:id - Update transporter (renames propagate to drivers)',
+                    'DELETE /api/transporters/:id - Delete transporter without drivers'
+                ]
+            },
+            'transporter-contracts': {
+                description: 'Contracted rates per transporter: lanes, truck types, validity window, fuel surcharge and minimum charge',
+                endpoints: [
+                    'GET /api/transporter-contracts - List contracts (transporterId, status, activeOn)',
+                    'POST /api/transporter-contracts - Create contract with rates',
+                    'GET /api/transporter-contracts/:id - Get contract',
+                    'PUT /api/transporter-contracts/:id - Update contract (rates replace all rates)',
+                    'DELETE /api/transporter-contracts/:id - Delete contract'
+                ]
+            },
+            'tenders': {
+                description: 'Quotes from invited transporters; the accepted price becomes the request contracted cost used for cost variance',
+                endpoints: [
+                    'GET /api/tenders/:id - Get tender with quotes',
+                    'POST /api/tenders/:id/quotes - Submit or revise a transporter quote (price, trucksAvailable, committedPickupDateTime)',
+                    'POST /api/tenders/:id/quotes/:quoteId/accept - Accept quote and reject the others',
+                    'POST /api/tenders/:id/cancel - Cancel open tender'
+                ]
+            },
+            'vehicles': {
+                description: 'Fleet registry: plate, truck type, capacity, in-house or transporter owned, status and maintenance due dates',
+                endpoints: [
+                    'GET /api/vehicles - List vehicles (search, truckType, ownership, transporterId, status, maintenanceDueBy)',
+                    'POST /api/vehicles - Register vehicle',
+                    'GET /api/vehicles/:id - Get vehicle',
+                    'PUT /api/vehicles/:id - Update vehicle',
+                    'DELETE /api/vehicles/:id - Delete vehicle'
+                ]
+            },
+            'tracking': {
+                description: 'GPS position ingestion; a processing request moves to in_transit on its first position',
+                endpoints: [
+                    'POST /api/tracking/positions - Ingest a batch of positions (lat, lng, speed, timestamp) for a deliveryId or vehicleId',
+                    'GET /api/deliveries/:id/track?since= - Delivery path as GeoJSON with the last known position'
+                ]
+            },
+            'incidents': {
+                description: 'Damage, accidents, shortages, refused loads and safety incidents on deliveries, with severity, involved drivers and resolution status',
+                endpoints: [
+                    'GET /api/incidents - List incidents (deliveryId, driverId, type, severity, status)',
+                    'POST /api/incidents - Report an incident against a delivery',
+                    'GET /api/incidents/:id - Get incident',
+                    'PUT /api/incidents/:id - Update an incident or its resolution status (resolving needs resolutionNotes)'
+                ]
+            },
+            'claims': {
+                description: 'Freight claims against a carrier company for a delivery: claimed amount, evidence, review, settlement and payment',
+                endpoints: [
+                    'GET /api/claims - List claims (deliveryId, transporterId, incidentId, status)',
+                    'POST /api/claims - Submit a claim against a transporter for a delivery, optionally from an incident',
+                    'GET /api/claims/:id - Get claim',
+                    'PUT /api/claims/:id - Edit an undecided claim or move it to under_review, accepted (needs settlementAmount), rejected (needs decisionNotes) or paid'
+                ]
+            },
+            'attachments': {
+                description: 'Signed POD, photos, invoices and bills of lading on requests and deliveries, with type/size checks and SHA-256 checksums',
+                endpoints: [
+                    'POST /api/requests/:id/attachments - Upload to a request (multipart "file", category, description)',
+                    'GET /api/requests/:id/attachments - Request and delivery attachments (category)',
+                    'POST /api/deliveries/:id/attachments - Upload to a delivery (multipart "file", category, description)',
+                    'GET /api/deliveries/:id/attachments - Delivery attachments (category)',
+                    'GET /api/attachments/:id - Get attachment metadata',
+                    'GET /api/attachments/:id/download - Download the file',
+                    'DELETE /api/attachments/:id - Delete an attachment and its file'
+                ]
+            },
+            'recurring-requests': {
+                description: 'Recurring request definitions materialized ahead of time by a scheduler',
+                endpoints: [
+                    'GET /api/recurring-requests - List recurring requests',
+                    'POST /api/recurring-requests - Create recurring request',
+                    'GET /api/recurring-requests/:id - Get recurring request',
+                    'PUT /api/recurring-requests/:id - Edit recurring request',
+                    'POST /api/recurring-requests/:id/pause - Pause recurring request',
+                    'POST /api/recurring-requests/:id/resume - Resume recurring request',
+                    'GET /api/recurring-requests/:id/preview?count=N - Preview next N occurrences',
+                    'POST /api/recurring-requests/:id/materialize - Materialize occurrences now'
+                ]
+            },
             'drivers': {
                 description: 'Driver management and performance tracking',
                 endpoints: [
                     'GET /api/drivers - List all drivers',
+                    'GET /api/drivers/available?from=&to=&truckType= - Drivers free for the window, best rated first',
                     'POST /api/drivers - Create new driver',
                     'GET /api/drivers/:id - Get driver details',
                     'PUT /api/drivers/:id - Update driver',
                     'DELETE /api/drivers/:id - Delete driver',
                     'GET /api/drivers/:id/ratings - Get driver ratings',
-                    'GET /api/drivers/:id/insights - Get AI-powered driver insights'
+                    'GET /api/drivers/:id/availability?from=&to= - Get shifts and time off',
+                    'POST /api/drivers/:id/availability - Add shift, leave, sick or unavailable window',
+                    'DELETE /api/drivers/:id/availability/:windowId - Remove availability window',
+                    'GET /api/drivers/:id/insights - Get AI-powered driver insights (risk includes incidents)'
                 ]
             },
             'deliveries': {
                 description: 'Delivery logging and management system',
                 endpoints: [
-                    'POST /api/deliveries/:requestId/log - Log delivery with drivers and ratings',
-                    'POST /api/deliveries/:requestId/confirm - Confirm delivery completion',
-                    'GET /api/deliveries/request/:requestId - Get delivery by request ID',
+                    'POST /api/deliveries/:requestId/log - Log a delivery (one per wave until every requested truck is delivered) with drivers, ratings, vehicles and per-stop arrival/departure times',
+                    'POST /api/deliveries/:requestId/confirm - Confirm delivery completion (closeShort with a reason when partially fulfilled; pod attachment and signature when required)',
+                    'GET /api/deliveries?requestId=:requestId - List the deliveries of a request (each with its open incidents)',
+                    'GET /api/deliveries/:id/edit - Get a delivery for editing',
+                    'PUT /api/deliveries/:id - Update a delivery',
+                    'GET /api/deliveries/:id/milestones - Delivery milestone timeline with arrival on-time evaluation',
+                    'POST /api/deliveries/:id/milestones - Record a milestone (arrived_at_pickup, loaded, departed, arrived_at_destination, unloaded; departed moves the request to in_transit)',
+                    'GET /api/deliveries/:id/track - Delivery path as GeoJSON with the last known position',
+                    'GET /api/deliveries/request/:requestId - Get the request\'s most recent delivery',
+                    'GET /api/deliveries/request/:requestId/draft - Delivery logging payload pre-filled from driver assignments',
+                    'GET /api/deliveries/delay-reasons - Delay reason codes (one is required when logging a late pickup)',
                     'GET /api/deliveries/stats - Get delivery statistics',
+                    'GET /api/deliveries/export - Export deliveries as CSV/XLSX (startDate, endDate, format)',
+                    'GET /api/deliveries/ratings/export - Export driver ratings as CSV/XLSX (driverId, startDate, endDate, format)',
                     'GET /api/deliveries/health - Delivery service health check'
                 ]
             },
             'dashboard': {
                 description: 'Executive dashboard with KPIs, trends, and AI insights',
                 endpoints: [
-                    'GET /api/dashboard/kpi?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD - KPI metrics',
+                    'GET /api/dashboard/kpi?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD - KPI metrics (on-time pickup and on-time arrival, cost variance, utilization, driver performance)',
                     'GET /api/dashboard/trends?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD - Performance trends',
                     'GET /api/dashboard/ai-insights?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD - AI insights',
-                    'GET /api/dashboard/transporter-comparison?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD - Transporter ranking',
+                    'GET /api/dashboard/transporter-comparison?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD - Carrier company ranking with variance vs estimate and vs contracted rate, and net claim costs',
+                    'GET /api/dashboard/fleet-utilization?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD - Per-vehicle fleet utilization',
+                    'GET /api/dashboard/delay-breakdown?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD - Late pickup minutes by delay reason, transporter and lane',
+                    'GET /api/dashboard/at-risk-requests - Active requests predicted to miss their pickup or arrival window',
                     'GET /api/dashboard/health - Dashboard health check'
                 ]
             }
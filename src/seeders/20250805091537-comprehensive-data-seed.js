@@ -9,6 +9,13 @@ module.exports = {
     const oneWeekAgo = new Date(currentDate.getTime() - 7 * 24 * 60 * 60 * 1000);
     const tomorrow = new Date(currentDate.getTime() + 24 * 60 * 60 * 1000);
 
+    // Insert Transporters (carrier companies)
+    await queryInterface.bulkInsert('transporters', [
+      { id: 1, name: 'Swift Transportation', normalized_name: 'swift transportation', created_at: oneMonthAgo, updated_at: oneMonthAgo },
+      { id: 2, name: 'Express Logistics', normalized_name: 'express logistics', created_at: oneMonthAgo, updated_at: oneMonthAgo },
+      { id: 3, name: 'Roadway Express', normalized_name: 'roadway express', created_at: oneMonthAgo, updated_at: oneMonthAgo }
+    ], {});
+
     // Insert Drivers
     await queryInterface.bulkInsert('drivers', [
       {
@@ -16,6 +23,7 @@ module.exports = {
         name: 'John Smith',
         type: 'transporter',
         transport_company: 'Swift Transportation',
+        transporter_id: 1,
         phone: '555-0101',
         license_number: 'CDL-TX-001234',
         employee_id: null,
@@ -32,6 +40,7 @@ module.exports = {
         name: 'Maria Rodriguez',
         type: 'in_house',
         transport_company: null,
+        transporter_id: null,
         phone: '555-0102',
         license_number: 'CDL-TX-001235',
         employee_id: 'EMP-2024-001',
@@ -48,6 +57,7 @@ module.exports = {
         name: 'Ahmed Hassan',
         type: 'transporter',
         transport_company: 'Express Logistics',
+        transporter_id: 2,
         phone: '555-0103',
         license_number: 'CDL-TX-001236',
         employee_id: null,
@@ -64,6 +74,7 @@ module.exports = {
         name: 'Sarah Johnson',
         type: 'in_house',
         transport_company: null,
+        transporter_id: null,
         phone: '555-0104',
         license_number: 'CDL-TX-001237',
         employee_id: 'EMP-2024-002',
@@ -80,6 +91,7 @@ module.exports = {
         name: 'Mike Thompson',
         type: 'transporter',
         transport_company: 'Roadway Express',
+        transporter_id: 3,
         phone: '555-0105',
         license_number: 'CDL-TX-001238',
         employee_id: null,
@@ -96,6 +108,7 @@ module.exports = {
         name: 'Lisa Chang',
         type: 'in_house',
         transport_company: null,
+        transporter_id: null,
         phone: '555-0106',
         license_number: 'CDL-TX-001239',
         employee_id: 'EMP-2024-003',
@@ -440,5 +453,6 @@ module.exports = {
     await queryInterface.bulkDelete('deliveries', null, {});
     await queryInterface.bulkDelete('transportation_requests', null, {});
     await queryInterface.bulkDelete('drivers', null, {});
+    await queryInterface.bulkDelete('transporters', null, {});
   }
 };
\ No newline at end of file
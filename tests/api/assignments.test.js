@@ -0,0 +1,228 @@
+const request = require('supertest');
+const app = require('../../app');
+
+describe('Assignment API Endpoints', () => {
+  const hoursFromNow = hours => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+  let driverId;
+
+  const createRequest = async (pickUpDateTime, overrides = {}) => {
+    const response = await request(app)
+      .post('/api/requests')
+      .send({
+        origin: 'Dallas, TX',
+        destination: 'Houston, TX',
+        pickUpDateTime,
+        truckCount: 1,
+        estimatedCost: 800,
+        ...overrides
+      })
+      .expect(201);
+
+    return response.body.data;
+  };
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/drivers')
+      .send({
+        name: 'Assignment Test Driver',
+        type: 'in_house',
+        employeeId: `EMP-${Date.now()}`,
+        department: 'Logistics',
+        hireDate: '2024-01-01'
+      })
+      .expect(201);
+
+    driverId = response.body.data.id;
+  });
+
+  describe('POST /api/requests/:id/assignments', () => {
+    it('should assign a driver for the default window and mark the request assigned', async () => {
+      const transportRequest = await createRequest(hoursFromNow(24));
+
+      const response = await request(app)
+        .post(`/api/requests/${transportRequest.id}/assignments`)
+        .send({ driverIds: [driverId], assignedBy: 'dispatcher' })
+        .expect(201);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].status).toBe('planned');
+      expect(new Date(response.body.data[0].startsAt).toISOString()).toBe(new Date(transportRequest.pickUpDateTime).toISOString());
+
+      const updated = await request(app).get(`/api/requests/${transportRequest.id}`).expect(200);
+      expect(updated.body.data.status).toBe('assigned');
+    });
+
+    it('should reject a driver double-booked in an overlapping window', async () => {
+      const first = await createRequest(hoursFromNow(48));
+      const second = await createRequest(hoursFromNow(50));
+
+      await request(app)
+        .post(`/api/requests/${first.id}/assignments`)
+        .send({ driverIds: [driverId] })
+        .expect(201);
+
+      const response = await request(app)
+        .post(`/api/requests/${second.id}/assignments`)
+        .send({ driverIds: [driverId] })
+        .expect(400);
+
+      expect(response.body.code).toBe('ASSIGNMENT_CONFLICT');
+      expect(response.body.conflicts[0].requestId).toBe(first.id);
+    });
+
+    it('should allow back-to-back windows', async () => {
+      const first = await createRequest(hoursFromNow(72));
+      const second = await createRequest(hoursFromNow(74));
+
+      await request(app)
+        .post(`/api/requests/${first.id}/assignments`)
+        .send({ driverIds: [driverId], startsAt: first.pickUpDateTime, endsAt: second.pickUpDateTime })
+        .expect(201);
+
+      await request(app)
+        .post(`/api/requests/${second.id}/assignments`)
+        .send({ driverIds: [driverId] })
+        .expect(201);
+    });
+
+    it('should reject an unknown driver', async () => {
+      const transportRequest = await createRequest(hoursFromNow(96));
+
+      await request(app)
+        .post(`/api/requests/${transportRequest.id}/assignments`)
+        .send({ driverIds: [999999] })
+        .expect(400);
+    });
+  });
+
+  describe('DELETE /api/requests/:id/assignments/:assignmentId', () => {
+    it('should free the driver for other requests', async () => {
+      const first = await createRequest(hoursFromNow(120));
+      const second = await createRequest(hoursFromNow(121));
+
+      const assigned = await request(app)
+        .post(`/api/requests/${first.id}/assignments`)
+        .send({ driverIds: [driverId] })
+        .expect(201);
+
+      await request(app)
+        .delete(`/api/requests/${first.id}/assignments/${assigned.body.data[0].id}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/api/requests/${second.id}/assignments`)
+        .send({ driverIds: [driverId] })
+        .expect(201);
+    });
+  });
+
+  describe('Cancelling an assigned request', () => {
+    it('should release its assignments so the driver is available again', async () => {
+      const name = `Cancelled Request Driver ${Date.now()}`;
+      const driver = await request(app)
+        .post('/api/drivers')
+        .send({ name, type: 'in_house', employeeId: `EMP-${Date.now()}-c`, department: 'Logistics', hireDate: '2024-01-01' })
+        .expect(201);
+
+      const transportRequest = await createRequest(hoursFromNow(168));
+
+      await request(app)
+        .post(`/api/requests/${transportRequest.id}/assignments`)
+        .send({ driverIds: [driver.body.data.id] })
+        .expect(201);
+
+      const availableIds = async () => {
+        const response = await request(app)
+          .get(`/api/drivers/available?from=${hoursFromNow(168)}&to=${hoursFromNow(170)}&search=${encodeURIComponent(name)}`)
+          .expect(200);
+
+        return response.body.data.map(available => available.id);
+      };
+
+      expect(await availableIds()).not.toContain(driver.body.data.id);
+
+      await request(app)
+        .put(`/api/requests/${transportRequest.id}`)
+        .send({ status: 'cancelled', statusReason: 'Customer cancelled' })
+        .expect(200);
+
+      const assignments = await request(app)
+        .get(`/api/requests/${transportRequest.id}/assignments`)
+        .expect(200);
+
+      expect(assignments.body.data[0].status).toBe('released');
+      expect(await availableIds()).toContain(driver.body.data.id);
+    });
+  });
+
+  describe('Delivery waves', () => {
+    const logWave = (requestId, waveDriverId) => request(app)
+      .post(`/api/deliveries/${requestId}/log`)
+      .send({
+        actualPickupDateTime: new Date().toISOString(),
+        actualTruckCount: 1,
+        invoiceAmount: 400,
+        drivers: [{ driver_id: waveDriverId, punctuality: 4, professionalism: 4, overall: 4 }]
+      })
+      .expect(201);
+
+    it('should keep later-wave drivers booked until every truck is delivered', async () => {
+      const transportRequest = await createRequest(hoursFromNow(1), { truckCount: 2 });
+
+      const secondDriver = await request(app)
+        .post('/api/drivers')
+        .send({
+          name: 'Second Wave Driver',
+          type: 'in_house',
+          employeeId: `EMP-${Date.now()}-2`,
+          department: 'Logistics',
+          hireDate: '2024-01-01'
+        })
+        .expect(201);
+
+      await request(app)
+        .post(`/api/requests/${transportRequest.id}/assignments`)
+        .send({ driverIds: [driverId, secondDriver.body.data.id] })
+        .expect(201);
+
+      await logWave(transportRequest.id, driverId);
+
+      let response = await request(app)
+        .get(`/api/requests/${transportRequest.id}/assignments`)
+        .expect(200);
+
+      const statusOf = id => response.body.data.find(assignment => assignment.driverId === id).status;
+      expect(statusOf(driverId)).toBe('completed');
+      expect(statusOf(secondDriver.body.data.id)).toBe('planned');
+
+      await logWave(transportRequest.id, secondDriver.body.data.id);
+
+      response = await request(app)
+        .get(`/api/requests/${transportRequest.id}/assignments`)
+        .expect(200);
+
+      expect(statusOf(secondDriver.body.data.id)).toBe('completed');
+    });
+  });
+
+  describe('GET /api/deliveries/request/:requestId/draft', () => {
+    it('should pre-fill the delivery payload from the assignments', async () => {
+      const transportRequest = await createRequest(hoursFromNow(144), { truckCount: 2 });
+
+      await request(app)
+        .post(`/api/requests/${transportRequest.id}/assignments`)
+        .send({ driverIds: [driverId] })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/deliveries/request/${transportRequest.id}/draft`)
+        .expect(200);
+
+      expect(response.body.data.actualTruckCount).toBe(2);
+      expect(response.body.data.invoiceAmount).toBe(800);
+      expect(response.body.data.drivers).toEqual([{ driver_id: driverId, name: 'Assignment Test Driver' }]);
+    });
+  });
+});
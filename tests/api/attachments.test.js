@@ -0,0 +1,123 @@
+const request = require('supertest');
+const crypto = require('crypto');
+const app = require('../../app');
+const config = require('../../src/config/config');
+const { logDelivery } = require('../helpers/deliveryFixtures');
+
+describe('Attachment API Endpoints', () => {
+  const podContent = Buffer.from('%PDF-1.4 signed proof of delivery');
+
+  const uploadPod = (deliveryId) => request(app)
+    .post(`/api/deliveries/${deliveryId}/attachments`)
+    .field('category', 'pod')
+    .attach('file', podContent, { filename: 'signed-pod.pdf', contentType: 'application/pdf' });
+
+  describe('POST /api/deliveries/:id/attachments', () => {
+    it('should store the file with its checksum and download it again', async () => {
+      const { delivery } = await logDelivery();
+
+      const uploaded = await uploadPod(delivery.id).expect(201);
+      const attachment = uploaded.body.data;
+
+      expect(attachment.requestId).toBe(delivery.requestId);
+      expect(attachment.sizeBytes).toBe(podContent.length);
+      expect(attachment.checksum).toBe(crypto.createHash('sha256').update(podContent).digest('hex'));
+
+      const downloaded = await request(app)
+        .get(`/api/attachments/${attachment.id}/download`)
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        })
+        .expect(200);
+
+      expect(downloaded.headers['content-type']).toContain('application/pdf');
+      expect(downloaded.headers['x-checksum-sha256']).toBe(attachment.checksum);
+      expect(Buffer.compare(downloaded.body, podContent)).toBe(0);
+    });
+
+    it('should reject an unsupported file type', async () => {
+      const { delivery } = await logDelivery();
+
+      await request(app)
+        .post(`/api/deliveries/${delivery.id}/attachments`)
+        .field('category', 'photo')
+        .attach('file', Buffer.from('MZ'), { filename: 'tool.exe', contentType: 'application/x-msdownload' })
+        .expect(400);
+    });
+
+    it('should require a file and a category', async () => {
+      const { delivery } = await logDelivery();
+
+      await request(app)
+        .post(`/api/deliveries/${delivery.id}/attachments`)
+        .field('category', 'pod')
+        .expect(400);
+
+      await request(app)
+        .post(`/api/deliveries/${delivery.id}/attachments`)
+        .attach('file', podContent, { filename: 'signed-pod.pdf', contentType: 'application/pdf' })
+        .expect(400);
+    });
+
+    it('should return 404 for a non-existent delivery', async () => {
+      await uploadPod(999999).expect(404);
+    });
+  });
+
+  describe('GET /api/requests/:id/attachments', () => {
+    it('should list delivery attachments with the request', async () => {
+      const { delivery } = await logDelivery();
+      const uploaded = await uploadPod(delivery.id).expect(201);
+
+      const response = await request(app)
+        .get(`/api/requests/${delivery.requestId}/attachments?category=pod`)
+        .expect(200);
+
+      expect(response.body.data.map(attachment => attachment.id)).toEqual([uploaded.body.data.id]);
+    });
+  });
+
+  describe('DELETE /api/attachments/:id', () => {
+    it('should delete the attachment', async () => {
+      const { delivery } = await logDelivery();
+      const uploaded = await uploadPod(delivery.id).expect(201);
+
+      await request(app)
+        .delete(`/api/attachments/${uploaded.body.data.id}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/attachments/${uploaded.body.data.id}`)
+        .expect(404);
+    });
+  });
+
+  describe('Proof of delivery before completion', () => {
+    const requirePod = config.attachments.requirePodForCompletion;
+
+    beforeAll(() => {
+      config.attachments.requirePodForCompletion = true;
+    });
+
+    afterAll(() => {
+      config.attachments.requirePodForCompletion = requirePod;
+    });
+
+    it('should only confirm completion once a pod is attached', async () => {
+      const { delivery } = await logDelivery();
+
+      await request(app)
+        .post(`/api/deliveries/${delivery.requestId}/confirm`)
+        .expect(400);
+
+      await uploadPod(delivery.id).expect(201);
+
+      await request(app)
+        .post(`/api/deliveries/${delivery.requestId}/confirm`)
+        .expect(200);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const request = require('supertest');
+const app = require('../../app');
+const { logDelivery } = require('../helpers/deliveryFixtures');
+
+describe('Freight Claim API Endpoints', () => {
+  const createTransporter = async () => {
+    const response = await request(app)
+      .post('/api/transporters')
+      .send({ name: `Claims Freight ${Date.now()}-${Math.random()}` })
+      .expect(201);
+
+    return response.body.data.id;
+  };
+
+  const submitClaim = async (overrides = {}) => {
+    const { delivery } = await logDelivery();
+    const transporterId = await createTransporter();
+
+    const response = await request(app)
+      .post('/api/claims')
+      .send({
+        deliveryId: delivery.id,
+        transporterId,
+        claimedAmount: 500,
+        description: 'Two cartons crushed in transit',
+        evidence: [{ description: 'Photos at the dock', url: 'https://files.example.com/claims/1.zip' }],
+        ...overrides
+      })
+      .expect(201);
+
+    return response.body.data;
+  };
+
+  describe('POST /api/claims', () => {
+    it('should submit a claim with its evidence', async () => {
+      const claim = await submitClaim();
+
+      expect(claim.status).toBe('submitted');
+      expect(claim.claimedAmount).toBe(500);
+      expect(claim.evidence).toHaveLength(1);
+      expect(claim.netCost).toBe(0);
+    });
+
+    it('should reject an unknown transporter', async () => {
+      const { delivery } = await logDelivery();
+
+      await request(app)
+        .post('/api/claims')
+        .send({ deliveryId: delivery.id, transporterId: 999999, claimedAmount: 100, description: 'One carton short' })
+        .expect(400);
+    });
+
+    it('should reject an incident from another delivery', async () => {
+      const { delivery } = await logDelivery();
+      const { delivery: otherDelivery } = await logDelivery();
+      const transporterId = await createTransporter();
+
+      const incident = await request(app)
+        .post('/api/incidents')
+        .send({ deliveryId: otherDelivery.id, type: 'damage', severity: 'low', description: 'Scuffed packaging' })
+        .expect(201);
+
+      await request(app)
+        .post('/api/claims')
+        .send({
+          deliveryId: delivery.id,
+          transporterId,
+          incidentId: incident.body.data.id,
+          claimedAmount: 100,
+          description: 'Scuffed packaging'
+        })
+        .expect(400);
+    });
+  });
+
+  describe('PUT /api/claims/:id', () => {
+    it('should accept a claim with a settlement and then mark it paid', async () => {
+      const claim = await submitClaim();
+
+      await request(app)
+        .put(`/api/claims/${claim.id}`)
+        .send({ status: 'accepted' })
+        .expect(400);
+
+      const accepted = await request(app)
+        .put(`/api/claims/${claim.id}`)
+        .send({ status: 'accepted', settlementAmount: 400 })
+        .expect(200);
+
+      expect(accepted.body.data.netCost).toBe(400);
+      expect(accepted.body.data.decidedAt).not.toBeNull();
+
+      const paid = await request(app)
+        .put(`/api/claims/${claim.id}`)
+        .send({ status: 'paid' })
+        .expect(200);
+
+      expect(paid.body.data.status).toBe('paid');
+      expect(paid.body.data.paidAt).not.toBeNull();
+    });
+
+    it('should not settle for more than was claimed', async () => {
+      const claim = await submitClaim();
+
+      await request(app)
+        .put(`/api/claims/${claim.id}`)
+        .send({ status: 'accepted', settlementAmount: 600 })
+        .expect(400);
+    });
+
+    it('should not pay or edit a rejected claim', async () => {
+      const claim = await submitClaim();
+
+      await request(app)
+        .put(`/api/claims/${claim.id}`)
+        .send({ status: 'rejected', decisionNotes: 'Damage noted on the bill of lading at pickup' })
+        .expect(200);
+
+      await request(app)
+        .put(`/api/claims/${claim.id}`)
+        .send({ status: 'paid' })
+        .expect(400);
+
+      await request(app)
+        .put(`/api/claims/${claim.id}`)
+        .send({ claimedAmount: 300 })
+        .expect(400);
+    });
+
+    it('should return 404 for a non-existent claim', async () => {
+      await request(app)
+        .put('/api/claims/999999')
+        .send({ status: 'under_review' })
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const request = require('supertest');
+const app = require('../../app');
+
+describe('Transporter Contract API Endpoints', () => {
+  let transporterId;
+
+  const createTransporter = async () => {
+    const response = await request(app)
+      .post('/api/transporters')
+      .send({ name: `Acme Freight ${Date.now()}-${Math.random()}` })
+      .expect(201);
+
+    return response.body.data.id;
+  };
+
+  beforeEach(async () => {
+    transporterId = await createTransporter();
+  });
+
+  const contractPayload = (overrides = {}) => ({
+    transporterId,
+    validFrom: '2026-01-01',
+    validTo: '2026-12-31',
+    fuelSurchargeType: 'percentage',
+    fuelSurchargeValue: 12.5,
+    minimumCharge: 300,
+    rates: [
+      { rateType: 'per_mile', rate: 2.1 },
+      { origin: 'Dallas, TX', destination: 'Houston, TX', truckType: 'semi', rateType: 'flat', rate: 950 }
+    ],
+    ...overrides
+  });
+
+  describe('POST /api/transporter-contracts', () => {
+    it('should create a contract with its rates', async () => {
+      const response = await request(app)
+        .post('/api/transporter-contracts')
+        .send(contractPayload())
+        .expect(201);
+
+      expect(response.body.data.status).toBe('active');
+      expect(response.body.data.transporter.id).toBe(transporterId);
+      expect(response.body.data.validFrom).toBe('2026-01-01');
+      expect(response.body.data.rates).toHaveLength(2);
+      expect(response.body.data.fuelSurchargeValue).toBe(12.5);
+    });
+
+    it('should reject an unknown transporter', async () => {
+      await request(app)
+        .post('/api/transporter-contracts')
+        .send(contractPayload({ transporterId: 999999 }))
+        .expect(400);
+    });
+
+    it('should require at least one rate', async () => {
+      await request(app)
+        .post('/api/transporter-contracts')
+        .send(contractPayload({ rates: [] }))
+        .expect(400);
+    });
+
+    it('should reject an overlapping active contract for the same company', async () => {
+      const payload = contractPayload();
+      await request(app).post('/api/transporter-contracts').send(payload).expect(201);
+
+      const response = await request(app)
+        .post('/api/transporter-contracts')
+        .send({ ...payload, validFrom: '2026-06-01', validTo: null })
+        .expect(400);
+
+      expect(response.body.error).toMatch(/overlaps/);
+    });
+  });
+
+  describe('PUT /api/transporter-contracts/:id', () => {
+    it('should replace the rates', async () => {
+      const created = await request(app)
+        .post('/api/transporter-contracts')
+        .send(contractPayload())
+        .expect(201);
+
+      const response = await request(app)
+        .put(`/api/transporter-contracts/${created.body.data.id}`)
+        .send({ rates: [{ truckType: 'box', rate: 1.8 }] })
+        .expect(200);
+
+      expect(response.body.data.rates).toHaveLength(1);
+      expect(response.body.data.rates[0].truckType).toBe('box');
+    });
+
+    it('should return 404 for a missing contract', async () => {
+      await request(app)
+        .put('/api/transporter-contracts/999999')
+        .send({ notes: 'n/a' })
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/transporter-contracts', () => {
+    it('should filter by the date a contract is active on', async () => {
+      await request(app).post('/api/transporter-contracts').send(contractPayload()).expect(201);
+
+      const inWindow = await request(app)
+        .get(`/api/transporter-contracts?transporterId=${transporterId}&activeOn=2026-03-01`)
+        .expect(200);
+      const outOfWindow = await request(app)
+        .get(`/api/transporter-contracts?transporterId=${transporterId}&activeOn=2027-03-01`)
+        .expect(200);
+
+      expect(inWindow.body.data).toHaveLength(1);
+      expect(outOfWindow.body.data).toHaveLength(0);
+    });
+  });
+
+  describe('GET /api/dashboard/transporter-comparison', () => {
+    it('should report variance against the contracted rate', async () => {
+      const response = await request(app)
+        .get('/api/dashboard/transporter-comparison?startDate=2026-01-01&endDate=2026-12-31')
+        .expect(200);
+
+      response.body.data.forEach(transporter => {
+        expect(transporter).toHaveProperty('costVariance');
+        expect(transporter).toHaveProperty('contractVariance');
+        expect(transporter).toHaveProperty('contractedDeliveries');
+      });
+    });
+  });
+});
@@ -233,6 +233,31 @@ describe('Dashboard API Endpoints', () => {
     });
   });
 
+  describe('GET /api/dashboard/at-risk-requests', () => {
+    it('should list a request whose pickup has passed without a delivery', async () => {
+      const created = await request(app)
+        .post('/api/requests')
+        .send({
+          origin: 'Omaha, NE',
+          destination: 'Des Moines, IA',
+          pickUpDateTime: new Date(Date.now() + 2000).toISOString(),
+          truckCount: 1,
+          estimatedCost: 500
+        })
+        .expect(201);
+
+      await new Promise(resolve => setTimeout(resolve, 2500));
+
+      const response = await request(app)
+        .get('/api/dashboard/at-risk-requests')
+        .expect(200);
+
+      const listed = response.body.data.requests.find(item => item.requestId === created.body.data.id);
+      expect(listed).toBeDefined();
+      expect(listed.riskReasons).toContain('pickup_overdue');
+    });
+  });
+
   describe('Dashboard Data Integration', () => {
     it('should have consistent data across different endpoints', async () => {
       // Get KPI data
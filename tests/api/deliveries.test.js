@@ -1,5 +1,7 @@
 const request = require('supertest');
 const app = require('../../app');
+const config = require('../../src/config/config');
+const fixtures = require('../helpers/deliveryFixtures');
 
 describe('Delivery API Endpoints', () => {
   describe('GET /api/deliveries', () => {
@@ -260,4 +262,346 @@ describe('Delivery API Endpoints', () => {
       expect(typeof response.body.data.averageRating).toBe('number');
     });
   });
+
+  describe('Split deliveries', () => {
+    const createRequest = async () => {
+      const response = await request(app)
+        .post('/api/requests')
+        .send({
+          origin: 'Houston, TX',
+          destination: 'San Antonio, TX',
+          pickUpDateTime: new Date(Date.now() + 48 * 60 * 60 * 1000).toISOString(),
+          truckCount: 3,
+          estimatedCost: 3000
+        })
+        .expect(201);
+
+      return response.body.data;
+    };
+
+    const logWave = (requestId, actualTruckCount) => request(app)
+      .post(`/api/deliveries/${requestId}/log`)
+      .send({
+        actualPickupDateTime: new Date().toISOString(),
+        actualTruckCount,
+        invoiceAmount: 1000 * actualTruckCount,
+        drivers: [{ name: 'Wave Driver', type: 'in_house', employeeId: `EMP-${Date.now()}`, department: 'Logistics', hireDate: '2024-01-01', punctuality: 4, professionalism: 4, overall: 4 }]
+      });
+
+    it('should track fulfillment across delivery waves', async () => {
+      const created = await createRequest();
+
+      const first = await logWave(created.id, 2).expect(201);
+      expect(first.body.data.fulfillment.fulfilledTruckCount).toBe(2);
+      expect(first.body.data.fulfillment.remainingTruckCount).toBe(1);
+
+      await logWave(created.id, 1).expect(201);
+
+      const fetched = await request(app).get(`/api/requests/${created.id}`).expect(200);
+      expect(fetched.body.data.deliveries).toHaveLength(2);
+      expect(fetched.body.data.fulfillment.fullyFulfilled).toBe(true);
+
+      const listed = await request(app).get(`/api/deliveries?requestId=${created.id}`).expect(200);
+      expect(listed.body.data.data).toHaveLength(2);
+
+      await request(app).post(`/api/deliveries/${created.id}/confirm`).expect(200);
+    });
+
+    it('should refuse another wave once every truck is delivered', async () => {
+      const created = await createRequest();
+
+      await logWave(created.id, 3).expect(201);
+      const response = await logWave(created.id, 1).expect(400);
+
+      expect(response.body.message).toBe('Request is already fully fulfilled');
+    });
+
+    it('should only confirm a partial request when it is closed short with a reason', async () => {
+      const created = await createRequest();
+      await logWave(created.id, 1).expect(201);
+
+      const refused = await request(app).post(`/api/deliveries/${created.id}/confirm`).expect(400);
+      expect(refused.body.message).toBe('Request is not fully fulfilled');
+
+      await request(app)
+        .post(`/api/deliveries/${created.id}/confirm`)
+        .send({ closeShort: true })
+        .expect(400);
+
+      const confirmed = await request(app)
+        .post(`/api/deliveries/${created.id}/confirm`)
+        .send({ closeShort: true, reason: 'Customer cancelled the last truck' })
+        .expect(200);
+
+      expect(confirmed.body.data.fulfillment.closedShort).toBe(true);
+      expect(confirmed.body.data.fulfillment.closedShortReason).toBe('Customer cancelled the last truck');
+    });
+
+    it('should update a specific wave by delivery ID', async () => {
+      const created = await createRequest();
+      const first = await logWave(created.id, 1).expect(201);
+      await logWave(created.id, 1).expect(201);
+
+      await request(app)
+        .put(`/api/deliveries/${first.body.data.delivery.id}`)
+        .send({ delivery: { actualTruckCount: 2 } })
+        .expect(200);
+
+      const fetched = await request(app).get(`/api/requests/${created.id}`).expect(200);
+      expect(fetched.body.data.fulfillment.fulfilledTruckCount).toBe(3);
+    });
+  });
+
+  describe('Delivery milestones', () => {
+    const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+    const logDelivery = async expectedArrivalDateTime => {
+      const created = await request(app)
+        .post('/api/requests')
+        .send({
+          origin: 'Fort Worth, TX',
+          destination: 'Tulsa, OK',
+          pickUpDateTime: new Date(Date.now() + 60 * 1000).toISOString(),
+          expectedArrivalDateTime,
+          truckCount: 1,
+          estimatedCost: 900
+        })
+        .expect(201);
+
+      const logged = await request(app)
+        .post(`/api/deliveries/${created.body.data.id}/log`)
+        .send({
+          actualPickupDateTime: minutesAgo(300),
+          actualTruckCount: 1,
+          invoiceAmount: 900,
+          drivers: [{ name: 'Milestone Driver', type: 'in_house', employeeId: `EMP-${Date.now()}`, department: 'Logistics', hireDate: '2024-01-01', punctuality: 4, professionalism: 4, overall: 4 }]
+        })
+        .expect(201);
+
+      return logged.body.data.delivery;
+    };
+
+    it('should build the timeline as milestones are posted', async () => {
+      const delivery = await logDelivery(new Date(Date.now() + 6 * 60 * 60 * 1000).toISOString());
+
+      await request(app)
+        .post(`/api/deliveries/${delivery.id}/milestones`)
+        .send({ type: 'arrived_at_pickup', occurredAt: minutesAgo(300) })
+        .expect(201);
+
+      const response = await request(app)
+        .post(`/api/deliveries/${delivery.id}/milestones`)
+        .send({ type: 'loaded', occurredAt: minutesAgo(270) })
+        .expect(201);
+
+      expect(response.body.data.milestones.map(milestone => milestone.type)).toEqual(['arrived_at_pickup', 'loaded']);
+      expect(response.body.data.nextMilestone).toBe('departed');
+    });
+
+    it('should reject a milestone earlier than the one before it', async () => {
+      const delivery = await logDelivery(new Date(Date.now() + 6 * 60 * 60 * 1000).toISOString());
+
+      await request(app)
+        .post(`/api/deliveries/${delivery.id}/milestones`)
+        .send({ type: 'departed', occurredAt: minutesAgo(200) })
+        .expect(201);
+
+      const response = await request(app)
+        .post(`/api/deliveries/${delivery.id}/milestones`)
+        .send({ type: 'arrived_at_destination', occurredAt: minutesAgo(250) })
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid milestone order');
+    });
+
+    it('should evaluate the arrival against the expected arrival', async () => {
+      const delivery = await logDelivery(new Date(Date.now() + 2 * 60 * 1000).toISOString());
+
+      await request(app)
+        .post(`/api/deliveries/${delivery.id}/milestones`)
+        .send({ type: 'arrived_at_destination', occurredAt: minutesAgo(10) })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/deliveries/${delivery.id}/milestones`)
+        .expect(200);
+
+      expect(response.body.data.arrival.onTime).toBe(true);
+      expect(response.body.data.arrival.minutesLate).toBe(0);
+    });
+
+    it('should return 404 for an unknown delivery', async () => {
+      await request(app)
+        .post('/api/deliveries/999999/milestones')
+        .send({ type: 'loaded' })
+        .expect(404);
+    });
+  });
+
+  describe('Delay reasons', () => {
+    const minutesAfter = (date, minutes) => new Date(new Date(date).getTime() + minutes * 60 * 1000).toISOString();
+
+    const createRequest = async (truckCount = 1) => {
+      const created = await request(app)
+        .post('/api/requests')
+        .send({
+          origin: 'Boise, ID',
+          destination: 'Salt Lake City, UT',
+          pickUpDateTime: minutesAfter(new Date(), 1),
+          truckCount,
+          estimatedCost: 1100 * truckCount
+        })
+        .expect(201);
+
+      return created.body.data;
+    };
+
+    const logWave = (created, delayMinutes, delayReasonCode) => request(app)
+      .post(`/api/deliveries/${created.id}/log`)
+      .send({
+        actualPickupDateTime: minutesAfter(created.pickUpDateTime, delayMinutes),
+        actualTruckCount: 1,
+        invoiceAmount: 1100,
+        delayReasonCode,
+        drivers: [{ name: 'Delay Driver', type: 'in_house', employeeId: `EMP-${Date.now()}`, department: 'Logistics', hireDate: '2024-01-01', punctuality: 3, professionalism: 4, overall: 3 }]
+      });
+
+    const logLate = async delayReasonCode => logWave(await createRequest(), 45, delayReasonCode);
+
+    it('should require a delay reason on a late pickup', async () => {
+      const response = await logLate(undefined).expect(400);
+
+      expect(response.body.message).toBe('Delay reason required');
+    });
+
+    it('should reject a code outside the catalog', async () => {
+      await logLate('alien_abduction').expect(400);
+    });
+
+    it('should record the delay reason and break down delay minutes by reason', async () => {
+      const response = await logLate('loading_dock').expect(201);
+      expect(response.body.data.delivery.delayReasonCode).toBe('loading_dock');
+
+      const today = new Date().toISOString().split('T')[0];
+      const breakdown = await request(app)
+        .get(`/api/dashboard/delay-breakdown?startDate=${today}&endDate=${today}`)
+        .expect(200);
+
+      const loadingDock = breakdown.body.data.byReason.find(reason => reason.reasonCode === 'loading_dock');
+      expect(loadingDock.deliveries).toBeGreaterThanOrEqual(1);
+      expect(loadingDock.delayMinutes).toBeGreaterThanOrEqual(45);
+    });
+
+    it('should keep the delay reason when a late delivery is edited', async () => {
+      const logged = await logLate('traffic').expect(201);
+
+      const response = await request(app)
+        .put(`/api/deliveries/${logged.body.data.delivery.id}`)
+        .send({ delivery: { delayReasonCode: null } })
+        .expect(400);
+
+      expect(response.body.message).toBe('Delay reason required');
+    });
+
+    it('should require a delay reason when an edit makes the pickup late', async () => {
+      const created = await createRequest();
+      const logged = await logWave(created, 0).expect(201);
+      const deliveryId = logged.body.data.delivery.id;
+
+      await request(app)
+        .put(`/api/deliveries/${deliveryId}`)
+        .send({ delivery: { actualPickupDateTime: minutesAfter(created.pickUpDateTime, 30) } })
+        .expect(400);
+
+      await request(app)
+        .put(`/api/deliveries/${deliveryId}`)
+        .send({ delivery: { actualPickupDateTime: minutesAfter(created.pickUpDateTime, 30), delayReasonCode: 'weather' } })
+        .expect(200);
+    });
+
+    it('should only measure the first wave against the planned pickup', async () => {
+      const created = await createRequest(2);
+
+      await logWave(created, 0).expect(201);
+      await logWave(created, 240).expect(201);
+    });
+  });
+
+  describe('Signed confirmation', () => {
+    const requiredUrgencyLevels = config.signatures.requiredUrgencyLevels;
+
+    const signature = {
+      signerName: 'Ann Lee',
+      signerRole: 'Receiving clerk',
+      signedAt: new Date(Date.now() - 60 * 1000).toISOString(),
+      signatureType: 'vector',
+      signatureData: [[{ x: 12, y: 40, t: 0 }, { x: 18, y: 36, t: 16 }]],
+      position: { latitude: 34.7465, longitude: -92.2896 }
+    };
+
+    afterEach(() => {
+      config.signatures.requiredUrgencyLevels = requiredUrgencyLevels;
+    });
+
+    it('should store the signature with a verifiable hash and return it with the delivery', async () => {
+      const { delivery } = await fixtures.logDelivery();
+
+      const confirmed = await request(app)
+        .post(`/api/deliveries/${delivery.requestId}/confirm`)
+        .send({ signature })
+        .expect(200);
+
+      expect(confirmed.body.data.signature.contentHash).toMatch(/^[0-9a-f]{64}$/);
+      expect(confirmed.body.data.signature.verified).toBe(true);
+
+      const fetched = await request(app)
+        .get(`/api/deliveries/request/${delivery.requestId}`)
+        .expect(200);
+
+      expect(fetched.body.data.signature.signerName).toBe('Ann Lee');
+      expect(fetched.body.data.signature.signatureData).toEqual(signature.signatureData);
+      expect(fetched.body.data.signature.contentHash).toBe(confirmed.body.data.signature.contentHash);
+      expect(fetched.body.data.signature.verified).toBe(true);
+    });
+
+    it('should require a signature for configured urgency levels', async () => {
+      config.signatures.requiredUrgencyLevels = ['urgent'];
+      const { delivery } = await fixtures.logDelivery({ request: { urgencyLevel: 'urgent' } });
+
+      const refused = await request(app)
+        .post(`/api/deliveries/${delivery.requestId}/confirm`)
+        .expect(400);
+      expect(refused.body.message).toBe('Signature required');
+
+      await request(app)
+        .post(`/api/deliveries/${delivery.requestId}/confirm`)
+        .send({ signature })
+        .expect(200);
+    });
+
+    it('should reject an image that is not a data URL', async () => {
+      const { delivery } = await fixtures.logDelivery();
+
+      await request(app)
+        .post(`/api/deliveries/${delivery.requestId}/confirm`)
+        .send({ signature: { ...signature, signatureType: 'image', signatureData: 'https://example.com/sig.png' } })
+        .expect(400);
+    });
+
+    it('should refuse to sign or close short a request with no delivery logged', async () => {
+      const created = await fixtures.createRequest();
+
+      await request(app)
+        .put(`/api/requests/${created.id}`)
+        .send({ status: 'processing' })
+        .expect(200);
+
+      const refused = await request(app)
+        .post(`/api/deliveries/${created.id}/confirm`)
+        .send({ closeShort: true, reason: 'Load never left the dock', signature })
+        .expect(400);
+
+      expect(refused.body.message).toBe('No delivery logged');
+    });
+  });
 });
\ No newline at end of file
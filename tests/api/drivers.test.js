@@ -268,4 +268,95 @@ describe('Driver API Endpoints', () => {
       expect(response.body.success).toBe(false);
     });
   });
-});
\ No newline at end of file
+
+  describe('Driver availability', () => {
+    const at = (days, hour) => {
+      const date = new Date();
+      date.setUTCDate(date.getUTCDate() + days);
+      date.setUTCHours(hour, 0, 0, 0);
+      return date.toISOString();
+    };
+
+    const createDriver = async (overrides = {}) => {
+      const response = await request(app)
+        .post('/api/drivers')
+        .send({
+          name: `Availability Driver ${Date.now()}`,
+          type: 'in_house',
+          employeeId: `EMP-AV-${Date.now()}-${Math.random()}`,
+          department: 'Logistics',
+          hireDate: '2024-01-01',
+          ...overrides
+        })
+        .expect(201);
+
+      return response.body.data;
+    };
+
+    const availableIds = async (from, to, extra = '') => {
+      const response = await request(app)
+        .get(`/api/drivers/available?from=${from}&to=${to}&limit=100${extra}`)
+        .expect(200);
+
+      return response.body.data.map(driver => driver.id);
+    };
+
+    it('should exclude drivers on leave in the window', async () => {
+      const driver = await createDriver();
+
+      await request(app)
+        .post(`/api/drivers/${driver.id}/availability`)
+        .send({ type: 'leave', startsAt: at(30, 0), endsAt: at(32, 0) })
+        .expect(201);
+
+      expect(await availableIds(at(31, 8), at(31, 16))).not.toContain(driver.id);
+      expect(await availableIds(at(33, 8), at(33, 16))).toContain(driver.id);
+    });
+
+    it('should require a covering shift once a driver has shifts', async () => {
+      const driver = await createDriver();
+
+      await request(app)
+        .post(`/api/drivers/${driver.id}/availability`)
+        .send({ type: 'shift', startsAt: at(40, 6), endsAt: at(40, 18) })
+        .expect(201);
+
+      expect(await availableIds(at(40, 8), at(40, 16))).toContain(driver.id);
+      expect(await availableIds(at(41, 8), at(41, 16))).not.toContain(driver.id);
+    });
+
+    it('should filter by qualified truck type', async () => {
+      const driver = await createDriver({ truckTypes: ['refrigerated'] });
+
+      expect(await availableIds(at(50, 8), at(50, 16), '&truckType=refrigerated')).toContain(driver.id);
+      expect(await availableIds(at(50, 8), at(50, 16), '&truckType=flatbed')).not.toContain(driver.id);
+    });
+
+    it('should reject assigning a driver who is off sick', async () => {
+      const driver = await createDriver();
+
+      await request(app)
+        .post(`/api/drivers/${driver.id}/availability`)
+        .send({ type: 'sick', startsAt: at(60, 0), endsAt: at(61, 0) })
+        .expect(201);
+
+      const created = await request(app)
+        .post('/api/requests')
+        .send({ origin: 'Dallas, TX', destination: 'Houston, TX', pickUpDateTime: at(60, 9), truckCount: 1 })
+        .expect(201);
+
+      const response = await request(app)
+        .post(`/api/requests/${created.body.data.id}/assignments`)
+        .send({ driverIds: [driver.id] })
+        .expect(400);
+
+      expect(response.body.conflicts[0].reason).toBe('sick');
+    });
+
+    it('should require from and to', async () => {
+      await request(app)
+        .get('/api/drivers/available?from=2026-01-01T00:00:00Z')
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const request = require('supertest');
+const app = require('../../app');
+
+describe('Export API Endpoints', () => {
+  describe('GET /api/requests/export', () => {
+    it('should export requests as CSV by default', async () => {
+      const response = await request(app)
+        .get('/api/requests/export')
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.headers['content-disposition']).toContain('requests-');
+      expect(response.text).toContain('Request Number');
+      expect(response.text).toContain('Performance Grade');
+    });
+
+    it('should honour the list filters', async () => {
+      const response = await request(app)
+        .get('/api/requests/export?status=completed&format=csv')
+        .expect(200);
+
+      const rows = response.text.trim().split('\r\n').slice(1);
+      rows.forEach(row => expect(row).toContain('completed'));
+    });
+
+    it('should export requests as XLSX', async () => {
+      const response = await request(app)
+        .get('/api/requests/export?format=xlsx')
+        .buffer(true)
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('spreadsheetml');
+    });
+
+    it('should reject an unknown format', async () => {
+      const response = await request(app)
+        .get('/api/requests/export?format=pdf')
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/deliveries/export', () => {
+    it('should export deliveries for a date range', async () => {
+      const response = await request(app)
+        .get('/api/deliveries/export?startDate=2024-01-01&endDate=2030-12-31')
+        .expect(200);
+
+      expect(response.text).toContain('Invoice Amount');
+    });
+
+    it('should require both ends of the date range', async () => {
+      await request(app)
+        .get('/api/deliveries/export?startDate=2024-01-01')
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/deliveries/ratings/export', () => {
+    it('should export driver ratings', async () => {
+      const response = await request(app)
+        .get('/api/deliveries/ratings/export')
+        .expect(200);
+
+      expect(response.text).toContain('Overall Rating');
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const request = require('supertest');
+const app = require('../../app');
+
+describe('Request Import API Endpoints', () => {
+  const tomorrow = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+  const buildCsv = rows => [
+    'From,To,Pickup Date,Trucks,Truck Type,Comments',
+    ...rows
+  ].join('\n');
+
+  const validRow = () => `Dallas Warehouse,Houston Depot,${tomorrow()},2,Flatbed,weekly plan`;
+  const invalidRow = () => `Dallas Warehouse,Houston Depot,${tomorrow()},0,Flatbed,too few trucks`;
+
+  const upload = (csv, fields = {}) => {
+    const req = request(app).post('/api/requests/import');
+    Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+    return req.attach('file', Buffer.from(csv), 'plan.csv');
+  };
+
+  describe('POST /api/requests/import', () => {
+    it('should validate rows without creating requests on a dry run', async () => {
+      const response = await upload(buildCsv([validRow(), invalidRow()]), { dryRun: 'true' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.status).toBe('validated');
+      expect(response.body.data.totalRows).toBe(2);
+      expect(response.body.data.validRows).toBe(1);
+      expect(response.body.data.importedRows).toBe(0);
+      expect(response.body.data.rowErrors[0].row).toBe(3);
+      expect(response.body.data.columnMapping.truckCount).toBe('Trucks');
+      expect(response.body.data.unmappedColumns).toContain('Comments');
+    });
+
+    it('should reject the whole file in all_or_nothing mode when a row is invalid', async () => {
+      const response = await upload(buildCsv([validRow(), invalidRow()]))
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.data.status).toBe('failed');
+      expect(response.body.data.createdRequestIds).toHaveLength(0);
+    });
+
+    it('should create valid rows in partial mode', async () => {
+      const response = await upload(buildCsv([validRow(), invalidRow()]), { mode: 'partial' })
+        .expect(201);
+
+      expect(response.body.data.status).toBe('partially_completed');
+      expect(response.body.data.createdRequestIds).toHaveLength(1);
+      expect(response.body.data.failedRows).toBe(1);
+    });
+
+    it('should honour an explicit column mapping', async () => {
+      const csv = [
+        'Start,End,When,Qty',
+        `Austin Yard,San Antonio Hub,${tomorrow()},1`
+      ].join('\n');
+
+      const response = await upload(csv, {
+        columnMapping: JSON.stringify({
+          origin: 'Start',
+          destination: 'End',
+          pickUpDateTime: 'When',
+          truckCount: 'Qty'
+        })
+      }).expect(201);
+
+      expect(response.body.data.status).toBe('completed');
+      expect(response.body.data.importedRows).toBe(1);
+    });
+
+    it('should require a file', async () => {
+      const response = await request(app)
+        .post('/api/requests/import')
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should reject unsupported file types', async () => {
+      const response = await request(app)
+        .post('/api/requests/import')
+        .attach('file', Buffer.from('hello'), 'plan.txt')
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/requests/imports/:importId', () => {
+    it('should fetch a stored import report', async () => {
+      const created = await upload(buildCsv([validRow()]), { dryRun: 'true' }).expect(200);
+
+      const response = await request(app)
+        .get(`/api/requests/imports/${created.body.data.id}`)
+        .expect(200);
+
+      expect(response.body.data.id).toBe(created.body.data.id);
+      expect(response.body.data.validRows).toBe(1);
+    });
+
+    it('should return 404 for an unknown import', async () => {
+      await request(app)
+        .get('/api/requests/imports/999999')
+        .expect(404);
+    });
+  });
+});
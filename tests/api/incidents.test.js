@@ -0,0 +1,109 @@
+const request = require('supertest');
+const app = require('../../app');
+const { logDelivery } = require('../helpers/deliveryFixtures');
+
+describe('Incident API Endpoints', () => {
+  const reportIncident = async (deliveryId, driverIds, overrides = {}) => {
+    const response = await request(app)
+      .post('/api/incidents')
+      .send({
+        deliveryId,
+        type: 'damage',
+        severity: 'medium',
+        description: 'Pallet wrap torn, two cartons dented',
+        driverIds,
+        ...overrides
+      })
+      .expect(201);
+
+    return response.body.data;
+  };
+
+  describe('POST /api/incidents', () => {
+    it('should report an incident with the drivers involved', async () => {
+      const { delivery, drivers } = await logDelivery();
+      const driverId = drivers[0].id;
+
+      const incident = await reportIncident(delivery.id, [driverId]);
+
+      expect(incident.status).toBe('open');
+      expect(incident.drivers.map(driver => driver.id)).toEqual([driverId]);
+    });
+
+    it('should reject an unknown delivery', async () => {
+      await request(app)
+        .post('/api/incidents')
+        .send({ deliveryId: 999999, type: 'shortage', severity: 'low', description: 'One carton short' })
+        .expect(400);
+    });
+
+    it('should reject an unknown type', async () => {
+      const { delivery } = await logDelivery();
+
+      await request(app)
+        .post('/api/incidents')
+        .send({ deliveryId: delivery.id, type: 'alien', severity: 'low', description: 'Unexplained lights' })
+        .expect(400);
+    });
+  });
+
+  describe('PUT /api/incidents/:id', () => {
+    it('should require resolution notes to resolve an incident', async () => {
+      const { delivery } = await logDelivery();
+      const incident = await reportIncident(delivery.id, []);
+
+      await request(app)
+        .put(`/api/incidents/${incident.id}`)
+        .send({ status: 'resolved' })
+        .expect(400);
+
+      const response = await request(app)
+        .put(`/api/incidents/${incident.id}`)
+        .send({ status: 'resolved', resolutionNotes: 'Customer credited for two cartons' })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('resolved');
+      expect(response.body.data.resolvedAt).not.toBeNull();
+    });
+
+    it('should return 404 for a non-existent incident', async () => {
+      await request(app)
+        .put('/api/incidents/999999')
+        .send({ severity: 'high' })
+        .expect(404);
+    });
+  });
+
+  describe('Incidents on deliveries and drivers', () => {
+    it('should list only open incidents on the delivery', async () => {
+      const { delivery } = await logDelivery();
+      const open = await reportIncident(delivery.id, []);
+      const resolved = await reportIncident(delivery.id, [], { type: 'shortage', severity: 'low' });
+
+      await request(app)
+        .put(`/api/incidents/${resolved.id}`)
+        .send({ status: 'resolved', resolutionNotes: 'Found on the dock' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/deliveries/request/${delivery.requestId}`)
+        .expect(200);
+
+      expect(response.body.data.openIncidents.map(incident => incident.id)).toEqual([open.id]);
+    });
+
+    it('should make a driver high risk after a high-severity incident', async () => {
+      const { delivery, drivers } = await logDelivery();
+      const driverId = drivers[0].id;
+
+      await reportIncident(delivery.id, [driverId], { type: 'accident', severity: 'high', description: 'Rear-ended at the loading bay' });
+
+      const response = await request(app)
+        .get(`/api/drivers/${driverId}/insights`)
+        .expect(200);
+
+      expect(response.body.data.riskAssessment.level).toBe('high');
+      expect(response.body.data.riskAssessment.incidents.serious).toBe(1);
+    });
+  });
+});
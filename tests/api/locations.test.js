@@ -0,0 +1,118 @@
+const request = require('supertest');
+const app = require('../../app');
+
+describe('Location API Endpoints', () => {
+  const tomorrow = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+  const createLocation = async (overrides = {}) => {
+    const response = await request(app)
+      .post('/api/locations')
+      .send({
+        name: `Dallas DC ${Date.now()}-${Math.random()}`,
+        city: 'Dallas',
+        region: 'TX',
+        country: 'us',
+        latitude: 32.7767,
+        longitude: -96.797,
+        timezone: 'America/Chicago',
+        siteType: 'distribution_center',
+        ...overrides
+      })
+      .expect(201);
+
+    return response.body.data;
+  };
+
+  describe('POST /api/locations', () => {
+    it('should create a location', async () => {
+      const location = await createLocation();
+
+      expect(location).toHaveProperty('id');
+      expect(location.country).toBe('US');
+      expect(location.latitude).toBeCloseTo(32.7767);
+    });
+
+    it('should reject an invalid timezone', async () => {
+      const response = await request(app)
+        .post('/api/locations')
+        .send({ name: 'Bad timezone site', timezone: 'Mars/Olympus' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should require latitude and longitude together', async () => {
+      await request(app)
+        .post('/api/locations')
+        .send({ name: 'Half coordinates', latitude: 10 })
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/locations/distance', () => {
+    it('should estimate road distance between two locations', async () => {
+      const dallas = await createLocation();
+      const houston = await createLocation({ name: `Houston Depot ${Date.now()}`, city: 'Houston', latitude: 29.7604, longitude: -95.3698 });
+
+      const response = await request(app)
+        .get(`/api/locations/distance?fromLocationId=${dallas.id}&toLocationId=${houston.id}`)
+        .expect(200);
+
+      expect(response.body.data.straightLineMiles).toBeGreaterThan(200);
+      expect(response.body.data.estimatedMiles).toBeGreaterThan(response.body.data.straightLineMiles);
+    });
+  });
+
+  describe('Requests referencing locations', () => {
+    it('should fill origin, destination and estimated distance from locations', async () => {
+      const dallas = await createLocation();
+      const houston = await createLocation({ name: `Houston Depot ${Date.now()}`, city: 'Houston', latitude: 29.7604, longitude: -95.3698 });
+
+      const response = await request(app)
+        .post('/api/requests')
+        .send({
+          originLocationId: dallas.id,
+          destinationLocationId: houston.id,
+          pickUpDateTime: tomorrow(),
+          truckCount: 1
+        })
+        .expect(201);
+
+      expect(response.body.data.origin).toBe(dallas.name);
+      expect(response.body.data.originLocationId).toBe(dallas.id);
+      expect(parseFloat(response.body.data.estimatedDistance)).toBeGreaterThan(200);
+    });
+
+    it('should keep a supplied distance and free-text origin', async () => {
+      const houston = await createLocation({ name: `Houston Depot ${Date.now()}`, city: 'Houston', latitude: 29.7604, longitude: -95.3698 });
+
+      const response = await request(app)
+        .post('/api/requests')
+        .send({
+          origin: 'Customer dock 7',
+          destinationLocationId: houston.id,
+          estimatedDistance: 12.5,
+          pickUpDateTime: tomorrow(),
+          truckCount: 1
+        })
+        .expect(201);
+
+      expect(response.body.data.origin).toBe('Customer dock 7');
+      expect(parseFloat(response.body.data.estimatedDistance)).toBe(12.5);
+    });
+
+    it('should reject unknown location IDs', async () => {
+      const response = await request(app)
+        .post('/api/requests')
+        .send({
+          originLocationId: 999999,
+          destination: 'Somewhere else',
+          pickUpDateTime: tomorrow(),
+          truckCount: 1
+        })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+});
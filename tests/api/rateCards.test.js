@@ -0,0 +1,151 @@
+const request = require('supertest');
+const app = require('../../app');
+
+describe('Rate Card API Endpoints', () => {
+  const tomorrow = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+  const activeCardIds = [];
+
+  const rateCardPayload = (overrides = {}) => ({
+    name: 'Standard Linehaul',
+    baseFee: 100,
+    minimumCharge: 250,
+    perMileRates: { box: 2, flatbed: 2.5, semi: 3, refrigerated: 3.5 },
+    urgencySurcharges: { high: 10, urgent: 25 },
+    ...overrides
+  });
+
+  const createActiveRateCard = async (overrides = {}) => {
+    const created = await request(app)
+      .post('/api/rate-cards')
+      .send(rateCardPayload(overrides))
+      .expect(201);
+
+    const activated = await request(app)
+      .post(`/api/rate-cards/${created.body.data.id}/activate`)
+      .expect(200);
+
+    activeCardIds.push(activated.body.data.id);
+    return activated.body.data;
+  };
+
+  // Leave no active card behind for the other suites
+  afterAll(async () => {
+    for (const id of activeCardIds) {
+      await request(app).post(`/api/rate-cards/${id}/retire`);
+    }
+  });
+
+  describe('POST /api/rate-cards', () => {
+    it('should create a draft with the next version', async () => {
+      const first = await request(app).post('/api/rate-cards').send(rateCardPayload()).expect(201);
+      const second = await request(app).post('/api/rate-cards').send(rateCardPayload()).expect(201);
+
+      expect(first.body.data.status).toBe('draft');
+      expect(second.body.data.version).toBe(first.body.data.version + 1);
+      expect(first.body.data.urgencySurcharges.low).toBe(0);
+    });
+
+    it('should give concurrent creates distinct versions', async () => {
+      const responses = await Promise.all([1, 2, 3].map(() => request(app).post('/api/rate-cards').send(rateCardPayload())));
+
+      responses.forEach(response => expect(response.status).toBe(201));
+      expect(new Set(responses.map(response => response.body.data.version)).size).toBe(3);
+    });
+
+    it('should require a per-mile rate for every truck type', async () => {
+      const response = await request(app)
+        .post('/api/rate-cards')
+        .send(rateCardPayload({ perMileRates: { box: 2 } }))
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('PUT /api/rate-cards/:id', () => {
+    it('should not edit an active rate card', async () => {
+      const rateCard = await createActiveRateCard();
+
+      await request(app)
+        .put(`/api/rate-cards/${rateCard.id}`)
+        .send({ baseFee: 999 })
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/requests/estimate', () => {
+    it('should price distance, truck type, truck count and urgency', async () => {
+      const rateCard = await createActiveRateCard();
+
+      const response = await request(app)
+        .post('/api/requests/estimate')
+        .send({ estimatedDistance: 100, truckType: 'semi', truckCount: 2, urgencyLevel: 'urgent' })
+        .expect(200);
+
+      // (100 + 100 x 3) x 2 = 800, +25% urgency
+      expect(response.body.data.estimatedCost).toBe(1000);
+      expect(response.body.data.rateCard.version).toBe(rateCard.version);
+      expect(response.body.data.breakdown.urgencySurcharge).toBe(200);
+    });
+
+    it('should apply the minimum charge per truck', async () => {
+      await createActiveRateCard();
+
+      const response = await request(app)
+        .post('/api/requests/estimate')
+        .send({ estimatedDistance: 10, truckCount: 3, urgencyLevel: 'low' })
+        .expect(200);
+
+      expect(response.body.data.breakdown.minimumChargeApplied).toBe(true);
+      expect(response.body.data.estimatedCost).toBe(750);
+    });
+
+    it('should require a distance', async () => {
+      await request(app)
+        .post('/api/requests/estimate')
+        .send({ truckCount: 1 })
+        .expect(400);
+    });
+  });
+
+  describe('Requests priced on create', () => {
+    it('should apply the estimate and record the rate card version', async () => {
+      const rateCard = await createActiveRateCard();
+
+      const response = await request(app)
+        .post('/api/requests')
+        .send({
+          origin: 'Dallas, TX',
+          destination: 'Houston, TX',
+          estimatedDistance: 240,
+          pickUpDateTime: tomorrow(),
+          truckCount: 1,
+          truckType: 'box'
+        })
+        .expect(201);
+
+      expect(parseFloat(response.body.data.estimatedCost)).toBe(580);
+      expect(response.body.data.rateCardId).toBe(rateCard.id);
+      expect(response.body.data.rateCardVersion).toBe(rateCard.version);
+    });
+
+    it('should keep a supplied estimatedCost', async () => {
+      await createActiveRateCard();
+
+      const response = await request(app)
+        .post('/api/requests')
+        .send({
+          origin: 'Dallas, TX',
+          destination: 'Houston, TX',
+          estimatedDistance: 240,
+          pickUpDateTime: tomorrow(),
+          truckCount: 1,
+          estimatedCost: 1234.5
+        })
+        .expect(201);
+
+      expect(parseFloat(response.body.data.estimatedCost)).toBe(1234.5);
+      expect(response.body.data.rateCardVersion).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,173 @@
+const request = require('supertest');
+const app = require('../../app');
+
+describe('Recurring Request API Endpoints', () => {
+  const nextWeek = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+  const weeklyRule = {
+    name: 'Weekly Houston-Dallas lane',
+    origin: 'Houston Warehouse',
+    destination: 'Dallas Distribution Center',
+    truckCount: 2,
+    truckType: 'box',
+    frequency: 'weekly',
+    daysOfWeek: [1, 3],
+    pickupTime: '08:00',
+    startDate: nextWeek
+  };
+
+  describe('POST /api/recurring-requests', () => {
+    it('should create a recurring request', async () => {
+      const response = await request(app)
+        .post('/api/recurring-requests')
+        .send(weeklyRule)
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toHaveProperty('id');
+      expect(response.body.data.status).toBe('active');
+      expect(response.body.data.rule.frequency).toBe('weekly');
+    });
+
+    it('should require a cron expression for cron rules', async () => {
+      const response = await request(app)
+        .post('/api/recurring-requests')
+        .send({ ...weeklyRule, frequency: 'cron', daysOfWeek: undefined })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should reject an invalid cron expression', async () => {
+      const response = await request(app)
+        .post('/api/recurring-requests')
+        .send({ ...weeklyRule, frequency: 'cron', cronExpression: '61 * * * *' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toContain('Invalid recurrence rule');
+    });
+
+    it('should reject a cron expression that runs every minute', async () => {
+      const response = await request(app)
+        .post('/api/recurring-requests')
+        .send({ ...weeklyRule, frequency: 'cron', cronExpression: '* * * * *' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toContain('Invalid recurrence rule');
+    });
+
+    it('should reject stops, which a recurring request cannot store', async () => {
+      const response = await request(app)
+        .post('/api/recurring-requests')
+        .send({ ...weeklyRule, stops: [{ type: 'pickup', address: 'Houston Warehouse' }, { type: 'dropoff', address: 'Dallas Distribution Center' }] })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/recurring-requests/:id/preview', () => {
+    it('should preview the next occurrences', async () => {
+      const createResponse = await request(app)
+        .post('/api/recurring-requests')
+        .send(weeklyRule)
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/recurring-requests/${createResponse.body.data.id}/preview?count=4`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.occurrences.length).toBe(4);
+      response.body.data.occurrences.forEach(occurrence => {
+        expect([1, 3]).toContain(new Date(occurrence.pickUpDateTime).getUTCDay());
+      });
+    });
+
+    it('should return 404 for non-existent recurring request', async () => {
+      const response = await request(app)
+        .get('/api/recurring-requests/999999/preview')
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('POST /api/recurring-requests/:id/pause', () => {
+    it('should pause and resume a recurring request', async () => {
+      const createResponse = await request(app)
+        .post('/api/recurring-requests')
+        .send(weeklyRule)
+        .expect(201);
+
+      const id = createResponse.body.data.id;
+
+      const pauseResponse = await request(app)
+        .post(`/api/recurring-requests/${id}/pause`)
+        .expect(200);
+      expect(pauseResponse.body.data.status).toBe('paused');
+
+      await request(app)
+        .post(`/api/recurring-requests/${id}/materialize`)
+        .expect(400);
+
+      const resumeResponse = await request(app)
+        .post(`/api/recurring-requests/${id}/resume`)
+        .expect(200);
+      expect(resumeResponse.body.data.status).toBe('active');
+    });
+  });
+
+  describe('POST /api/recurring-requests/:id/materialize', () => {
+    it('should not create duplicate requests when run twice', async () => {
+      const createResponse = await request(app)
+        .post('/api/recurring-requests')
+        .send(weeklyRule)
+        .expect(201);
+
+      const id = createResponse.body.data.id;
+
+      await request(app)
+        .post(`/api/recurring-requests/${id}/materialize`)
+        .expect(200);
+
+      const secondRun = await request(app)
+        .post(`/api/recurring-requests/${id}/materialize`)
+        .expect(200);
+
+      expect(secondRun.body.data.createdCount).toBe(0);
+    });
+
+    it('should move planned occurrences to an edited pickup time instead of duplicating them', async () => {
+      const createResponse = await request(app)
+        .post('/api/recurring-requests')
+        .send(weeklyRule)
+        .expect(201);
+
+      const id = createResponse.body.data.id;
+
+      const firstRun = await request(app)
+        .post(`/api/recurring-requests/${id}/materialize`)
+        .expect(200);
+
+      await request(app)
+        .put(`/api/recurring-requests/${id}`)
+        .send({ pickupTime: '09:30' })
+        .expect(200);
+
+      const secondRun = await request(app)
+        .post(`/api/recurring-requests/${id}/materialize`)
+        .expect(200);
+
+      expect(secondRun.body.data.createdCount).toBe(0);
+      expect(secondRun.body.data.rescheduledCount).toBe(firstRun.body.data.createdCount);
+      secondRun.body.data.rescheduledRequests.forEach(rescheduled => {
+        const pickUpDateTime = new Date(rescheduled.pickUpDateTime);
+        expect(pickUpDateTime.getUTCHours()).toBe(9);
+        expect(pickUpDateTime.getUTCMinutes()).toBe(30);
+      });
+    });
+  });
+});
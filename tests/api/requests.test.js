@@ -84,6 +84,30 @@ describe('Transportation Request API Endpoints', () => {
       }
     });
 
+    it('should predict the arrival of an active request', async () => {
+      const created = await request(app)
+        .post('/api/requests')
+        .send({
+          origin: 'Denver, CO',
+          destination: 'Cheyenne, WY',
+          estimatedDistance: 100,
+          pickUpDateTime: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+          expectedArrivalDateTime: new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString(),
+          truckCount: 1,
+          estimatedCost: 600
+        })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/requests/${created.body.data.id}`)
+        .expect(200);
+
+      // 100 miles at the default 50 mph after a pickup an hour from now: an hour late
+      expect(response.body.data.eta.method).toBe('distance');
+      expect(response.body.data.eta.atRisk).toBe(true);
+      expect(response.body.data.eta.riskReasons).toEqual(['late_arrival']);
+    });
+
     it('should return 404 for non-existent request', async () => {
       const response = await request(app)
         .get('/api/requests/999999')
@@ -122,6 +146,27 @@ describe('Transportation Request API Endpoints', () => {
       expect(response.body.data.status).toBe('planned');
     });
 
+    it('should assign unique sequential request numbers', async () => {
+      const newRequest = {
+        origin: 'Sequence Origin',
+        destination: 'Sequence Destination',
+        pickUpDateTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+        truckCount: 1
+      };
+
+      const responses = await Promise.all([
+        request(app).post('/api/requests').send(newRequest).expect(201),
+        request(app).post('/api/requests').send(newRequest).expect(201),
+        request(app).post('/api/requests').send(newRequest).expect(201)
+      ]);
+
+      const numbers = responses.map(response => response.body.data.requestNumber);
+      expect(new Set(numbers).size).toBe(numbers.length);
+      numbers.forEach(number => {
+        expect(number).toMatch(new RegExp(`^REQ-${new Date().getFullYear()}-\\d{3,}$`));
+      });
+    });
+
     it('should validate required fields', async () => {
       const invalidRequest = {
         origin: 'Test Origin'
@@ -209,6 +254,116 @@ describe('Transportation Request API Endpoints', () => {
     });
   });
 
+  describe('GET /api/requests/:id/history', () => {
+    it('should return the status history of a request', async () => {
+      const response = await request(app)
+        .get('/api/requests/1/history')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toHaveProperty('currentStatus');
+      expect(response.body.data).toHaveProperty('allowedTransitions');
+      expect(Array.isArray(response.body.data.history)).toBe(true);
+    });
+
+    it('should record the initial status when a request is created', async () => {
+      const createResponse = await request(app)
+        .post('/api/requests')
+        .send({
+          origin: 'History Origin',
+          destination: 'History Destination',
+          pickUpDateTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+          truckCount: 1
+        })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/requests/${createResponse.body.data.id}/history`)
+        .expect(200);
+
+      expect(response.body.data.history.length).toBe(1);
+      expect(response.body.data.history[0].fromStatus).toBeNull();
+      expect(response.body.data.history[0].toStatus).toBe('planned');
+    });
+
+    it('should reject illegal status transitions', async () => {
+      const createResponse = await request(app)
+        .post('/api/requests')
+        .send({
+          origin: 'Transition Origin',
+          destination: 'Transition Destination',
+          pickUpDateTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+          truckCount: 1
+        })
+        .expect(201);
+
+      const requestId = createResponse.body.data.id;
+
+      await request(app)
+        .put(`/api/requests/${requestId}`)
+        .send({ status: 'rejected', statusReason: 'No capacity', changedBy: 'Test User' })
+        .expect(200);
+
+      const response = await request(app)
+        .put(`/api/requests/${requestId}`)
+        .send({ status: 'planned' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.code).toBe('INVALID_STATUS_TRANSITION');
+    });
+
+    it('should return 404 for non-existent request', async () => {
+      const response = await request(app)
+        .get('/api/requests/999999/history')
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/requests/:id/report.pdf', () => {
+    it('should render a PDF report for a request with a delivery', async () => {
+      const list = await request(app)
+        .get('/api/requests?status=completed&limit=1')
+        .expect(200);
+
+      if (list.body.data.data.length === 0) return;
+
+      const response = await request(app)
+        .get(`/api/requests/${list.body.data.data[0].id}/report.pdf`)
+        .buffer(true)
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/pdf');
+      expect(response.body.slice(0, 5).toString()).toBe('%PDF-');
+    });
+
+    it('should reject requests without a logged delivery', async () => {
+      const created = await request(app)
+        .post('/api/requests')
+        .send({
+          origin: 'Report Origin',
+          destination: 'Report Destination',
+          pickUpDateTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+          truckCount: 1
+        })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/requests/${created.body.data.id}/report.pdf`)
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should return 404 for non-existent request', async () => {
+      await request(app)
+        .get('/api/requests/999999/report.pdf')
+        .expect(404);
+    });
+  });
+
   describe('DELETE /api/requests/:id', () => {
     it('should prevent deletion of completed requests', async () => {
       const response = await request(app)
@@ -288,4 +443,109 @@ describe('Transportation Request API Endpoints', () => {
       expect(response.body.success).toBe(false);
     });
   });
+
+  describe('Multi-stop requests', () => {
+    const hoursFromNow = hours => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+    const stops = () => [
+      { type: 'pickup', address: 'Dallas, TX', windowStart: hoursFromNow(24), windowEnd: hoursFromNow(25), loadPercentage: 100 },
+      { type: 'dropoff', address: 'Waco, TX', windowStart: hoursFromNow(27), windowEnd: hoursFromNow(28), loadPercentage: 40 },
+      { type: 'dropoff', address: 'Austin, TX', windowStart: hoursFromNow(30), windowEnd: hoursFromNow(31), loadPercentage: 60 }
+    ];
+
+    const createMultiStopRequest = async () => {
+      const response = await request(app)
+        .post('/api/requests')
+        .send({ truckCount: 1, estimatedCost: 1200, stops: stops() })
+        .expect(201);
+
+      return response.body.data;
+    };
+
+    it('should derive origin, destination and pickup time from the stops', async () => {
+      const created = await createMultiStopRequest();
+
+      expect(created.origin).toBe('Dallas, TX');
+      expect(created.destination).toBe('Austin, TX');
+      expect(created.stops).toHaveLength(3);
+      expect(created.stops.map(stop => stop.sequence)).toEqual([1, 2, 3]);
+
+      const fetched = await request(app).get(`/api/requests/${created.id}`).expect(200);
+      expect(fetched.body.data.stops[1].address).toBe('Waco, TX');
+      expect(fetched.body.data.stops[1].loadPercentage).toBe(40);
+    });
+
+    it('should reject a route that does not start with a pickup', async () => {
+      const [pickup, ...dropoffs] = stops();
+
+      const response = await request(app)
+        .post('/api/requests')
+        .send({ truckCount: 1, stops: [...dropoffs, pickup] })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should reject dropping off more load than was picked up', async () => {
+      const route = stops();
+      route[0].loadPercentage = 50;
+
+      await request(app)
+        .post('/api/requests')
+        .send({ truckCount: 1, stops: route })
+        .expect(400);
+    });
+
+    it('should evaluate each stop arrival when the delivery is logged', async () => {
+      const created = await createMultiStopRequest();
+      const [pickup, , lastDrop] = created.stops;
+
+      const driver = await request(app)
+        .post('/api/drivers')
+        .send({
+          name: 'Multi Stop Driver',
+          type: 'in_house',
+          employeeId: `EMP-${Date.now()}`,
+          department: 'Logistics',
+          hireDate: '2024-01-01'
+        })
+        .expect(201);
+
+      const response = await request(app)
+        .post(`/api/deliveries/${created.id}/log`)
+        .send({
+          actualPickupDateTime: pickup.windowStart,
+          actualTruckCount: 1,
+          invoiceAmount: 1200,
+          drivers: [{ driver_id: driver.body.data.id, punctuality: 4, professionalism: 5, overall: 4 }],
+          stops: [
+            { stopId: pickup.id, actualArrivalAt: pickup.windowStart },
+            { stopId: lastDrop.id, actualArrivalAt: new Date(new Date(lastDrop.windowEnd).getTime() + 2 * 60 * 60 * 1000).toISOString() }
+          ]
+        })
+        .expect(201);
+
+      const { stops: actuals, stopPerformance } = response.body.data.delivery;
+      expect(actuals[0].onTime).toBe(true);
+      expect(actuals[1].onTime).toBe(false);
+      expect(actuals[1].minutesLate).toBe(120);
+      expect(stopPerformance).toEqual({ totalStops: 2, onTimeStops: 1, onTimeRate: 50 });
+    });
+
+    it('should reject a stop from another request', async () => {
+      const first = await createMultiStopRequest();
+      const second = await createMultiStopRequest();
+
+      await request(app)
+        .post(`/api/deliveries/${second.id}/log`)
+        .send({
+          actualPickupDateTime: new Date().toISOString(),
+          actualTruckCount: 1,
+          invoiceAmount: 1200,
+          drivers: [{ name: 'Stop Test Driver', type: 'in_house', employeeId: `EMP-${Date.now()}`, department: 'Logistics', hireDate: '2024-01-01', punctuality: 4, professionalism: 4, overall: 4 }],
+          stops: [{ stopId: first.stops[0].id, actualArrivalAt: new Date().toISOString() }]
+        })
+        .expect(400);
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,104 @@
+const request = require('supertest');
+const app = require('../../app');
+
+describe('Request Template API Endpoints', () => {
+  const tomorrow = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+  const createTemplate = async () => {
+    const response = await request(app)
+      .post('/api/request-templates')
+      .send({
+        name: `Reefer lane ${Date.now()}`,
+        origin: 'Houston Cold Storage',
+        destination: 'Austin Grocery Hub',
+        truckCount: 3,
+        truckType: 'refrigerated',
+        loadDetails: 'Frozen goods',
+        specialRequirements: 'Keep below -18C'
+      })
+      .expect(201);
+
+    return response.body.data;
+  };
+
+  describe('POST /api/request-templates', () => {
+    it('should create a request template', async () => {
+      const template = await createTemplate();
+
+      expect(template).toHaveProperty('id');
+      expect(template.truckType).toBe('refrigerated');
+    });
+
+    it('should validate required fields', async () => {
+      const response = await request(app)
+        .post('/api/request-templates')
+        .send({ name: 'Incomplete template' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('POST /api/requests/from-template/:templateId', () => {
+    it('should create a request from a template with the given pickup time', async () => {
+      const template = await createTemplate();
+      const pickUpDateTime = tomorrow();
+
+      const response = await request(app)
+        .post(`/api/requests/from-template/${template.id}`)
+        .send({ pickUpDateTime, truckCount: 5 })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.origin).toBe(template.origin);
+      expect(response.body.data.truckType).toBe('refrigerated');
+      expect(response.body.data.truckCount).toBe(5);
+      expect(response.body.data.status).toBe('planned');
+    });
+
+    it('should require a pickup time', async () => {
+      const template = await createTemplate();
+
+      const response = await request(app)
+        .post(`/api/requests/from-template/${template.id}`)
+        .send({})
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should return 404 for non-existent template', async () => {
+      const response = await request(app)
+        .post('/api/requests/from-template/999999')
+        .send({ pickUpDateTime: tomorrow() })
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('POST /api/requests/:id/clone', () => {
+    it('should clone a request with a fresh number', async () => {
+      const original = await request(app).get('/api/requests/1').expect(200);
+
+      const response = await request(app)
+        .post('/api/requests/1/clone')
+        .send({ pickUpDateTime: tomorrow() })
+        .expect(201);
+
+      expect(response.body.data.id).not.toBe(original.body.data.id);
+      expect(response.body.data.requestNumber).not.toBe(original.body.data.requestNumber);
+      expect(response.body.data.origin).toBe(original.body.data.origin);
+      expect(response.body.data.status).toBe('planned');
+    });
+
+    it('should return 404 for non-existent request', async () => {
+      const response = await request(app)
+        .post('/api/requests/999999/clone')
+        .send({ pickUpDateTime: tomorrow() })
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+});
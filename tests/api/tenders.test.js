@@ -0,0 +1,170 @@
+const request = require('supertest');
+const app = require('../../app');
+
+describe('Tender API Endpoints', () => {
+  const tomorrow = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+  let requestId;
+  let transporterIds;
+
+  const createTransporter = async name => {
+    const response = await request(app)
+      .post('/api/transporters')
+      .send({ name: `${name} ${Date.now()}-${Math.random()}` })
+      .expect(201);
+
+    return response.body.data.id;
+  };
+
+  const quotePayload = (transporterId, overrides = {}) => ({
+    transporterId,
+    price: 900,
+    trucksAvailable: 2,
+    committedPickupDateTime: tomorrow(),
+    ...overrides
+  });
+
+  const createTender = async () => {
+    const response = await request(app)
+      .post(`/api/requests/${requestId}/tenders`)
+      .send({ transporterIds, createdBy: 'planner' })
+      .expect(201);
+
+    return response.body.data;
+  };
+
+  beforeEach(async () => {
+    const created = await request(app)
+      .post('/api/requests')
+      .send({
+        origin: 'Dallas, TX',
+        destination: 'Houston, TX',
+        pickUpDateTime: tomorrow(),
+        truckCount: 2,
+        estimatedCost: 1000
+      })
+      .expect(201);
+
+    requestId = created.body.data.id;
+    transporterIds = [await createTransporter('North Haulage'), await createTransporter('South Freight')];
+  });
+
+  describe('POST /api/requests/:id/tenders', () => {
+    it('should invite each transporter', async () => {
+      const tender = await createTender();
+
+      expect(tender.status).toBe('open');
+      expect(tender.quotes).toHaveLength(2);
+      expect(tender.quotes.every(quote => quote.status === 'invited')).toBe(true);
+    });
+
+    it('should reject a second open tender for the same request', async () => {
+      await createTender();
+
+      await request(app)
+        .post(`/api/requests/${requestId}/tenders`)
+        .send({ transporterIds })
+        .expect(400);
+    });
+
+    it('should reject an unknown transporter', async () => {
+      await request(app)
+        .post(`/api/requests/${requestId}/tenders`)
+        .send({ transporterIds: [999999] })
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/tenders/:id/quotes', () => {
+    it('should record a quote from an invited transporter', async () => {
+      const tender = await createTender();
+
+      const response = await request(app)
+        .post(`/api/tenders/${tender.id}/quotes`)
+        .send(quotePayload(transporterIds[0], { trucksAvailable: 1 }))
+        .expect(200);
+
+      const quote = response.body.data.quotes.find(q => q.transporterId === transporterIds[0]);
+      expect(quote.status).toBe('quoted');
+      expect(quote.price).toBe(900);
+      expect(quote.coversTruckCount).toBe(false);
+    });
+
+    it('should reject a quote from a transporter that was not invited', async () => {
+      const tender = await createTender();
+      const outsider = await createTransporter('Outsider Logistics');
+
+      await request(app)
+        .post(`/api/tenders/${tender.id}/quotes`)
+        .send(quotePayload(outsider))
+        .expect(400);
+    });
+
+    it('should reject a quote after the response deadline', async () => {
+      const created = await request(app)
+        .post(`/api/requests/${requestId}/tenders`)
+        .send({ transporterIds, responseDeadline: new Date(Date.now() + 2000).toISOString() })
+        .expect(201);
+
+      await new Promise(resolve => setTimeout(resolve, 2500));
+
+      const response = await request(app)
+        .post(`/api/tenders/${created.body.data.id}/quotes`)
+        .send(quotePayload(transporterIds[0]))
+        .expect(400);
+
+      expect(response.body.error).toContain('Response deadline has passed');
+    });
+  });
+
+  describe('POST /api/tenders/:id/quotes/:quoteId/accept', () => {
+    it('should award the tender and carry the price into the request', async () => {
+      const tender = await createTender();
+      await request(app).post(`/api/tenders/${tender.id}/quotes`).send(quotePayload(transporterIds[0], { price: 1100 }));
+      const quoted = await request(app).post(`/api/tenders/${tender.id}/quotes`).send(quotePayload(transporterIds[1], { price: 950 }));
+
+      expect(quoted.body.data.lowestQuoteId).toBeDefined();
+      const winner = quoted.body.data.quotes.find(q => q.transporterId === transporterIds[1]);
+
+      const response = await request(app)
+        .post(`/api/tenders/${tender.id}/quotes/${winner.id}/accept`)
+        .send({ changedBy: 'planner' })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('awarded');
+      expect(response.body.data.awardedQuoteId).toBe(winner.id);
+      expect(response.body.data.quotes.find(q => q.id !== winner.id).status).toBe('rejected');
+
+      const updated = await request(app).get(`/api/requests/${requestId}`).expect(200);
+      expect(parseFloat(updated.body.data.contractedCost)).toBe(950);
+      expect(updated.body.data.awardedTransporterId).toBe(transporterIds[1]);
+      expect(updated.body.data.status).toBe('assigned');
+    });
+
+    it('should not accept a quote that has not been submitted', async () => {
+      const tender = await createTender();
+
+      await request(app)
+        .post(`/api/tenders/${tender.id}/quotes/${tender.quotes[0].id}/accept`)
+        .send({})
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/tenders/:id/cancel', () => {
+    it('should close the tender and block further quotes', async () => {
+      const tender = await createTender();
+
+      await request(app).post(`/api/tenders/${tender.id}/cancel`).send({ reason: 'Handled in-house' }).expect(200);
+
+      await request(app)
+        .post(`/api/tenders/${tender.id}/quotes`)
+        .send(quotePayload(transporterIds[0]))
+        .expect(400);
+    });
+  });
+
+  it('should return 404 for an unknown tender', async () => {
+    await request(app).get('/api/tenders/999999').expect(404);
+  });
+});
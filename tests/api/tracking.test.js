@@ -0,0 +1,127 @@
+const request = require('supertest');
+const app = require('../../app');
+const fixtures = require('../helpers/deliveryFixtures');
+
+describe('Tracking API Endpoints', () => {
+  const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+  const createVehicle = async () => {
+    const response = await request(app)
+      .post('/api/vehicles')
+      .send({
+        plateNumber: `gps ${Date.now().toString().slice(-6)}${Math.floor(Math.random() * 100)}`,
+        truckType: 'box'
+      })
+      .expect(201);
+
+    return response.body.data;
+  };
+
+  const logDelivery = async (vehicleIds) => {
+    const logged = await fixtures.logDelivery({
+      request: { origin: 'Chicago, IL', destination: 'Milwaukee, WI', estimatedCost: 700 },
+      log: { actualPickupDateTime: minutesAgo(90), invoiceAmount: 700, vehicleIds },
+      driverName: 'Tracking Driver'
+    });
+
+    return logged.delivery;
+  };
+
+  describe('POST /api/tracking/positions', () => {
+    it('should attach a vehicle\'s pings to its delivery and move the request in transit', async () => {
+      const vehicle = await createVehicle();
+      const delivery = await logDelivery([vehicle.id]);
+
+      const response = await request(app)
+        .post('/api/tracking/positions')
+        .send({
+          vehicleId: vehicle.id,
+          positions: [
+            { lat: 41.8781, lng: -87.6298, speed: 50, timestamp: minutesAgo(60) },
+            { lat: 42.2586, lng: -87.8406, speed: 55, timestamp: minutesAgo(40) }
+          ]
+        })
+        .expect(201);
+
+      expect(response.body.data.accepted).toBe(2);
+      expect(response.body.data.deliveryId).toBe(delivery.id);
+      expect(response.body.data.requestStatus).toBe('in_transit');
+    });
+
+    it('should reject an out of range latitude', async () => {
+      const vehicle = await createVehicle();
+
+      await request(app)
+        .post('/api/tracking/positions')
+        .send({ vehicleId: vehicle.id, positions: [{ lat: 95, lng: -87.6, timestamp: minutesAgo(5) }] })
+        .expect(400);
+    });
+
+    it('should require a delivery or a vehicle', async () => {
+      const response = await request(app)
+        .post('/api/tracking/positions')
+        .send({ positions: [{ lat: 41.8, lng: -87.6, timestamp: minutesAgo(5) }] })
+        .expect(400);
+
+      expect(response.body.errors[0].message).toBe('Either deliveryId or vehicleId is required');
+    });
+
+    it('should reject an unknown delivery', async () => {
+      await request(app)
+        .post('/api/tracking/positions')
+        .send({ deliveryId: 999999, positions: [{ lat: 41.8, lng: -87.6, timestamp: minutesAgo(5) }] })
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/deliveries/:id/track', () => {
+    it('should return the path as GeoJSON with the last known position', async () => {
+      const delivery = await logDelivery();
+
+      await request(app)
+        .post('/api/tracking/positions')
+        .send({
+          deliveryId: delivery.id,
+          positions: [
+            { lat: 42.5847, lng: -87.8212, speed: 52, timestamp: minutesAgo(20) },
+            { lat: 41.8781, lng: -87.6298, speed: 0, timestamp: minutesAgo(60) },
+            { lat: 43.0389, lng: -87.9065, speed: 30, timestamp: minutesAgo(5) }
+          ]
+        })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/deliveries/${delivery.id}/track`)
+        .expect(200);
+
+      const track = response.body.data;
+      expect(track.requestStatus).toBe('in_transit');
+      expect(track.pointCount).toBe(3);
+      expect(track.truncated).toBe(false);
+      expect(track.path.type).toBe('FeatureCollection');
+      expect(track.path.features[0].geometry.type).toBe('LineString');
+      expect(track.path.features[0].geometry.coordinates[0]).toEqual([-87.6298, 41.8781]);
+      expect(track.lastPosition.lat).toBe(43.0389);
+
+      const recent = await request(app)
+        .get(`/api/deliveries/${delivery.id}/track?since=${minutesAgo(10)}`)
+        .expect(200);
+
+      expect(recent.body.data.pointCount).toBe(1);
+
+      const limited = await request(app)
+        .get(`/api/deliveries/${delivery.id}/track?limit=2`)
+        .expect(200);
+
+      expect(limited.body.data.pointCount).toBe(2);
+      expect(limited.body.data.truncated).toBe(true);
+      expect(limited.body.data.lastPosition.lat).toBe(43.0389);
+    });
+
+    it('should return 404 for an unknown delivery', async () => {
+      await request(app)
+        .get('/api/deliveries/999999/track')
+        .expect(404);
+    });
+  });
+});
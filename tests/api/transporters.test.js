@@ -0,0 +1,118 @@
+const request = require('supertest');
+const app = require('../../app');
+
+describe('Transporter API Endpoints', () => {
+  const uniqueName = () => `Lone Star Haulers ${Date.now()}${Math.floor(Math.random() * 1000)}`;
+
+  const createDriver = async (overrides = {}) => {
+    const response = await request(app)
+      .post('/api/drivers')
+      .send({
+        name: 'Carrier Driver',
+        type: 'transporter',
+        phone: '555-0199',
+        licenseNumber: 'CDL-TX-998877',
+        ...overrides
+      })
+      .expect(201);
+
+    return response.body.data;
+  };
+
+  describe('POST /api/transporters', () => {
+    it('should create a transporter', async () => {
+      const response = await request(app)
+        .post('/api/transporters')
+        .send({ name: uniqueName(), email: 'dispatch@example.com' })
+        .expect(201);
+
+      expect(response.body.data).toHaveProperty('id');
+    });
+
+    it('should reject a name that only differs by case, punctuation or legal form', async () => {
+      const name = uniqueName();
+      await request(app).post('/api/transporters').send({ name }).expect(201);
+
+      await request(app)
+        .post('/api/transporters')
+        .send({ name: `${name.toUpperCase()}, Inc.` })
+        .expect(400);
+    });
+  });
+
+  describe('Drivers linked to transporters', () => {
+    it('should link differently spelled company names to one transporter', async () => {
+      const name = uniqueName();
+      const first = await createDriver({ transportCompany: name });
+      const second = await createDriver({ transportCompany: ` ${name.toLowerCase()} LLC` });
+
+      expect(first.transporterId).toBeTruthy();
+      expect(second.transporterId).toBe(first.transporterId);
+      expect(second.transportCompany).toBe(name);
+    });
+
+    it('should accept a transporterId instead of a company name', async () => {
+      const transporter = await request(app).post('/api/transporters').send({ name: uniqueName() }).expect(201);
+      const driver = await createDriver({ transporterId: transporter.body.data.id });
+
+      expect(driver.transportCompany).toBe(transporter.body.data.name);
+    });
+
+    it('should copy a rename to the drivers', async () => {
+      const driver = await createDriver({ transportCompany: uniqueName() });
+      const renamed = uniqueName();
+
+      await request(app)
+        .put(`/api/transporters/${driver.transporterId}`)
+        .send({ name: renamed })
+        .expect(200);
+
+      const response = await request(app).get(`/api/drivers/${driver.id}`).expect(200);
+      expect(response.body.data.transportCompany).toBe(renamed);
+    });
+
+    it('should not delete a transporter that still has drivers', async () => {
+      const driver = await createDriver({ transportCompany: uniqueName() });
+
+      await request(app)
+        .delete(`/api/transporters/${driver.transporterId}`)
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/dashboard/transporter-comparison', () => {
+    it('should judge a company that moved one wave against its share of the request cost', async () => {
+      const transporter = await request(app).post('/api/transporters').send({ name: uniqueName() }).expect(201);
+      const driver = await createDriver({ transporterId: transporter.body.data.id });
+
+      const created = await request(app)
+        .post('/api/requests')
+        .send({
+          origin: 'El Paso, TX',
+          destination: 'Tucson, AZ',
+          pickUpDateTime: new Date(Date.now() + 60 * 1000).toISOString(),
+          truckCount: 2,
+          estimatedCost: 2000
+        })
+        .expect(201);
+
+      await request(app)
+        .post(`/api/deliveries/${created.body.data.id}/log`)
+        .send({
+          actualPickupDateTime: new Date().toISOString(),
+          actualTruckCount: 1,
+          invoiceAmount: 1000,
+          drivers: [{ driver_id: driver.id, punctuality: 4, professionalism: 4, overall: 4 }]
+        })
+        .expect(201);
+
+      const today = new Date().toISOString().split('T')[0];
+      const response = await request(app)
+        .get(`/api/dashboard/transporter-comparison?startDate=${today}&endDate=${today}`)
+        .expect(200);
+
+      const compared = response.body.data.find(entry => entry.transporterId === transporter.body.data.id);
+      expect(compared.costVariance).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const request = require('supertest');
+const app = require('../../app');
+const { createRequest } = require('../helpers/deliveryFixtures');
+
+describe('Vehicle API Endpoints', () => {
+  const uniquePlate = () => `tx ${Date.now().toString().slice(-6)}${Math.floor(Math.random() * 100)}`;
+
+  const createVehicle = async (overrides = {}) => {
+    const response = await request(app)
+      .post('/api/vehicles')
+      .send({
+        plateNumber: uniquePlate(),
+        truckType: 'box',
+        capacityKg: 12000,
+        ...overrides
+      })
+      .expect(201);
+
+    return response.body.data;
+  };
+
+  describe('POST /api/vehicles', () => {
+    it('should register an in-house vehicle with a normalized plate', async () => {
+      const vehicle = await createVehicle({ plateNumber: 'abc-123 x' });
+
+      expect(vehicle.plateNumber).toBe('ABC123X');
+      expect(vehicle.ownership).toBe('in_house');
+      expect(vehicle.status).toBe('active');
+    });
+
+    it('should reject a duplicate plate', async () => {
+      const vehicle = await createVehicle();
+
+      await request(app)
+        .post('/api/vehicles')
+        .send({ plateNumber: vehicle.plateNumber.toLowerCase(), truckType: 'semi' })
+        .expect(400);
+    });
+
+    it('should require a transporter for transporter-owned vehicles', async () => {
+      await request(app)
+        .post('/api/vehicles')
+        .send({ plateNumber: uniquePlate(), truckType: 'semi', ownership: 'transporter' })
+        .expect(400);
+    });
+
+    it('should reject an unknown transporter', async () => {
+      await request(app)
+        .post('/api/vehicles')
+        .send({ plateNumber: uniquePlate(), truckType: 'semi', ownership: 'transporter', transporterId: 999999 })
+        .expect(400);
+    });
+
+    it('should link a vehicle to its transporter', async () => {
+      const transporter = await request(app)
+        .post('/api/transporters')
+        .send({ name: `Fleet Carrier ${Date.now()}-${Math.random()}` })
+        .expect(201);
+
+      const vehicle = await createVehicle({ ownership: 'transporter', transporterId: transporter.body.data.id });
+
+      expect(vehicle.transporterId).toBe(transporter.body.data.id);
+    });
+  });
+
+  describe('GET /api/vehicles', () => {
+    it('should filter vehicles with maintenance due by a date', async () => {
+      const due = await createVehicle({ nextServiceDue: '2020-01-15' });
+      const later = await createVehicle({ nextServiceDue: '2099-01-15' });
+
+      const response = await request(app)
+        .get('/api/vehicles?maintenanceDueBy=2020-02-01&limit=100')
+        .expect(200);
+
+      const ids = response.body.data.map(vehicle => vehicle.id);
+      expect(ids).toContain(due.id);
+      expect(ids).not.toContain(later.id);
+      expect(response.body.data.find(vehicle => vehicle.id === due.id).maintenanceOverdue).toBe(true);
+    });
+  });
+
+  describe('PUT /api/vehicles/:id', () => {
+    it('should move a vehicle into maintenance', async () => {
+      const vehicle = await createVehicle();
+
+      const response = await request(app)
+        .put(`/api/vehicles/${vehicle.id}`)
+        .send({ status: 'maintenance' })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('maintenance');
+    });
+
+    it('should return 404 for an unknown vehicle', async () => {
+      await request(app)
+        .put('/api/vehicles/999999')
+        .send({ status: 'retired' })
+        .expect(404);
+    });
+  });
+
+  describe('DELETE /api/vehicles/:id', () => {
+    it('should delete a vehicle', async () => {
+      const vehicle = await createVehicle();
+
+      await request(app).delete(`/api/vehicles/${vehicle.id}`).expect(200);
+      await request(app).get(`/api/vehicles/${vehicle.id}`).expect(404);
+    });
+  });
+
+  describe('Recording vehicles on a delivery', () => {
+    const logWith = async (vehicle, expectedStatus) => {
+      const created = await createRequest({ truckType: 'box' });
+
+      const response = await request(app)
+        .post(`/api/deliveries/${created.id}/log`)
+        .send({
+          actualPickupDateTime: new Date().toISOString(),
+          actualTruckCount: 1,
+          invoiceAmount: 800,
+          vehicleIds: [vehicle.id],
+          drivers: [{ name: 'Vehicle Driver', type: 'in_house', employeeId: `EMP-${Date.now()}`, department: 'Logistics', hireDate: '2024-01-01', punctuality: 4, professionalism: 4, overall: 4 }]
+        })
+        .expect(expectedStatus);
+
+      return response.body;
+    };
+
+    it('should record an active vehicle of the request\'s truck type', async () => {
+      const vehicle = await createVehicle();
+
+      const body = await logWith(vehicle, 201);
+
+      expect(body.data.vehicles.map(recorded => recorded.id)).toEqual([vehicle.id]);
+    });
+
+    it('should reject a vehicle in maintenance', async () => {
+      const vehicle = await createVehicle({ status: 'maintenance' });
+
+      const body = await logWith(vehicle, 400);
+
+      expect(body.message).toBe('Invalid vehicles');
+      expect(body.error).toContain('maintenance');
+    });
+
+    it('should reject a vehicle of another truck type than the request', async () => {
+      const vehicle = await createVehicle({ truckType: 'flatbed' });
+
+      const body = await logWith(vehicle, 400);
+
+      expect(body.message).toBe('Invalid vehicles');
+      expect(body.error).toContain('flatbed');
+    });
+  });
+
+  describe('GET /api/dashboard/fleet-utilization', () => {
+    it('should report per-vehicle utilization', async () => {
+      await createVehicle();
+
+      const response = await request(app)
+        .get('/api/dashboard/fleet-utilization?startDate=2024-01-01&endDate=2024-01-31')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.summary.basis).toBe('vehicles');
+      expect(response.body.data.summary.availableVehicleDays).toBeGreaterThan(0);
+      expect(Array.isArray(response.body.data.vehicles)).toBe(true);
+    });
+  });
+});
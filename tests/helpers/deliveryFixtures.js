@@ -0,0 +1,46 @@
+const request = require('supertest');
+const app = require('../../app');
+
+/**
+ * Create a one-truck Memphis, TN -> Little Rock, AR request picking up in a minute.
+ * Returns the created request.
+ */
+const createRequest = async (overrides = {}) => {
+  const response = await request(app)
+    .post('/api/requests')
+    .send({
+      origin: 'Memphis, TN',
+      destination: 'Little Rock, AR',
+      pickUpDateTime: new Date(Date.now() + 60 * 1000).toISOString(),
+      truckCount: 1,
+      estimatedCost: 800,
+      ...overrides
+    })
+    .expect(201);
+
+  return response.body.data;
+};
+
+/**
+ * Create a request and log its one truck as picked up now by a new in-house driver.
+ * `request` and `log` override the request and delivery log fields.
+ * Returns the logged data ({ delivery, drivers, ... }).
+ */
+const logDelivery = async ({ request: requestOverrides = {}, log = {}, driverName = 'Fixture Driver' } = {}) => {
+  const created = await createRequest(requestOverrides);
+
+  const logged = await request(app)
+    .post(`/api/deliveries/${created.id}/log`)
+    .send({
+      actualPickupDateTime: new Date().toISOString(),
+      actualTruckCount: 1,
+      invoiceAmount: 800,
+      drivers: [{ name: driverName, type: 'in_house', employeeId: `EMP-${Date.now()}`, department: 'Logistics', hireDate: '2024-01-01', punctuality: 4, professionalism: 4, overall: 4 }],
+      ...log
+    })
+    .expect(201);
+
+  return logged.body.data;
+};
+
+module.exports = { createRequest, logDelivery };
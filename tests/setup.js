@@ -1,4 +1,5 @@
 const { sequelize } = require('../src/config/db');
+const { defineAssociations } = require('../src/models');
 
 jest.setTimeout(30000);
 
@@ -8,34 +9,8 @@ beforeAll(async () => {
   try {
     await sequelize.authenticate();
     
-    const { TransportationRequest } = require('../src/api/request/request.model');
-    const { Driver } = require('../src/api/driver/driver.model');
-    const { Delivery, DriverRating } = require('../src/api/delivery/delivery.model');
-
-    TransportationRequest.hasOne(Delivery, {
-      foreignKey: 'requestId',
-      as: 'Delivery'
-    });
-    Delivery.belongsTo(TransportationRequest, {
-      foreignKey: 'requestId',
-      as: 'TransportationRequest'
-    });
-    Delivery.hasMany(DriverRating, {
-      foreignKey: 'deliveryId',
-      as: 'DriverRatings'
-    });
-    DriverRating.belongsTo(Delivery, {
-      foreignKey: 'deliveryId',
-      as: 'Delivery'
-    });
-    Driver.hasMany(DriverRating, {
-      foreignKey: 'driverId',
-      as: 'Ratings'
-    });
-    DriverRating.belongsTo(Driver, {
-      foreignKey: 'driverId',
-      as: 'Driver'
-    });
+    // Same associations (and include aliases) as the app registers at startup
+    defineAssociations();
 
   } catch (error) {
     console.error('Test setup failed:', error);